@@ -0,0 +1,56 @@
+// public/sw.js - Keeps the app shell available offline
+// API data is saved by the app itself (src/utils/offlineData.js); this worker only caches what Vite builds
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `quiz-shell-${CACHE_VERSION}`;
+const SHELL_FILES = ['/', '/index.html', '/logo.png'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop caches left behind by earlier versions of this worker
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('quiz-shell-') && key !== SHELL_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const putInCache = (request, response) => {
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Pages: the latest index.html when online, the saved one otherwise, so client routes still load
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => putInCache('/index.html', response))
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  // Built assets have content hashes in their names, so a saved copy is never out of date
+  if (url.pathname.startsWith('/assets/') || SHELL_FILES.includes(url.pathname)) {
+    event.respondWith(
+      caches.match(request).then(cached => cached || fetch(request).then(response => putInCache(request, response)))
+    );
+  }
+});
@@ -2,8 +2,10 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { AuthProvider } from './contexts/AuthContext';
 import Navigation from './components/Navigation';
+import OfflineStatus from './components/OfflineStatus';
 import ProtectedRoute from './components/ProtectedRoute';
 import ErrorBoundary from './components/ErrorBoundary';
+import { can, ACTIONS, RESOURCES } from './utils/permissions';
 
 // Pages
 import Home from './pages/Home';
@@ -12,11 +14,17 @@ import Register from './pages/Register';
 import Profile from './pages/Profile';
 import ForgotPassword from './pages/ForgotPassword';
 import ResetPassword from './pages/ResetPassword';
+import VerifyCertificate from './pages/VerifyCertificate';
 
 // Admin Pages
 import AdminTournaments from './pages/admin/AdminTournaments';
 import CreateTournament from './pages/admin/CreateTournament';
 import EditTournament from './pages/admin/EditTournament';
+import ImportQuestions from './pages/admin/ImportQuestions';
+import LiveHost from './pages/admin/LiveHost';
+import AdminUsers from './pages/admin/AdminUsers';
+import AdminBackends from './pages/admin/AdminBackends';
+import TournamentAnalytics from './pages/admin/TournamentAnalytics';
 
 // Player Pages
 import PlayerTournaments from './pages/player/PlayerTournaments';
@@ -24,9 +32,17 @@ import TournamentPlay from './pages/player/TournamentPlay';
 import PlayerHistory from './pages/player/PlayerHistory';
 import OngoingTournaments from './pages/player/OngoingTournaments';
 import TournamentResults from './pages/player/TournamentResults';
+import TournamentReview from './pages/player/TournamentReview';
+import TournamentLeaderboard from './pages/player/TournamentLeaderboard';
+import LivePlay from './pages/player/LivePlay';
 
 // Error Pages
 import NotFound from './pages/NotFound';
+import Unauthorized from './pages/Unauthorized';
+
+// Question authors edit a tournament's questions without being able to change the tournament itself
+const canEditTournament = (user) =>
+  can(user, ACTIONS.UPDATE, RESOURCES.TOURNAMENT) || can(user, ACTIONS.UPDATE, RESOURCES.QUESTION);
 
 function App() {
   return (
@@ -35,6 +51,7 @@ function App() {
         <Router>
           <div className="min-h-screen bg-gray-50">
             <Navigation />
+            <OfflineStatus />
             
             <React.Suspense fallback={<div className="min-h-screen flex items-center justify-center">Loading...</div>}>
               <Routes>
@@ -44,6 +61,9 @@ function App() {
                 <Route path="/register" element={<Register />} />
                 <Route path="/forgot-password" element={<ForgotPassword />} />
                 <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/unauthorized" element={<Unauthorized />} />
+                <Route path="/verify" element={<VerifyCertificate />} />
+                <Route path="/verify/:code" element={<VerifyCertificate />} />
                 
                 {/* Protected routes */}
                 <Route 
@@ -59,7 +79,7 @@ function App() {
                 <Route 
                   path="/admin/tournaments" 
                   element={
-                    <ProtectedRoute requiredRole="ADMIN">
+                    <ProtectedRoute action={ACTIONS.VIEW} resource={RESOURCES.ADMIN}>
                       <AdminTournaments />
                     </ProtectedRoute>
                   } 
@@ -67,7 +87,7 @@ function App() {
                 <Route 
                   path="/admin/create-tournament" 
                   element={
-                    <ProtectedRoute requiredRole="ADMIN">
+                    <ProtectedRoute action={ACTIONS.CREATE} resource={RESOURCES.TOURNAMENT}>
                       <CreateTournament />
                     </ProtectedRoute>
                   } 
@@ -75,17 +95,66 @@ function App() {
                 <Route 
                   path="/admin/edit-tournament/:id" 
                   element={
-                    <ProtectedRoute requiredRole="ADMIN">
+                    <ProtectedRoute permission={canEditTournament}>
                       <EditTournament />
                     </ProtectedRoute>
                   } 
                 />
+                <Route 
+                  path="/admin/import-questions/:id" 
+                  element={
+                    <ProtectedRoute action={ACTIONS.IMPORT} resource={RESOURCES.QUESTION}>
+                      <ImportQuestions />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/admin/live/:id" 
+                  element={
+                    <ProtectedRoute action={ACTIONS.HOST} resource={RESOURCES.TOURNAMENT}>
+                      <LiveHost />
+                    </ProtectedRoute>
+                  } 
+                />
+                
+                <Route 
+                  path="/admin/users" 
+                  element={
+                    <ProtectedRoute action={ACTIONS.VIEW} resource={RESOURCES.USER}>
+                      <AdminUsers />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/admin/backends" 
+                  element={
+                    <ProtectedRoute action={ACTIONS.UPDATE} resource={RESOURCES.BACKEND}>
+                      <AdminBackends />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/admin/analytics" 
+                  element={
+                    <ProtectedRoute action={ACTIONS.VIEW} resource={RESOURCES.ANALYTICS}>
+                      <TournamentAnalytics />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/admin/analytics/:id" 
+                  element={
+                    <ProtectedRoute action={ACTIONS.VIEW} resource={RESOURCES.ANALYTICS}>
+                      <TournamentAnalytics />
+                    </ProtectedRoute>
+                  } 
+                />
                 
                 {/* Player routes */}
                 <Route 
                   path="/player/tournaments" 
                   element={
-                    <ProtectedRoute requiredRole="PLAYER">
+                    <ProtectedRoute action={ACTIONS.PLAY} resource={RESOURCES.TOURNAMENT}>
                       <PlayerTournaments />
                     </ProtectedRoute>
                   } 
@@ -93,15 +162,16 @@ function App() {
                 <Route 
                   path="/player/ongoing" 
                   element={
-                    <ProtectedRoute requiredRole="PLAYER">
+                    <ProtectedRoute action={ACTIONS.PLAY} resource={RESOURCES.TOURNAMENT}>
                       <OngoingTournaments />
                     </ProtectedRoute>
                   } 
                 />
+                {/* Playing counts towards scores and certificates, so it needs a verified email */}
                 <Route 
                   path="/player/tournaments/:id" 
                   element={
-                    <ProtectedRoute requiredRole="PLAYER">
+                    <ProtectedRoute action={ACTIONS.PLAY} resource={RESOURCES.TOURNAMENT} requireVerifiedEmail>
                       <TournamentPlay />
                     </ProtectedRoute>
                   } 
@@ -109,15 +179,40 @@ function App() {
                 <Route 
                   path="/player/tournaments/:id/results" 
                   element={
-                    <ProtectedRoute requiredRole="PLAYER">
+                    <ProtectedRoute action={ACTIONS.VIEW} resource={RESOURCES.RESULT}>
                       <TournamentResults />
                     </ProtectedRoute>
                   } 
                 />
+                <Route 
+                  path="/player/tournaments/:id/review" 
+                  element={
+                    <ProtectedRoute action={ACTIONS.PLAY} resource={RESOURCES.TOURNAMENT}>
+                      <TournamentReview />
+                    </ProtectedRoute>
+                  } 
+                />
+                {/* Live players are shown to the room by their profile name */}
+                <Route 
+                  path="/player/tournaments/:id/live" 
+                  element={
+                    <ProtectedRoute action={ACTIONS.PLAY} resource={RESOURCES.TOURNAMENT} requireVerifiedEmail requireCompleteProfile>
+                      <LivePlay />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/player/tournaments/:id/scores" 
+                  element={
+                    <ProtectedRoute action={ACTIONS.PLAY} resource={RESOURCES.TOURNAMENT}>
+                      <TournamentLeaderboard />
+                    </ProtectedRoute>
+                  } 
+                />
                 <Route 
                   path="/player/history" 
                   element={
-                    <ProtectedRoute requiredRole="PLAYER">
+                    <ProtectedRoute action={ACTIONS.PLAY} resource={RESOURCES.TOURNAMENT}>
                       <PlayerHistory />
                     </ProtectedRoute>
                   } 
@@ -0,0 +1,134 @@
+// src/components/AnswerInput.jsx - Answer renderers for each question type on the play screen
+import React from 'react';
+import { CheckCircle, Check } from 'lucide-react';
+import { QUESTION_TYPES } from '../utils/questionUtils';
+
+const optionClasses = (isSelected) =>
+  `w-full text-left p-4 rounded-lg border-2 transition-all duration-200 disabled:opacity-60 disabled:cursor-not-allowed ${
+    isSelected
+      ? 'border-blue-500 bg-blue-50 text-blue-900'
+      : 'border-gray-200 bg-white hover:border-gray-300 hover:bg-gray-50'
+  }`;
+
+// Single choice and true/false: pick exactly one option
+const ChoiceAnswer = ({ question, value, onChange, disabled }) => {
+  if (!question.options || question.options.length === 0) {
+    return (
+      <div className="text-center py-8">
+        <p className="text-gray-500">No answer options available for this question.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={question.type === QUESTION_TYPES.TRUE_FALSE ? 'grid grid-cols-2 gap-3' : 'space-y-3'}>
+      {question.options.map((option, index) => {
+        const isSelected = value === option;
+        return (
+          <button
+            key={index}
+            onClick={() => onChange(option)}
+            disabled={disabled}
+            className={optionClasses(isSelected)}
+          >
+            <div className="flex items-center">
+              <div className={`w-6 h-6 rounded-full border-2 mr-3 flex items-center justify-center ${
+                isSelected ? 'border-blue-500 bg-blue-500' : 'border-gray-300'
+              }`}>
+                {isSelected && <CheckCircle className="w-4 h-4 text-white" />}
+              </div>
+              <span className="font-medium">{option}</span>
+            </div>
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+// Multi-select: choose all that apply; the answer is an array of options
+const MultiSelectAnswer = ({ question, value, onChange, disabled }) => {
+  const selected = Array.isArray(value) ? value : [];
+
+  const toggle = (option) => {
+    const next = selected.includes(option)
+      ? selected.filter(item => item !== option)
+      : [...selected, option];
+    // Keep the options' order so the same selection always produces the same answer
+    onChange(question.options.filter(item => next.includes(item)));
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-500">Select all that apply</p>
+      {question.options.map((option, index) => {
+        const isSelected = selected.includes(option);
+        return (
+          <button
+            key={index}
+            onClick={() => toggle(option)}
+            disabled={disabled}
+            className={optionClasses(isSelected)}
+          >
+            <div className="flex items-center">
+              <div className={`w-6 h-6 rounded border-2 mr-3 flex items-center justify-center ${
+                isSelected ? 'border-blue-500 bg-blue-500' : 'border-gray-300'
+              }`}>
+                {isSelected && <Check className="w-4 h-4 text-white" />}
+              </div>
+              <span className="font-medium">{option}</span>
+            </div>
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+// Free text: typed answer compared against the accepted answers
+const TextAnswer = ({ value, onChange, disabled }) => (
+  <div>
+    <input
+      type="text"
+      value={typeof value === 'string' ? value : ''}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      className="form-input text-lg"
+      placeholder="Type your answer"
+      maxLength={200}
+      autoComplete="off"
+    />
+    <p className="mt-2 text-sm text-gray-500">Capitalization and extra spaces don't matter</p>
+  </div>
+);
+
+// Numeric: a number, accepted within the question's tolerance
+const NumericAnswer = ({ value, onChange, disabled }) => (
+  <div className="max-w-xs">
+    <input
+      type="number"
+      step="any"
+      inputMode="decimal"
+      value={typeof value === 'string' ? value : ''}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      className="form-input text-lg"
+      placeholder="Enter a number"
+    />
+  </div>
+);
+
+const AnswerInput = ({ question, value, onChange, disabled = false }) => {
+  switch (question.type) {
+    case QUESTION_TYPES.MULTI:
+      return <MultiSelectAnswer question={question} value={value} onChange={onChange} disabled={disabled} />;
+    case QUESTION_TYPES.TEXT:
+      return <TextAnswer value={value} onChange={onChange} disabled={disabled} />;
+    case QUESTION_TYPES.NUMERIC:
+      return <NumericAnswer value={value} onChange={onChange} disabled={disabled} />;
+    default:
+      return <ChoiceAnswer question={question} value={value} onChange={onChange} disabled={disabled} />;
+  }
+};
+
+export default AnswerInput;
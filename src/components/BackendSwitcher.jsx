@@ -0,0 +1,271 @@
+// src/components/BackendSwitcher.jsx - Named API environments with health, latency and a pinned choice
+import React, { useState, useEffect, useCallback } from 'react';
+import { Server, RefreshCw, Pin, PinOff, Plus, Trash2, CheckCircle, AlertCircle } from 'lucide-react';
+import { switchBackend, getCurrentApiUrl } from '../config/api';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  subscribeBackend,
+  getBackends,
+  getPinnedBackend,
+  addBackend,
+  removeBackend,
+  setPinnedBackend,
+  checkBackendHealth
+} from '../utils/backendRegistry';
+import LoadingSpinner from './common/LoadingSpinner';
+
+const readRegistry = () => ({
+  backends: getBackends(),
+  pinnedId: getPinnedBackend()?.id ?? null,
+  currentUrl: getCurrentApiUrl()
+});
+
+const HealthBadge = ({ health, isChecking }) => {
+  if (isChecking) {
+    return <LoadingSpinner size="sm" />;
+  }
+  if (!health) {
+    return <span className="text-xs text-gray-400">Not checked</span>;
+  }
+  return (
+    <span className={`inline-flex items-center space-x-1 text-xs font-medium ${health.ok ? 'text-green-700' : 'text-red-700'}`}>
+      <span className={`h-2 w-2 rounded-full ${health.ok ? 'bg-green-500' : 'bg-red-500'}`} />
+      <span>{health.ok ? `${health.latency} ms` : health.error}</span>
+    </span>
+  );
+};
+
+const BackendSwitcher = () => {
+  const { isAuthenticated } = useAuth();
+  const [registry, setRegistry] = useState(readRegistry);
+  const [health, setHealth] = useState({});
+  const [checking, setChecking] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  // { id, change } for a switch waiting on confirmation
+  const [pending, setPending] = useState(null);
+  const [form, setForm] = useState({ name: '', url: '' });
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const { backends, pinnedId, currentUrl } = registry;
+
+  useEffect(() => subscribeBackend(() => setRegistry(readRegistry())), []);
+
+  const checkHealth = useCallback(async (targets) => {
+    const ids = targets.map(backend => backend.id);
+    setChecking(prev => [...prev, ...ids]);
+
+    await Promise.all(targets.map(async (backend) => {
+      const result = await checkBackendHealth(backend.url);
+      setHealth(prev => ({ ...prev, [backend.id]: result }));
+      setChecking(prev => prev.filter(id => id !== backend.id));
+    }));
+  }, []);
+
+  useEffect(() => {
+    checkHealth(getBackends());
+  }, [checkHealth]);
+
+  // Auto-hide success message
+  useEffect(() => {
+    if (!success) return;
+    const timer = setTimeout(() => setSuccess(''), 5000);
+    return () => clearTimeout(timer);
+  }, [success]);
+
+  const runSwitch = async (id, change) => {
+    try {
+      setBusyId(id);
+      setError('');
+      const switched = await change();
+      setSuccess(switched ? `Now using ${getCurrentApiUrl()}` : 'Already using this backend');
+    } catch (error) {
+      setError(error.message || 'Failed to switch backend');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Switching signs out, so a signed-in user confirms first
+  const requestSwitch = (id, change) => {
+    if (isAuthenticated) {
+      setPending({ id, change });
+      return;
+    }
+    runSwitch(id, change);
+  };
+
+  const confirmSwitch = () => {
+    setPending(null);
+    runSwitch(pending.id, pending.change);
+  };
+
+  const handleUse = (backend) => requestSwitch(backend.id, () => {
+    setPinnedBackend(backend.id);
+    return switchBackend(backend.url);
+  });
+
+  const handleUnpin = () => requestSwitch('auto', () => {
+    setPinnedBackend(null);
+    return switchBackend();
+  });
+
+  // Removing the backend in use falls back to detection, which is a switch too
+  const handleRemove = (backend) => {
+    if (backend.url !== currentUrl) {
+      removeBackend(backend.id);
+      return;
+    }
+    requestSwitch(backend.id, () => {
+      removeBackend(backend.id);
+      return switchBackend();
+    });
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    try {
+      setError('');
+      const backend = addBackend(form);
+      setForm({ name: '', url: '' });
+      setSuccess(`Added ${backend.name}`);
+      checkHealth([backend]);
+    } catch (error) {
+      setError(error.message || 'Failed to add backend');
+    }
+  };
+
+  const renderConfirm = () => (
+    <div className="flex items-center space-x-2 text-sm">
+      <span className="text-gray-600">This signs you out.</span>
+      <button onClick={confirmSwitch} className="text-red-600 hover:text-red-800 font-medium">
+        Switch
+      </button>
+      <button onClick={() => setPending(null)} className="text-gray-500 hover:text-gray-700">
+        Cancel
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <div className="flex items-center space-x-2">
+          <Server className="text-primary-600" size={20} />
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Backend</h2>
+            <p className="text-xs text-gray-500 break-all">
+              {currentUrl} {pinnedId ? '(pinned)' : '(auto-detected)'}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center space-x-3">
+          {pinnedId && (
+            pending?.id === 'auto' ? renderConfirm() : (
+              <button
+                onClick={handleUnpin}
+                disabled={busyId !== null || pending !== null}
+                className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                title="Let the app pick the first healthy backend"
+              >
+                <PinOff size={16} className="mr-1" />
+                Auto-detect
+              </button>
+            )
+          )}
+          <button
+            onClick={() => checkHealth(backends)}
+            disabled={checking.length > 0}
+            className="btn-secondary inline-flex items-center text-sm disabled:opacity-50"
+          >
+            <RefreshCw size={16} className={`mr-1 ${checking.length > 0 ? 'animate-spin' : ''}`} />
+            Check all
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md flex items-center space-x-2 text-sm">
+          <AlertCircle size={18} />
+          <span>{error}</span>
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-md flex items-center space-x-2 text-sm">
+          <CheckCircle size={18} />
+          <span>{success}</span>
+        </div>
+      )}
+
+      <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+        {backends.map(backend => {
+          const isCurrent = backend.url === currentUrl;
+          const isPinned = backend.id === pinnedId;
+          return (
+            <li key={backend.id} className={`px-4 py-3 flex flex-col sm:flex-row sm:items-center gap-2 ${isCurrent ? 'bg-primary-50' : ''}`}>
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center space-x-2">
+                  <span className="font-medium text-gray-900">{backend.name}</span>
+                  {isCurrent && <span className="text-xs bg-primary-100 text-primary-700 px-2 py-0.5 rounded-full">In use</span>}
+                  {isPinned && <Pin size={14} className="text-primary-600" aria-label="Pinned" />}
+                </div>
+                <p className="text-xs text-gray-500 break-all">{backend.url}</p>
+              </div>
+              <div className="flex items-center space-x-4">
+                <HealthBadge health={health[backend.id]} isChecking={checking.includes(backend.id)} />
+                {busyId === backend.id ? (
+                  <LoadingSpinner size="sm" />
+                ) : pending?.id === backend.id ? (
+                  renderConfirm()
+                ) : !isPinned && (
+                  <button
+                    onClick={() => handleUse(backend)}
+                    disabled={busyId !== null || pending !== null}
+                    className="text-sm text-primary-600 hover:text-primary-800 font-medium disabled:opacity-50"
+                  >
+                    Use &amp; pin
+                  </button>
+                )}
+                {!backend.builtIn && pending?.id !== backend.id && (
+                  <button
+                    onClick={() => handleRemove(backend)}
+                    disabled={busyId !== null || pending !== null}
+                    className="text-gray-400 hover:text-red-600 disabled:opacity-50"
+                    title={`Remove ${backend.name}`}
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      <form onSubmit={handleAdd} className="flex flex-col sm:flex-row gap-2">
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+          placeholder="Name, e.g. Staging"
+          className="form-input sm:w-48"
+          aria-label="Backend name"
+        />
+        <input
+          type="url"
+          value={form.url}
+          onChange={(e) => setForm(prev => ({ ...prev, url: e.target.value }))}
+          placeholder="https://staging.example.com/api"
+          className="form-input flex-1"
+          aria-label="Backend URL"
+        />
+        <button type="submit" className="btn-primary inline-flex items-center justify-center">
+          <Plus size={16} className="mr-1" />
+          Add
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default BackendSwitcher;
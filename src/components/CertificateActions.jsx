@@ -0,0 +1,102 @@
+// src/components/CertificateActions.jsx - Download a completion certificate for a passed tournament
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Award, FileImage, Printer } from 'lucide-react';
+import { certificateAPI } from '../config/api';
+import LoadingSpinner from './common/LoadingSpinner';
+import { downloadFile, printHtml } from '../utils/download';
+import {
+  normalizeCertificate,
+  drawCertificate,
+  buildCertificateHtml,
+  getCertificateFilename
+} from '../utils/certificate';
+
+const FORMATS = {
+  PNG: 'png',
+  PDF: 'pdf'
+};
+
+const CertificateActions = ({ tournamentId, fallback = {}, compact = false }) => {
+  const [certificate, setCertificate] = useState(null);
+  const [busyFormat, setBusyFormat] = useState(null);
+  const [error, setError] = useState('');
+
+  // The server issues the verification code, so nothing can be drawn before it answers
+  const getCertificate = async () => {
+    if (certificate) return certificate;
+    const response = await certificateAPI.issue(tournamentId);
+    const issued = normalizeCertificate(response.data, fallback);
+    if (!issued.code) {
+      throw new Error('The certificate was issued without a verification code');
+    }
+    setCertificate(issued);
+    return issued;
+  };
+
+  const handleDownload = async (format) => {
+    setBusyFormat(format);
+    setError('');
+    try {
+      const issued = await getCertificate();
+      if (format === FORMATS.PNG) {
+        const blob = await new Promise(resolve => drawCertificate(issued).toBlob(resolve, 'image/png'));
+        downloadFile(blob, getCertificateFilename(issued, FORMATS.PNG));
+      } else {
+        printHtml(buildCertificateHtml(issued));
+      }
+    } catch (error) {
+      console.error('Error creating certificate:', error);
+      setError(error.response?.data?.message || 'Failed to create the certificate');
+    } finally {
+      setBusyFormat(null);
+    }
+  };
+
+  const buttonClass = compact
+    ? 'btn-secondary text-xs py-1 px-3 inline-flex items-center space-x-1 disabled:opacity-50'
+    : 'btn-secondary inline-flex items-center space-x-2 disabled:opacity-50';
+  const iconSize = compact ? 14 : 16;
+
+  return (
+    <div className={compact ? '' : 'bg-green-50 border border-green-200 rounded-lg p-4'}>
+      {!compact && (
+        <p className="text-sm font-medium text-green-800 mb-3 flex items-center justify-center space-x-2">
+          <Award size={18} />
+          <span>Your certificate of completion is ready</span>
+        </p>
+      )}
+      <div className={`flex flex-wrap gap-2 ${compact ? '' : 'justify-center'}`}>
+        <button
+          onClick={() => handleDownload(FORMATS.PDF)}
+          disabled={busyFormat !== null}
+          className={buttonClass}
+          title="Print the certificate or save it as PDF"
+        >
+          {busyFormat === FORMATS.PDF ? <LoadingSpinner size="sm" /> : <Printer size={iconSize} />}
+          <span>{compact ? 'Certificate' : 'Certificate (PDF)'}</span>
+        </button>
+        <button
+          onClick={() => handleDownload(FORMATS.PNG)}
+          disabled={busyFormat !== null}
+          className={buttonClass}
+          title="Download the certificate as an image"
+        >
+          {busyFormat === FORMATS.PNG ? <LoadingSpinner size="sm" /> : <FileImage size={iconSize} />}
+          <span>PNG</span>
+        </button>
+      </div>
+      {certificate && (
+        <p className="mt-2 text-xs text-gray-600">
+          Verification code{' '}
+          <Link to={`/verify/${encodeURIComponent(certificate.code)}`} className="font-mono text-primary-600 hover:text-primary-800">
+            {certificate.code}
+          </Link>
+        </p>
+      )}
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default CertificateActions;
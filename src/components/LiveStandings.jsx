@@ -0,0 +1,75 @@
+// src/components/LiveStandings.jsx - Ranked standings shown between questions of a live session
+import React from 'react';
+import { Medal, ArrowUp, ArrowDown, CheckCircle, XCircle, MinusCircle } from 'lucide-react';
+import { formatPoints } from '../utils/tournamentScoring';
+
+const MEDAL_COLORS = ['text-yellow-500', 'text-gray-400', 'text-amber-600'];
+
+const LiveStandings = ({ standings, highlightKey = null, results = null, limit = null }) => {
+  if (!standings || standings.length === 0) {
+    return <p className="text-center text-gray-500 py-6">No players yet</p>;
+  }
+
+  // Always keep the highlighted player visible, even outside the top of the list
+  const visible = limit ? standings.slice(0, limit) : standings;
+  const highlighted = standings.find(entry => entry.key === highlightKey);
+  const rows = highlighted && !visible.includes(highlighted) ? [...visible, highlighted] : visible;
+
+  return (
+    <div className="divide-y divide-gray-100">
+      {rows.map(entry => {
+        const result = results?.[entry.key];
+        const isMe = entry.key === highlightKey;
+
+        return (
+          <div
+            key={entry.key}
+            className={`py-3 px-4 flex items-center space-x-4 ${isMe ? 'bg-blue-50 border-l-4 border-blue-500' : ''}`}
+          >
+            <div className="w-8 flex justify-center">
+              {entry.rank <= 3 ? (
+                <Medal className={MEDAL_COLORS[entry.rank - 1]} size={22} />
+              ) : (
+                <span className="text-sm font-medium text-gray-600">{entry.rank}</span>
+              )}
+            </div>
+
+            <div className="w-8 flex justify-center">
+              {entry.movement > 0 && <ArrowUp size={14} className="text-green-600" />}
+              {entry.movement < 0 && <ArrowDown size={14} className="text-red-600" />}
+            </div>
+
+            <div className="flex-1 min-w-0 flex items-center space-x-2">
+              <span className="font-medium text-gray-900 truncate">{entry.name}</span>
+              {isMe && (
+                <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">You</span>
+              )}
+              {entry.tied && (
+                <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">Tied</span>
+              )}
+            </div>
+
+            {result && (
+              <div className="flex items-center space-x-1 text-sm">
+                {!result.answered ? (
+                  <MinusCircle size={16} className="text-gray-400" />
+                ) : result.isCorrect ? (
+                  <CheckCircle size={16} className="text-green-600" />
+                ) : (
+                  <XCircle size={16} className="text-red-600" />
+                )}
+                <span className={result.points > 0 ? 'text-green-700' : result.points < 0 ? 'text-red-700' : 'text-gray-500'}>
+                  {result.points > 0 ? '+' : ''}{formatPoints(result.points)}
+                </span>
+              </div>
+            )}
+
+            <div className="w-16 text-right font-bold text-gray-900">{formatPoints(entry.score)}</div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default LiveStandings;
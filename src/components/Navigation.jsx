@@ -5,8 +5,9 @@
 import React, { useState } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { Menu, X, Trophy, User, LogOut, Shield, Play, Settings, Activity } from 'lucide-react';
+import { Menu, X, Trophy, User, Users, LogOut, Shield, Play, Settings, Activity, BarChart3, Server } from 'lucide-react';
 import logoImage from '../assets/logo.png'; // Adjust the path as necessary
+import { can, getUserRoleLabel, ACTIONS, RESOURCES } from '../utils/permissions';
 
 const Navigation = () => {
   const { isAuthenticated, user, logout } = useAuth();
@@ -23,16 +24,22 @@ const Navigation = () => {
   const isActive = (path) => location.pathname === path;
 
   const adminLinks = [
-    { path: '/admin/tournaments', label: 'Manage Tournaments', icon: Trophy },
-    { path: '/admin/create-tournament', label: 'Create Tournament', icon: Play },
+    { path: '/admin/tournaments', label: 'Manage Tournaments', icon: Trophy, action: ACTIONS.VIEW, resource: RESOURCES.ADMIN },
+    { path: '/admin/create-tournament', label: 'Create Tournament', icon: Play, action: ACTIONS.CREATE, resource: RESOURCES.TOURNAMENT },
+    { path: '/admin/analytics', label: 'Analytics', icon: BarChart3, action: ACTIONS.VIEW, resource: RESOURCES.ANALYTICS },
+    { path: '/admin/users', label: 'Users', icon: Users, action: ACTIONS.VIEW, resource: RESOURCES.USER },
+    { path: '/admin/backends', label: 'Backends', icon: Server, action: ACTIONS.UPDATE, resource: RESOURCES.BACKEND },
   ];
 
   const playerLinks = [
-    { path: '/player/tournaments', label: 'All Tournaments', icon: Trophy },
-    { path: '/player/ongoing', label: 'Play Live', icon: Play },
-    { path: '/player/history', label: 'My History', icon: Activity },
+    { path: '/player/tournaments', label: 'All Tournaments', icon: Trophy, action: ACTIONS.PLAY, resource: RESOURCES.TOURNAMENT },
+    { path: '/player/ongoing', label: 'Play Live', icon: Play, action: ACTIONS.PLAY, resource: RESOURCES.TOURNAMENT },
+    { path: '/player/history', label: 'My History', icon: Activity, action: ACTIONS.PLAY, resource: RESOURCES.TOURNAMENT },
   ];
 
+  const canSeeLink = (link) => can(user, link.action, link.resource);
+  const isStaff = can(user, ACTIONS.VIEW, RESOURCES.ADMIN);
+
   const NavLink = ({ to, children, icon: Icon, onClick }) => (
     <Link
       to={to}
@@ -80,13 +87,13 @@ const Navigation = () => {
             ) : (
               <>
                 {/* Role-based navigation */}
-                {user?.role === 'ADMIN' && adminLinks.map(link => (
+                {adminLinks.filter(canSeeLink).map(link => (
                   <NavLink key={link.path} to={link.path} icon={link.icon}>
                     {link.label}
                   </NavLink>
                 ))}
                 
-                {user?.role === 'PLAYER' && playerLinks.map(link => (
+                {playerLinks.filter(canSeeLink).map(link => (
                   <NavLink key={link.path} to={link.path} icon={link.icon}>
                     {link.label}
                   </NavLink>
@@ -97,7 +104,7 @@ const Navigation = () => {
                   <button className="flex items-center space-x-2 text-gray-600 hover:text-gray-900 px-3 py-2 rounded-md text-sm font-medium">
                     <User size={18} />
                     <span>{user?.username}</span>
-                    {user?.role === 'ADMIN' && <Shield size={14} className="text-amber-500" />}
+                    {isStaff && <Shield size={14} className="text-amber-500" />}
                   </button>
                   
                   <div className="absolute right-0 mt-2 w-48 bg-white rounded-md shadow-lg opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all duration-200 z-50">
@@ -164,13 +171,13 @@ const Navigation = () => {
                   <div className="flex items-center space-x-2">
                     <User size={20} />
                     <span className="font-medium">{user?.username}</span>
-                    {user?.role === 'ADMIN' && <Shield size={16} className="text-amber-500" />}
+                    {isStaff && <Shield size={16} className="text-amber-500" />}
                   </div>
-                  <div className="text-sm text-gray-500">{user?.role}</div>
+                  <div className="text-sm text-gray-500">{getUserRoleLabel(user)}</div>
                 </div>
 
                 {/* Role-based navigation */}
-                {user?.role === 'ADMIN' && adminLinks.map(link => (
+                {adminLinks.filter(canSeeLink).map(link => (
                   <NavLink 
                     key={link.path} 
                     to={link.path} 
@@ -181,7 +188,7 @@ const Navigation = () => {
                   </NavLink>
                 ))}
                 
-                {user?.role === 'PLAYER' && playerLinks.map(link => (
+                {playerLinks.filter(canSeeLink).map(link => (
                   <NavLink 
                     key={link.path} 
                     to={link.path} 
@@ -0,0 +1,86 @@
+// src/components/OfflineStatus.jsx - Banner for offline mode, saved data on screen and quiz submissions waiting to be sent
+import React from 'react';
+import { WifiOff, CloudUpload, CheckCircle, AlertTriangle, X } from 'lucide-react';
+import { useOfflineSync } from '../hooks/useOfflineSync';
+import LoadingSpinner from './common/LoadingSpinner';
+
+const formatSavedAt = (time) => new Date(time).toLocaleString(undefined, {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+});
+
+const OfflineStatus = () => {
+  const { isOnline, staleSince, pending, failed, isSyncing, lastSynced, syncNow, dismiss } = useOfflineSync();
+
+  const showStale = !isOnline || staleSince !== null;
+  if (!showStale && pending.length === 0 && failed.length === 0 && lastSynced.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 pt-4 space-y-2" role="status">
+      {showStale && (
+        <div className="flex items-center space-x-2 bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg text-sm">
+          <WifiOff size={18} className="flex-shrink-0" />
+          <span>
+            {isOnline ? 'The server could not be reached.' : 'You are offline.'}
+            {staleSince !== null
+              ? ` Showing saved data from ${formatSavedAt(staleSince)} - it may be out of date.`
+              : ' Pages you have already opened are still available.'}
+          </span>
+        </div>
+      )}
+
+      {pending.length > 0 && (
+        <div className="flex items-center justify-between bg-blue-50 border border-blue-200 text-blue-800 px-4 py-3 rounded-lg text-sm">
+          <div className="flex items-center space-x-2">
+            <CloudUpload size={18} className="flex-shrink-0" />
+            <span>
+              {pending.length === 1
+                ? `Your answers for ${pending[0].tournamentName || 'a tournament'} are waiting to be sent.`
+                : `${pending.length} quiz submissions are waiting to be sent.`}
+              {!isOnline && ' They will be sent automatically when you are back online.'}
+            </span>
+          </div>
+          {isSyncing ? (
+            <LoadingSpinner size="sm" />
+          ) : isOnline && (
+            <button onClick={syncNow} className="font-medium underline hover:no-underline ml-4 whitespace-nowrap">
+              Send now
+            </button>
+          )}
+        </div>
+      )}
+
+      {failed.map(entry => (
+        <div key={entry.id} className="flex items-center justify-between bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+          <div className="flex items-center space-x-2">
+            <AlertTriangle size={18} className="flex-shrink-0" />
+            <span>
+              Your offline answers for {entry.tournamentName || 'a tournament'} could not be submitted: {entry.error}
+            </span>
+          </div>
+          <button onClick={() => dismiss(entry.id)} className="ml-4 text-red-500 hover:text-red-700" title="Dismiss">
+            <X size={16} />
+          </button>
+        </div>
+      ))}
+
+      {lastSynced.length > 0 && (
+        <div className="flex items-center justify-between bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg text-sm">
+          <div className="flex items-center space-x-2">
+            <CheckCircle size={18} className="flex-shrink-0" />
+            <span>
+              Answers saved offline were submitted: {lastSynced.map(entry => entry.tournamentName || 'Tournament').join(', ')}.
+              {' '}Check your history for the results.
+            </span>
+          </div>
+          <button onClick={() => dismiss()} className="ml-4 text-green-600 hover:text-green-800" title="Dismiss">
+            <X size={16} />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OfflineStatus;
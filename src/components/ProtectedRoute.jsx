@@ -1,8 +1,26 @@
 import React from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { getAccessDeniedReason } from '../utils/routeAccess';
 
-const ProtectedRoute = ({ children, requiredRole = null }) => {
+/**
+ * Render children only for a signed-in user who meets every requirement
+ * @param {string|string[]} requiredRole - Accepted role, or a list of accepted roles
+ * @param {string} action - With resource, an action the user must be allowed (see utils/permissions)
+ * @param {string} resource - Kind of resource the action applies to
+ * @param {Function} permission - Extra check, called with the user; return false to deny
+ * @param {boolean} requireVerifiedEmail - The user must have verified their email address
+ * @param {boolean} requireCompleteProfile - The user must have filled in their profile
+ */
+const ProtectedRoute = ({
+  children,
+  requiredRole = null,
+  action = null,
+  resource = null,
+  permission = null,
+  requireVerifiedEmail = false,
+  requireCompleteProfile = false
+}) => {
   const { isAuthenticated, user } = useAuth();
   const location = useLocation();
 
@@ -10,11 +28,19 @@ const ProtectedRoute = ({ children, requiredRole = null }) => {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
-  if (requiredRole && user?.role !== requiredRole) {
-    return <Navigate to="/unauthorized" replace />;
+  const reason = getAccessDeniedReason(user, {
+    requiredRole,
+    action,
+    resource,
+    permission,
+    requireVerifiedEmail,
+    requireCompleteProfile
+  });
+  if (reason) {
+    return <Navigate to="/unauthorized" state={{ from: location, reason }} replace />;
   }
 
   return children;
 };
 
-export default ProtectedRoute;
\ No newline at end of file
+export default ProtectedRoute;
@@ -0,0 +1,88 @@
+// src/components/ReauthModal.jsx - Sign back in after the session expires, keeping the current page
+import React, { useState } from 'react';
+import { Lock, LogOut } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+const ReauthModal = () => {
+  const { user, reauthenticate, logout } = useAuth();
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!password.trim()) return;
+
+    setIsSubmitting(true);
+    setError('');
+    const result = await reauthenticate(password);
+    setIsSubmitting(false);
+
+    if (!result.success) {
+      setError(result.error);
+      setPassword('');
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content" role="dialog" aria-modal="true" aria-labelledby="reauth-title">
+        <div className="flex items-center space-x-3 mb-4">
+          <div className="bg-yellow-100 p-2 rounded-full">
+            <Lock className="text-yellow-600" size={20} />
+          </div>
+          <h2 id="reauth-title" className="text-xl font-semibold text-gray-900">Session Expired</h2>
+        </div>
+
+        <p className="text-gray-600 mb-4">
+          Enter your password to continue as <span className="font-medium">{user?.username}</span>.
+          Nothing on this page has been lost.
+        </p>
+
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md text-sm">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="reauth-password" className="form-label">
+              Password
+            </label>
+            <input
+              id="reauth-password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="form-input"
+              autoComplete="current-password"
+              autoFocus
+              disabled={isSubmitting}
+            />
+          </div>
+
+          <div className="flex items-center justify-between">
+            <button
+              type="button"
+              onClick={logout}
+              className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900"
+            >
+              <LogOut size={16} className="mr-1" />
+              Sign out instead
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting || !password.trim()}
+              className="btn-primary disabled:opacity-50"
+            >
+              {isSubmitting ? 'Signing in...' : 'Continue'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ReauthModal;
@@ -0,0 +1,126 @@
+// src/components/TournamentFilters.jsx - Search box, filters and sort order for tournament lists
+import React, { useState, useEffect } from 'react';
+import { Search, X } from 'lucide-react';
+import { testAPI } from '../config/api';
+import {
+  TOURNAMENT_STATUS_OPTIONS,
+  DIFFICULTY_OPTIONS,
+  TOURNAMENT_SORT_OPTIONS,
+  DEFAULT_TOURNAMENT_FILTERS,
+  hasActiveFilters
+} from '../utils/tournamentQuery';
+
+const TournamentFilters = ({ search, onSearchChange, filters, onChange, showStatus = true }) => {
+  const [categories, setCategories] = useState([]);
+
+  useEffect(() => {
+    testAPI.categories()
+      .then(response => setCategories(Array.isArray(response.data) ? response.data : []))
+      .catch(() => setCategories([]));
+  }, []);
+
+  // A category from a shared link still shows as selected even if the list doesn't have it
+  const categoryOptions = filters.category && !categories.includes(filters.category)
+    ? [...categories, filters.category]
+    : categories;
+
+  const clearAll = () => {
+    onSearchChange('');
+    onChange({ ...DEFAULT_TOURNAMENT_FILTERS, sort: filters.sort });
+  };
+
+  return (
+    <div className="card mb-6 space-y-4">
+      <div className="flex flex-col md:flex-row gap-4">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => onSearchChange(e.target.value)}
+            placeholder="Search tournaments by name, description or category"
+            className="form-input pl-10"
+            aria-label="Search tournaments"
+          />
+        </div>
+        <select
+          value={filters.sort}
+          onChange={(e) => onChange({ sort: e.target.value })}
+          className="form-input md:w-52"
+          aria-label="Sort tournaments"
+        >
+          {TOURNAMENT_SORT_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-4">
+        {showStatus && (
+          <select
+            value={filters.status}
+            onChange={(e) => onChange({ status: e.target.value })}
+            className="form-input w-auto"
+            aria-label="Filter by status"
+          >
+            {TOURNAMENT_STATUS_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        )}
+        <select
+          value={filters.category}
+          onChange={(e) => onChange({ category: e.target.value })}
+          className="form-input w-auto"
+          aria-label="Filter by category"
+        >
+          <option value="">All Categories</option>
+          {categoryOptions.map(category => (
+            <option key={category} value={category}>{category}</option>
+          ))}
+        </select>
+        <select
+          value={filters.difficulty}
+          onChange={(e) => onChange({ difficulty: e.target.value })}
+          className="form-input w-auto"
+          aria-label="Filter by difficulty"
+        >
+          {DIFFICULTY_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <label className="text-sm text-gray-600">
+          <span className="block mb-1">Starts from</span>
+          <input
+            type="date"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(e) => onChange({ from: e.target.value })}
+            className="form-input w-auto"
+          />
+        </label>
+        <label className="text-sm text-gray-600">
+          <span className="block mb-1">Starts until</span>
+          <input
+            type="date"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(e) => onChange({ to: e.target.value })}
+            className="form-input w-auto"
+          />
+        </label>
+        {(hasActiveFilters(filters) || search) && (
+          <button
+            onClick={clearAll}
+            className="text-sm text-gray-600 hover:text-gray-900 inline-flex items-center space-x-1 pb-2"
+          >
+            <X size={16} />
+            <span>Clear filters</span>
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TournamentFilters;
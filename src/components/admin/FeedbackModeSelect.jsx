@@ -0,0 +1,38 @@
+// src/components/admin/FeedbackModeSelect.jsx - Choose when players learn whether their answers were right
+import React from 'react';
+import { Eye } from 'lucide-react';
+import { FEEDBACK_MODE_OPTIONS } from '../../utils/feedbackMode';
+
+const FeedbackModeSelect = ({ value, onChange, name = 'feedbackMode', disabled = false }) => {
+  const selected = FEEDBACK_MODE_OPTIONS.find(option => option.value === value);
+
+  return (
+    <div>
+      <label htmlFor={name} className="form-label">
+        Answer Feedback
+      </label>
+      <div className="relative">
+        <Eye className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
+        <select
+          id={name}
+          name={name}
+          value={value}
+          onChange={onChange}
+          disabled={disabled}
+          className={`form-input pl-10 ${disabled ? 'bg-gray-50 cursor-not-allowed' : ''}`}
+        >
+          {FEEDBACK_MODE_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      {selected && (
+        <p className="mt-1 text-sm text-gray-500">{selected.description}</p>
+      )}
+    </div>
+  );
+};
+
+export default FeedbackModeSelect;
@@ -0,0 +1,463 @@
+// src/components/admin/QuestionEditor.jsx - Author, reorder and mark answers for tournament questions
+import React, { useState } from 'react';
+import { Plus, Trash2, ChevronUp, ChevronDown, CheckCircle, Circle, CheckSquare, Square, HelpCircle, X, Clock } from 'lucide-react';
+import {
+  createEmptyQuestion,
+  changeDraftType,
+  validateQuestion,
+  QUESTION_TYPES,
+  QUESTION_TYPE_OPTIONS,
+  TRUE_FALSE_OPTIONS,
+  MIN_OPTIONS,
+  MAX_OPTIONS,
+  MAX_ACCEPTED_ANSWERS,
+  MAX_EXPLANATION_LENGTH
+} from '../../utils/questionUtils';
+import { MIN_QUESTION_TIME_LIMIT, MAX_QUESTION_TIME_LIMIT } from '../../utils/quizTimer';
+
+const QuestionEditor = ({ questions, onChange, disabled = false }) => {
+  const [expandedKey, setExpandedKey] = useState(null);
+
+  const updateQuestion = (key, changes) => {
+    onChange(questions.map(q => (q.key === key ? { ...q, ...changes } : q)));
+  };
+
+  const handleAddQuestion = () => {
+    const question = createEmptyQuestion();
+    onChange([...questions, question]);
+    setExpandedKey(question.key);
+  };
+
+  const handleDeleteQuestion = (key) => {
+    onChange(questions.filter(q => q.key !== key));
+    if (expandedKey === key) setExpandedKey(null);
+  };
+
+  const handleMoveQuestion = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= questions.length) return;
+
+    const reordered = [...questions];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    onChange(reordered);
+  };
+
+  const handleOptionChange = (question, optionIndex, value) => {
+    const options = question.options.map((option, i) => (i === optionIndex ? value : option));
+    updateQuestion(question.key, { options });
+  };
+
+  const handleAddOption = (question) => {
+    if (question.options.length >= MAX_OPTIONS) return;
+    updateQuestion(question.key, { options: [...question.options, ''] });
+  };
+
+  const handleRemoveOption = (question, optionIndex) => {
+    if (question.options.length <= MIN_OPTIONS) return;
+
+    const options = question.options.filter((_, i) => i !== optionIndex);
+    let correctIndex = question.correctIndex;
+    if (optionIndex === correctIndex) {
+      correctIndex = 0;
+    } else if (optionIndex < correctIndex) {
+      correctIndex -= 1;
+    }
+    const correctIndexes = (question.correctIndexes || [])
+      .filter(i => i !== optionIndex)
+      .map(i => (i > optionIndex ? i - 1 : i));
+    updateQuestion(question.key, { options, correctIndex, correctIndexes });
+  };
+
+  const handleToggleCorrect = (question, optionIndex) => {
+    if (question.type !== QUESTION_TYPES.MULTI) {
+      updateQuestion(question.key, { correctIndex: optionIndex });
+      return;
+    }
+
+    const current = question.correctIndexes || [];
+    const correctIndexes = current.includes(optionIndex)
+      ? current.filter(i => i !== optionIndex)
+      : [...current, optionIndex].sort((a, b) => a - b);
+    updateQuestion(question.key, { correctIndexes });
+  };
+
+  const handleAcceptedAnswerChange = (question, answerIndex, value) => {
+    const acceptedAnswers = question.acceptedAnswers.map((answer, i) => (i === answerIndex ? value : answer));
+    updateQuestion(question.key, { acceptedAnswers });
+  };
+
+  const handleAddAcceptedAnswer = (question) => {
+    if (question.acceptedAnswers.length >= MAX_ACCEPTED_ANSWERS) return;
+    updateQuestion(question.key, { acceptedAnswers: [...question.acceptedAnswers, ''] });
+  };
+
+  const handleRemoveAcceptedAnswer = (question, answerIndex) => {
+    if (question.acceptedAnswers.length <= 1) return;
+    updateQuestion(question.key, { acceptedAnswers: question.acceptedAnswers.filter((_, i) => i !== answerIndex) });
+  };
+
+  const renderChoiceOptions = (question) => {
+    const isMulti = question.type === QUESTION_TYPES.MULTI;
+
+    return (
+      <div>
+        <label className="form-label">
+          {isMulti ? 'Options (select every correct answer) *' : 'Options (select the correct answer) *'}
+        </label>
+        <div className="space-y-2">
+          {question.options.map((option, optionIndex) => {
+            const isCorrect = isMulti
+              ? (question.correctIndexes || []).includes(optionIndex)
+              : question.correctIndex === optionIndex;
+            const CorrectIcon = isMulti ? CheckSquare : CheckCircle;
+            const IncorrectIcon = isMulti ? Square : Circle;
+
+            return (
+              <div key={optionIndex} className="flex items-center space-x-2">
+                <button
+                  type="button"
+                  onClick={() => handleToggleCorrect(question, optionIndex)}
+                  disabled={disabled}
+                  className={isCorrect ? 'text-green-600' : 'text-gray-300 hover:text-gray-500'}
+                  title={isCorrect ? 'Correct answer' : 'Mark as correct answer'}
+                >
+                  {isCorrect ? <CorrectIcon size={20} /> : <IncorrectIcon size={20} />}
+                </button>
+                <input
+                  type="text"
+                  value={option}
+                  onChange={(e) => handleOptionChange(question, optionIndex, e.target.value)}
+                  disabled={disabled}
+                  className={`form-input ${isCorrect ? 'border-green-300 bg-green-50' : ''}`}
+                  placeholder={`Option ${optionIndex + 1}`}
+                  maxLength={200}
+                />
+                <button
+                  type="button"
+                  onClick={() => handleRemoveOption(question, optionIndex)}
+                  disabled={disabled || question.options.length <= MIN_OPTIONS}
+                  className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-30"
+                  title="Remove option"
+                >
+                  <X size={16} />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+        {question.options.length < MAX_OPTIONS && (
+          <button
+            type="button"
+            onClick={() => handleAddOption(question)}
+            disabled={disabled}
+            className="mt-2 text-sm text-primary-600 hover:text-primary-800 inline-flex items-center space-x-1"
+          >
+            <Plus size={14} />
+            <span>Add option</span>
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  const renderTrueFalse = (question) => (
+    <div>
+      <label className="form-label">Correct answer *</label>
+      <div className="flex space-x-2">
+        {TRUE_FALSE_OPTIONS.map((option, optionIndex) => (
+          <button
+            key={option}
+            type="button"
+            onClick={() => updateQuestion(question.key, { correctIndex: optionIndex })}
+            disabled={disabled}
+            className={`px-4 py-2 rounded-md border text-sm font-medium ${
+              question.correctIndex === optionIndex
+                ? 'border-green-300 bg-green-50 text-green-700'
+                : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+            }`}
+          >
+            {option}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+
+  const renderAcceptedAnswers = (question) => (
+    <div>
+      <label className="form-label">Accepted answers *</label>
+      <p className="text-xs text-gray-500 mb-2">
+        A player's answer is correct if it matches any of these, ignoring case and extra spaces
+      </p>
+      <div className="space-y-2">
+        {question.acceptedAnswers.map((answer, answerIndex) => (
+          <div key={answerIndex} className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={answer}
+              onChange={(e) => handleAcceptedAnswerChange(question, answerIndex, e.target.value)}
+              disabled={disabled}
+              className="form-input"
+              placeholder={answerIndex === 0 ? 'Main answer' : 'Alternative spelling or wording'}
+              maxLength={200}
+            />
+            <button
+              type="button"
+              onClick={() => handleRemoveAcceptedAnswer(question, answerIndex)}
+              disabled={disabled || question.acceptedAnswers.length <= 1}
+              className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-30"
+              title="Remove accepted answer"
+            >
+              <X size={16} />
+            </button>
+          </div>
+        ))}
+      </div>
+      {question.acceptedAnswers.length < MAX_ACCEPTED_ANSWERS && (
+        <button
+          type="button"
+          onClick={() => handleAddAcceptedAnswer(question)}
+          disabled={disabled}
+          className="mt-2 text-sm text-primary-600 hover:text-primary-800 inline-flex items-center space-x-1"
+        >
+          <Plus size={14} />
+          <span>Add accepted answer</span>
+        </button>
+      )}
+    </div>
+  );
+
+  const renderNumericAnswer = (question) => (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div>
+        <label className="form-label">Correct value *</label>
+        <input
+          type="number"
+          step="any"
+          value={question.numericAnswer}
+          onChange={(e) => updateQuestion(question.key, { numericAnswer: e.target.value })}
+          disabled={disabled}
+          className="form-input"
+          placeholder="e.g. 3.14"
+        />
+      </div>
+      <div>
+        <label className="form-label">Tolerance (±)</label>
+        <input
+          type="number"
+          step="any"
+          min="0"
+          value={question.tolerance}
+          onChange={(e) => updateQuestion(question.key, { tolerance: e.target.value })}
+          disabled={disabled}
+          className="form-input"
+          placeholder="0 (exact)"
+        />
+      </div>
+    </div>
+  );
+
+  const renderAnswerSection = (question) => {
+    switch (question.type) {
+      case QUESTION_TYPES.TRUE_FALSE:
+        return renderTrueFalse(question);
+      case QUESTION_TYPES.TEXT:
+        return renderAcceptedAnswers(question);
+      case QUESTION_TYPES.NUMERIC:
+        return renderNumericAnswer(question);
+      default:
+        return renderChoiceOptions(question);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="font-medium text-gray-900">Questions ({questions.length})</h3>
+          <p className="text-sm text-gray-500">
+            Leave empty to have questions fetched automatically from the selected category
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={handleAddQuestion}
+          disabled={disabled}
+          className="btn-secondary inline-flex items-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Plus size={16} />
+          <span>Add Question</span>
+        </button>
+      </div>
+
+      {questions.length === 0 && (
+        <div className="text-center py-8 border-2 border-dashed border-gray-200 rounded-lg">
+          <HelpCircle className="mx-auto h-10 w-10 text-gray-300 mb-2" />
+          <p className="text-sm text-gray-500">No questions added yet</p>
+        </div>
+      )}
+
+      {questions.map((question, index) => {
+        const isExpanded = expandedKey === question.key;
+        const errors = validateQuestion(question);
+
+        return (
+          <div
+            key={question.key}
+            className={`border rounded-lg ${errors.length > 0 ? 'border-red-200' : 'border-gray-200'}`}
+          >
+            {/* Question header */}
+            <div className="flex items-center justify-between p-3 bg-gray-50 rounded-t-lg">
+              <button
+                type="button"
+                onClick={() => setExpandedKey(isExpanded ? null : question.key)}
+                className="flex-1 text-left text-sm font-medium text-gray-900 truncate"
+              >
+                {index + 1}. {question.question || <span className="text-gray-400 italic">Untitled question</span>}
+              </button>
+
+              <div className="flex items-center space-x-1 ml-2">
+                {question.type && question.type !== QUESTION_TYPES.SINGLE && (
+                  <span className="text-xs text-gray-500 mr-2">
+                    {QUESTION_TYPE_OPTIONS.find(option => option.value === question.type)?.label}
+                  </span>
+                )}
+                {question.timeLimit !== '' && question.timeLimit != null && (
+                  <span className="inline-flex items-center text-xs text-orange-600 mr-2" title="Per-question time limit">
+                    <Clock size={12} className="mr-1" />
+                    {question.timeLimit}s
+                  </span>
+                )}
+                <button
+                  type="button"
+                  onClick={() => handleMoveQuestion(index, -1)}
+                  disabled={disabled || index === 0}
+                  className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                  title="Move up"
+                >
+                  <ChevronUp size={16} />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleMoveQuestion(index, 1)}
+                  disabled={disabled || index === questions.length - 1}
+                  className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                  title="Move down"
+                >
+                  <ChevronDown size={16} />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDeleteQuestion(question.key)}
+                  disabled={disabled}
+                  className="p-1 text-red-500 hover:text-red-700 disabled:opacity-30"
+                  title="Delete question"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            </div>
+
+            {/* Question body */}
+            {isExpanded && (
+              <div className="p-4 space-y-4">
+                <div className="max-w-xs">
+                  <label className="form-label">Question Type</label>
+                  <select
+                    value={question.type || QUESTION_TYPES.SINGLE}
+                    onChange={(e) => onChange(questions.map(q => (
+                      q.key === question.key ? changeDraftType(q, e.target.value) : q
+                    )))}
+                    disabled={disabled}
+                    className="form-input"
+                  >
+                    {QUESTION_TYPE_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="form-label">Question Text *</label>
+                  <textarea
+                    value={question.question}
+                    onChange={(e) => updateQuestion(question.key, { question: e.target.value })}
+                    disabled={disabled}
+                    className="form-input"
+                    rows={2}
+                    maxLength={500}
+                    placeholder="Enter the question"
+                  />
+                </div>
+
+                {renderAnswerSection(question)}
+
+                <div>
+                  <label className="form-label">Explanation</label>
+                  <textarea
+                    value={question.explanation ?? ''}
+                    onChange={(e) => updateQuestion(question.key, { explanation: e.target.value })}
+                    disabled={disabled}
+                    className="form-input"
+                    rows={2}
+                    maxLength={MAX_EXPLANATION_LENGTH}
+                    placeholder="Optional. Shown to players when they review their answers after the tournament ends"
+                  />
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="form-label">Difficulty</label>
+                    <select
+                      value={question.difficulty || ''}
+                      onChange={(e) => updateQuestion(question.key, { difficulty: e.target.value })}
+                      disabled={disabled}
+                      className="form-input"
+                    >
+                      <option value="">Same as tournament</option>
+                      <option value="easy">Easy</option>
+                      <option value="medium">Medium</option>
+                      <option value="hard">Hard</option>
+                    </select>
+                    <p className="mt-1 text-xs text-gray-500">
+                      Decides how many points the question is worth
+                    </p>
+                  </div>
+
+                  <div>
+                    <label className="form-label">Time Limit (seconds)</label>
+                    <input
+                      type="number"
+                      min={MIN_QUESTION_TIME_LIMIT}
+                      max={MAX_QUESTION_TIME_LIMIT}
+                      value={question.timeLimit ?? ''}
+                      onChange={(e) => updateQuestion(question.key, { timeLimit: e.target.value })}
+                      disabled={disabled}
+                      className="form-input"
+                      placeholder="No limit"
+                    />
+                    <p className="mt-1 text-xs text-gray-500">
+                      When it runs out the player moves on to the next question automatically
+                    </p>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {errors.length > 0 && (
+              <ul className="px-4 pb-3 pt-2 text-xs text-red-600 space-y-1">
+                {errors.map(error => (
+                  <li key={error}>• {error}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default QuestionEditor;
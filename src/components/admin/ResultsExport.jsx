@@ -0,0 +1,90 @@
+// src/components/admin/ResultsExport.jsx - Download a tournament's results as CSV or XLSX, or print a PDF summary
+import React, { useState } from 'react';
+import { FileText, FileSpreadsheet, Printer } from 'lucide-react';
+import { tournamentAPI } from '../../config/api';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { normalizeQuestion } from '../../utils/questionUtils';
+import { extractScores } from '../../utils/leaderboard';
+import { downloadFile, printHtml } from '../../utils/download';
+import {
+  EXPORT_FORMATS,
+  buildResultsReport,
+  getResultsTable,
+  toCsv,
+  toXlsx,
+  buildResultsSummaryHtml,
+  getResultsFilename
+} from '../../utils/resultsExport';
+
+const FORMAT_BUTTONS = [
+  { format: EXPORT_FORMATS.CSV, label: 'CSV', icon: FileText, title: 'Download results as CSV' },
+  { format: EXPORT_FORMATS.XLSX, label: 'Excel', icon: FileSpreadsheet, title: 'Download results as an Excel workbook' },
+  { format: EXPORT_FORMATS.PDF, label: 'PDF', icon: Printer, title: 'Print a summary or save it as PDF' }
+];
+
+const ResultsExport = ({ tournamentId }) => {
+  const [busyFormat, setBusyFormat] = useState(null);
+  const [error, setError] = useState('');
+
+  // Fetched on demand: the results page only loads the questions as players see them, without answer keys
+  const loadReport = async () => {
+    const [tournamentResponse, scoresResponse, questionsResponse] = await Promise.all([
+      tournamentAPI.getById(tournamentId),
+      tournamentAPI.getScores(tournamentId).catch(() => ({ data: [] })),
+      tournamentAPI.getQuestions(tournamentId).catch(() => ({ data: [] }))
+    ]);
+    const tournament = tournamentResponse.data;
+    const questions = Array.isArray(questionsResponse.data)
+      ? questionsResponse.data.map((q, index) => normalizeQuestion(q, index, tournament))
+      : [];
+    return buildResultsReport({ tournament, scores: extractScores(scoresResponse.data), questions });
+  };
+
+  const handleExport = async (format) => {
+    setBusyFormat(format);
+    setError('');
+    try {
+      const report = await loadReport();
+      const filename = getResultsFilename(report.tournament, format);
+
+      if (format === EXPORT_FORMATS.CSV) {
+        downloadFile(toCsv(getResultsTable(report)), filename, 'text/csv;charset=utf-8');
+      } else if (format === EXPORT_FORMATS.XLSX) {
+        downloadFile(toXlsx(report), filename);
+      } else {
+        printHtml(buildResultsSummaryHtml(report));
+      }
+    } catch (error) {
+      console.error('Error exporting results:', error);
+      setError(error.response?.data?.message || 'Failed to export results');
+    } finally {
+      setBusyFormat(null);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm text-gray-600">Export results:</span>
+        {FORMAT_BUTTONS.map(({ format, label, icon, title }) => {
+          const Icon = icon;
+          return (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              disabled={busyFormat !== null}
+              className="btn-secondary inline-flex items-center space-x-2 disabled:opacity-50"
+              title={title}
+            >
+              {busyFormat === format ? <LoadingSpinner size="sm" /> : <Icon size={16} />}
+              <span>{label}</span>
+            </button>
+          );
+        })}
+      </div>
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default ResultsExport;
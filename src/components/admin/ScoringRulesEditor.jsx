@@ -0,0 +1,85 @@
+// src/components/admin/ScoringRulesEditor.jsx - Points per difficulty, negative marking and speed bonus
+import React from 'react';
+import { Calculator } from 'lucide-react';
+import { DIFFICULTY_LEVELS, describeScoringRules, getScoringRules } from '../../utils/tournamentScoring';
+
+const ScoringRulesEditor = ({ rules, onChange, disabled = false }) => {
+  const update = (changes) => onChange({ ...rules, ...changes });
+
+  const inputClass = `form-input ${disabled ? 'bg-gray-50 cursor-not-allowed' : ''}`;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center space-x-2">
+        <Calculator className="h-5 w-5 text-gray-400" />
+        <h3 className="font-medium text-gray-900">Scoring</h3>
+      </div>
+
+      <div>
+        <label className="form-label">Points per correct answer</label>
+        <div className="grid grid-cols-3 gap-4">
+          {DIFFICULTY_LEVELS.map(level => (
+            <div key={level}>
+              <span className="block text-xs text-gray-500 capitalize mb-1">{level}</span>
+              <input
+                type="number"
+                min="0.5"
+                step="0.5"
+                value={rules.difficultyPoints[level]}
+                onChange={(e) => update({ difficultyPoints: { ...rules.difficultyPoints, [level]: e.target.value } })}
+                disabled={disabled}
+                className={inputClass}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="form-label">Wrong answer penalty</label>
+          <input
+            type="number"
+            min="0"
+            step="0.25"
+            value={rules.wrongAnswerPenalty}
+            onChange={(e) => update({ wrongAnswerPenalty: e.target.value })}
+            disabled={disabled}
+            className={inputClass}
+            placeholder="0"
+          />
+        </div>
+        <div>
+          <label className="form-label">Speed bonus (max points)</label>
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={rules.speedBonus.maxPoints}
+            onChange={(e) => update({ speedBonus: { ...rules.speedBonus, maxPoints: e.target.value } })}
+            disabled={disabled}
+            className={inputClass}
+            placeholder="0"
+          />
+        </div>
+        <div>
+          <label className="form-label">Bonus window (seconds)</label>
+          <input
+            type="number"
+            min="1"
+            value={rules.speedBonus.withinSeconds}
+            onChange={(e) => update({ speedBonus: { ...rules.speedBonus, withinSeconds: e.target.value } })}
+            disabled={disabled || !(Number(rules.speedBonus.maxPoints) > 0)}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-500">
+        {describeScoringRules(getScoringRules({ scoringRules: rules }))}. Unanswered questions score 0 and the total never goes below 0.
+      </p>
+    </div>
+  );
+};
+
+export default ScoringRulesEditor;
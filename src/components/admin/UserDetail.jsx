@@ -0,0 +1,292 @@
+// src/components/admin/UserDetail.jsx - Profile, play history and account controls for one user
+import React, { useState, useEffect, useCallback } from 'react';
+import { Mail, Phone, Calendar, Trophy, RotateCcw, UserX, UserCheck, Save, CheckCircle, XCircle } from 'lucide-react';
+import { userAPI } from '../../config/api';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { can, ROLES, ROLE_LABELS, ACTIONS, RESOURCES } from '../../utils/permissions';
+import { normalizeAdminUser, extractUserTournaments } from '../../utils/userAdmin';
+import { formatPoints } from '../../utils/tournamentScoring';
+
+const UserDetail = ({ userId, onUserChange }) => {
+  const { user: currentUser } = useAuth();
+
+  const [user, setUser] = useState(null);
+  const [tournaments, setTournaments] = useState([]);
+  const [selectedRoles, setSelectedRoles] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyAction, setBusyAction] = useState(null);
+  const [confirmReset, setConfirmReset] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const isSelf = String(userId) === String(currentUser?.id);
+  const canModerate = can(currentUser, ACTIONS.MODERATE, RESOURCES.USER) && !isSelf;
+  const canAssignRoles = can(currentUser, ACTIONS.ASSIGN, RESOURCES.USER) && !isSelf;
+
+  const applyUser = useCallback((raw) => {
+    const normalized = normalizeAdminUser(raw);
+    setUser(normalized);
+    setSelectedRoles(normalized.roles);
+    return normalized;
+  }, []);
+
+  const fetchUser = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const [userResponse, tournamentsResponse] = await Promise.all([
+        userAPI.getUserById(userId),
+        // Play history is a nice-to-have; the profile is still useful without it
+        userAPI.getTournaments(userId).catch(() => ({ data: [] }))
+      ]);
+      applyUser(userResponse.data);
+      setTournaments(extractUserTournaments(tournamentsResponse.data));
+    } catch (error) {
+      console.error('Error loading user:', error);
+      setError(error.response?.data?.message || 'Failed to load user');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [userId, applyUser]);
+
+  useEffect(() => {
+    fetchUser();
+  }, [fetchUser]);
+
+  const showSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  // The server may answer with the updated user or nothing at all
+  const handleUpdated = (data, changes) => {
+    const updated = applyUser(data && data.id !== undefined ? data : { ...user.raw, ...changes });
+    onUserChange?.(updated);
+  };
+
+  const handleToggleEnabled = async () => {
+    const enabled = !user.enabled;
+    try {
+      setBusyAction('status');
+      setError('');
+      const response = await userAPI.setEnabled(user.id, enabled);
+      handleUpdated(response?.data, { enabled });
+      showSuccess(enabled ? 'Account enabled' : 'Account disabled');
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to update account status');
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handleResetAttempt = async (tournament) => {
+    try {
+      setBusyAction(`reset-${tournament.tournamentId}`);
+      setError('');
+      await userAPI.resetAttempt(user.id, tournament.tournamentId);
+      setTournaments(prev => prev.filter(entry => entry.tournamentId !== tournament.tournamentId));
+      showSuccess(`Attempt for "${tournament.name}" reset. The player can take it again.`);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to reset attempt');
+    } finally {
+      setBusyAction(null);
+      setConfirmReset(null);
+    }
+  };
+
+  const toggleRole = (role) => {
+    setSelectedRoles(prev => prev.includes(role) ? prev.filter(r => r !== role) : [...prev, role]);
+  };
+
+  const rolesChanged = user && (
+    selectedRoles.length !== user.roles.length || selectedRoles.some(role => !user.roles.includes(role))
+  );
+
+  const handleSaveRoles = async () => {
+    if (selectedRoles.length === 0) {
+      setError('A user needs at least one role');
+      return;
+    }
+
+    try {
+      setBusyAction('roles');
+      setError('');
+      const response = await userAPI.updateRoles(user.id, selectedRoles);
+      handleUpdated(response?.data, { roles: selectedRoles, role: selectedRoles[0] });
+      showSuccess('Roles updated');
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to update roles');
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="py-8">
+        <LoadingSpinner text="Loading user..." />
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <p className="text-red-600">{error || 'User not found'}</p>;
+  }
+
+  const profile = user.raw;
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md text-sm">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-md text-sm">
+          {success}
+        </div>
+      )}
+
+      {/* Profile */}
+      <div className="flex items-start justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">{user.name}</h3>
+          <p className="text-sm text-gray-500">@{user.username}</p>
+          <div className="mt-3 space-y-1 text-sm text-gray-600">
+            {user.email && (
+              <p className="flex items-center space-x-2"><Mail size={14} /><span>{user.email}</span></p>
+            )}
+            {profile.phoneNumber && (
+              <p className="flex items-center space-x-2"><Phone size={14} /><span>{profile.phoneNumber}</span></p>
+            )}
+            {user.createdAt && (
+              <p className="flex items-center space-x-2">
+                <Calendar size={14} />
+                <span>Joined {new Date(user.createdAt).toLocaleDateString()}</span>
+              </p>
+            )}
+          </div>
+        </div>
+        <div className="text-right space-y-2">
+          <span className={`inline-block px-3 py-1 rounded-full text-sm font-medium ${
+            user.enabled ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+          }`}>
+            {user.enabled ? 'Active' : 'Disabled'}
+          </span>
+          {canModerate && (
+            <div>
+              <button
+                onClick={handleToggleEnabled}
+                disabled={busyAction !== null}
+                className={`inline-flex items-center text-sm font-medium disabled:opacity-50 ${
+                  user.enabled ? 'text-red-600 hover:text-red-800' : 'text-green-600 hover:text-green-800'
+                }`}
+              >
+                {user.enabled ? <UserX size={16} className="mr-1" /> : <UserCheck size={16} className="mr-1" />}
+                {user.enabled ? 'Disable account' : 'Enable account'}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Roles */}
+      <div className="pt-4 border-t border-gray-200">
+        <h4 className="font-medium text-gray-900 mb-3">Roles</h4>
+        <div className="grid grid-cols-2 gap-2">
+          {Object.values(ROLES).map(role => (
+            <label key={role} className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={selectedRoles.includes(role)}
+                onChange={() => toggleRole(role)}
+                disabled={!canAssignRoles || busyAction !== null}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              <span>{ROLE_LABELS[role]}</span>
+            </label>
+          ))}
+        </div>
+        {canAssignRoles && rolesChanged && (
+          <button
+            onClick={handleSaveRoles}
+            disabled={busyAction !== null}
+            className="btn-primary inline-flex items-center mt-3 disabled:opacity-50"
+          >
+            <Save size={16} className="mr-2" />
+            {busyAction === 'roles' ? 'Saving...' : 'Save Roles'}
+          </button>
+        )}
+        {isSelf && (
+          <p className="text-xs text-gray-500 mt-2">You can't change your own roles or status.</p>
+        )}
+      </div>
+
+      {/* Play history */}
+      <div className="pt-4 border-t border-gray-200">
+        <h4 className="font-medium text-gray-900 mb-3 flex items-center space-x-2">
+          <Trophy size={16} className="text-gray-500" />
+          <span>Tournaments Played ({tournaments.length})</span>
+        </h4>
+        {tournaments.length === 0 ? (
+          <p className="text-sm text-gray-500">This user hasn't completed any tournaments.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 max-h-64 overflow-y-auto">
+            {tournaments.map(tournament => (
+              <li key={tournament.tournamentId} className="py-2 flex items-center justify-between text-sm">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900 truncate">{tournament.name}</p>
+                  <p className="text-gray-500 flex items-center space-x-1">
+                    {tournament.summary.passed
+                      ? <CheckCircle size={12} className="text-green-600" />
+                      : <XCircle size={12} className="text-red-600" />}
+                    <span>
+                      {tournament.summary.maxScore ? tournament.summary.scoreText : `${formatPoints(tournament.summary.score)} pts`}
+                      {tournament.summary.percentage !== null && ` (${tournament.summary.percentage}%)`}
+                    </span>
+                    {tournament.completedAt && (
+                      <span>• {new Date(tournament.completedAt).toLocaleDateString()}</span>
+                    )}
+                  </p>
+                </div>
+                {canModerate && (
+                  confirmReset === tournament.tournamentId ? (
+                    <div className="flex items-center space-x-2 flex-shrink-0">
+                      <button
+                        onClick={() => handleResetAttempt(tournament)}
+                        disabled={busyAction !== null}
+                        className="text-red-600 hover:text-red-800 font-medium disabled:opacity-50"
+                      >
+                        Confirm
+                      </button>
+                      <button
+                        onClick={() => setConfirmReset(null)}
+                        className="text-gray-500 hover:text-gray-700"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  ) : (
+                    <button
+                      onClick={() => setConfirmReset(tournament.tournamentId)}
+                      disabled={busyAction !== null}
+                      className="inline-flex items-center text-gray-600 hover:text-gray-900 flex-shrink-0 disabled:opacity-50"
+                      title="Delete this attempt so the player can take the tournament again"
+                    >
+                      <RotateCcw size={14} className="mr-1" />
+                      Reset attempt
+                    </button>
+                  )
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UserDetail;
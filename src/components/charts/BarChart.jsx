@@ -0,0 +1,49 @@
+// src/components/charts/BarChart.jsx - Lightweight vertical bar chart built from plain elements
+import React from 'react';
+
+const BarChart = ({
+  data,
+  height = 160,
+  barClassName = 'bg-primary-500',
+  formatValue = (value) => value,
+  emptyText = 'No data yet',
+  labelEvery = 1
+}) => {
+  const max = Math.max(0, ...data.map(item => item.value));
+
+  if (data.length === 0 || max === 0) {
+    return (
+      <div className="flex items-center justify-center text-sm text-gray-500" style={{ height }}>
+        {emptyText}
+      </div>
+    );
+  }
+
+  return (
+    <div role="img" aria-label={data.map(item => `${item.label}: ${formatValue(item.value)}`).join(', ')}>
+      <div className="flex items-end space-x-1" style={{ height }}>
+        {data.map((item, index) => (
+          <div key={item.key ?? index} className="flex-1 h-full flex flex-col justify-end group relative">
+            <span className="absolute -top-5 left-1/2 -translate-x-1/2 text-xs text-gray-700 opacity-0 group-hover:opacity-100 whitespace-nowrap">
+              {formatValue(item.value)}
+            </span>
+            <div
+              className={`w-full rounded-t ${item.className || barClassName}`}
+              style={{ height: `${(item.value / max) * 100}%`, minHeight: item.value > 0 ? 2 : 0 }}
+              title={`${item.label}: ${formatValue(item.value)}`}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex space-x-1 mt-1 border-t border-gray-200 pt-1">
+        {data.map((item, index) => (
+          <span key={item.key ?? index} className="flex-1 text-center text-[10px] text-gray-500 truncate">
+            {index % labelEvery === 0 ? item.label : ''}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default BarChart;
@@ -0,0 +1,53 @@
+// src/components/charts/LineChart.jsx - Lightweight SVG line chart for values over time
+import React from 'react';
+
+const WIDTH = 600;
+const PADDING = 8;
+
+const LineChart = ({ data, height = 160, emptyText = 'No data yet', labelEvery = 1 }) => {
+  const max = Math.max(0, ...data.map(item => item.value));
+
+  if (data.length === 0 || max === 0) {
+    return (
+      <div className="flex items-center justify-center text-sm text-gray-500" style={{ height }}>
+        {emptyText}
+      </div>
+    );
+  }
+
+  const innerHeight = height - PADDING * 2;
+  const stepX = data.length > 1 ? (WIDTH - PADDING * 2) / (data.length - 1) : 0;
+  const points = data.map((item, index) => ({
+    ...item,
+    x: data.length > 1 ? PADDING + index * stepX : WIDTH / 2,
+    y: PADDING + innerHeight - (item.value / max) * innerHeight
+  }));
+  const line = points.map(point => `${point.x},${point.y}`).join(' ');
+  const area = `${points[0].x},${height - PADDING} ${line} ${points[points.length - 1].x},${height - PADDING}`;
+
+  return (
+    <div>
+      {/* Stretched to the container width, so only strokes (not dots) keep their shape */}
+      <svg
+        viewBox={`0 0 ${WIDTH} ${height}`}
+        preserveAspectRatio="none"
+        className="w-full text-primary-500"
+        style={{ height }}
+        role="img"
+        aria-label={data.map(item => `${item.label}: ${item.value}`).join(', ')}
+      >
+        <polygon points={area} className="fill-current opacity-10" />
+        <polyline points={line} fill="none" stroke="currentColor" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div className="flex justify-between mt-1 border-t border-gray-200 pt-1">
+        {data.map((item, index) => (
+          index % labelEvery === 0 || index === data.length - 1 ? (
+            <span key={item.key ?? index} className="text-[10px] text-gray-500">{item.label}</span>
+          ) : null
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default LineChart;
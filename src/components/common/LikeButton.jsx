@@ -3,6 +3,7 @@ import React, { useState, useEffect } from 'react';
 import { Heart } from 'lucide-react';
 import { tournamentAPI } from '../../config/api';
 import { useAuth } from '../../contexts/AuthContext';
+import { can, ACTIONS, RESOURCES } from '../../utils/permissions';
 
 const LikeButton = ({ tournamentId, initialLiked = false, initialLikesCount = 0, className = "" }) => {
   const { user } = useAuth();
@@ -39,7 +40,7 @@ const LikeButton = ({ tournamentId, initialLiked = false, initialLikesCount = 0,
       return;
     }
 
-    if (user.role !== 'player') {
+    if (!can(user, ACTIONS.LIKE, RESOURCES.TOURNAMENT)) {
       setError('Only players can like tournaments');
       return;
     }
@@ -86,7 +87,7 @@ const LikeButton = ({ tournamentId, initialLiked = false, initialLikesCount = 0,
   };
 
   // Don't render for non-players
-  if (!user || user.role !== 'player') {
+  if (!user || !can(user, ACTIONS.LIKE, RESOURCES.TOURNAMENT)) {
     return null;
   }
 
@@ -0,0 +1,33 @@
+import React from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+
+const Pagination = ({ currentPage, totalPages, onPageChange, totalItems = null, disabled = false }) => {
+  if (totalPages <= 1) return null;
+
+  return (
+    <div className="px-4 py-3 border-t border-gray-200 flex items-center justify-between">
+      <button
+        onClick={() => onPageChange(currentPage - 1)}
+        disabled={disabled || currentPage <= 1}
+        className="btn-secondary inline-flex items-center disabled:opacity-50"
+      >
+        <ChevronLeft size={16} className="mr-1" />
+        Previous
+      </button>
+      <span className="text-sm text-gray-600">
+        Page {currentPage} of {totalPages}
+        {totalItems !== null && ` • ${totalItems} total`}
+      </span>
+      <button
+        onClick={() => onPageChange(currentPage + 1)}
+        disabled={disabled || currentPage >= totalPages}
+        className="btn-secondary inline-flex items-center disabled:opacity-50"
+      >
+        Next
+        <ChevronRight size={16} className="ml-1" />
+      </button>
+    </div>
+  );
+};
+
+export default Pagination;
@@ -1,5 +1,36 @@
 // src/config/api.js - Complete fixed version
 import axios from 'axios';
+import {
+  SESSION_EVENTS,
+  getAccessToken,
+  getRefreshToken,
+  storeTokens,
+  emitSession,
+  waitForReauth,
+  readStoredSession
+} from '../utils/authSession';
+import {
+  isNetworkError,
+  isTimeoutError,
+  isOfflineCacheable,
+  saveOfflineResponse,
+  readOfflineResponse,
+  markStale,
+  markFresh,
+  clearOfflineCache
+} from '../utils/offlineData';
+import { getQueryKey, cachedQuery, invalidateQueries, clearQueryCache } from '../utils/queryCache';
+import { createBatchLoader } from '../utils/batchLoader';
+import {
+  BACKEND_EVENTS,
+  LOCAL_BACKEND_URL,
+  PRODUCTION_BACKEND_URL,
+  subscribeBackend,
+  emitBackend,
+  normalizeBackendUrl,
+  getPinnedBackend,
+  checkBackendHealth
+} from '../utils/backendRegistry';
 
 // API Configuration - Handles both local and deployed backends
 const getApiBaseUrl = () => {
@@ -11,14 +42,14 @@ const getApiBaseUrl = () => {
   // 2. Check if we're in development mode
   if (import.meta.env.DEV) {
     // Development mode - use local backend
-    return 'http://localhost:8080/api';
+    return LOCAL_BACKEND_URL;
   }
   
   // 3. Production mode - use deployed backend
-  return 'https://quiz-tournament-api.onrender.com/api';
+  return PRODUCTION_BACKEND_URL;
 };
 
-const API_BASE_URL = getApiBaseUrl();
+const API_BASE_URL = normalizeBackendUrl(getApiBaseUrl());
 
 // Create axios instance
 const api = axios.create({
@@ -29,74 +60,72 @@ const api = axios.create({
   },
 });
 
-// Dynamic API instance that can switch backends
-let currentApiUrl = API_BASE_URL;
+// Dynamic API instance that can switch backends; a pinned backend applies from the first request
+let currentApiUrl = getPinnedBackend()?.url || API_BASE_URL;
 
-// Backend health check with fallback
+const setApiUrl = (url) => {
+  currentApiUrl = url;
+  api.defaults.baseURL = url;
+};
+
+// Backend health check with fallback: the first healthy candidate wins. Only development builds try the
+// local backend; environments added by hand are only used when pinned
 export const detectBackend = async () => {
-  const localUrl = 'http://localhost:8080/api';
-  const deployedUrl = 'https://quiz-tournament-api.onrender.com/api';
-  
-  const testEndpoint = async (url) => {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000);
-      
-      const response = await fetch(`${url}/test/health`, {
-        method: 'GET',
-        signal: controller.signal,
-        headers: { 'Content-Type': 'application/json' }
-      });
-      
-      clearTimeout(timeoutId);
-      return response.ok;
-    } catch (_error) {
-      return false;
-    }
-  };
-  
-  // In development, try local first
-  if (import.meta.env.DEV) {
-    const localWorks = await testEndpoint(localUrl);
-    if (localWorks) {
-      return localUrl;
-    } else {
-      const deployedWorks = await testEndpoint(deployedUrl);
-      if (deployedWorks) {
-        return deployedUrl;
-      }
-    }
-  } else {
-    // In production, use deployed backend
-    const deployedWorks = await testEndpoint(deployedUrl);
-    if (deployedWorks) {
-      return deployedUrl;
+  const candidates = [...new Set([
+    API_BASE_URL,
+    ...(import.meta.env.DEV ? [LOCAL_BACKEND_URL] : []),
+    PRODUCTION_BACKEND_URL
+  ])];
+
+  for (const url of candidates) {
+    const health = await checkBackendHealth(url);
+    if (health.ok) {
+      return url;
     }
   }
   
-  return deployedUrl;
+  return PRODUCTION_BACKEND_URL;
 };
 
-export const switchBackend = async (forceDetect = false) => {
-  if (forceDetect) {
-    const detectedUrl = await detectBackend();
-    if (detectedUrl !== currentApiUrl) {
-      currentApiUrl = detectedUrl;
-      api.defaults.baseURL = currentApiUrl;
-      return true;
-    }
+// Point every request at another backend, or at the detected one when no URL is given.
+// Cached responses, saved offline copies and the session belong to the old backend, so they are dropped
+// and BACKEND_EVENTS.SWITCHED lets React state (auth, lists) reset. Resolves to whether the backend changed
+export const switchBackend = async (url = null) => {
+  const nextUrl = normalizeBackendUrl(url || await detectBackend());
+  if (!nextUrl || nextUrl === currentApiUrl) {
+    return false;
   }
-  return false;
+
+  const previousUrl = currentApiUrl;
+  setApiUrl(nextUrl);
+  clearQueryCache();
+  clearOfflineCache();
+  emitBackend(BACKEND_EVENTS.SWITCHED, { from: previousUrl, to: nextUrl });
+  return true;
 };
 
-// Initialize with backend detection
+// Move requests to the detected backend after server errors. Only the in-memory query cache is dropped:
+// unlike switchBackend the session and offline copies stay, so a burst of 5xx responses never signs anyone
+// out mid-quiz. Resolves to whether the backend changed
+const failoverBackend = async () => {
+  const nextUrl = await detectBackend();
+  if (nextUrl === currentApiUrl) {
+    return false;
+  }
+
+  const previousUrl = currentApiUrl;
+  setApiUrl(nextUrl);
+  clearQueryCache();
+  emitBackend(BACKEND_EVENTS.FAILED_OVER, { from: previousUrl, to: nextUrl });
+  return true;
+};
+
+// Initialize with the pinned backend, or with backend detection when none is pinned.
+// Nothing has been loaded yet, so this sets the URL without a switch event
 export const initializeApi = async () => {
   try {
-    const detectedUrl = await detectBackend();
-    if (detectedUrl !== currentApiUrl) {
-      currentApiUrl = detectedUrl;
-      api.defaults.baseURL = currentApiUrl;
-    }
+    const pinned = getPinnedBackend();
+    setApiUrl(pinned ? pinned.url : await detectBackend());
   } catch (_error) {
     console.warn('Backend detection failed, using default:', currentApiUrl);
   }
@@ -105,10 +134,68 @@ export const initializeApi = async () => {
 
 export const getCurrentApiUrl = () => currentApiUrl;
 
+// EventSource and WebSocket can't send an Authorization header, and a JWT in the URL ends up in proxy logs
+// and browser history. Instead the API trades the bearer token for a short-lived, single-use ticket for one stream
+export const getStreamTicket = async (path) => {
+  const response = await api.post('/stream-tickets', { path });
+  const ticket = response.data?.ticket;
+  if (!ticket) {
+    throw new Error('No stream ticket');
+  }
+  return ticket;
+};
+
+// Single-flight token refresh: concurrent callers share one request to /auth/refresh
+let refreshPromise = null;
+
+// Refresh tokens rotate, so a second tab sending the same one would fail or look like token reuse.
+// Tabs take turns through a Web Lock; browsers without it fall back to one refresh per tab
+const REFRESH_LOCK = 'auth-refresh';
+
+const withRefreshLock = (task) => (navigator.locks
+  ? navigator.locks.request(REFRESH_LOCK, task)
+  : task());
+
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const expiredToken = getAccessToken();
+    refreshPromise = withRefreshLock(async () => {
+      // Another tab refreshed while this one waited for the lock; its tokens are already stored
+      const storedToken = getAccessToken();
+      if (storedToken && storedToken !== expiredToken) {
+        return storedToken;
+      }
+
+      const refreshToken = getRefreshToken();
+      if (!refreshToken) {
+        throw new Error('No refresh token');
+      }
+      
+      const response = await authAPI.refresh(refreshToken);
+      const { accessToken, refreshToken: rotatedToken } = response.data || {};
+      if (!accessToken) {
+        throw new Error('Invalid refresh response');
+      }
+      
+      storeTokens({ accessToken, refreshToken: rotatedToken });
+      emitSession(SESSION_EVENTS.REFRESHED, { token: accessToken });
+      return accessToken;
+    }).finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
 // Request interceptor
 api.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('token');
+  async (config) => {
+    // Requests made while a refresh is in flight wait for the new token instead of failing with the old one
+    if (refreshPromise && !config._skipAuthRefresh) {
+      await refreshPromise.catch(() => null);
+    }
+    
+    const token = getAccessToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -121,23 +208,46 @@ api.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
+const getStoredUserId = () => readStoredSession()?.user?.id ?? null;
+
 // Response interceptor with error handling
 api.interceptors.response.use(
-  (response) => response,
+  (response) => {
+    // Keep player-facing reads so they can still be shown offline
+    if (isOfflineCacheable(response.config)) {
+      saveOfflineResponse(response.config, response.data, getStoredUserId());
+      markFresh();
+    }
+    return response;
+  },
   async (error) => {
-    // Handle authentication errors
+    // Handle authentication errors: refresh the token and replay the request, and if that
+    // fails, park it until the user signs in again so nothing on the page is lost
     if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      if (window.location.pathname !== '/login') {
-        window.location.href = '/login?message=Session expired';
+      const { config } = error;
+      if (!config || config._skipAuthRefresh || config._authRetry || !getAccessToken()) {
+        return Promise.reject(error);
       }
-      return Promise.reject(error);
+      
+      config._authRetry = true;
+      let token;
+      try {
+        token = await refreshAccessToken();
+      } catch {
+        try {
+          token = await waitForReauth();
+        } catch {
+          return Promise.reject(error);
+        }
+      }
+      
+      config.headers.Authorization = `Bearer ${token}`;
+      return api.request(config);
     }
     
-    // Handle 500/503 errors by trying to switch backend
-    if (error.response?.status >= 500) {
-      const switched = await switchBackend(true);
+    // Handle 500/503 errors by trying to switch backend, unless one has been pinned
+    if (error.response?.status >= 500 && !getPinnedBackend()) {
+      const switched = await failoverBackend();
       
       if (switched && error.config && !error.config._retry) {
         error.config._retry = true;
@@ -146,23 +256,113 @@ api.interceptors.response.use(
       }
     }
     
+    // Without a network (or an answer in time), fall back to the last saved copy; fromOfflineCache lets
+    // callers mark it as stale. Only GETs are cached, so repeating them later is harmless
+    if ((isNetworkError(error) || isTimeoutError(error)) && isOfflineCacheable(error.config)) {
+      const saved = readOfflineResponse(error.config, getStoredUserId());
+      if (saved) {
+        markStale(saved.savedAt);
+        return {
+          data: saved.data,
+          status: 200,
+          statusText: 'OK',
+          headers: {},
+          config: error.config,
+          fromOfflineCache: true,
+          savedAt: saved.savedAt
+        };
+      }
+    }
+    
     return Promise.reject(error);
   }
 );
 
+// How long each kind of GET stays fresh, and how long after that it is still served while revalidating.
+// Participation status is never served stale, since it decides whether a quiz can be started
+const SECOND = 1000;
+const QUERY_POLICIES = {
+  list: { ttl: 30 * SECOND, staleTime: 5 * 60 * SECOND },
+  tournament: { ttl: 60 * SECOND, staleTime: 5 * 60 * SECOND },
+  questions: { ttl: 5 * 60 * SECOND, staleTime: 10 * 60 * SECOND },
+  scores: { ttl: 10 * SECOND, staleTime: 60 * SECOND },
+  likes: { ttl: 30 * SECOND, staleTime: 2 * 60 * SECOND },
+  participation: { ttl: 30 * SECOND, staleTime: 0 }
+};
+
+// Cached GET; responses are kept per user, and forceRefresh goes straight to the server
+const cachedGet = (path, policy, { params, forceRefresh = false } = {}) =>
+  cachedQuery(
+    getQueryKey(path, params, getStoredUserId()),
+    path,
+    () => api.get(path, params ? { params } : undefined),
+    { ...policy, force: forceRefresh }
+  );
+
+// Per-tournament lookups that every card on a list makes. Lookups made in the same tick go out as one
+// POST { ids } to the bulk endpoint, which answers { [id]: result } with each result shaped like the
+// single endpoint's. IDs missing from the answer, and backends without the bulk endpoint, get one request per ID
+const createTournamentLoader = (bulkPath, getItemPath) => {
+  let bulkSupported = true;
+
+  // Another backend may well have the bulk endpoint
+  subscribeBackend((event) => {
+    if (event === BACKEND_EVENTS.SWITCHED || event === BACKEND_EVENTS.FAILED_OVER) bulkSupported = true;
+  });
+
+  const fetchEach = (ids) => Promise.all(ids.map(id => api.get(getItemPath(id)).catch(error => error)));
+
+  return createBatchLoader(async (ids) => {
+    if (bulkSupported && ids.length > 1) {
+      try {
+        const response = await api.post(bulkPath, { ids });
+        const results = response.data && !Array.isArray(response.data) ? response.data : {};
+        const missing = ids.filter(id => !(id in results));
+        // Kept per tournament for offline use, as the single requests would have been
+        Object.keys(results).forEach(id => saveOfflineResponse({ url: getItemPath(id) }, results[id], getStoredUserId()));
+        const fetched = await fetchEach(missing);
+        return ids.map(id => (id in results ? { ...response, data: results[id] } : fetched[missing.indexOf(id)]));
+      } catch (error) {
+        if (error.response?.status === 404 || error.response?.status === 405) {
+          bulkSupported = false;
+        }
+      }
+    }
+    return fetchEach(ids);
+  });
+};
+
+const likesLoader = createTournamentLoader('/tournaments/likes/batch', (id) => `/tournaments/${id}/likes`);
+const participationLoader = createTournamentLoader(
+  '/tournaments/participation-status/batch',
+  (id) => `/tournaments/${id}/participation-status`
+);
+
+// Cached lookup that joins the current batch when the cache has to go to the server
+const cachedBatchGet = (loader, path, id, policy, forceRefresh) =>
+  cachedQuery(getQueryKey(path, {}, getStoredUserId()), path, () => loader.load(String(id)), {
+    ...policy,
+    force: forceRefresh
+  });
+
+const isTournamentListPath = (path) => path === '/tournaments' || path.startsWith('/tournaments/player/');
+
+const isTournamentPath = (path, id) => path === `/tournaments/${id}` || path.startsWith(`/tournaments/${id}/`);
+
+// A tournament changed: its own data and every list it may appear in
+const invalidateTournament = (id) =>
+  invalidateQueries(path => isTournamentListPath(path) || (id !== undefined && isTournamentPath(path, id)));
+
 // Clear tournament cache function
 export const clearTournamentCache = () => {
-  if (typeof localStorage !== "undefined") {
-    localStorage.removeItem("tournament_cache");
-    localStorage.removeItem("tournament_cache_time");
-  }
+  invalidateQueries(path => path.startsWith('/tournaments'));
 };
 
 // Tournament API with enhanced error handling
 export const tournamentAPI = {
-  getAll: async () => {
+  getAll: async (forceRefresh = false) => {
     try {
-      const response = await api.get('/tournaments');
+      const response = await cachedGet('/tournaments', QUERY_POLICIES.list, { forceRefresh });
       
       // Handle different response structures
       let tournaments = [];
@@ -181,31 +381,100 @@ export const tournamentAPI = {
     }
   },
   
-  getById: (id) => api.get(`/tournaments/${id}`),
+  // One page of tournaments: { page, size, sort, q, category, difficulty, status, from, to }.
+  // Backends without paging answer with the full list, which toTournamentPage filters and pages instead
+  query: (params, forceRefresh = false) =>
+    cachedGet('/tournaments', QUERY_POLICIES.list, { params, forceRefresh }),
+  
+  getById: (id, forceRefresh = false) =>
+    cachedGet(`/tournaments/${id}`, QUERY_POLICIES.tournament, { forceRefresh }),
   
   create: async (data) => {
     const response = await api.post('/tournaments', data);
-    clearTournamentCache();
+    invalidateTournament();
     return response;
   },
   
   update: async (id, data) => {
     const response = await api.put(`/tournaments/${id}`, data);
-    clearTournamentCache();
+    invalidateTournament(id);
     return response;
   },
   
   delete: async (id) => {
     const response = await api.delete(`/tournaments/${id}`);
-    clearTournamentCache();
+    invalidateTournament(id);
     return response;
   },
   
-  getQuestions: (id) => api.get(`/tournaments/${id}/questions`),
+  getQuestions: (id, forceRefresh = false) =>
+    cachedGet(`/tournaments/${id}/questions`, QUERY_POLICIES.questions, { forceRefresh }),
+  
+  // Questions as served to a player; correctAnswer is left out unless the tournament uses instant feedback
+  getPlayQuestions: (id, forceRefresh = false) =>
+    cachedGet(`/tournaments/${id}/questions`, QUERY_POLICIES.questions, { params: { view: 'play' }, forceRefresh }),
+  
+  createQuestion: async (id, question) => {
+    const response = await api.post(`/tournaments/${id}/questions`, question);
+    invalidateTournament(id);
+    return response;
+  },
+  
+  updateQuestion: async (id, questionId, question) => {
+    const response = await api.put(`/tournaments/${id}/questions/${questionId}`, question);
+    invalidateTournament(id);
+    return response;
+  },
+  
+  deleteQuestion: async (id, questionId) => {
+    const response = await api.delete(`/tournaments/${id}/questions/${questionId}`);
+    invalidateTournament(id);
+    return response;
+  },
+  
+  // A voided question stays in the tournament but no longer scores; rescore applies that to existing attempts
+  voidQuestion: async (id, questionId) => {
+    const response = await api.post(`/tournaments/${id}/questions/${questionId}/void`);
+    invalidateTournament(id);
+    return response;
+  },
+  
+  // Final standings of a host-driven live session, with every player's answers so the server can check them
+  saveLiveResults: async (id, results) => {
+    const response = await api.post(`/tournaments/${id}/live/results`, results);
+    invalidateTournament(id);
+    return response;
+  },
+  
+  rescore: async (id) => {
+    const response = await api.post(`/tournaments/${id}/rescore`);
+    invalidateTournament(id);
+    return response;
+  },
+  
+  // Bulk create with a per-question fallback for backends without the bulk endpoint
+  importQuestions: async (id, questions) => {
+    try {
+      return await api.post(`/tournaments/${id}/questions/bulk`, { questions });
+    } catch (error) {
+      if (error.response?.status !== 404 && error.response?.status !== 405) {
+        throw error;
+      }
+      const created = [];
+      for (const question of questions) {
+        const response = await api.post(`/tournaments/${id}/questions`, question);
+        created.push(response.data);
+      }
+      return { data: created };
+    } finally {
+      invalidateTournament(id);
+    }
+  },
   
   participate: async (id, answers) => {
     try {
       const response = await api.post(`/tournaments/${id}/participate`, answers);
+      invalidateTournament(id);
       return response;
     } catch (error) {
       /* Error handled */
@@ -213,11 +482,31 @@ export const tournamentAPI = {
     }
   },
   
-  getScores: (id) => api.get(`/tournaments/${id}/scores`),
+  // Starts (or resumes) the attempt on the server, which owns the start time and deadline
+  startAttempt: async (id) => {
+    const response = await api.post(`/tournaments/${id}/start`);
+    invalidateQueries(path => path === `/tournaments/${id}/participation-status`);
+    return response;
+  },
+  
+  getScores: (id, forceRefresh = false) =>
+    cachedGet(`/tournaments/${id}/scores`, QUERY_POLICIES.scores, { forceRefresh }),
+  
+  // Server-sent events stream of the leaderboard, authenticated with a stream ticket when signed in.
+  // Rejects when no ticket can be had, so the caller polls instead
+  getScoresStreamUrl: async (id) => {
+    const path = `/tournaments/${id}/scores/stream`;
+    const query = getAccessToken() ? `?ticket=${encodeURIComponent(await getStreamTicket(path))}` : '';
+    return `${currentApiUrl}${path}${query}`;
+  },
+  
+  // The server refuses the review (403) until the tournament has ended
+  getReview: (id) => api.get(`/tournaments/${id}/review`),
   
   like: async (id) => {
     try {
       const response = await api.post(`/tournaments/${id}/like`);
+      invalidateQueries(path => path === `/tournaments/${id}/likes`);
       return response;
     } catch (error) {
       /* Error handled */
@@ -228,6 +517,7 @@ export const tournamentAPI = {
   unlike: async (id) => {
     try {
       const response = await api.delete(`/tournaments/${id}/like`);
+      invalidateQueries(path => path === `/tournaments/${id}/likes`);
       return response;
     } catch (error) {
       /* Error handled */
@@ -235,24 +525,37 @@ export const tournamentAPI = {
     }
   },
   
-  getLikes: (id) => api.get(`/tournaments/${id}/likes`),
-  getOngoing: () => api.get('/tournaments/player/ongoing'),
-  getUpcoming: () => api.get('/tournaments/player/upcoming'),
-  getPast: () => api.get('/tournaments/player/past'),
-  getParticipated: () => api.get('/tournaments/player/participated'),
-  checkParticipationStatus: (tournamentId) => 
-    api.get(`/tournaments/${tournamentId}/participation-status`),
+  getLikes: (id, forceRefresh = false) =>
+    cachedBatchGet(likesLoader, `/tournaments/${id}/likes`, id, QUERY_POLICIES.likes, forceRefresh),
+  getOngoing: (forceRefresh = false) =>
+    cachedGet('/tournaments/player/ongoing', QUERY_POLICIES.list, { forceRefresh }),
+  getUpcoming: (forceRefresh = false) =>
+    cachedGet('/tournaments/player/upcoming', QUERY_POLICIES.list, { forceRefresh }),
+  getPast: (forceRefresh = false) =>
+    cachedGet('/tournaments/player/past', QUERY_POLICIES.list, { forceRefresh }),
+  getParticipated: (forceRefresh = false) =>
+    cachedGet('/tournaments/player/participated', QUERY_POLICIES.list, { forceRefresh }),
+  checkParticipationStatus: (tournamentId, forceRefresh = false) =>
+    cachedBatchGet(
+      participationLoader,
+      `/tournaments/${tournamentId}/participation-status`,
+      tournamentId,
+      QUERY_POLICIES.participation,
+      forceRefresh
+    ),
 };
 
-// Auth API
+// Auth API. These calls report a 401 as-is rather than trying to refresh the session
 export const authAPI = {
-  login: (credentials) => api.post('/auth/signin', credentials),
+  login: (credentials) => api.post('/auth/signin', credentials, { _skipAuthRefresh: true }),
   register: (userData, userType) => {
     const endpoint = userType === 'admin' ? '/auth/signup/admin' : '/auth/signup/player';
-    return api.post(endpoint, userData);
+    return api.post(endpoint, userData, { _skipAuthRefresh: true });
   },
-  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
-  resetPassword: (token, newPassword) => api.post('/auth/reset-password', { token, newPassword }),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }, { _skipAuthRefresh: true }),
+  resetPassword: (token, newPassword) =>
+    api.post('/auth/reset-password', { token, newPassword }, { _skipAuthRefresh: true }),
+  refresh: (refreshToken) => api.post('/auth/refresh', { refreshToken }, { _skipAuthRefresh: true }),
 };
 
 // User API
@@ -260,6 +563,24 @@ export const userAPI = {
   getCurrentUser: () => api.get('/users/me'),
   updateProfile: (data) => api.put('/users/me', data),
   getUserById: (id) => api.get(`/users/${id}`),
+
+  // Admin endpoints
+  list: (params = {}) => api.get('/admin/users', { params }),
+  getTournaments: (id) => api.get(`/admin/users/${id}/tournaments`),
+  setEnabled: (id, enabled) => api.patch(`/admin/users/${id}/status`, { enabled }),
+  resetAttempt: async (id, tournamentId) => {
+    const response = await api.delete(`/admin/users/${id}/attempts/${tournamentId}`);
+    invalidateTournament(tournamentId);
+    return response;
+  },
+  updateRoles: (id, roles) => api.put(`/admin/users/${id}/roles`, { roles }),
+};
+
+// Certificate API. Verification is public, so a 401 is reported as-is rather than refreshing a session
+export const certificateAPI = {
+  // Issues the certificate for the current user's passing attempt, or returns the one already issued
+  issue: (tournamentId) => api.post(`/tournaments/${tournamentId}/certificate`),
+  verify: (code) => api.get(`/certificates/${encodeURIComponent(code)}`, { _skipAuthRefresh: true }),
 };
 
 // Test API with fallback endpoints
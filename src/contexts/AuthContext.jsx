@@ -1,6 +1,23 @@
 // src/contexts/AuthContext.jsx - Complete implementation
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { authAPI } from '../config/api';
+import React, { createContext, useContext, useReducer, useEffect, useRef } from 'react';
+import { authAPI, refreshAccessToken } from '../config/api';
+import {
+  SESSION_EVENTS,
+  TOKEN_KEY,
+  USER_KEY,
+  getRefreshToken,
+  getRefreshDelay,
+  storeTokens,
+  clearStoredSession,
+  readStoredSession,
+  subscribeSession,
+  completeReauth,
+  cancelReauth
+} from '../utils/authSession';
+import ReauthModal from '../components/ReauthModal';
+import { clearOfflineCache } from '../utils/offlineData';
+import { clearQueryCache } from '../utils/queryCache';
+import { BACKEND_EVENTS, subscribeBackend } from '../utils/backendRegistry';
 
 const AuthContext = createContext();
 
@@ -12,6 +29,8 @@ const AUTH_ACTIONS = {
   LOGIN_SUCCESS: 'LOGIN_SUCCESS',
   LOGOUT: 'LOGOUT',
   SET_USER: 'SET_USER',
+  TOKEN_REFRESHED: 'TOKEN_REFRESHED',
+  SESSION_EXPIRED: 'SESSION_EXPIRED',
 };
 
 // Initial state
@@ -21,6 +40,15 @@ const initialState = {
   token: null,
   isLoading: false,
   error: null,
+  sessionExpired: false,
+};
+
+// Restore a stored session synchronously, so protected pages opened directly or reloaded
+// render for the signed-in user instead of bouncing through the login page
+const initAuthState = (state) => {
+  const session = readStoredSession();
+  if (!session) return state;
+  return { ...state, isAuthenticated: true, user: session.user, token: session.token };
 };
 
 // Reducer
@@ -43,6 +71,7 @@ const authReducer = (state, action) => {
         token: action.payload.token,
         isLoading: false,
         error: null,
+        sessionExpired: false,
       };
     
     case AUTH_ACTIONS.LOGOUT:
@@ -56,6 +85,19 @@ const authReducer = (state, action) => {
         user: action.payload,
       };
     
+    case AUTH_ACTIONS.TOKEN_REFRESHED:
+      return {
+        ...state,
+        token: action.payload,
+        sessionExpired: false,
+      };
+    
+    case AUTH_ACTIONS.SESSION_EXPIRED:
+      return {
+        ...state,
+        sessionExpired: true,
+      };
+    
     default:
       return state;
   }
@@ -63,33 +105,77 @@ const authReducer = (state, action) => {
 
 // AuthProvider component
 export const AuthProvider = ({ children }) => {
-  const [state, dispatch] = useReducer(authReducer, initialState);
+  const [state, dispatch] = useReducer(authReducer, initialState, initAuthState);
+  const userIdRef = useRef(null);
 
-  // Check for existing auth data on app load
   useEffect(() => {
-    const checkAuthStatus = () => {
-      const token = localStorage.getItem('token');
-      const user = localStorage.getItem('user');
-
-      if (token && user) {
-        try {
-          const parsedUser = JSON.parse(user);
-          dispatch({
-            type: AUTH_ACTIONS.LOGIN_SUCCESS,
-            payload: { token, user: parsedUser },
-          });
-        } catch (error) {
-          console.error('Error parsing stored user data:', error);
-          // Clear invalid data
-          localStorage.removeItem('token');
-          localStorage.removeItem('user');
-        }
+    userIdRef.current = state.user?.id ?? null;
+  }, [state.user]);
+
+  // Follow token refreshes and expiries reported by the API layer
+  useEffect(() => {
+    return subscribeSession((event, detail) => {
+      if (event === SESSION_EVENTS.REFRESHED) {
+        dispatch({ type: AUTH_ACTIONS.TOKEN_REFRESHED, payload: detail.token });
+      } else if (event === SESSION_EVENTS.EXPIRED) {
+        dispatch({ type: AUTH_ACTIONS.SESSION_EXPIRED });
+      }
+    });
+  }, []);
+
+  // Accounts and tokens belong to one backend, so choosing another signs out; automatic failover (FAILED_OVER) keeps the session
+  useEffect(() => {
+    return subscribeBackend((event) => {
+      if (event !== BACKEND_EVENTS.SWITCHED) return;
+      clearStoredSession();
+      cancelReauth(new Error('Switched backend'));
+      dispatch({ type: AUTH_ACTIONS.LOGOUT });
+    });
+  }, []);
+
+  // Keep every tab on the same session: a localStorage write in one tab fires a storage event in the others,
+  // so sign-ins, sign-outs, refreshed tokens and updateUser changes all propagate
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.storageArea !== localStorage) return;
+      if (event.key !== null && event.key !== TOKEN_KEY && event.key !== USER_KEY) return;
+
+      const session = readStoredSession();
+      if (!session) {
+        cancelReauth(new Error('Signed out in another tab'));
+        dispatch({ type: AUTH_ACTIONS.LOGOUT });
+        return;
+      }
+
+      // Requests parked for re-auth may only be replayed under the account that made them
+      if (userIdRef.current !== null && session.user?.id === userIdRef.current) {
+        completeReauth(session.token);
+      } else {
+        cancelReauth(new Error('Signed in as a different user in another tab'));
       }
+      dispatch({ type: AUTH_ACTIONS.LOGIN_SUCCESS, payload: session });
     };
 
-    checkAuthStatus();
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
   }, []);
 
+  // Refresh shortly before the access token expires, rescheduling after every new token. Each open tab
+  // runs this timer; refreshAccessToken makes the others reuse the first tab's new tokens
+  useEffect(() => {
+    if (!state.token || !getRefreshToken()) return;
+
+    const delay = getRefreshDelay(state.token);
+    if (delay === null) return;
+
+    const timer = setTimeout(() => {
+      refreshAccessToken().catch(() => {
+        // The next request that gets a 401 will ask the user to sign in again
+      });
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [state.token]);
+
   // Login function
   const login = async (credentials) => {
     dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
@@ -101,17 +187,22 @@ export const AuthProvider = ({ children }) => {
       
       // Access response.data properly
       const responseData = response.data;
-      const { accessToken, id, username, email, role } = responseData;
+      const { accessToken, refreshToken, id, username, email, role, roles, emailVerified, firstName, lastName } = responseData;
       
       if (!accessToken || !id || !username || !role) {
         throw new Error('Invalid response from server: missing required fields');
       }
       
       const user = { id, username, email, role };
+      // Optional fields the route guards and permissions check; only kept when the server sends them
+      if (Array.isArray(roles)) user.roles = roles;
+      if (typeof emailVerified === 'boolean') user.emailVerified = emailVerified;
+      if (firstName !== undefined) user.firstName = firstName;
+      if (lastName !== undefined) user.lastName = lastName;
       
-      // Store in localStorage
-      localStorage.setItem('token', accessToken);
-      localStorage.setItem('user', JSON.stringify(user));
+      // Store in localStorage. The user goes first so other tabs never pair the new token with the previous user
+      localStorage.setItem(USER_KEY, JSON.stringify(user));
+      storeTokens({ accessToken, refreshToken });
       
       dispatch({
         type: AUTH_ACTIONS.LOGIN_SUCCESS,
@@ -187,10 +278,39 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Sign in again after the session expired, without leaving the current page
+  const reauthenticate = async (password) => {
+    try {
+      const response = await authAPI.login({ usernameOrEmail: state.user?.username, password });
+      const { accessToken, refreshToken } = response.data;
+      
+      if (!accessToken) {
+        throw new Error('Invalid response from server: missing required fields');
+      }
+      
+      storeTokens({ accessToken, refreshToken });
+      dispatch({ type: AUTH_ACTIONS.TOKEN_REFRESHED, payload: accessToken });
+      // Replay the requests that were waiting on the new session
+      completeReauth(accessToken);
+      return { success: true };
+    } catch (error) {
+      let errorMessage = 'Sign in failed';
+      if (error.response?.data?.message) {
+        errorMessage = error.response.data.message;
+      } else if (error.response?.status === 401) {
+        errorMessage = 'Incorrect password';
+      }
+      return { success: false, error: errorMessage };
+    }
+  };
+
   // Logout function
   const logout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+    clearStoredSession();
+    // Saved responses belong to this account; queued quiz answers stay until it signs in again
+    clearOfflineCache();
+    clearQueryCache();
+    cancelReauth(new Error('Signed out'));
     dispatch({ type: AUTH_ACTIONS.LOGOUT });
   };
 
@@ -213,6 +333,7 @@ export const AuthProvider = ({ children }) => {
     token: state.token,
     isLoading: state.isLoading,
     error: state.error,
+    sessionExpired: state.sessionExpired,
     
     // Actions
     login,
@@ -222,11 +343,13 @@ export const AuthProvider = ({ children }) => {
     resetPassword,
     clearError,
     updateUser,
+    reauthenticate,
   };
 
   return (
     <AuthContext.Provider value={value}>
       {children}
+      {state.sessionExpired && state.isAuthenticated && <ReauthModal />}
     </AuthContext.Provider>
   );
 };
@@ -0,0 +1,124 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { tournamentAPI } from '../config/api';
+import { buildLeaderboard, getRankSnapshot } from '../utils/leaderboard';
+
+export const LIVE_POLL_INTERVAL = 10000;
+
+/**
+ * Custom hook that keeps a tournament leaderboard up to date
+ * While live it subscribes to the server-sent score stream, falling back to polling when the backend has none
+ * @param {string|number} tournamentId - The tournament ID
+ * @param {object} options - { live } whether scores can still change
+ * @returns {object} - { entries, loading, error, lastUpdated, mode, refresh }
+ */
+export const useLiveScores = (tournamentId, { live = false } = {}) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [mode, setMode] = useState('idle'); // 'stream', 'polling' or 'idle'
+  const ranksRef = useRef({});
+
+  const applyScores = useCallback((data) => {
+    const next = buildLeaderboard(data, ranksRef.current);
+    ranksRef.current = getRankSnapshot(next);
+    setEntries(next);
+    setLastUpdated(new Date());
+  }, []);
+
+  // Polling asks the server every time; other loads may reuse scores cached moments ago
+  const refresh = useCallback(async (forceRefresh = false) => {
+    if (!tournamentId) return;
+
+    try {
+      setError(null);
+      const response = await tournamentAPI.getScores(tournamentId, forceRefresh === true);
+      applyScores(response.data);
+    } catch (error) {
+      console.error('Error fetching leaderboard:', error);
+      setError(error.response?.data?.message || 'Failed to load leaderboard');
+    } finally {
+      setLoading(false);
+    }
+  }, [tournamentId, applyScores]);
+
+  useEffect(() => {
+    ranksRef.current = {};
+    setLoading(true);
+    refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    if (!live || !tournamentId) {
+      setMode('idle');
+      return;
+    }
+
+    let source = null;
+    let timer = null;
+    let cancelled = false;
+
+    const startPolling = () => {
+      setMode('polling');
+      // Hidden tabs skip their turn instead of hammering the API
+      timer = setInterval(() => {
+        if (!document.hidden) refresh(true);
+      }, LIVE_POLL_INTERVAL);
+    };
+
+    const connect = async () => {
+      let url;
+      try {
+        url = await tournamentAPI.getScoresStreamUrl(tournamentId);
+      } catch {
+        // No stream ticket, so no stream
+        if (!cancelled) startPolling();
+        return;
+      }
+      if (cancelled) return;
+
+      // Tickets are single-use, so the browser's own reconnect fails and falls through to polling below
+      source = new EventSource(url);
+      source.onopen = () => setMode('stream');
+      source.onmessage = (event) => {
+        try {
+          applyScores(JSON.parse(event.data));
+        } catch {
+          // Ignore keep-alive and malformed messages
+        }
+      };
+      source.onerror = () => {
+        // No stream endpoint, or the stream dropped: poll for the rest of the session
+        source.close();
+        source = null;
+        if (!timer) {
+          refresh(true);
+          startPolling();
+        }
+      };
+    };
+
+    if (typeof window.EventSource === 'function') {
+      connect();
+    } else {
+      startPolling();
+    }
+
+    return () => {
+      cancelled = true;
+      source?.close();
+      clearInterval(timer);
+    };
+  }, [live, tournamentId, refresh, applyScores]);
+
+  return {
+    entries,
+    loading,
+    error,
+    lastUpdated,
+    mode,
+    refresh
+  };
+};
+
+export default useLiveScores;
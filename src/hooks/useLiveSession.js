@@ -0,0 +1,455 @@
+import { useState, useEffect, useRef } from 'react';
+import { tournamentAPI } from '../config/api';
+import { createLiveTransport, isPlayerMessage, LIVE_MESSAGES, TRANSPORT_STATUS } from '../utils/liveTransport';
+import {
+  LIVE_STATUS,
+  ANSWER_GRACE_MS,
+  JOIN_ANNOUNCE_DELAY_MS,
+  JOIN_RETRY_MS,
+  getLiveQuestionTime,
+  createLivePlayer,
+  recordLiveAnswer,
+  buildLiveStandings,
+  getLiveQuestionResults,
+  getPublicPlayers,
+  toLiveResults
+} from '../utils/liveSession';
+import { saveLiveHostState, loadLiveHostState, clearLiveHostState } from '../utils/liveHostStorage';
+import { getRankSnapshot } from '../utils/leaderboard';
+import { withoutAnswers } from '../utils/questionUtils';
+import { describeCorrectAnswer } from '../utils/answerReview';
+import { getClockOffset, getSecondsRemaining } from '../utils/quizTimer';
+
+/**
+ * Connect to a tournament's live room and route messages to the latest handler
+ * Only messages the other side may send get through: player messages stamped by the relay as coming from
+ * a player reach the host, and host messages stamped as coming from the host reach players.
+ * Players announce themselves when the connection opens and say goodbye before it closes
+ * @param {string|number} tournamentId - Tournament ID
+ * @param {string} role - "host" or "player"
+ * @param {object} handlerRef - Ref holding the current message handler
+ * @param {object|null} player - { key, name } for players, null for the host
+ * @returns {object} - { transportRef, connection }
+ */
+const useLiveTransport = (tournamentId, role, handlerRef, player = null) => {
+  const [connection, setConnection] = useState(TRANSPORT_STATUS.CONNECTING);
+  const transportRef = useRef(null);
+  const playerKey = player?.key;
+  const playerName = player?.name;
+
+  useEffect(() => {
+    if (!tournamentId) return;
+
+    const transport = createLiveTransport(tournamentId, role, playerKey);
+    transportRef.current = transport;
+    const unsubscribe = transport.subscribe(message => {
+      const fromPlayer = message?.from?.role === 'player' && message.from.userId != null;
+      const fromHost = message?.from?.role === 'host';
+      const allowed = isPlayerMessage(message?.type)
+        ? role === 'host' && fromPlayer
+        : role === 'player' && fromHost;
+      if (allowed) handlerRef.current?.(message);
+    });
+    const unsubscribeStatus = transport.onStatus(status => {
+      setConnection(status);
+      if (status === TRANSPORT_STATUS.OPEN && playerKey) {
+        transport.send(LIVE_MESSAGES.JOIN, { name: playerName });
+      }
+    });
+
+    return () => {
+      if (playerKey) {
+        transport.send(LIVE_MESSAGES.LEAVE);
+      }
+      unsubscribe();
+      unsubscribeStatus();
+      transport.close();
+      transportRef.current = null;
+    };
+  }, [tournamentId, role, handlerRef, playerKey, playerName]);
+
+  return { transportRef, connection };
+};
+
+/**
+ * Custom hook that runs a live session from the host console
+ * The host holds the correct answers, scores every answer and pushes state to the players.
+ * The session is kept in localStorage so a reload resumes it, and the final standings are saved on finish
+ * @param {string|number} tournamentId - Tournament ID
+ * @param {object[]} questions - Normalized questions, with answers
+ * @param {object} rules - Scoring rules from getScoringRules
+ * @returns {object} - Session state, saveState and the start, lock, next, finish and saveResults controls
+ */
+export const useLiveHost = (tournamentId, questions, rules) => {
+  const [status, setStatus] = useState(LIVE_STATUS.LOBBY);
+  const [players, setPlayers] = useState({});
+  const [currentIndex, setCurrentIndex] = useState(-1);
+  const [deadline, setDeadline] = useState(null);
+  const [timeRemaining, setTimeRemaining] = useState(null);
+  const [standings, setStandings] = useState([]);
+  const [lastResults, setLastResults] = useState({});
+  const [saveState, setSaveState] = useState({ isSaving: false, saved: false, error: '' });
+  const playersRef = useRef({}); // Source of truth; messages can arrive faster than renders
+  const questionSentAtRef = useRef(null);
+  const ranksRef = useRef({});
+  const handlerRef = useRef(null);
+  const lockRef = useRef(null);
+  const announceRef = useRef(null);
+  const announceTimerRef = useRef(null);
+  const restoredRef = useRef(false);
+
+  const { transportRef, connection } = useLiveTransport(tournamentId, 'host', handlerRef);
+  const broadcast = (type, payload) => transportRef.current?.send(type, payload);
+
+  const updatePlayers = (nextPlayers) => {
+    playersRef.current = nextPlayers;
+    setPlayers(nextPlayers);
+  };
+
+  const getQuestionPayload = (index, questionDeadline) => ({
+    index,
+    total: questions.length,
+    question: withoutAnswers(questions[index]),
+    deadline: questionDeadline,
+    sentAt: Date.now()
+  });
+
+  // Joins arriving together share one snapshot instead of each sending the whole room a broadcast
+  const scheduleAnnounce = () => {
+    if (announceTimerRef.current) return;
+    announceTimerRef.current = setTimeout(() => {
+      announceTimerRef.current = null;
+      announceRef.current?.();
+    }, JOIN_ANNOUNCE_DELAY_MS);
+  };
+
+  const getSnapshot = () => ({
+    status,
+    players: getPublicPlayers(playersRef.current),
+    question: status === LIVE_STATUS.QUESTION ? getQuestionPayload(currentIndex, deadline) : null,
+    standings,
+    total: questions.length
+  });
+
+  // Players are who the relay says sent the message, whatever the payload claims
+  const handleMessage = ({ type, payload = {}, from }) => {
+    const current = playersRef.current;
+    const key = String(from.userId);
+
+    switch (type) {
+      case LIVE_MESSAGES.JOIN: {
+        updatePlayers({
+          ...current,
+          [key]: current[key]
+            ? { ...current[key], name: payload.name || current[key].name, connected: true }
+            : createLivePlayer({ key, name: payload.name })
+        });
+        // Late joiners get the whole picture, including a question already in progress
+        scheduleAnnounce();
+        break;
+      }
+      case LIVE_MESSAGES.LEAVE: {
+        if (!current[key]) return;
+        updatePlayers({ ...current, [key]: { ...current[key], connected: false } });
+        broadcast(LIVE_MESSAGES.PLAYERS, { players: getPublicPlayers(playersRef.current) });
+        break;
+      }
+      case LIVE_MESSAGES.ANSWER: {
+        const isOpen = status === LIVE_STATUS.QUESTION
+          && payload.index === currentIndex
+          && Date.now() <= deadline + ANSWER_GRACE_MS;
+        if (!isOpen || !current[key]) return;
+        const seconds = (Date.now() - questionSentAtRef.current) / 1000;
+        updatePlayers({ ...current, [key]: recordLiveAnswer(current[key], payload.index, payload.answer, seconds) });
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  useEffect(() => {
+    // Pick up a session this tournament was in the middle of before a reload or a closed tab
+    restoredRef.current = false;
+    if (!tournamentId || questions.length === 0) return;
+
+    const saved = loadLiveHostState(tournamentId, questions.map(question => question.id));
+    if (saved) {
+      // Every player has to reconnect to the reloaded host; their answers so far are kept
+      const savedPlayers = Object.fromEntries(
+        Object.entries(saved.players || {}).map(([key, player]) => [key, { ...player, connected: false }])
+      );
+      playersRef.current = savedPlayers;
+      setPlayers(savedPlayers);
+      setStatus(saved.status);
+      setCurrentIndex(saved.currentIndex);
+      setDeadline(saved.deadline);
+      setTimeRemaining(saved.deadline ? getSecondsRemaining(saved.deadline) : null);
+      setStandings(saved.standings || []);
+      setLastResults(saved.lastResults || {});
+      questionSentAtRef.current = saved.questionSentAt;
+      ranksRef.current = saved.ranks || {};
+    }
+    restoredRef.current = true;
+  }, [tournamentId, questions]);
+
+  useEffect(() => {
+    // An empty lobby has nothing worth resuming, and a session whose results are stored is done
+    if (!restoredRef.current || saveState.saved) return;
+    if (status === LIVE_STATUS.LOBBY && Object.keys(players).length === 0) return;
+
+    saveLiveHostState(tournamentId, {
+      status,
+      players,
+      currentIndex,
+      deadline,
+      questionSentAt: questionSentAtRef.current,
+      standings,
+      lastResults,
+      ranks: ranksRef.current,
+      questionIds: questions.map(question => question.id)
+    });
+  }, [tournamentId, questions, status, players, currentIndex, deadline, standings, lastResults, saveState.saved]);
+
+  useEffect(() => {
+    return () => clearTimeout(announceTimerRef.current);
+  }, []);
+
+  useEffect(() => {
+    if (status !== LIVE_STATUS.QUESTION || !deadline) return;
+
+    const tick = () => {
+      const remaining = getSecondsRemaining(deadline);
+      setTimeRemaining(remaining);
+      if (remaining <= 0) {
+        clearInterval(timer);
+        lockRef.current?.();
+      }
+    };
+
+    const timer = setInterval(tick, 250);
+    tick();
+    return () => clearInterval(timer);
+  }, [status, deadline]);
+
+  const startQuestion = (index) => {
+    const seconds = getLiveQuestionTime(questions[index]);
+    const questionDeadline = Date.now() + seconds * 1000;
+    questionSentAtRef.current = Date.now();
+    setCurrentIndex(index);
+    setDeadline(questionDeadline);
+    setTimeRemaining(seconds);
+    setLastResults({});
+    setStatus(LIVE_STATUS.QUESTION);
+    broadcast(LIVE_MESSAGES.QUESTION, getQuestionPayload(index, questionDeadline));
+  };
+
+  const lockQuestion = () => {
+    if (status !== LIVE_STATUS.QUESTION) return;
+
+    const played = questions.slice(0, currentIndex + 1);
+    const nextStandings = buildLiveStandings(playersRef.current, played, rules, ranksRef.current);
+    const results = getLiveQuestionResults(playersRef.current, questions[currentIndex], currentIndex, rules);
+    ranksRef.current = getRankSnapshot(nextStandings);
+
+    setStandings(nextStandings);
+    setLastResults(results);
+    setTimeRemaining(0);
+    setStatus(LIVE_STATUS.STANDINGS);
+    broadcast(LIVE_MESSAGES.STANDINGS, {
+      index: currentIndex,
+      correctAnswer: describeCorrectAnswer(questions[currentIndex]),
+      standings: nextStandings,
+      results
+    });
+  };
+
+  useEffect(() => {
+    // Transport callbacks and the timer always reach handlers with the latest state
+    handlerRef.current = handleMessage;
+    lockRef.current = lockQuestion;
+    announceRef.current = () => broadcast(LIVE_MESSAGES.STATE, getSnapshot());
+  });
+
+  useEffect(() => {
+    // Announce the session (and its state after a reload) to players already waiting
+    if (connection === TRANSPORT_STATUS.OPEN) {
+      announceRef.current?.();
+    }
+  }, [connection]);
+
+  const nextQuestion = () => startQuestion(currentIndex + 1);
+
+  // The host tab is the only place the results exist until this succeeds, so failures can be retried
+  const saveResults = async () => {
+    try {
+      setSaveState({ isSaving: true, saved: false, error: '' });
+      await tournamentAPI.saveLiveResults(tournamentId, toLiveResults(playersRef.current, standings, questions));
+      clearLiveHostState(tournamentId);
+      setSaveState({ isSaving: false, saved: true, error: '' });
+    } catch (error) {
+      console.error('Error saving live results:', error);
+      setSaveState({
+        isSaving: false,
+        saved: false,
+        error: error.response?.data?.message || 'Failed to save the results'
+      });
+    }
+  };
+
+  const finish = () => {
+    setStatus(LIVE_STATUS.FINISHED);
+    broadcast(LIVE_MESSAGES.END, { standings });
+    saveResults();
+  };
+
+  const answeredCount = currentIndex >= 0
+    ? Object.values(players).filter(player => player.answers[currentIndex] !== undefined).length
+    : 0;
+
+  return {
+    connection,
+    status,
+    players: Object.values(players),
+    currentIndex,
+    currentQuestion: questions[currentIndex] || null,
+    timeRemaining,
+    answeredCount,
+    standings,
+    lastResults,
+    saveState,
+    isLastQuestion: currentIndex >= questions.length - 1,
+    start: () => startQuestion(0),
+    lock: lockQuestion,
+    next: nextQuestion,
+    finish,
+    saveResults
+  };
+};
+
+/**
+ * Custom hook for a player following a host-driven live session
+ * @param {string|number} tournamentId - Tournament ID
+ * @param {object} user - Current user
+ * @returns {object} - Session state as pushed by the host, plus submitAnswer
+ */
+export const useLivePlayer = (tournamentId, user) => {
+  const [status, setStatus] = useState(null); // null until the host has been heard from
+  const [players, setPlayers] = useState([]);
+  const [question, setQuestion] = useState(null); // { index, total, question, deadline } with a local-clock deadline
+  const [timeRemaining, setTimeRemaining] = useState(null);
+  const [submittedAnswer, setSubmittedAnswer] = useState(null);
+  const [reveal, setReveal] = useState(null); // { index, correctAnswer, result }
+  const [standings, setStandings] = useState([]);
+  const handlerRef = useRef(null);
+  const lastJoinRef = useRef(0);
+
+  // The relay identifies players by user ID, so standings and results are keyed by it too
+  const playerKey = String(user?.id ?? '');
+  const playerName = [user?.firstName, user?.lastName].filter(Boolean).join(' ') || user?.username || 'Player';
+
+  const { transportRef, connection } = useLiveTransport(
+    tournamentId,
+    'player',
+    handlerRef,
+    playerKey ? { key: playerKey, name: playerName } : null
+  );
+  const send = (type, payload) => transportRef.current?.send(type, payload);
+  const join = () => {
+    lastJoinRef.current = Date.now();
+    send(LIVE_MESSAGES.JOIN, { name: playerName });
+  };
+
+  const showQuestion = (payload) => {
+    // The host's clock decides the deadline; shift it onto ours
+    const offset = getClockOffset(payload.sentAt);
+    setQuestion({ ...payload, deadline: payload.deadline - offset });
+    setSubmittedAnswer(null);
+    setReveal(null);
+    setStatus(LIVE_STATUS.QUESTION);
+  };
+
+  const handleMessage = ({ type, payload }) => {
+    switch (type) {
+      case LIVE_MESSAGES.STATE:
+        setStatus(payload.status);
+        setPlayers(payload.players || []);
+        setStandings(payload.standings || []);
+        if (payload.question) showQuestion(payload.question);
+        // A host that started after us (or reloaded) does not know we are here yet. Asking again is
+        // throttled, so a snapshot sent before the host saw our last JOIN doesn't set off another
+        if (!(payload.players || []).some(player => player.key === playerKey && player.connected)
+          && Date.now() - lastJoinRef.current > JOIN_RETRY_MS) {
+          join();
+        }
+        break;
+      case LIVE_MESSAGES.PLAYERS:
+        setPlayers(payload.players || []);
+        break;
+      case LIVE_MESSAGES.QUESTION:
+        showQuestion(payload);
+        break;
+      case LIVE_MESSAGES.STANDINGS:
+        setStandings(payload.standings || []);
+        setReveal({
+          index: payload.index,
+          correctAnswer: payload.correctAnswer,
+          result: payload.results?.[playerKey] || null
+        });
+        setTimeRemaining(0);
+        setStatus(LIVE_STATUS.STANDINGS);
+        break;
+      case LIVE_MESSAGES.END:
+        setStandings(payload.standings || []);
+        setStatus(LIVE_STATUS.FINISHED);
+        break;
+      default:
+        break;
+    }
+  };
+
+  useEffect(() => {
+    handlerRef.current = handleMessage;
+  });
+
+  useEffect(() => {
+    // The transport sends JOIN as it opens
+    if (connection === TRANSPORT_STATUS.OPEN) {
+      lastJoinRef.current = Date.now();
+    }
+  }, [connection]);
+
+  useEffect(() => {
+    if (status !== LIVE_STATUS.QUESTION || !question?.deadline) return;
+
+    const tick = () => setTimeRemaining(getSecondsRemaining(question.deadline));
+    const timer = setInterval(tick, 250);
+    tick();
+    return () => clearInterval(timer);
+  }, [status, question]);
+
+  const isLocked = status !== LIVE_STATUS.QUESTION || timeRemaining === 0;
+
+  const submitAnswer = (answer) => {
+    if (isLocked || !question) return;
+    // Answers can be changed until the host locks the question; the last one counts
+    send(LIVE_MESSAGES.ANSWER, { index: question.index, answer });
+    setSubmittedAnswer(answer);
+  };
+
+  return {
+    connection,
+    status,
+    players,
+    playerKey,
+    question,
+    timeRemaining,
+    isLocked,
+    submittedAnswer,
+    reveal,
+    standings,
+    submitAnswer
+  };
+};
+
+export default useLiveHost;
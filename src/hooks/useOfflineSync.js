@@ -0,0 +1,127 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { tournamentAPI } from '../config/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useOnlineStatus } from './useOnlineStatus';
+import {
+  OFFLINE_EVENTS,
+  OFFLINE_QUEUE_KEY,
+  subscribeOffline,
+  getStaleSince,
+  getQueuedParticipations,
+  removeQueuedParticipation,
+  markQueuedParticipationFailed,
+  isNetworkError,
+  isTimeoutError
+} from '../utils/offlineData';
+
+// One tab replays the queue at a time, so the same answers are never sent twice
+const REPLAY_LOCK = 'offline-participation-replay';
+
+const withReplayLock = (task) => (navigator.locks
+  ? navigator.locks.request(REPLAY_LOCK, { ifAvailable: true }, (lock) => (lock ? task() : null))
+  : task());
+
+/**
+ * Custom hook that reports offline state and sends queued quiz submissions once the network returns
+ * @returns {object} - { isOnline, staleSince, pending, failed, isSyncing, lastSynced, syncNow, dismiss }
+ */
+export const useOfflineSync = () => {
+  const { user } = useAuth();
+  const isOnline = useOnlineStatus();
+  const userId = user?.id;
+
+  const [queue, setQueue] = useState(() => (userId ? getQueuedParticipations(userId) : []));
+  const [staleSince, setStaleSince] = useState(getStaleSince);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [lastSynced, setLastSynced] = useState([]);
+  const syncingRef = useRef(false);
+
+  const refreshQueue = useCallback(() => {
+    setQueue(userId ? getQueuedParticipations(userId) : []);
+  }, [userId]);
+
+  useEffect(() => {
+    refreshQueue();
+    const unsubscribe = subscribeOffline((event, detail) => {
+      if (event === OFFLINE_EVENTS.QUEUE_CHANGED) refreshQueue();
+      if (event === OFFLINE_EVENTS.DATA_STATUS) setStaleSince(detail.staleSince);
+    });
+
+    // Submissions queued or sent in another tab
+    const handleStorage = (event) => {
+      if (event.key === null || event.key === OFFLINE_QUEUE_KEY) refreshQueue();
+    };
+    window.addEventListener('storage', handleStorage);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, [refreshQueue]);
+
+  const syncNow = useCallback(async () => {
+    if (!userId || syncingRef.current) return;
+
+    syncingRef.current = true;
+    setIsSyncing(true);
+    try {
+      await withReplayLock(async () => {
+        const sent = [];
+        for (const entry of getQueuedParticipations(userId).filter(queued => !queued.error)) {
+          try {
+            await tournamentAPI.participate(entry.tournamentId, entry.payload);
+            removeQueuedParticipation(entry.id);
+            sent.push(entry);
+          } catch (error) {
+            // Still offline: leave the rest for the next attempt
+            if (isNetworkError(error)) break;
+            // Timed out: the server may have recorded them anyway, so ask before sending them again
+            if (isTimeoutError(error)) {
+              const participation = await tournamentAPI.checkParticipationStatus(entry.tournamentId, true).catch(() => null);
+              if (!participation?.data?.hasParticipated) break;
+              removeQueuedParticipation(entry.id);
+              sent.push(entry);
+              continue;
+            }
+            markQueuedParticipationFailed(entry.id, error.response?.data?.message || 'The server refused these answers');
+          }
+        }
+        if (sent.length > 0) setLastSynced(sent);
+      });
+    } finally {
+      syncingRef.current = false;
+      setIsSyncing(false);
+    }
+  }, [userId]);
+
+  const pending = queue.filter(entry => !entry.error);
+  const failed = queue.filter(entry => entry.error);
+
+  // Send whatever is waiting as soon as the connection comes back (and on load, if it never left)
+  useEffect(() => {
+    if (isOnline && pending.length > 0) {
+      syncNow();
+    }
+  }, [isOnline, pending.length, syncNow]);
+
+  const dismiss = useCallback((id) => {
+    if (id) {
+      removeQueuedParticipation(id);
+    } else {
+      setLastSynced([]);
+    }
+  }, []);
+
+  return {
+    isOnline,
+    staleSince,
+    pending,
+    failed,
+    isSyncing,
+    lastSynced,
+    syncNow,
+    dismiss
+  };
+};
+
+export default useOfflineSync;
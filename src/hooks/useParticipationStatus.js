@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { tournamentAPI } from '../config/api';
 import { useAuth } from '../contexts/AuthContext';
+import { can, ACTIONS, RESOURCES } from '../utils/permissions';
 
 /**
  * Custom hook to check if the current user has participated in a tournament
@@ -12,9 +13,10 @@ export const useParticipationStatus = (tournamentId) => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const { isAuthenticated, user } = useAuth();
+  const canPlay = can(user, ACTIONS.PLAY, RESOURCES.TOURNAMENT);
 
   const checkParticipation = async () => {
-    if (!tournamentId || !isAuthenticated || !user?.id || user?.role !== 'PLAYER') {
+    if (!tournamentId || !isAuthenticated || !user?.id || !canPlay) {
       setHasParticipated(false);
       setLoading(false);
       return;
@@ -39,7 +41,7 @@ export const useParticipationStatus = (tournamentId) => {
 
   useEffect(() => {
     checkParticipation();
-  }, [tournamentId, isAuthenticated, user?.id, user?.role]);
+  }, [tournamentId, isAuthenticated, user?.id, canPlay]);
 
   return {
     hasParticipated,
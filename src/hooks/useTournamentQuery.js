@@ -0,0 +1,125 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { tournamentAPI } from '../config/api';
+import { useDebounce } from './useOptimizations';
+import { QUERY_EVENTS, subscribeQueries } from '../utils/queryCache';
+import {
+  TOURNAMENT_PAGE_SIZE,
+  parseTournamentFilters,
+  toTournamentSearchParams,
+  toTournamentQueryParams,
+  toTournamentPage
+} from '../utils/tournamentQuery';
+
+export const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * Custom hook that loads one page of tournaments for the search, filters and page in the URL
+ * The URL is the source of truth, so filtered lists can be bookmarked, shared and navigated with back/forward
+ * @param {object} options - { size } tournaments per page
+ * @returns {object} - { filters, search, setSearch, setFilters, setPage, tournaments, page, totalPages,
+ *   totalItems, isLoading, error, refresh }
+ */
+export const useTournamentQuery = ({ size = TOURNAMENT_PAGE_SIZE } = {}) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const queryString = searchParams.toString();
+  const filters = useMemo(() => parseTournamentFilters(new URLSearchParams(queryString)), [queryString]);
+
+  const [result, setResult] = useState({ items: [], page: 1, totalPages: 1, totalItems: 0 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [reloadCount, setReloadCount] = useState(0);
+  const forceRef = useRef(false);
+
+  // Changing any filter starts again from the first page; page changes go into history so back works
+  const setFilters = useCallback((changes, { replace = !('page' in changes) } = {}) => {
+    setSearchParams(current => {
+      const currentFilters = parseTournamentFilters(current);
+      const next = { ...currentFilters, ...changes };
+      if (!('page' in changes)) next.page = 1;
+      const nextParams = toTournamentSearchParams(next);
+      return nextParams.toString() === current.toString() ? current : nextParams;
+    }, { replace });
+  }, [setSearchParams]);
+
+  const setPage = useCallback((page) => setFilters({ page }), [setFilters]);
+
+  // The search box is typed into locally and reaches the URL once typing pauses
+  const [search, setSearch] = useState(filters.q);
+  const debouncedSearch = useDebounce(search.trim(), SEARCH_DEBOUNCE_MS);
+  const lastSearchRef = useRef(debouncedSearch);
+
+  // Back/forward to a different search puts it in the box
+  const [urlSearch, setUrlSearch] = useState(filters.q);
+  if (urlSearch !== filters.q) {
+    setUrlSearch(filters.q);
+    if (search.trim() !== filters.q) setSearch(filters.q);
+  }
+
+  useEffect(() => {
+    if (debouncedSearch === lastSearchRef.current) return;
+    lastSearchRef.current = debouncedSearch;
+    // Already in the URL when the box was filled from it, and then the page must not reset
+    if (debouncedSearch !== filters.q) setFilters({ q: debouncedSearch });
+  }, [debouncedSearch, filters.q, setFilters]);
+
+  useEffect(() => {
+    let ignore = false;
+    const forceRefresh = forceRef.current;
+    forceRef.current = false;
+
+    const load = async () => {
+      try {
+        setIsLoading(true);
+        setError('');
+        const response = await tournamentAPI.query(toTournamentQueryParams(filters, size), forceRefresh);
+        if (ignore) return;
+
+        const page = toTournamentPage(response.data, filters, size);
+        setResult(page);
+
+        // Past the end, e.g. after deleting the last tournament on the last page
+        if (filters.page > page.totalPages) setFilters({ page: page.totalPages }, { replace: true });
+      } catch (error) {
+        if (ignore) return;
+        console.error('Error loading tournaments:', error);
+        setError(error.response?.data?.message || 'Failed to fetch tournaments');
+        setResult({ items: [], page: 1, totalPages: 1, totalItems: 0 });
+      } finally {
+        if (!ignore) setIsLoading(false);
+      }
+    };
+    load();
+
+    return () => {
+      ignore = true;
+    };
+  }, [filters, size, reloadCount, setFilters]);
+
+  const refresh = useCallback((forceRefresh = false) => {
+    forceRef.current = forceRefresh === true;
+    setReloadCount(count => count + 1);
+  }, []);
+
+  // A stale page was shown while it revalidated; pick up the newer one
+  useEffect(() => subscribeQueries((event, detail) => {
+    if (event === QUERY_EVENTS.UPDATED && detail.path === '/tournaments') refresh();
+  }), [refresh]);
+
+  return {
+    filters,
+    search,
+    setSearch,
+    setFilters,
+    setPage,
+    tournaments: result.items,
+    page: result.page,
+    totalPages: result.totalPages,
+    totalItems: result.totalItems,
+    isLoading,
+    error,
+    refresh
+  };
+};
+
+export default useTournamentQuery;
@@ -1,6 +1,7 @@
 // src/hooks/useTournaments.js - Custom hook for tournament state management
 import { useState, useEffect, useCallback } from 'react';
 import { tournamentAPI, clearTournamentCache } from '../config/api';
+import { QUERY_EVENTS, subscribeQueries } from '../utils/queryCache';
 
 export const useTournaments = (autoFetch = true) => {
   // State management
@@ -113,13 +114,20 @@ export const useTournaments = (autoFetch = true) => {
     }
   }, [fetchTournaments]);
 
-  // Auto-fetch on mount if enabled
+  // Auto-fetch on mount if enabled; a list another page fetched recently comes from the query cache
   useEffect(() => {
     if (autoFetch) {
-      fetchTournaments(true);
+      fetchTournaments();
     }
   }, [autoFetch, fetchTournaments]);
 
+  // A stale list was served while it revalidated; pick up the newer one
+  useEffect(() => subscribeQueries((event, detail) => {
+    if (event === QUERY_EVENTS.UPDATED && detail.path === '/tournaments') {
+      fetchTournaments().catch(() => {});
+    }
+  }), [fetchTournaments]);
+
   // Listen for tournament creation events
   useEffect(() => {
     const handleTournamentCreated = () => {
@@ -3,10 +3,14 @@ import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
 import './index.css'
 import { initializeApi } from './config/api.js'
+import { registerServiceWorker } from './utils/serviceWorker.js'
 
 // Initialize API with backend detection
 initializeApi().catch(console.warn);
 
+// Cache the app shell so pages already visited open offline
+window.addEventListener('load', registerServiceWorker);
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <App />
@@ -6,9 +6,11 @@ import { Trophy, Users, Clock, Award, Play, Shield, AlertCircle, CheckCircle } f
 import { tournamentAPI, checkApiHealth, warmupApi } from '../config/api';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import { useParticipationStatus } from '../hooks/useParticipationStatus';
+import { can, ACTIONS, RESOURCES } from '../utils/permissions';
 
 const Home = () => {
   const { isAuthenticated, user } = useAuth();
+  const canPlay = can(user, ACTIONS.PLAY, RESOURCES.TOURNAMENT);
   const [stats, setStats] = useState({
     totalTournaments: 0,
     ongoingTournaments: 0,
@@ -156,7 +158,7 @@ const Home = () => {
           </div>
         </div>
         
-        {isAuthenticated && user?.role === 'PLAYER' && status.label === 'Ongoing' && (
+        {isAuthenticated && canPlay && status.label === 'Ongoing' && (
           <div className="mt-4">
             {!participationLoading && hasParticipated ? (
               <div className="space-y-2">
@@ -269,7 +271,7 @@ const Home = () => {
               </div>
             ) : (
               <div className="flex flex-col sm:flex-row gap-4 justify-center">
-                {user?.role === 'PLAYER' ? (
+                {canPlay ? (
                   <>
                     <Link 
                       to="/player/ongoing" 
@@ -348,7 +350,7 @@ const Home = () => {
           
           <div className="text-center">
             <Link 
-              to={isAuthenticated ? (user?.role === 'PLAYER' ? '/player/tournaments' : '/admin/tournaments') : '/login'} 
+              to={isAuthenticated ? (canPlay ? '/player/tournaments' : '/admin/tournaments') : '/login'} 
               className="btn-primary"
             >
               View All Tournaments
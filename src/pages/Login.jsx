@@ -4,6 +4,8 @@ import { Link, useNavigate, useLocation, useSearchParams } from 'react-router-do
 import { useAuth } from '../contexts/AuthContext';
 import { Trophy, Mail, Lock, Eye, EyeOff, AlertCircle, Wifi, WifiOff } from 'lucide-react';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import BackendSwitcher from '../components/BackendSwitcher';
+import { getLocationPath } from '../utils/routeAccess';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -18,7 +20,7 @@ const Login = () => {
   const location = useLocation();
   const [searchParams] = useSearchParams();
 
-  const from = location.state?.from?.pathname || '/';
+  const from = getLocationPath(location.state?.from);
   const message = location.state?.message || searchParams.get('message');
 
   // Check online status
@@ -250,6 +252,9 @@ const Login = () => {
             </button>
           </div>
         </form>
+
+        {/* Signed out, the admin page is out of reach; in development the backend can be picked here */}
+        {import.meta.env.DEV && <BackendSwitcher />}
       </div>
     </div>
   );
@@ -1,11 +1,17 @@
 import React, { useState, useEffect } from 'react';
+import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { userAPI } from '../config/api';
-import { User, Mail, Phone, Calendar, Trophy, Save, Edit } from 'lucide-react';
+import { User, Mail, Phone, Calendar, Trophy, Save, Edit, ArrowRight } from 'lucide-react';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import { REQUIRED_PROFILE_FIELDS, hasCompletedProfile, getLocationPath } from '../utils/routeAccess';
+import { getRoleLabel } from '../utils/permissions';
 
 const Profile = () => {
-  const { user: authUser } = useAuth();
+  const { user: authUser, updateUser } = useAuth();
+  const location = useLocation();
+  // Set when the user was sent here to finish their profile before opening another page
+  const returnTo = location.state?.from || null;
   const [user, setUser] = useState(null);
   const [isEditing, setIsEditing] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
@@ -47,6 +53,21 @@ const Profile = () => {
     }
   };
 
+  // Copy the fields route guards check into the signed-in user, so they see the latest profile
+  useEffect(() => {
+    if (!user || !authUser) return;
+
+    const fields = {};
+    REQUIRED_PROFILE_FIELDS.forEach(field => {
+      if (user[field] !== undefined) fields[field] = user[field];
+    });
+    if (typeof user.emailVerified === 'boolean') fields.emailVerified = user.emailVerified;
+
+    if (Object.keys(fields).some(field => fields[field] !== authUser[field])) {
+      updateUser({ ...authUser, ...fields });
+    }
+  }, [user, authUser, updateUser]);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -141,6 +162,16 @@ const Profile = () => {
               </div>
             )}
 
+            {returnTo && hasCompletedProfile(authUser) && (
+              <div className="mb-4 bg-blue-50 border border-blue-200 text-blue-700 px-4 py-3 rounded-md flex items-center justify-between">
+                <span>Your profile is complete.</span>
+                <Link to={getLocationPath(returnTo)} className="inline-flex items-center font-medium hover:text-blue-900">
+                  Continue
+                  <ArrowRight size={16} className="ml-1" />
+                </Link>
+              </div>
+            )}
+
             <form onSubmit={handleSubmit} className="space-y-6">
               {/* Basic Information */}
               <div>
@@ -213,7 +244,7 @@ const Profile = () => {
                       id="role"
                       name="role"
                       type="text"
-                      value={user?.role || ''}
+                      value={user?.role ? getRoleLabel(user.role) : ''}
                       disabled
                       className="form-input bg-gray-50"
                     />
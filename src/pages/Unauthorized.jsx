@@ -0,0 +1,121 @@
+import React from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { Home, ArrowLeft, ShieldOff, Mail, UserCheck, LogIn } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { ACCESS_DENIED_REASONS, getMissingProfileFields, getLocationPath } from '../utils/routeAccess';
+
+const FIELD_LABELS = {
+  firstName: 'first name',
+  lastName: 'last name',
+  email: 'email address'
+};
+
+const REASON_CONTENT = {
+  [ACCESS_DENIED_REASONS.ROLE]: {
+    icon: ShieldOff,
+    title: 'Access Denied',
+    description: "Your account doesn't have the role needed to open this page."
+  },
+  [ACCESS_DENIED_REASONS.PERMISSION]: {
+    icon: ShieldOff,
+    title: 'Access Denied',
+    description: "You don't have permission to open this page."
+  },
+  [ACCESS_DENIED_REASONS.EMAIL_UNVERIFIED]: {
+    icon: Mail,
+    title: 'Verify Your Email',
+    description: 'This page is only available once your email address is verified. Follow the link in the verification email we sent you, then sign in again.'
+  },
+  [ACCESS_DENIED_REASONS.PROFILE_INCOMPLETE]: {
+    icon: UserCheck,
+    title: 'Complete Your Profile',
+    description: 'Finish filling in your profile to open this page.'
+  }
+};
+
+const Unauthorized = () => {
+  const { isAuthenticated, user, logout } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  const reason = location.state?.reason || ACCESS_DENIED_REASONS.ROLE;
+  const from = location.state?.from || null;
+  const content = REASON_CONTENT[reason] || REASON_CONTENT[ACCESS_DENIED_REASONS.ROLE];
+  const Icon = content.icon;
+  const missingFields = reason === ACCESS_DENIED_REASONS.PROFILE_INCOMPLETE ? getMissingProfileFields(user) : [];
+
+  const handleSwitchAccount = () => {
+    logout();
+    navigate('/login', {
+      replace: true,
+      state: {
+        from,
+        message: 'Sign in with an account that can open this page.'
+      }
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <div className="text-center max-w-md">
+        <div className="mb-8">
+          <div className="bg-red-100 w-20 h-20 rounded-full flex items-center justify-center mx-auto mb-6">
+            <Icon className="text-red-600" size={40} />
+          </div>
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">{content.title}</h2>
+          <p className="text-gray-600">{content.description}</p>
+          {missingFields.length > 0 && (
+            <p className="text-gray-600 mt-2">
+              Missing: {missingFields.map(field => FIELD_LABELS[field] || field).join(', ')}
+            </p>
+          )}
+          {from && (
+            <p className="text-sm text-gray-500 mt-4">
+              Requested page: <span className="font-mono">{getLocationPath(from)}</span>
+            </p>
+          )}
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-4 justify-center">
+          {reason === ACCESS_DENIED_REASONS.PROFILE_INCOMPLETE ? (
+            <Link
+              to="/profile"
+              state={{ from }}
+              className="btn-primary inline-flex items-center justify-center space-x-2"
+            >
+              <UserCheck size={20} />
+              <span>Complete Profile</span>
+            </Link>
+          ) : (
+            <Link
+              to="/"
+              className="btn-primary inline-flex items-center justify-center space-x-2"
+            >
+              <Home size={20} />
+              <span>Go Home</span>
+            </Link>
+          )}
+          <button
+            onClick={() => window.history.back()}
+            className="btn-secondary inline-flex items-center justify-center space-x-2"
+          >
+            <ArrowLeft size={20} />
+            <span>Go Back</span>
+          </button>
+        </div>
+
+        {isAuthenticated && (
+          <button
+            onClick={handleSwitchAccount}
+            className="mt-6 inline-flex items-center text-sm text-gray-600 hover:text-gray-900"
+          >
+            <LogIn size={16} className="mr-1" />
+            Sign in as a different user
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Unauthorized;
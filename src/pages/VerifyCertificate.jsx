@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { ShieldCheck, ShieldX, Search } from 'lucide-react';
+import { certificateAPI } from '../config/api';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import { normalizeCertificate, normalizeCertificateCode } from '../utils/certificate';
+import { formatPoints } from '../utils/tournamentScoring';
+
+const VERIFY_STATUS = {
+  VALID: 'valid',
+  REVOKED: 'revoked',
+  NOT_FOUND: 'not-found',
+  ERROR: 'error'
+};
+
+const VerifyCertificate = () => {
+  const { code: codeParam } = useParams();
+  const navigate = useNavigate();
+  const code = normalizeCertificateCode(codeParam);
+
+  const [input, setInput] = useState(code);
+  const [certificate, setCertificate] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [isLoading, setIsLoading] = useState(Boolean(code));
+  const [error, setError] = useState('');
+
+  const verify = useCallback(async () => {
+    if (!code) return;
+    try {
+      setIsLoading(true);
+      setError('');
+      const response = await certificateAPI.verify(code);
+      const verified = normalizeCertificate(response.data, { code });
+      setCertificate(verified);
+      setStatus(verified.revoked ? VERIFY_STATUS.REVOKED : VERIFY_STATUS.VALID);
+    } catch (error) {
+      setCertificate(null);
+      if (error.response?.status === 404) {
+        setStatus(VERIFY_STATUS.NOT_FOUND);
+      } else {
+        console.error('Error verifying certificate:', error);
+        setStatus(VERIFY_STATUS.ERROR);
+        setError(error.response?.data?.message || 'Failed to reach the verification service. Please try again.');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  }, [code]);
+
+  useEffect(() => {
+    verify();
+  }, [verify]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const next = normalizeCertificateCode(input);
+    if (next) navigate(`/verify/${encodeURIComponent(next)}`);
+  };
+
+  const isValid = status === VERIFY_STATUS.VALID;
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-12 px-4">
+      <div className="max-w-lg mx-auto">
+        <h1 className="text-3xl font-bold text-gray-900 text-center mb-2">Verify a Certificate</h1>
+        <p className="text-gray-600 text-center mb-8">
+          Enter the verification code printed on a certificate to check that it is genuine.
+        </p>
+
+        <form onSubmit={handleSubmit} className="card mb-6 flex gap-3">
+          <input
+            type="text"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder="Verification code"
+            className="form-input font-mono flex-1"
+            aria-label="Verification code"
+            autoComplete="off"
+          />
+          <button type="submit" className="btn-primary inline-flex items-center space-x-2" disabled={!input.trim()}>
+            <Search size={16} />
+            <span>Verify</span>
+          </button>
+        </form>
+
+        {isLoading ? (
+          <div className="py-8">
+            <LoadingSpinner text="Checking certificate..." />
+          </div>
+        ) : status && (
+          <div className={`card border-2 ${isValid ? 'border-green-300' : 'border-red-300'}`}>
+            <div className="flex items-center space-x-3 mb-4">
+              <div className={`p-3 rounded-full ${isValid ? 'bg-green-100' : 'bg-red-100'}`}>
+                {isValid
+                  ? <ShieldCheck className="text-green-600" size={28} />
+                  : <ShieldX className="text-red-600" size={28} />}
+              </div>
+              <div>
+                <h2 className={`text-xl font-semibold ${isValid ? 'text-green-800' : 'text-red-800'}`}>
+                  {status === VERIFY_STATUS.VALID && 'Valid certificate'}
+                  {status === VERIFY_STATUS.REVOKED && 'Certificate revoked'}
+                  {status === VERIFY_STATUS.NOT_FOUND && 'Certificate not found'}
+                  {status === VERIFY_STATUS.ERROR && 'Could not verify'}
+                </h2>
+                <p className="text-sm text-gray-500 font-mono">{code}</p>
+              </div>
+            </div>
+
+            {status === VERIFY_STATUS.NOT_FOUND && (
+              <p className="text-gray-600">No certificate was issued with this code. Check it for typos and try again.</p>
+            )}
+            {status === VERIFY_STATUS.REVOKED && (
+              <p className="text-gray-600 mb-4">This certificate was issued but has since been withdrawn and is no longer valid.</p>
+            )}
+            {status === VERIFY_STATUS.ERROR && <p className="text-gray-600">{error}</p>}
+
+            {certificate && (
+              <dl className="grid grid-cols-3 gap-y-2 text-sm">
+                <dt className="text-gray-500">Awarded to</dt>
+                <dd className="col-span-2 font-medium text-gray-900">{certificate.playerName || '—'}</dd>
+                <dt className="text-gray-500">Tournament</dt>
+                <dd className="col-span-2 font-medium text-gray-900">{certificate.tournamentName || '—'}</dd>
+                <dt className="text-gray-500">Score</dt>
+                <dd className="col-span-2 font-medium text-gray-900">
+                  {certificate.percentage !== null ? `${certificate.percentage}%` : formatPoints(certificate.score)}
+                  {certificate.maxScore && (
+                    <span className="text-gray-500 font-normal">
+                      {' '}({formatPoints(certificate.score)} / {formatPoints(certificate.maxScore)})
+                    </span>
+                  )}
+                </dd>
+                <dt className="text-gray-500">Issued</dt>
+                <dd className="col-span-2 font-medium text-gray-900">
+                  {certificate.issuedAt ? new Date(certificate.issuedAt).toLocaleDateString() : '—'}
+                </dd>
+              </dl>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyCertificate;
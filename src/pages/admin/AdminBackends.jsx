@@ -0,0 +1,27 @@
+// src/pages/admin/AdminBackends.jsx - API environments the app can talk to, with health checks and pinning
+import React from 'react';
+import { Server } from 'lucide-react';
+import BackendSwitcher from '../../components/BackendSwitcher';
+
+const AdminBackends = () => (
+  <div className="min-h-screen bg-gray-50 py-8">
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+      {/* Header */}
+      <div className="mb-8 flex items-center space-x-3">
+        <div className="bg-primary-100 p-3 rounded-full">
+          <Server className="text-primary-600" size={24} />
+        </div>
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Backends</h1>
+          <p className="text-gray-600 mt-1">
+            Check each environment and pin the one to use. Switching signs everyone in this browser out
+          </p>
+        </div>
+      </div>
+
+      <BackendSwitcher />
+    </div>
+  </div>
+);
+
+export default AdminBackends;
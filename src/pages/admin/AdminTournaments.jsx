@@ -3,31 +3,64 @@
 // ================================
 
 import React, { useState, useEffect } from 'react';
-import { Link, useNavigate, useLocation } from 'react-router-dom';
-import { tournamentAPI, clearTournamentCache } from '../../config/api';
-import { Plus, Edit, Trash2, Eye, Trophy, Users, ThumbsUp, Calendar, AlertTriangle, CheckCircle, RefreshCw } from 'lucide-react';
+import { Link, useNavigate } from 'react-router-dom';
+import { tournamentAPI, clearTournamentCache, getCurrentApiUrl } from '../../config/api';
+import { Plus, Edit, Trash2, Eye, Trophy, Users, ThumbsUp, Calendar, AlertTriangle, CheckCircle, RefreshCw, Upload, Download, Radio, BarChart3 } from 'lucide-react';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import Modal from '../../components/common/Modal';
+import Pagination from '../../components/common/Pagination';
+import TournamentFilters from '../../components/TournamentFilters';
+import { useTournamentQuery } from '../../hooks/useTournamentQuery';
+import {
+  TOURNAMENT_STATUS,
+  DEFAULT_TOURNAMENT_FILTERS,
+  toTournamentQueryParams,
+  toTournamentPage,
+  hasActiveFilters
+} from '../../utils/tournamentQuery';
+import { buildTournamentPackage, getPackageFilename } from '../../utils/tournamentPackage';
+import { downloadJson } from '../../utils/download';
+import { useAuth } from '../../contexts/AuthContext';
+import { can, ACTIONS, RESOURCES } from '../../utils/permissions';
 
 const AdminTournaments = () => {
-  const [tournaments, setTournaments] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
+  const {
+    filters,
+    search,
+    setSearch,
+    setFilters,
+    setPage,
+    tournaments,
+    page,
+    totalPages,
+    totalItems,
+    isLoading,
+    error: listError,
+    refresh
+  } = useTournamentQuery();
+  const [counts, setCounts] = useState({ total: null, ongoing: null, upcoming: null });
   const [error, setError] = useState('');
   const [deleteModal, setDeleteModal] = useState({ isOpen: false, tournament: null });
   const [isDeleting, setIsDeleting] = useState(false);
   const [successMessage, setSuccessMessage] = useState('');
   const navigate = useNavigate();
-  const location = useLocation();
+  const { user } = useAuth();
+
+  const canCreate = can(user, ACTIONS.CREATE, RESOURCES.TOURNAMENT);
+  const canEdit = can(user, ACTIONS.UPDATE, RESOURCES.TOURNAMENT) || can(user, ACTIONS.UPDATE, RESOURCES.QUESTION);
+  const canImport = can(user, ACTIONS.IMPORT, RESOURCES.QUESTION);
+  const canHost = can(user, ACTIONS.HOST, RESOURCES.TOURNAMENT);
+  const canExport = can(user, ACTIONS.EXPORT, RESOURCES.TOURNAMENT);
+  const canDelete = can(user, ACTIONS.DELETE, RESOURCES.TOURNAMENT);
+  const canViewAnalytics = can(user, ACTIONS.VIEW, RESOURCES.ANALYTICS);
+  const canExportResults = can(user, ACTIONS.EXPORT, RESOURCES.RESULT);
 
   useEffect(() => {
-    
-    // Always fetch tournaments when component mounts or location changes
-    fetchTournaments(true); // Force refresh on mount
-    
     // Listen for tournament creation events via localStorage
     const handleStorageChange = (e) => {
       if (e.key === 'tournament_created') {
-        fetchTournaments(true);
+        clearTournamentCache();
+        refresh();
         localStorage.removeItem('tournament_created');
       }
     };
@@ -37,88 +70,31 @@ const AdminTournaments = () => {
     return () => {
       window.removeEventListener('storage', handleStorageChange);
     };
-  }, [location.pathname]); // Dependency on location.pathname ensures refresh on navigation
+  }, [refresh]);
 
-  const fetchTournaments = async (forceClear = false) => {
-    try {
-      setIsLoading(true);
-      setError('');
-      
-      
-      // Force clear cache if requested
-      if (forceClear) {
-        clearTournamentCache();
-      }
-      
-      
-      // Fetch tournaments with force refresh to bypass cache
-      const response = await tournamentAPI.getAll(forceClear);
-      
-      // Handle different possible response structures more robustly
-      let tournamentsData = [];
-      
-      if (Array.isArray(response.data)) {
-        tournamentsData = response.data;
-      } else if (response.data && response.data.tournaments) {
-        tournamentsData = response.data.tournaments;
-      } else if (response.data && response.data.content) {
-        tournamentsData = response.data.content;
-      } else if (response.data && response.data.data) {
-        tournamentsData = response.data.data;
-      } else if (response.data) {
-        // Try to find any array in the response
-        const keys = Object.keys(response.data);
-        for (const key of keys) {
-          if (Array.isArray(response.data[key])) {
-            tournamentsData = response.data[key];
-            break;
-          }
-        }
-      }
-      
-      // Ensure we have an array
-      if (!Array.isArray(tournamentsData)) {
-        console.warn('⚠️ Admin: No valid tournament array found, using empty array');
-        tournamentsData = [];
-      }
-      
-      
-      // Update state with fetched tournaments
-      setTournaments(tournamentsData);
-      
-      // Clear any previous errors
-      setError('');
-      
-    } catch (error) {
-      console.error('❌ Admin: Error fetching tournaments:', error);
-      console.error('❌ Admin: Error details:', {
-        message: error.message,
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        url: error.config?.url,
-        baseURL: error.config?.baseURL
-      });
-      
-      // Set user-friendly error message based on error type
-      if (error.response?.status === 401) {
-        setError('Authentication required. Please log in again.');
-      } else if (error.response?.status === 403) {
-        setError('You do not have permission to view tournaments.');
-      } else if (error.response?.status === 404) {
-        setError('Tournament service not found. Please check your connection.');
-      } else if (error.response?.status >= 500) {
-        setError('Server error. Please try again later.');
-      } else if (error.code === 'NETWORK_ERROR') {
-        setError('Network error. Please check your internet connection.');
-      } else {
-        setError('Failed to fetch tournaments. Please try again.');
-      }
-      
-      // Set empty array on error to prevent undefined issues
-      setTournaments([]);
-    } finally {
-      setIsLoading(false);
-    }
+  // The stat cards count every tournament, not just the page on screen; one-item pages carry the totals
+  useEffect(() => {
+    let ignore = false;
+    const countTournaments = async (status) => {
+      const countFilters = { ...DEFAULT_TOURNAMENT_FILTERS, status };
+      const response = await tournamentAPI.query(toTournamentQueryParams(countFilters, 1));
+      return toTournamentPage(response.data, countFilters, 1).totalItems;
+    };
+
+    Promise.all(['', TOURNAMENT_STATUS.ONGOING, TOURNAMENT_STATUS.UPCOMING].map(countTournaments))
+      .then(([total, ongoing, upcoming]) => {
+        if (!ignore) setCounts({ total, ongoing, upcoming });
+      })
+      .catch(error => console.error('Error counting tournaments:', error));
+
+    return () => {
+      ignore = true;
+    };
+  }, [tournaments]);
+
+  const handleRefresh = () => {
+    clearTournamentCache();
+    refresh();
   };
 
   const handleDeleteTournament = async () => {
@@ -127,7 +103,7 @@ const AdminTournaments = () => {
     setIsDeleting(true);
     try {
       await tournamentAPI.delete(deleteModal.tournament.id);
-      setTournaments(prev => prev.filter(t => t.id !== deleteModal.tournament.id));
+      refresh();
       setDeleteModal({ isOpen: false, tournament: null });
       setSuccessMessage('Tournament deleted successfully');
       
@@ -141,6 +117,26 @@ const AdminTournaments = () => {
     }
   };
 
+  const handleExportTournament = async (tournament) => {
+    try {
+      setError('');
+      const [tournamentResponse, questionsResponse] = await Promise.all([
+        tournamentAPI.getById(tournament.id),
+        tournamentAPI.getQuestions(tournament.id).catch(() => ({ data: [] }))
+      ]);
+
+      const questions = Array.isArray(questionsResponse.data) ? questionsResponse.data : [];
+      const tournamentPackage = buildTournamentPackage(tournamentResponse.data, questions, getCurrentApiUrl());
+      downloadJson(tournamentPackage, getPackageFilename(tournamentResponse.data));
+
+      setSuccessMessage(`Exported "${tournament.name}" with ${questions.length} questions`);
+      setTimeout(() => setSuccessMessage(''), 5000);
+    } catch (error) {
+      console.error('Error exporting tournament:', error);
+      setError(error.response?.data?.message || 'Failed to export tournament');
+    }
+  };
+
   const getTournamentStatus = (tournament) => {
     const now = new Date();
     const startDate = new Date(tournament.startDate);
@@ -187,20 +183,69 @@ const AdminTournaments = () => {
           </div>
           
           <div className="flex space-x-2">
-            <button
-              onClick={() => navigate(`/admin/edit-tournament/${tournament.id}`)}
-              className="text-blue-600 hover:text-blue-800 p-2 hover:bg-blue-50 rounded-md transition-colors"
-              title="Edit Tournament"
-            >
-              <Edit size={18} />
-            </button>
-            <button
-              onClick={() => setDeleteModal({ isOpen: true, tournament })}
-              className="text-red-600 hover:text-red-800 p-2 hover:bg-red-50 rounded-md transition-colors"
-              title="Delete Tournament"
-            >
-              <Trash2 size={18} />
-            </button>
+            {canEdit && (
+              <button
+                onClick={() => navigate(`/admin/edit-tournament/${tournament.id}`)}
+                className="text-blue-600 hover:text-blue-800 p-2 hover:bg-blue-50 rounded-md transition-colors"
+                title="Edit Tournament"
+              >
+                <Edit size={18} />
+              </button>
+            )}
+            {canImport && (
+              <button
+                onClick={() => navigate(`/admin/import-questions/${tournament.id}`)}
+                className="text-primary-600 hover:text-primary-800 p-2 hover:bg-primary-50 rounded-md transition-colors"
+                title="Import Questions"
+              >
+                <Upload size={18} />
+              </button>
+            )}
+            {canHost && (
+              <button
+                onClick={() => navigate(`/admin/live/${tournament.id}`)}
+                className="text-red-600 hover:text-red-800 p-2 hover:bg-red-50 rounded-md transition-colors"
+                title="Host Live Session"
+              >
+                <Radio size={18} />
+              </button>
+            )}
+            {canViewAnalytics && (
+              <button
+                onClick={() => navigate(`/admin/analytics/${tournament.id}`)}
+                className="text-purple-600 hover:text-purple-800 p-2 hover:bg-purple-50 rounded-md transition-colors"
+                title="View Analytics"
+              >
+                <BarChart3 size={18} />
+              </button>
+            )}
+            {canExportResults && (
+              <button
+                onClick={() => navigate(`/player/tournaments/${tournament.id}/results`)}
+                className="text-yellow-600 hover:text-yellow-800 p-2 hover:bg-yellow-50 rounded-md transition-colors"
+                title="Results & Export"
+              >
+                <Trophy size={18} />
+              </button>
+            )}
+            {canExport && (
+              <button
+                onClick={() => handleExportTournament(tournament)}
+                className="text-gray-600 hover:text-gray-800 p-2 hover:bg-gray-100 rounded-md transition-colors"
+                title="Export Tournament"
+              >
+                <Download size={18} />
+              </button>
+            )}
+            {canDelete && (
+              <button
+                onClick={() => setDeleteModal({ isOpen: true, tournament })}
+                className="text-red-600 hover:text-red-800 p-2 hover:bg-red-50 rounded-md transition-colors"
+                title="Delete Tournament"
+              >
+                <Trash2 size={18} />
+              </button>
+            )}
           </div>
         </div>
 
@@ -287,14 +332,6 @@ const AdminTournaments = () => {
     }
   }, []);
 
-  if (isLoading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center">
-        <LoadingSpinner size="lg" text="Loading tournaments..." />
-      </div>
-    );
-  }
-
   return (
     <div className="min-h-screen bg-gray-50 py-8">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -307,7 +344,7 @@ const AdminTournaments = () => {
             </div>
             <div className="flex items-center space-x-3">
               <button
-                onClick={fetchTournaments}
+                onClick={handleRefresh}
                 disabled={isLoading}
                 className="btn-secondary inline-flex items-center space-x-2 disabled:opacity-50"
                 title="Refresh tournaments list"
@@ -315,13 +352,24 @@ const AdminTournaments = () => {
                 <RefreshCw className="w-4 h-4" />
                 <span>Refresh</span>
               </button>
-              <Link
-                to="/admin/create-tournament"
-                className="btn-primary inline-flex items-center space-x-2"
-              >
-                <Plus size={20} />
-                <span>Create Tournament</span>
-              </Link>
+              {canViewAnalytics && (
+                <Link
+                  to="/admin/analytics"
+                  className="btn-secondary inline-flex items-center space-x-2"
+                >
+                  <BarChart3 className="w-4 h-4" />
+                  <span>Analytics</span>
+                </Link>
+              )}
+              {canCreate && (
+                <Link
+                  to="/admin/create-tournament"
+                  className="btn-primary inline-flex items-center space-x-2"
+                >
+                  <Plus size={20} />
+                  <span>Create Tournament</span>
+                </Link>
+              )}
             </div>
           </div>
         </div>
@@ -341,10 +389,10 @@ const AdminTournaments = () => {
         )}
 
         {/* Error Message */}
-        {error && (
+        {(error || listError) && (
           <div className="mb-6 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md flex items-center space-x-2">
             <AlertTriangle size={20} />
-            <span>{error}</span>
+            <span>{error || listError}</span>
             <button 
               onClick={() => setError('')}
               className="ml-auto text-red-500 hover:text-red-700"
@@ -362,7 +410,7 @@ const AdminTournaments = () => {
                 <Trophy className="text-blue-600" size={24} />
               </div>
               <div className="ml-4">
-                <p className="text-2xl font-bold text-gray-900">{tournaments.length}</p>
+                <p className="text-2xl font-bold text-gray-900">{counts.total ?? '—'}</p>
                 <p className="text-gray-600">Total Tournaments</p>
               </div>
             </div>
@@ -375,7 +423,7 @@ const AdminTournaments = () => {
               </div>
               <div className="ml-4">
                 <p className="text-2xl font-bold text-gray-900">
-                  {tournaments.filter(t => getTournamentStatus(t).label === 'Ongoing').length}
+                  {counts.ongoing ?? '—'}
                 </p>
                 <p className="text-gray-600">Active Now</p>
               </div>
@@ -389,7 +437,7 @@ const AdminTournaments = () => {
               </div>
               <div className="ml-4">
                 <p className="text-2xl font-bold text-gray-900">
-                  {tournaments.filter(t => getTournamentStatus(t).label === 'Upcoming').length}
+                  {counts.upcoming ?? '—'}
                 </p>
                 <p className="text-gray-600">Upcoming</p>
               </div>
@@ -405,33 +453,67 @@ const AdminTournaments = () => {
                 <p className="text-2xl font-bold text-gray-900">
                   {tournaments.reduce((sum, t) => sum + (t.participantCount || 0), 0)}
                 </p>
-                <p className="text-gray-600">Total Participants</p>
+                <p className="text-gray-600">Participants on This Page</p>
               </div>
             </div>
           </div>
         </div>
 
+        <TournamentFilters
+          search={search}
+          onSearchChange={setSearch}
+          filters={filters}
+          onChange={setFilters}
+        />
+
         {/* Tournaments Grid */}
-        {tournaments.length === 0 ? (
+        {isLoading && tournaments.length === 0 ? (
+          <div className="py-12">
+            <LoadingSpinner size="lg" text="Loading tournaments..." />
+          </div>
+        ) : tournaments.length === 0 && hasActiveFilters(filters) ? (
+          <div className="text-center py-12">
+            <Trophy className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No matching tournaments</h3>
+            <p className="text-gray-600">Try a different search or fewer filters</p>
+          </div>
+        ) : tournaments.length === 0 ? (
           <div className="text-center py-12">
             <Trophy className="mx-auto h-12 w-12 text-gray-400 mb-4" />
             <h3 className="text-lg font-medium text-gray-900 mb-2">No tournaments created yet</h3>
-            <p className="text-gray-600 mb-6">
-              Create your first tournament to get started with the quiz platform
-            </p>
-            <Link
-              to="/admin/create-tournament"
-              className="btn-primary"
-            >
-              Create Your First Tournament
-            </Link>
+            {canCreate ? (
+              <>
+                <p className="text-gray-600 mb-6">
+                  Create your first tournament to get started with the quiz platform
+                </p>
+                <Link
+                  to="/admin/create-tournament"
+                  className="btn-primary"
+                >
+                  Create Your First Tournament
+                </Link>
+              </>
+            ) : (
+              <p className="text-gray-600">
+                Questions can be added once a moderator creates a tournament
+              </p>
+            )}
           </div>
         ) : (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {tournaments.map(tournament => (
-              <TournamentCard key={tournament.id} tournament={tournament} />
-            ))}
-          </div>
+          <>
+            <div className={`grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 ${isLoading ? 'opacity-60' : ''}`}>
+              {tournaments.map(tournament => (
+                <TournamentCard key={tournament.id} tournament={tournament} />
+              ))}
+            </div>
+            <Pagination
+              currentPage={page}
+              totalPages={totalPages}
+              totalItems={totalItems}
+              onPageChange={setPage}
+              disabled={isLoading}
+            />
+          </>
         )}
 
         {/* Delete Confirmation Modal */}
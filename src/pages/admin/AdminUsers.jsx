@@ -0,0 +1,205 @@
+// src/pages/admin/AdminUsers.jsx - Searchable user list with account, role and attempt controls
+import React, { useState, useEffect, useCallback } from 'react';
+import { Users, Search, RefreshCw, ChevronRight } from 'lucide-react';
+import { userAPI } from '../../config/api';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import Modal from '../../components/common/Modal';
+import Pagination from '../../components/common/Pagination';
+import UserDetail from '../../components/admin/UserDetail';
+import { useDebounce } from '../../hooks/useOptimizations';
+import { getRoleLabel } from '../../utils/permissions';
+import { normalizeAdminUser, filterUsers, USER_STATUS_OPTIONS } from '../../utils/userAdmin';
+import { normalizePage, toPageParams, DEFAULT_PAGE_SIZE } from '../../utils/pagination';
+
+const AdminUsers = () => {
+  const [users, setUsers] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalItems, setTotalItems] = useState(0);
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selectedUserId, setSelectedUserId] = useState(null);
+
+  const debouncedSearch = useDebounce(search.trim(), 300);
+
+  // A new search or filter starts again from the first page, before the next fetch goes out
+  const [filters, setFilters] = useState({ search: debouncedSearch, status });
+  if (filters.search !== debouncedSearch || filters.status !== status) {
+    setFilters({ search: debouncedSearch, status });
+    setPage(1);
+  }
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const response = await userAPI.list({
+        ...toPageParams({ page, size: DEFAULT_PAGE_SIZE }),
+        ...(debouncedSearch && { search: debouncedSearch }),
+        ...(status && { status })
+      });
+
+      // An endpoint that returns everyone at once is searched and paged here instead
+      const data = Array.isArray(response.data)
+        ? filterUsers(response.data, { search: debouncedSearch, status })
+        : response.data;
+      const result = normalizePage(data, { page, size: DEFAULT_PAGE_SIZE });
+
+      setUsers(result.items.map(normalizeAdminUser));
+      setTotalPages(result.totalPages);
+      setTotalItems(result.totalItems);
+    } catch (error) {
+      console.error('Error loading users:', error);
+      setError(error.response?.data?.message || 'Failed to load users');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [page, debouncedSearch, status]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const handleUserChange = (updated) => {
+    setUsers(prev => prev.map(user => user.id === updated.id ? updated : user));
+  };
+
+  const closeDetail = useCallback(() => setSelectedUserId(null), []);
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8 flex justify-between items-center">
+          <div className="flex items-center space-x-3">
+            <div className="bg-primary-100 p-3 rounded-full">
+              <Users className="text-primary-600" size={24} />
+            </div>
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">User Management</h1>
+              <p className="text-gray-600 mt-1">Find users, manage their accounts, roles and attempts</p>
+            </div>
+          </div>
+          <button
+            onClick={fetchUsers}
+            disabled={isLoading}
+            className="btn-secondary inline-flex items-center space-x-2 disabled:opacity-50"
+          >
+            <RefreshCw className="w-4 h-4" />
+            <span>Refresh</span>
+          </button>
+        </div>
+
+        {/* Filters */}
+        <div className="card mb-6 flex flex-col md:flex-row gap-4">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search by name, username or email"
+              className="form-input pl-10"
+              aria-label="Search users"
+            />
+          </div>
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="form-input md:w-48"
+            aria-label="Filter by status"
+          >
+            {USER_STATUS_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {error && (
+          <div className="mb-6 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md">
+            {error}
+          </div>
+        )}
+
+        {/* User list */}
+        <div className="card p-0 overflow-hidden">
+          {isLoading && users.length === 0 ? (
+            <div className="py-12">
+              <LoadingSpinner text="Loading users..." />
+            </div>
+          ) : users.length === 0 ? (
+            <p className="text-center text-gray-500 py-12">
+              {debouncedSearch || status ? 'No users match these filters' : 'No users yet'}
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Roles</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th className="px-4 py-3" />
+                  </tr>
+                </thead>
+                <tbody className={`bg-white divide-y divide-gray-100 ${isLoading ? 'opacity-50' : ''}`}>
+                  {users.map(user => (
+                    <tr
+                      key={user.id}
+                      onClick={() => setSelectedUserId(user.id)}
+                      className="hover:bg-gray-50 cursor-pointer"
+                    >
+                      <td className="px-4 py-3">
+                        <p className="font-medium text-gray-900">{user.name}</p>
+                        <p className="text-sm text-gray-500">@{user.username}</p>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-600">{user.email}</td>
+                      <td className="px-4 py-3">
+                        <div className="flex flex-wrap gap-1">
+                          {user.roles.map(role => (
+                            <span key={role} className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                              {getRoleLabel(role)}
+                            </span>
+                          ))}
+                        </div>
+                      </td>
+                      <td className="px-4 py-3">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                          user.enabled ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                        }`}>
+                          {user.enabled ? 'Active' : 'Disabled'}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 text-right">
+                        <ChevronRight size={16} className="text-gray-400 inline" />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <Pagination
+            currentPage={page}
+            totalPages={totalPages}
+            totalItems={totalItems}
+            onPageChange={setPage}
+            disabled={isLoading}
+          />
+        </div>
+      </div>
+
+      <Modal isOpen={selectedUserId !== null} onClose={closeDetail} title="User Details" size="2xl">
+        {selectedUserId !== null && (
+          <UserDetail userId={selectedUserId} onUserChange={handleUserChange} />
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default AdminUsers;
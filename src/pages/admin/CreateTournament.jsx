@@ -2,9 +2,17 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { tournamentAPI, testAPI } from '../../config/api';
-import { Calendar, Trophy, Tag, Target, ArrowLeft, AlertCircle, CheckCircle } from 'lucide-react';
+import { Calendar, Trophy, Tag, Target, ArrowLeft, AlertCircle, CheckCircle, Upload, Clock } from 'lucide-react';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import QuestionEditor from '../../components/admin/QuestionEditor';
+import FeedbackModeSelect from '../../components/admin/FeedbackModeSelect';
+import ScoringRulesEditor from '../../components/admin/ScoringRulesEditor';
 import { validators } from '../../utils/validation';
+import { validateQuestions, draftToPayload, questionToDraft } from '../../utils/questionUtils';
+import { parseTournamentPackage, rescheduleIfPast } from '../../utils/tournamentPackage';
+import { isValidTournamentTimeLimit, MAX_TOURNAMENT_TIME_LIMIT } from '../../utils/quizTimer';
+import { DEFAULT_FEEDBACK_MODE, getFeedbackMode, getFeedbackModeLabel } from '../../utils/feedbackMode';
+import { getScoringRules, validateScoringRules, describeScoringRules } from '../../utils/tournamentScoring';
 
 const CreateTournament = () => {
   const navigate = useNavigate();
@@ -12,6 +20,8 @@ const CreateTournament = () => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [availableCategories, setAvailableCategories] = useState([]);
+  const [questions, setQuestions] = useState([]);
+  const [scoringRules, setScoringRules] = useState(() => getScoringRules(null));
   
   const [formData, setFormData] = useState(() => {
     const now = new Date();
@@ -24,7 +34,9 @@ const CreateTournament = () => {
       difficulty: 'medium',
       startDate: fiveMinutesFromNow.toISOString().slice(0, 16),
       endDate: thirtyMinutesFromNow.toISOString().slice(0, 16),
-      minimumPassingScore: 70
+      minimumPassingScore: 70,
+      timeLimit: '',
+      feedbackMode: DEFAULT_FEEDBACK_MODE
     };
   });
 
@@ -90,6 +102,48 @@ const CreateTournament = () => {
     }
   };
 
+  // Prefill the form from an exported tournament package
+  const handlePackageImport = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    try {
+      setError('');
+      setSuccess('');
+
+      const { tournament, questions: packageQuestions } = parseTournamentPackage(await file.text());
+      const schedule = rescheduleIfPast(tournament.startDate, tournament.endDate);
+
+      if (tournament.category && !availableCategories.includes(tournament.category)) {
+        setAvailableCategories(prev => [...prev, tournament.category]);
+      }
+
+      setFormData(prev => ({
+        ...prev,
+        name: tournament.name || '',
+        category: tournament.category || '',
+        difficulty: tournament.difficulty || 'medium',
+        startDate: schedule.startDate ? new Date(schedule.startDate).toISOString().slice(0, 16) : prev.startDate,
+        endDate: schedule.endDate ? new Date(schedule.endDate).toISOString().slice(0, 16) : prev.endDate,
+        minimumPassingScore: tournament.minimumPassingScore ?? 70,
+        timeLimit: tournament.timeLimit ?? '',
+        feedbackMode: getFeedbackMode(tournament)
+      }));
+      setQuestions(packageQuestions.map((q, index) => questionToDraft({ ...q, id: null }, index)));
+      setScoringRules(getScoringRules(tournament));
+
+      setSuccess(
+        `Loaded "${tournament.name}" with ${packageQuestions.length} questions.` +
+        (schedule.rescheduled ? ' The original dates had passed, so the schedule was moved forward.' : '') +
+        ' Review the details and create the tournament.'
+      );
+    } catch (error) {
+      setError(error.message || 'Failed to read tournament package');
+    } finally {
+      e.target.value = '';
+    }
+  };
+
   const validateForm = () => {
     try {
       const errors = [];
@@ -148,6 +202,17 @@ const CreateTournament = () => {
         errors.push('Minimum passing score must be between 0 and 100');
       }
 
+      // Time limit validation
+      if (!isValidTournamentTimeLimit(formData.timeLimit)) {
+        errors.push(`Time limit must be a whole number of minutes between 1 and ${MAX_TOURNAMENT_TIME_LIMIT}`);
+      }
+
+      // Scoring rules validation
+      errors.push(...validateScoringRules(scoringRules));
+
+      // Custom question validation
+      errors.push(...validateQuestions(questions));
+
       return errors;
     } catch (error) {
       console.error('Error in validateForm:', error);
@@ -177,15 +242,46 @@ const CreateTournament = () => {
         difficulty: formData.difficulty,
         startDate: new Date(formData.startDate).toISOString(),
         endDate: new Date(formData.endDate).toISOString(),
-        minimumPassingScore: parseInt(formData.minimumPassingScore)
+        minimumPassingScore: parseInt(formData.minimumPassingScore),
+        timeLimit: formData.timeLimit ? parseInt(formData.timeLimit) : null,
+        feedbackMode: formData.feedbackMode,
+        scoringRules: getScoringRules({ scoringRules })
       };
 
 
       // FIXED: Create tournament and handle response properly
       const response = await tournamentAPI.create(tournamentData);
       
-      // Show success message
+      // Without an ID the questions can't be attached, and nothing tells us where the tournament went
+      const tournamentId = response.data?.id;
+      if (tournamentId == null) {
+        throw new Error('The server did not return the new tournament. Check the tournament list before trying again.');
+      }
       const tournamentName = response.data?.name || tournamentData.name;
+      
+      // Save custom questions in one bulk call once the tournament exists. The tournament is already there,
+      // so a failure goes to its edit page to finish the questions rather than inviting a duplicate
+      if (questions.length > 0) {
+        try {
+          await tournamentAPI.importQuestions(
+            tournamentId,
+            questions.map((question, index) => draftToPayload(question, index))
+          );
+        } catch (questionsError) {
+          console.error('Error saving tournament questions:', questionsError);
+          localStorage.setItem('tournament_created', Date.now().toString());
+          const reason = questionsError.response?.data?.message || 'the server rejected them';
+          navigate(`/admin/edit-tournament/${tournamentId}`, {
+            state: {
+              error: `Tournament "${tournamentName}" was created, but its questions were not all saved (${reason}). ` +
+                'Check the questions below and save again - do not create the tournament again.'
+            }
+          });
+          return;
+        }
+      }
+      
+      // Show success message
       setSuccess(`Tournament "${tournamentName}" created successfully!`);
       
       // FIXED: Trigger refresh for AdminTournaments component
@@ -198,8 +294,12 @@ const CreateTournament = () => {
         difficulty: 'medium',
         startDate: '',
         endDate: '',
-        minimumPassingScore: 70
+        minimumPassingScore: 70,
+        timeLimit: '',
+        feedbackMode: DEFAULT_FEEDBACK_MODE
       });
+      setQuestions([]);
+      setScoringRules(getScoringRules(null));
       
       // FIXED: Navigate back immediately to refresh the tournament list
       // The AdminTournaments component will fetch fresh data when it mounts
@@ -286,14 +386,31 @@ const CreateTournament = () => {
             Back to Tournaments
           </button>
           
-          <div className="flex items-center space-x-3">
-            <div className="bg-primary-100 p-3 rounded-full">
-              <Trophy className="text-primary-600" size={24} />
-            </div>
-            <div>
-              <h1 className="text-3xl font-bold text-gray-900">Create Tournament</h1>
-              <p className="text-gray-600 mt-1">Set up a new quiz tournament for players</p>
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-3">
+              <div className="bg-primary-100 p-3 rounded-full">
+                <Trophy className="text-primary-600" size={24} />
+              </div>
+              <div>
+                <h1 className="text-3xl font-bold text-gray-900">Create Tournament</h1>
+                <p className="text-gray-600 mt-1">Set up a new quiz tournament for players</p>
+              </div>
             </div>
+
+            <label
+              className="btn-secondary inline-flex items-center space-x-2 cursor-pointer"
+              title="Clone a tournament from an exported package"
+            >
+              <Upload size={16} />
+              <span>Import Package</span>
+              <input
+                type="file"
+                accept=".json,application/json"
+                onChange={handlePackageImport}
+                className="hidden"
+                disabled={isLoading}
+              />
+            </label>
           </div>
         </div>
 
@@ -447,6 +564,38 @@ const CreateTournament = () => {
               </p>
             </div>
 
+            {/* Time Limit */}
+            <div>
+              <label htmlFor="timeLimit" className="form-label">
+                Time Limit (minutes)
+              </label>
+              <div className="relative">
+                <Clock className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
+                <input
+                  id="timeLimit"
+                  name="timeLimit"
+                  type="number"
+                  min="1"
+                  max={MAX_TOURNAMENT_TIME_LIMIT}
+                  value={formData.timeLimit}
+                  onChange={handleChange}
+                  className="form-input pl-10"
+                  placeholder="No limit"
+                />
+              </div>
+              <p className="mt-1 text-sm text-gray-500">
+                Optional. Attempts are always submitted when the tournament ends, whichever comes first
+              </p>
+            </div>
+
+            {/* Answer Feedback */}
+            <FeedbackModeSelect value={formData.feedbackMode} onChange={handleChange} />
+
+            {/* Scoring Rules */}
+            <div className="pt-6 border-t border-gray-200">
+              <ScoringRulesEditor rules={scoringRules} onChange={setScoringRules} />
+            </div>
+
             {/* Preview */}
             <div className="bg-gray-50 p-4 rounded-lg">
               <h3 className="font-medium text-gray-900 mb-2">Tournament Preview</h3>
@@ -460,9 +609,26 @@ const CreateTournament = () => {
                     : 'Not set'
                 }</p>
                 <p><span className="font-medium">Pass Score:</span> {formData.minimumPassingScore}%</p>
+                <p><span className="font-medium">Time Limit:</span> {
+                  formData.timeLimit ? `${formData.timeLimit} minutes` : 'Until the tournament ends'
+                }</p>
+                <p><span className="font-medium">Feedback:</span> {getFeedbackModeLabel(formData.feedbackMode)}</p>
+                <p><span className="font-medium">Scoring:</span> {describeScoringRules(getScoringRules({ scoringRules }))}</p>
+                <p><span className="font-medium">Questions:</span> {
+                  questions.length > 0 ? `${questions.length} custom` : 'Fetched from category'
+                }</p>
               </div>
             </div>
 
+            {/* Question Bank */}
+            <div className="pt-6 border-t border-gray-200">
+              <QuestionEditor
+                questions={questions}
+                onChange={setQuestions}
+                disabled={isLoading}
+              />
+            </div>
+
             {/* Action Buttons */}
             <div className="flex flex-wrap justify-end gap-2 pt-6 border-t border-gray-200">
               <button
@@ -492,8 +658,9 @@ const CreateTournament = () => {
         <div className="mt-8 bg-blue-50 border border-blue-200 rounded-lg p-4">
           <h3 className="font-medium text-blue-900 mb-2">Tournament Creation Tips</h3>
           <ul className="text-sm text-blue-800 space-y-1">
-            <li>• Questions will be automatically fetched from the selected category</li>
-            <li>• Each tournament will have exactly 10 questions</li>
+            <li>• Add your own questions, or leave the list empty to fetch 10 from the selected category</li>
+            <li>• Mark exactly one correct answer for every custom question</li>
+            <li>• Per-question time limits move players on automatically when they run out</li>
             <li>• Players can only participate once per tournament</li>
             <li>• You can edit tournament name and dates after creation, but not category or difficulty</li>
           </ul>
@@ -1,25 +1,42 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { tournamentAPI } from '../../config/api';
-import { Calendar, Trophy, ArrowLeft, AlertCircle, CheckCircle, Info } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { Calendar, Trophy, ArrowLeft, AlertCircle, CheckCircle, Info, Clock } from 'lucide-react';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import QuestionEditor from '../../components/admin/QuestionEditor';
+import FeedbackModeSelect from '../../components/admin/FeedbackModeSelect';
+import ScoringRulesEditor from '../../components/admin/ScoringRulesEditor';
 import { validators } from '../../utils/validation';
+import { questionToDraft, validateQuestions, diffQuestions } from '../../utils/questionUtils';
+import { isValidTournamentTimeLimit, MAX_TOURNAMENT_TIME_LIMIT } from '../../utils/quizTimer';
+import { DEFAULT_FEEDBACK_MODE, getFeedbackMode, getFeedbackModeLabel } from '../../utils/feedbackMode';
+import { getScoringRules, validateScoringRules, describeScoringRules } from '../../utils/tournamentScoring';
+import { can, ACTIONS, RESOURCES } from '../../utils/permissions';
 
 const EditTournament = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const location = useLocation();
+  const { user } = useAuth();
   
   const [tournament, setTournament] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [isSaving, setIsSaving] = useState(false);
-  const [error, setError] = useState('');
+  // Set when CreateTournament made the tournament but couldn't save all of its questions
+  const [error, setError] = useState(location.state?.error || '');
   const [success, setSuccess] = useState('');
   
   const [formData, setFormData] = useState({
     name: '',
     startDate: '',
-    endDate: ''
+    endDate: '',
+    timeLimit: '',
+    feedbackMode: DEFAULT_FEEDBACK_MODE
   });
+  const [questions, setQuestions] = useState([]);
+  const [originalQuestions, setOriginalQuestions] = useState([]);
+  const [scoringRules, setScoringRules] = useState(() => getScoringRules(null));
 
   useEffect(() => {
     fetchTournament();
@@ -35,8 +52,25 @@ const EditTournament = () => {
       setFormData({
         name: tournamentData.name,
         startDate: new Date(tournamentData.startDate).toISOString().slice(0, 16),
-        endDate: new Date(tournamentData.endDate).toISOString().slice(0, 16)
+        endDate: new Date(tournamentData.endDate).toISOString().slice(0, 16),
+        timeLimit: tournamentData.timeLimit ?? '',
+        feedbackMode: getFeedbackMode(tournamentData)
       });
+      setScoringRules(getScoringRules(tournamentData));
+
+      // Questions are optional - a tournament may still rely on category questions
+      try {
+        const questionsResponse = await tournamentAPI.getQuestions(id);
+        const drafts = Array.isArray(questionsResponse.data)
+          ? questionsResponse.data.map(questionToDraft)
+          : [];
+        setQuestions(drafts);
+        setOriginalQuestions(drafts);
+      } catch (questionsError) {
+        console.error('Error fetching tournament questions:', questionsError);
+        setQuestions([]);
+        setOriginalQuestions([]);
+      }
     } catch (error) {
       setError('Failed to load tournament details');
       console.error('Error fetching tournament:', error);
@@ -101,13 +135,21 @@ const EditTournament = () => {
       }
     }
 
+    if (!isValidTournamentTimeLimit(formData.timeLimit)) {
+      errors.push(`Time limit must be a whole number of minutes between 1 and ${MAX_TOURNAMENT_TIME_LIMIT}`);
+    }
+
+    errors.push(...validateScoringRules(scoringRules));
+    errors.push(...validateQuestions(questions));
+
     return errors;
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    const validationErrors = validateForm();
+    // Question authors only save questions, so the tournament details they can't touch aren't checked
+    const validationErrors = canEditDetails ? validateForm() : validateQuestions(questions);
     if (validationErrors.length > 0) {
       setError(validationErrors[0]);
       return;
@@ -116,14 +158,40 @@ const EditTournament = () => {
     setIsSaving(true);
     setError('');
 
+    // New questions that reached the server, so a retry updates them instead of creating them again
+    const createdIds = new Map();
+    let createdWithoutId = false;
+
     try {
       const updateData = {
         name: formData.name,
         startDate: new Date(formData.startDate).toISOString(),
-        endDate: new Date(formData.endDate).toISOString()
+        endDate: new Date(formData.endDate).toISOString(),
+        timeLimit: formData.timeLimit ? parseInt(formData.timeLimit) : null,
+        feedbackMode: formData.feedbackMode,
+        scoringRules: getScoringRules({ scoringRules })
       };
 
-      await tournamentAPI.update(id, updateData);
+      if (canEditDetails) {
+        await tournamentAPI.update(id, updateData);
+      }
+
+      // Apply question changes: deletions first, then edits and new questions
+      const { created, updated, deleted } = diffQuestions(originalQuestions, questions);
+      for (const question of deleted) {
+        await tournamentAPI.deleteQuestion(id, question.id);
+      }
+      for (const { draft, payload } of updated) {
+        await tournamentAPI.updateQuestion(id, draft.id, payload);
+      }
+      for (const { draft, payload } of created) {
+        const response = await tournamentAPI.createQuestion(id, payload);
+        if (response.data?.id != null) {
+          createdIds.set(draft, response.data.id);
+        } else {
+          createdWithoutId = true;
+        }
+      }
       
       setSuccess('Tournament updated successfully!');
       setTimeout(() => {
@@ -133,6 +201,21 @@ const EditTournament = () => {
     } catch (error) {
       const errorMessage = error.response?.data?.message || 'Failed to update tournament';
       setError(errorMessage);
+
+      // Some changes may already be saved; diff the next attempt against what the server now holds
+      if (createdIds.size > 0) {
+        setQuestions(prev => prev.map(draft => (createdIds.has(draft) ? { ...draft, id: createdIds.get(draft) } : draft)));
+      }
+      try {
+        if (createdWithoutId) {
+          throw new Error('A saved question came back without an ID');
+        }
+        const questionsResponse = await tournamentAPI.getQuestions(id, true);
+        setOriginalQuestions(Array.isArray(questionsResponse.data) ? questionsResponse.data.map(questionToDraft) : []);
+      } catch (questionsError) {
+        console.error('Error refreshing tournament questions:', questionsError);
+        setError(`${errorMessage}. Some changes may have been saved - reload the page before trying again.`);
+      }
     } finally {
       setIsSaving(false);
     }
@@ -152,6 +235,8 @@ const EditTournament = () => {
 
   const status = getTournamentStatus();
   const canEdit = tournament && status.label !== 'Completed';
+  const canEditDetails = canEdit && can(user, ACTIONS.UPDATE, RESOURCES.TOURNAMENT);
+  const canEditQuestions = canEdit && can(user, ACTIONS.UPDATE, RESOURCES.QUESTION);
 
   if (isLoading) {
     return (
@@ -244,6 +329,13 @@ const EditTournament = () => {
           </div>
         )}
 
+        {canEdit && !canEditDetails && (
+          <div className="mb-6 bg-blue-50 border border-blue-200 text-blue-700 px-4 py-3 rounded-md flex items-center space-x-2">
+            <Info size={20} />
+            <span>You can edit this tournament's questions. Ask a moderator to change its details.</span>
+          </div>
+        )}
+
         {/* Edit Form */}
         <div className="card">
           {error && (
@@ -275,8 +367,8 @@ const EditTournament = () => {
                   required
                   value={formData.name}
                   onChange={handleChange}
-                  disabled={!canEdit}
-                  className={`form-input pl-10 ${!canEdit ? 'bg-gray-50 cursor-not-allowed' : ''}`}
+                  disabled={!canEditDetails}
+                  className={`form-input pl-10 ${!canEditDetails ? 'bg-gray-50 cursor-not-allowed' : ''}`}
                   placeholder="Enter tournament name"
                   maxLength={100}
                 />
@@ -298,8 +390,8 @@ const EditTournament = () => {
                     required
                     value={formData.startDate}
                     onChange={handleChange}
-                    disabled={!canEdit}
-                    className={`form-input pl-10 ${!canEdit ? 'bg-gray-50 cursor-not-allowed' : ''}`}
+                    disabled={!canEditDetails}
+                    className={`form-input pl-10 ${!canEditDetails ? 'bg-gray-50 cursor-not-allowed' : ''}`}
                   />
                 </div>
               </div>
@@ -317,14 +409,47 @@ const EditTournament = () => {
                     required
                     value={formData.endDate}
                     onChange={handleChange}
-                    disabled={!canEdit}
-                    className={`form-input pl-10 ${!canEdit ? 'bg-gray-50 cursor-not-allowed' : ''}`}
+                    disabled={!canEditDetails}
+                    className={`form-input pl-10 ${!canEditDetails ? 'bg-gray-50 cursor-not-allowed' : ''}`}
                     min={formData.startDate}
                   />
                 </div>
               </div>
             </div>
 
+            {/* Time Limit */}
+            <div>
+              <label htmlFor="timeLimit" className="form-label">
+                Time Limit (minutes)
+              </label>
+              <div className="relative">
+                <Clock className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
+                <input
+                  id="timeLimit"
+                  name="timeLimit"
+                  type="number"
+                  min="1"
+                  max={MAX_TOURNAMENT_TIME_LIMIT}
+                  value={formData.timeLimit}
+                  onChange={handleChange}
+                  disabled={!canEditDetails}
+                  className={`form-input pl-10 ${!canEditDetails ? 'bg-gray-50 cursor-not-allowed' : ''}`}
+                  placeholder="No limit"
+                />
+              </div>
+              <p className="mt-1 text-sm text-gray-500">
+                Optional. Attempts are always submitted when the tournament ends, whichever comes first
+              </p>
+            </div>
+
+            {/* Answer Feedback */}
+            <FeedbackModeSelect value={formData.feedbackMode} onChange={handleChange} disabled={!canEditDetails} />
+
+            {/* Scoring Rules */}
+            <div className="pt-6 border-t border-gray-200">
+              <ScoringRulesEditor rules={scoringRules} onChange={setScoringRules} disabled={!canEditDetails} />
+            </div>
+
             {/* Preview */}
             <div className="bg-gray-50 p-4 rounded-lg">
               <h3 className="font-medium text-gray-900 mb-2">Updated Tournament Preview</h3>
@@ -338,9 +463,30 @@ const EditTournament = () => {
                     : 'Not set'
                 }</p>
                 <p><span className="font-medium">Pass Score:</span> {tournament.minimumPassingScore}% <span className="text-gray-500">(cannot be changed)</span></p>
+                <p><span className="font-medium">Time Limit:</span> {
+                  formData.timeLimit ? `${formData.timeLimit} minutes` : 'Until the tournament ends'
+                }</p>
+                <p><span className="font-medium">Feedback:</span> {getFeedbackModeLabel(formData.feedbackMode)}</p>
+                <p><span className="font-medium">Scoring:</span> {describeScoringRules(getScoringRules({ scoringRules }))}</p>
+                <p><span className="font-medium">Questions:</span> {questions.length}</p>
               </div>
             </div>
 
+            {/* Question Bank */}
+            <div className="pt-6 border-t border-gray-200">
+              {canEdit && status.label === 'Ongoing' && questions.length > 0 && (
+                <div className="mb-4 bg-amber-50 border border-amber-200 text-amber-700 px-4 py-3 rounded-md text-sm flex items-center space-x-2">
+                  <Info size={16} />
+                  <span>This tournament is live. Question changes only affect players who have not started yet.</span>
+                </div>
+              )}
+              <QuestionEditor
+                questions={questions}
+                onChange={setQuestions}
+                disabled={!canEditQuestions || isSaving}
+              />
+            </div>
+
             {/* Action Buttons */}
             <div className="flex justify-end space-x-3 pt-6 border-t border-gray-200">
               <button
@@ -350,7 +496,7 @@ const EditTournament = () => {
               >
                 Cancel
               </button>
-              {canEdit && (
+              {(canEditDetails || canEditQuestions) && (
                 <button
                   type="submit"
                   disabled={isSaving}
@@ -374,7 +520,7 @@ const EditTournament = () => {
         <div className="mt-8 bg-blue-50 border border-blue-200 rounded-lg p-4">
           <h3 className="font-medium text-blue-900 mb-2">Editing Limitations</h3>
           <ul className="text-sm text-blue-800 space-y-1">
-            <li>• You can only edit the tournament name and dates</li>
+            <li>• You can edit the tournament name, dates, time limit and questions</li>
             <li>• Category, difficulty, and minimum passing score cannot be changed after creation</li>
             <li>• Completed tournaments cannot be edited</li>
             <li>• If players have already participated, consider the impact of date changes</li>
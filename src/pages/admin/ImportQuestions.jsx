@@ -0,0 +1,308 @@
+// src/pages/admin/ImportQuestions.jsx - Bulk question import from CSV or Open Trivia DB JSON
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { tournamentAPI } from '../../config/api';
+import { Upload, ArrowLeft, AlertCircle, CheckCircle, XCircle, FileText, Download } from 'lucide-react';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import { parseQuestionFile, importRowToPayload, buildCsvTemplate } from '../../utils/questionImport';
+import { downloadFile } from '../../utils/download';
+
+const ImportQuestions = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+
+  const [tournament, setTournament] = useState(null);
+  const [existingCount, setExistingCount] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isParsing, setIsParsing] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [error, setError] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [excludedRows, setExcludedRows] = useState(new Set());
+
+  useEffect(() => {
+    const fetchTournament = async () => {
+      try {
+        setIsLoading(true);
+        const response = await tournamentAPI.getById(id);
+        setTournament(response.data);
+
+        try {
+          const questionsResponse = await tournamentAPI.getQuestions(id);
+          setExistingCount(Array.isArray(questionsResponse.data) ? questionsResponse.data.length : 0);
+        } catch {
+          setExistingCount(0);
+        }
+      } catch (error) {
+        console.error('Error fetching tournament:', error);
+        setError('Failed to load tournament details');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    fetchTournament();
+  }, [id]);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setIsParsing(true);
+    setError('');
+    setFileName(file.name);
+    setExcludedRows(new Set());
+
+    try {
+      const parsedRows = await parseQuestionFile(file);
+      if (parsedRows.length === 0) {
+        setError('No questions were found in the file');
+      }
+      setRows(parsedRows);
+    } catch (error) {
+      setError(error.message || 'Failed to read the file');
+      setRows([]);
+    } finally {
+      setIsParsing(false);
+      // Allow selecting the same file again after fixing it
+      e.target.value = '';
+    }
+  };
+
+  const toggleRow = (rowNumber) => {
+    setExcludedRows(prev => {
+      const next = new Set(prev);
+      if (next.has(rowNumber)) {
+        next.delete(rowNumber);
+      } else {
+        next.add(rowNumber);
+      }
+      return next;
+    });
+  };
+
+  const handleDownloadTemplate = () => {
+    downloadFile(buildCsvTemplate(), 'question-import-template.csv', 'text/csv');
+  };
+
+  const acceptedRows = rows.filter(row => row.isValid && !excludedRows.has(row.rowNumber));
+  const invalidCount = rows.filter(row => !row.isValid).length;
+
+  const handleImport = async () => {
+    if (acceptedRows.length === 0) return;
+
+    setIsImporting(true);
+    setError('');
+
+    try {
+      const payload = acceptedRows.map((row, index) => importRowToPayload(row, existingCount + index));
+      await tournamentAPI.importQuestions(id, payload);
+
+      const message = `Imported ${payload.length} question${payload.length === 1 ? '' : 's'} into "${tournament.name}"`;
+      navigate(`/admin/tournaments?success=${encodeURIComponent(message)}`);
+    } catch (error) {
+      console.error('Error importing questions:', error);
+      setError(error.response?.data?.message || 'Failed to import questions');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" text="Loading tournament..." />
+      </div>
+    );
+  }
+
+  if (!tournament) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="text-center">
+            <h1 className="text-2xl font-bold text-gray-900 mb-4">Tournament Not Found</h1>
+            <p className="text-gray-600 mb-6">{error || "The tournament you're looking for doesn't exist or has been removed."}</p>
+            <button
+              onClick={() => navigate('/admin/tournaments')}
+              className="btn-primary"
+            >
+              Back to Tournaments
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8">
+          <button
+            onClick={() => navigate('/admin/tournaments')}
+            className="inline-flex items-center text-gray-600 hover:text-gray-900 mb-4"
+          >
+            <ArrowLeft size={20} className="mr-2" />
+            Back to Tournaments
+          </button>
+
+          <div className="flex items-center space-x-3">
+            <div className="bg-primary-100 p-3 rounded-full">
+              <Upload className="text-primary-600" size={24} />
+            </div>
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Import Questions</h1>
+              <p className="text-gray-600 mt-1">
+                {tournament.name} • {existingCount} existing question{existingCount === 1 ? '' : 's'}
+              </p>
+            </div>
+          </div>
+        </div>
+
+        {/* Upload */}
+        <div className="card mb-6">
+          {error && (
+            <div className="mb-6 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md flex items-center space-x-2">
+              <AlertCircle size={20} />
+              <span>{error}</span>
+            </div>
+          )}
+
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <label className="btn-primary inline-flex items-center space-x-2 cursor-pointer">
+              <FileText size={16} />
+              <span>{fileName ? 'Choose Another File' : 'Choose File'}</span>
+              <input
+                type="file"
+                accept=".csv,.json,text/csv,application/json"
+                onChange={handleFileChange}
+                className="hidden"
+                disabled={isParsing || isImporting}
+              />
+            </label>
+            <button
+              type="button"
+              onClick={handleDownloadTemplate}
+              className="text-sm text-primary-600 hover:text-primary-800 inline-flex items-center space-x-1"
+            >
+              <Download size={14} />
+              <span>Download CSV template</span>
+            </button>
+          </div>
+
+          {fileName && (
+            <p className="mt-3 text-sm text-gray-600">
+              <span className="font-medium">{fileName}</span> • {rows.length} row{rows.length === 1 ? '' : 's'} •{' '}
+              <span className="text-green-600">{rows.length - invalidCount} valid</span> •{' '}
+              <span className="text-red-600">{invalidCount} with errors</span>
+            </p>
+          )}
+
+          {isParsing && (
+            <div className="mt-4">
+              <LoadingSpinner size="sm" text="Reading file..." />
+            </div>
+          )}
+        </div>
+
+        {/* Preview */}
+        {rows.length > 0 && (
+          <div className="card mb-6 p-0 overflow-hidden">
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50 text-left text-gray-600">
+                  <tr>
+                    <th className="px-4 py-3 w-12">Use</th>
+                    <th className="px-4 py-3 w-16">Row</th>
+                    <th className="px-4 py-3">Question</th>
+                    <th className="px-4 py-3">Correct Answer</th>
+                    <th className="px-4 py-3">Incorrect Answers</th>
+                    <th className="px-4 py-3">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {rows.map(row => (
+                    <tr key={row.rowNumber} className={row.isValid ? '' : 'bg-red-50'}>
+                      <td className="px-4 py-3">
+                        <input
+                          type="checkbox"
+                          checked={row.isValid && !excludedRows.has(row.rowNumber)}
+                          disabled={!row.isValid || isImporting}
+                          onChange={() => toggleRow(row.rowNumber)}
+                        />
+                      </td>
+                      <td className="px-4 py-3 text-gray-500">{row.rowNumber}</td>
+                      <td className="px-4 py-3 text-gray-900">{row.question || <span className="text-gray-400 italic">Empty</span>}</td>
+                      <td className="px-4 py-3 text-green-700">{row.correctAnswer || <span className="text-gray-400 italic">Missing</span>}</td>
+                      <td className="px-4 py-3 text-gray-600">{row.incorrectAnswers.filter(Boolean).join(', ')}</td>
+                      <td className="px-4 py-3">
+                        {row.isValid ? (
+                          <span className="inline-flex items-center text-green-600">
+                            <CheckCircle size={16} className="mr-1" />
+                            Ready
+                          </span>
+                        ) : (
+                          <ul className="text-red-600 space-y-1">
+                            {row.errors.map(rowError => (
+                              <li key={rowError} className="flex items-start">
+                                <XCircle size={14} className="mr-1 mt-0.5 flex-shrink-0" />
+                                <span>{rowError}</span>
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {/* Actions */}
+        {rows.length > 0 && (
+          <div className="flex flex-wrap justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => navigate('/admin/tournaments')}
+              className="btn-secondary"
+              disabled={isImporting}
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleImport}
+              disabled={isImporting || acceptedRows.length === 0}
+              className="btn-primary inline-flex items-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isImporting ? (
+                <LoadingSpinner size="sm" />
+              ) : (
+                <>
+                  <Upload size={16} />
+                  <span>Import {acceptedRows.length} Question{acceptedRows.length === 1 ? '' : 's'}</span>
+                </>
+              )}
+            </button>
+          </div>
+        )}
+
+        {/* Info Section */}
+        <div className="mt-8 bg-blue-50 border border-blue-200 rounded-lg p-4">
+          <h3 className="font-medium text-blue-900 mb-2">Supported Formats</h3>
+          <ul className="text-sm text-blue-800 space-y-1">
+            <li>• CSV with columns: question, correct_answer, incorrect_answer_1..n, and optional category, difficulty</li>
+            <li>• Open Trivia DB JSON (the full API response or just its "results" array)</li>
+            <li>• Rows with errors are skipped; answer options are shuffled on import</li>
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportQuestions;
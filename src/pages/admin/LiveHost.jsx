@@ -0,0 +1,307 @@
+// src/pages/admin/LiveHost.jsx - Host console that drives a live session question by question
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { tournamentAPI } from '../../config/api';
+import {
+  ArrowLeft,
+  Radio,
+  Users,
+  Play,
+  Lock,
+  ChevronRight,
+  Flag,
+  Copy,
+  CheckCircle,
+  Clock,
+  Trophy
+} from 'lucide-react';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import LiveStandings from '../../components/LiveStandings';
+import { useLiveHost } from '../../hooks/useLiveSession';
+import { normalizeQuestion, QUESTION_TYPE_OPTIONS } from '../../utils/questionUtils';
+import { getScoringRules } from '../../utils/tournamentScoring';
+import { describeCorrectAnswer } from '../../utils/answerReview';
+import { LIVE_STATUS } from '../../utils/liveSession';
+import { TRANSPORT_STATUS, isMockTransport } from '../../utils/liveTransport';
+
+const LiveHost = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+
+  const [tournament, setTournament] = useState(null);
+  const [questions, setQuestions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    const fetchTournament = async () => {
+      try {
+        setIsLoading(true);
+        const [tournamentResponse, questionsResponse] = await Promise.all([
+          tournamentAPI.getById(id),
+          tournamentAPI.getQuestions(id)
+        ]);
+        const questionsData = Array.isArray(questionsResponse.data) ? questionsResponse.data : [];
+        setTournament(tournamentResponse.data);
+        setQuestions(questionsData.map((q, index) => normalizeQuestion(q, index, tournamentResponse.data)));
+      } catch (error) {
+        console.error('Error loading tournament for live session:', error);
+        setError(error.response?.data?.message || 'Failed to load tournament');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchTournament();
+  }, [id]);
+
+  const session = useLiveHost(tournament ? id : null, questions, getScoringRules(tournament));
+  const joinUrl = `${window.location.origin}/player/tournaments/${id}/live`;
+  const connectedPlayers = session.players.filter(player => player.connected);
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(joinUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      setError('Could not copy the link. Copy it from the address shown instead.');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" text="Preparing live session..." />
+      </div>
+    );
+  }
+
+  if (!tournament) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8 text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">Tournament Not Found</h1>
+          <p className="text-gray-600 mb-6">{error || 'The tournament could not be loaded.'}</p>
+          <button onClick={() => navigate('/admin/tournaments')} className="btn-primary">
+            Back to Tournaments
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const question = session.currentQuestion;
+  const typeLabel = QUESTION_TYPE_OPTIONS.find(option => option.value === question?.type)?.label;
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8">
+          <button
+            onClick={() => navigate('/admin/tournaments')}
+            className="inline-flex items-center text-gray-600 hover:text-gray-900 mb-4"
+          >
+            <ArrowLeft size={20} className="mr-2" />
+            Back to Tournaments
+          </button>
+
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-3">
+              <div className="bg-red-100 p-3 rounded-full">
+                <Radio className="text-red-600" size={24} />
+              </div>
+              <div>
+                <h1 className="text-3xl font-bold text-gray-900">{tournament.name}</h1>
+                <p className="text-gray-600 mt-1">Live Host Console</p>
+              </div>
+            </div>
+
+            <div className="text-right space-y-1">
+              <span className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${
+                session.connection === TRANSPORT_STATUS.OPEN ? 'bg-green-100 text-green-800'
+                  : session.connection === TRANSPORT_STATUS.CLOSED ? 'bg-red-100 text-red-800'
+                    : 'bg-yellow-100 text-yellow-800'
+              }`}>
+                {session.connection === TRANSPORT_STATUS.OPEN ? 'Connected'
+                  : session.connection === TRANSPORT_STATUS.CLOSED ? 'Disconnected' : 'Connecting...'}
+              </span>
+              {isMockTransport() && (
+                <p className="text-xs text-gray-500">Local test mode: players must use this browser</p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mb-6 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md">
+            {error}
+          </div>
+        )}
+
+        {questions.length === 0 ? (
+          <div className="card text-center">
+            <p className="text-gray-600 mb-4">This tournament has no questions to host.</p>
+            <button onClick={() => navigate(`/admin/edit-tournament/${id}`)} className="btn-primary">
+              Add Questions
+            </button>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+            <div className="lg:col-span-2 space-y-6">
+              {/* Lobby */}
+              {session.status === LIVE_STATUS.LOBBY && (
+                <div className="card">
+                  <h2 className="text-xl font-semibold text-gray-900 mb-2">Waiting for players</h2>
+                  <p className="text-gray-600 mb-4">
+                    Share this link. Players see each question when you push it and answer against the same clock.
+                  </p>
+                  <div className="flex items-center space-x-2 mb-6">
+                    <input type="text" readOnly value={joinUrl} className="form-input flex-1 bg-gray-50" />
+                    <button onClick={handleCopyLink} className="btn-secondary inline-flex items-center">
+                      {copied ? <CheckCircle size={16} className="mr-1" /> : <Copy size={16} className="mr-1" />}
+                      {copied ? 'Copied' : 'Copy'}
+                    </button>
+                  </div>
+                  <button
+                    onClick={session.start}
+                    disabled={session.connection !== TRANSPORT_STATUS.OPEN}
+                    className="btn-primary inline-flex items-center disabled:opacity-50"
+                  >
+                    <Play size={16} className="mr-2" />
+                    Start with {connectedPlayers.length} {connectedPlayers.length === 1 ? 'player' : 'players'}
+                  </button>
+                </div>
+              )}
+
+              {/* Current question */}
+              {question && session.status !== LIVE_STATUS.LOBBY && session.status !== LIVE_STATUS.FINISHED && (
+                <div className="card">
+                  <div className="flex items-center justify-between mb-4">
+                    <span className="text-sm font-medium text-gray-500">
+                      Question {session.currentIndex + 1} of {questions.length}
+                      {typeLabel && ` • ${typeLabel}`}
+                    </span>
+                    {session.status === LIVE_STATUS.QUESTION && (
+                      <span className={`inline-flex items-center font-mono font-bold ${
+                        session.timeRemaining <= 5 ? 'text-red-600' : 'text-gray-900'
+                      }`}>
+                        <Clock size={16} className="mr-1" />
+                        {session.timeRemaining}s
+                      </span>
+                    )}
+                  </div>
+
+                  <h2 className="text-xl font-semibold text-gray-900 mb-4">{question.question}</h2>
+
+                  {question.options.length > 0 && (
+                    <ul className="space-y-2 mb-4">
+                      {question.options.map((option, index) => (
+                        <li key={index} className="px-4 py-2 rounded-md border border-gray-200 text-gray-700">
+                          {option}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  <p className="text-sm text-gray-600 mb-4">
+                    Correct answer: <span className="font-medium text-gray-900">{describeCorrectAnswer(question)}</span>
+                  </p>
+
+                  {session.status === LIVE_STATUS.QUESTION ? (
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm text-gray-600">
+                        {session.answeredCount} of {session.players.length} answered
+                      </span>
+                      <button onClick={session.lock} className="btn-secondary inline-flex items-center">
+                        <Lock size={16} className="mr-2" />
+                        Lock Answers Now
+                      </button>
+                    </div>
+                  ) : (
+                    <div className="flex justify-end">
+                      {session.isLastQuestion ? (
+                        <button onClick={session.finish} className="btn-primary inline-flex items-center">
+                          <Flag size={16} className="mr-2" />
+                          Finish Session
+                        </button>
+                      ) : (
+                        <button onClick={session.next} className="btn-primary inline-flex items-center">
+                          Next Question
+                          <ChevronRight size={16} className="ml-2" />
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Standings between questions and at the end */}
+              {(session.status === LIVE_STATUS.STANDINGS || session.status === LIVE_STATUS.FINISHED) && (
+                <div className="card p-0">
+                  <h2 className="text-lg font-semibold text-gray-900 p-4 border-b border-gray-200 flex items-center space-x-2">
+                    <Trophy className="text-yellow-500" size={20} />
+                    <span>{session.status === LIVE_STATUS.FINISHED ? 'Final Standings' : 'Standings'}</span>
+                  </h2>
+                  <LiveStandings
+                    standings={session.standings}
+                    results={session.status === LIVE_STATUS.STANDINGS ? session.lastResults : null}
+                  />
+                  {session.status === LIVE_STATUS.FINISHED && (
+                    <div className="p-4 border-t border-gray-200 flex items-center justify-between text-sm">
+                      {session.saveState.isSaving ? (
+                        <LoadingSpinner size="sm" text="Saving results..." />
+                      ) : session.saveState.saved ? (
+                        <span className="inline-flex items-center text-green-700">
+                          <CheckCircle size={16} className="mr-1" />
+                          Results saved
+                        </span>
+                      ) : (
+                        <>
+                          <span className="text-red-700">
+                            {session.saveState.error || 'The results have not been saved yet.'} Keep this page open until they are.
+                          </span>
+                          <button onClick={session.saveResults} className="btn-primary ml-4 whitespace-nowrap">
+                            Save Results
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {/* Players */}
+            <div className="card h-fit">
+              <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center space-x-2">
+                <Users size={20} className="text-gray-500" />
+                <span>Players ({connectedPlayers.length})</span>
+              </h3>
+              {session.players.length === 0 ? (
+                <p className="text-sm text-gray-500">Nobody has joined yet.</p>
+              ) : (
+                <ul className="space-y-2">
+                  {session.players.map(player => (
+                    <li key={player.key} className="flex items-center justify-between text-sm">
+                      <span className={player.connected ? 'text-gray-900' : 'text-gray-400 line-through'}>
+                        {player.name}
+                      </span>
+                      {session.status === LIVE_STATUS.QUESTION && player.answers[session.currentIndex] !== undefined && (
+                        <CheckCircle size={16} className="text-green-600" />
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LiveHost;
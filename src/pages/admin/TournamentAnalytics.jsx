@@ -0,0 +1,561 @@
+// src/pages/admin/TournamentAnalytics.jsx - Participation, scores, timing and question statistics, overall or per tournament
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import {
+  BarChart3, ArrowLeft, Users, CheckCircle, Percent, Clock, AlertTriangle, RefreshCw, ChevronDown, ChevronRight, Ban
+} from 'lucide-react';
+import { tournamentAPI } from '../../config/api';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import Modal from '../../components/common/Modal';
+import BarChart from '../../components/charts/BarChart';
+import LineChart from '../../components/charts/LineChart';
+import { normalizeQuestion } from '../../utils/questionUtils';
+import { getScoringRules, calculateMaxScore } from '../../utils/tournamentScoring';
+import { extractScores } from '../../utils/leaderboard';
+import { formatDuration } from '../../utils/quizTimer';
+import { can, ACTIONS, RESOURCES } from '../../utils/permissions';
+import {
+  buildTournamentAnalytics,
+  buildOverviewAnalytics,
+  ITEM_FLAGS,
+  MIN_ATTEMPTS_FOR_ITEM_STATS
+} from '../../utils/tournamentAnalytics';
+
+const FLAG_LABELS = {
+  [ITEM_FLAGS.TOO_HARD]: { label: 'Very hard', className: 'bg-red-100 text-red-800' },
+  [ITEM_FLAGS.TOO_EASY]: { label: 'Very easy', className: 'bg-yellow-100 text-yellow-800' },
+  [ITEM_FLAGS.LOW_DISCRIMINATION]: { label: 'Low discrimination', className: 'bg-gray-100 text-gray-700' },
+  [ITEM_FLAGS.NEGATIVE_DISCRIMINATION]: { label: 'High scorers miss more', className: 'bg-red-100 text-red-800' },
+  [ITEM_FLAGS.POPULAR_DISTRACTOR]: { label: 'Distractor beats key', className: 'bg-orange-100 text-orange-800' }
+};
+
+const formatPercent = (value) => (value === null ? '—' : `${value}%`);
+
+// Keep axis labels readable however many bars there are
+const getLabelEvery = (count) => Math.max(1, Math.ceil(count / 10));
+
+const StatCard = ({ icon, label, value, detail, color }) => {
+  const Icon = icon;
+  return (
+    <div className="card">
+      <div className="flex items-center space-x-3">
+        <div className={`p-2 rounded-full ${color}`}>
+          <Icon size={20} />
+        </div>
+        <div>
+          <p className="text-sm text-gray-500">{label}</p>
+          <p className="text-2xl font-bold text-gray-900">{value}</p>
+          {detail && <p className="text-xs text-gray-500">{detail}</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ChartCard = ({ title, description, children }) => (
+  <div className="card">
+    <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+    {description && <p className="text-sm text-gray-500 mb-4">{description}</p>}
+    <div className={description ? '' : 'mt-4'}>{children}</div>
+  </div>
+);
+
+const SummaryStats = ({ analytics }) => (
+  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+    <StatCard
+      icon={Users}
+      label="Participants"
+      value={analytics.attempts.length}
+      detail={`${analytics.passRate.total} completed`}
+      color="bg-blue-100 text-blue-600"
+    />
+    <StatCard
+      icon={CheckCircle}
+      label="Pass Rate"
+      value={formatPercent(analytics.passRate.rate)}
+      detail={`${analytics.passRate.passed} of ${analytics.passRate.total} passed`}
+      color="bg-green-100 text-green-600"
+    />
+    <StatCard
+      icon={Percent}
+      label="Average Score"
+      value={formatPercent(analytics.averagePercentage)}
+      color="bg-purple-100 text-purple-600"
+    />
+    <StatCard
+      icon={Clock}
+      label="Average Completion Time"
+      value={analytics.averageTime === null ? '—' : formatDuration(analytics.averageTime)}
+      color="bg-amber-100 text-amber-600"
+    />
+  </div>
+);
+
+const ParticipationChart = ({ participation }) => {
+  const data = participation.map(bucket => ({ key: bucket.key, label: bucket.label, value: bucket.count }));
+  return data.length > 1
+    ? <LineChart data={data} labelEvery={getLabelEvery(data.length)} />
+    : <BarChart data={data} />;
+};
+
+const DistributionChart = ({ distribution }) => (
+  <BarChart
+    data={distribution.map(bin => ({ key: bin.label, label: `${Math.round(bin.from)}%`, value: bin.count }))}
+    formatValue={(value) => `${value} ${value === 1 ? 'player' : 'players'}`}
+    emptyText="No completed attempts yet"
+  />
+);
+
+const formatCorrelation = (value) => (value === null ? '—' : value.toFixed(2));
+
+// Expanded row of the question table: which options were picked and the void action
+const ItemDetail = ({ stat, canVoid, onVoid }) => {
+  const { optionCounts } = stat;
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+      <div className="md:col-span-2">
+        <h4 className="text-sm font-medium text-gray-900 mb-2">Answers Chosen</h4>
+        {optionCounts ? (
+          <div className="space-y-2">
+            {optionCounts.options.map(option => (
+              <div key={option.option} className="flex items-center space-x-3 text-sm">
+                <span className={`w-48 truncate ${option.isCorrect ? 'font-medium text-green-700' : 'text-gray-700'}`} title={option.option}>
+                  {option.option}
+                </span>
+                <div className="flex-1 bg-gray-200 rounded-full h-2">
+                  <div
+                    className={`h-2 rounded-full ${option.isCorrect ? 'bg-green-500' : 'bg-gray-400'}`}
+                    style={{ width: `${Math.min(100, option.share)}%` }}
+                  />
+                </div>
+                <span className="w-24 text-right text-gray-600">{option.count} ({option.share}%)</span>
+                {option.isCorrect ? <CheckCircle size={14} className="text-green-600" /> : <span className="w-3.5" />}
+              </div>
+            ))}
+            <p className="text-xs text-gray-500">
+              {optionCounts.unanswered} unanswered
+              {optionCounts.other > 0 && `, ${optionCounts.other} no longer matching any option`}
+            </p>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">
+            {stat.difficulty === null ? 'Not enough attempts yet' : 'Only choice questions have an option breakdown'}
+          </p>
+        )}
+      </div>
+      <div className="space-y-3 text-sm">
+        <div>
+          <p className="text-gray-500">Item-rest correlation</p>
+          <p className={`text-lg font-semibold ${stat.correlation < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+            {formatCorrelation(stat.correlation)}
+          </p>
+          <p className="text-xs text-gray-500">
+            How well getting this question right predicts the rest of the score. Below 0, high scorers miss it more
+            than low scorers, which usually points to a wrong answer key or an ambiguous question.
+          </p>
+        </div>
+        {stat.voided ? (
+          <p className="text-gray-600">This question is void and no longer counts towards any score.</p>
+        ) : canVoid && (
+          <button onClick={() => onVoid(stat)} className="btn-danger inline-flex items-center space-x-2">
+            <Ban size={16} />
+            <span>Void &amp; Re-score</span>
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const TournamentAnalytics = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const canVoid = can(user, ACTIONS.MODERATE, RESOURCES.RESULT);
+
+  const [tournaments, setTournaments] = useState([]);
+  const [tournament, setTournament] = useState(null);
+  const [questions, setQuestions] = useState([]);
+  const [scores, setScores] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [expandedIndex, setExpandedIndex] = useState(null);
+  const [voidTarget, setVoidTarget] = useState(null);
+  const [isVoiding, setIsVoiding] = useState(false);
+  const [voidError, setVoidError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+
+  const fetchData = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+
+      if (!id) {
+        const response = await tournamentAPI.getAll();
+        setTournaments(Array.isArray(response.data) ? response.data : []);
+        return;
+      }
+
+      const [tournamentResponse, questionsResponse, scoresResponse] = await Promise.all([
+        tournamentAPI.getById(id),
+        tournamentAPI.getQuestions(id).catch(() => ({ data: [] })),
+        tournamentAPI.getScores(id).catch(() => ({ data: [] }))
+      ]);
+      const questionsData = Array.isArray(questionsResponse.data) ? questionsResponse.data : [];
+      setTournament(tournamentResponse.data);
+      setQuestions(questionsData.map((q, index) => normalizeQuestion(q, index, tournamentResponse.data)));
+      setScores(extractScores(scoresResponse.data));
+    } catch (error) {
+      console.error('Error loading analytics:', error);
+      setError(error.response?.data?.message || 'Failed to load analytics');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const analytics = useMemo(() => {
+    if (!id) return buildOverviewAnalytics(tournaments);
+    if (!tournament) return null;
+    const fallbackMaxScore = questions.length ? calculateMaxScore(questions, getScoringRules(tournament)) : null;
+    return buildTournamentAnalytics({ tournament, scores, questions, fallbackMaxScore });
+  }, [id, tournaments, tournament, questions, scores]);
+
+  const openVoidModal = (stat) => {
+    setVoidError('');
+    setVoidTarget(stat);
+  };
+
+  const handleVoidQuestion = async () => {
+    if (!voidTarget) return;
+
+    setIsVoiding(true);
+    setVoidError('');
+    try {
+      await tournamentAPI.voidQuestion(id, voidTarget.question.id);
+      const response = await tournamentAPI.rescore(id);
+      const rescored = response.data?.rescored ?? response.data?.updated;
+      setSuccessMessage(
+        `Question ${voidTarget.index + 1} voided and ${typeof rescored === 'number' ? rescored : 'all'} attempts re-scored`
+      );
+      setVoidTarget(null);
+
+      // Auto-hide success message after 5 seconds
+      setTimeout(() => setSuccessMessage(''), 5000);
+      await fetchData();
+    } catch (error) {
+      console.error('Error voiding question:', error);
+      setVoidError(error.response?.data?.message || 'Failed to void the question and re-score attempts');
+    } finally {
+      setIsVoiding(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" text="Crunching the numbers..." />
+      </div>
+    );
+  }
+
+  const renderHeader = (title, subtitle) => (
+    <div className="mb-8">
+      {id && (
+        <button
+          onClick={() => navigate('/admin/analytics')}
+          className="inline-flex items-center text-gray-600 hover:text-gray-900 mb-4"
+        >
+          <ArrowLeft size={20} className="mr-2" />
+          All Tournaments
+        </button>
+      )}
+      <div className="flex justify-between items-center">
+        <div className="flex items-center space-x-3">
+          <div className="bg-primary-100 p-3 rounded-full">
+            <BarChart3 className="text-primary-600" size={24} />
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">{title}</h1>
+            <p className="text-gray-600 mt-1">{subtitle}</p>
+          </div>
+        </div>
+        <button onClick={fetchData} className="btn-secondary inline-flex items-center space-x-2">
+          <RefreshCw className="w-4 h-4" />
+          <span>Refresh</span>
+        </button>
+      </div>
+    </div>
+  );
+
+  if (error || !analytics) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          {renderHeader('Analytics', 'Tournament performance')}
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md">
+            {error || 'Tournament not found'}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Across all tournaments
+  if (!id) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          {renderHeader('Analytics', `Across ${tournaments.length} ${tournaments.length === 1 ? 'tournament' : 'tournaments'}`)}
+          <SummaryStats analytics={analytics} />
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+            <ChartCard title="Participation Over Time" description="Attempts per day (per week over long periods)">
+              <ParticipationChart participation={analytics.participation} />
+            </ChartCard>
+            <ChartCard title="Score Distribution" description="Completed attempts by score percentage">
+              <DistributionChart distribution={analytics.distribution} />
+            </ChartCard>
+          </div>
+
+          <div className="card p-0 overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Tournament</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Participants</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Pass Rate</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Avg Score</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Avg Time</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-100">
+                {analytics.rows.map(row => (
+                  <tr key={row.id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3">
+                      <Link to={`/admin/analytics/${row.id}`} className="font-medium text-primary-600 hover:text-primary-800">
+                        {row.name}
+                      </Link>
+                    </td>
+                    <td className="px-4 py-3 text-right text-sm text-gray-700">{row.participants}</td>
+                    <td className="px-4 py-3 text-right text-sm text-gray-700">{formatPercent(row.passRate)}</td>
+                    <td className="px-4 py-3 text-right text-sm text-gray-700">{formatPercent(row.averagePercentage)}</td>
+                    <td className="px-4 py-3 text-right text-sm text-gray-700">
+                      {row.averageTime === null ? '—' : formatDuration(row.averageTime)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {analytics.rows.length === 0 && (
+              <p className="text-center text-gray-500 py-8">No tournaments yet</p>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // One tournament
+  const { dropOff, questionStats } = analytics;
+  const hasItemStats = questionStats.some(stat => stat.difficulty !== null);
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        {renderHeader(tournament.name, 'Tournament analytics')}
+
+        {successMessage && (
+          <div className="mb-6 bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-md flex items-center space-x-2">
+            <CheckCircle size={20} />
+            <span>{successMessage}</span>
+          </div>
+        )}
+
+        <SummaryStats analytics={analytics} />
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+          <ChartCard title="Participation Over Time" description="Attempts per day (per week over long periods)">
+            <ParticipationChart participation={analytics.participation} />
+          </ChartCard>
+          <ChartCard title="Score Distribution" description="Completed attempts by score percentage">
+            <DistributionChart distribution={analytics.distribution} />
+          </ChartCard>
+        </div>
+
+        <div className="mb-8">
+          <ChartCard
+            title="Drop-off"
+            description={`Players who reached each question. ${dropOff.started} started, ${dropOff.completed} finished.`}
+          >
+            <BarChart
+              data={dropOff.steps.map(step => ({
+                key: step.index,
+                label: `Q${step.index + 1}`,
+                value: step.reached,
+                className: step.dropped > 0 ? 'bg-amber-500' : 'bg-primary-500'
+              }))}
+              formatValue={(value) => `${value} reached`}
+              labelEvery={getLabelEvery(dropOff.steps.length)}
+              emptyText="No attempts yet"
+            />
+          </ChartCard>
+        </div>
+
+        {/* Item statistics */}
+        <div className="card p-0 overflow-x-auto">
+          <div className="p-4 border-b border-gray-200">
+            <h3 className="text-lg font-semibold text-gray-900">Question Statistics</h3>
+            <p className="text-sm text-gray-500">
+              Difficulty index is the share of players who answered correctly. Discrimination compares the top and
+              bottom 27% of scorers: above 0.3 is good, below 0 means strong players did worse than weak ones.
+              Select a question to see which answers were chosen.
+            </p>
+          </div>
+          {!hasItemStats && (
+            <div className="m-4 bg-amber-50 border border-amber-200 text-amber-700 px-4 py-3 rounded-md text-sm flex items-center space-x-2">
+              <AlertTriangle size={16} />
+              <span>
+                Question statistics need at least {MIN_ATTEMPTS_FOR_ITEM_STATS} completed attempts with recorded answers.
+              </span>
+            </div>
+          )}
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">#</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Question</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Difficulty</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Discrimination</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Correlation</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Dropped</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Flags</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-100">
+              {questionStats.map(stat => (
+                <React.Fragment key={stat.index}>
+                  <tr
+                    onClick={() => setExpandedIndex(expandedIndex === stat.index ? null : stat.index)}
+                    className={`hover:bg-gray-50 cursor-pointer ${stat.voided ? 'opacity-60' : ''}`}
+                    aria-expanded={expandedIndex === stat.index}
+                  >
+                    <td className="px-4 py-3 text-sm text-gray-500">
+                      <div className="flex items-center space-x-1">
+                        {expandedIndex === stat.index ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                        <span>{stat.index + 1}</span>
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-900 max-w-md truncate" title={stat.question.question}>
+                      {stat.voided && (
+                        <span className="mr-2 px-2 py-0.5 rounded-full text-xs font-medium bg-gray-200 text-gray-700">Void</span>
+                      )}
+                      {stat.question.question}
+                    </td>
+                    <td className="px-4 py-3 text-right text-sm">
+                      {stat.difficulty === null ? '—' : (
+                        <div className="flex items-center justify-end space-x-2">
+                          <div className="w-16 bg-gray-200 rounded-full h-2">
+                            <div className="bg-primary-500 h-2 rounded-full" style={{ width: `${stat.difficulty}%` }} />
+                          </div>
+                          <span className="text-gray-700 w-12">{stat.difficulty}%</span>
+                        </div>
+                      )}
+                    </td>
+                    <td className={`px-4 py-3 text-right text-sm ${stat.discrimination < 0 ? 'text-red-600' : 'text-gray-700'}`}>
+                      {stat.discrimination === null ? '—' : stat.discrimination.toFixed(2)}
+                    </td>
+                    <td className={`px-4 py-3 text-right text-sm ${stat.correlation < 0 ? 'text-red-600' : 'text-gray-700'}`}>
+                      {formatCorrelation(stat.correlation)}
+                    </td>
+                    <td className="px-4 py-3 text-right text-sm text-gray-700">
+                      {dropOff.steps[stat.index]?.dropped ?? 0}
+                    </td>
+                    <td className="px-4 py-3">
+                      <div className="flex flex-wrap gap-1">
+                        {stat.flags.map(flag => (
+                          <span key={flag} className={`px-2 py-0.5 rounded-full text-xs font-medium ${FLAG_LABELS[flag].className}`}>
+                            {FLAG_LABELS[flag].label}
+                          </span>
+                        ))}
+                      </div>
+                    </td>
+                  </tr>
+                  {expandedIndex === stat.index && (
+                    <tr className="bg-gray-50">
+                      <td colSpan={7} className="px-6 py-4">
+                        <ItemDetail stat={stat} canVoid={canVoid} onVoid={openVoidModal} />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+          {questionStats.length === 0 && (
+            <p className="text-center text-gray-500 py-8">This tournament has no questions of its own</p>
+          )}
+        </div>
+
+        {/* Void Confirmation Modal */}
+        <Modal
+          isOpen={voidTarget !== null}
+          onClose={() => !isVoiding && setVoidTarget(null)}
+          title="Void Question"
+          size="md"
+        >
+          {voidTarget && (
+            <div className="space-y-4">
+              <div className="flex items-center space-x-3 p-4 bg-red-50 rounded-lg">
+                <AlertTriangle className="text-red-600" size={24} />
+                <div>
+                  <h4 className="font-medium text-red-800">Void question {voidTarget.index + 1}?</h4>
+                  <p className="text-sm text-red-700">
+                    It will no longer count towards any score, and every attempt is re-scored without it. Pass/fail
+                    results and the leaderboard may change.
+                  </p>
+                </div>
+              </div>
+
+              <div className="bg-gray-50 p-4 rounded-lg text-sm text-gray-700">
+                {voidTarget.question.question}
+              </div>
+
+              {voidError && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md text-sm">
+                  {voidError}
+                </div>
+              )}
+
+              <div className="flex justify-end space-x-3 pt-4">
+                <button onClick={() => setVoidTarget(null)} className="btn-secondary" disabled={isVoiding}>
+                  Cancel
+                </button>
+                <button
+                  onClick={handleVoidQuestion}
+                  disabled={isVoiding}
+                  className="btn-danger inline-flex items-center space-x-2"
+                >
+                  {isVoiding ? (
+                    <LoadingSpinner size="sm" />
+                  ) : (
+                    <>
+                      <Ban size={16} />
+                      <span>Void &amp; Re-score</span>
+                    </>
+                  )}
+                </button>
+              </div>
+            </div>
+          )}
+        </Modal>
+      </div>
+    </div>
+  );
+};
+
+export default TournamentAnalytics;
@@ -0,0 +1,196 @@
+// src/pages/player/LivePlay.jsx - Synchronized player view of a host-driven live session
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { ArrowLeft, Radio, Clock, CheckCircle, XCircle, MinusCircle, Send, Trophy, Users } from 'lucide-react';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import AnswerInput from '../../components/AnswerInput';
+import LiveStandings from '../../components/LiveStandings';
+import { useLivePlayer } from '../../hooks/useLiveSession';
+import { hasAnswer, formatAnswer } from '../../utils/questionUtils';
+import { formatPoints } from '../../utils/tournamentScoring';
+import { LIVE_STATUS } from '../../utils/liveSession';
+import { TRANSPORT_STATUS } from '../../utils/liveTransport';
+
+const LivePlay = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  const session = useLivePlayer(id, user);
+  const [draft, setDraft] = useState('');
+
+  const questionIndex = session.question?.index;
+  useEffect(() => {
+    // Every pushed question starts with a blank answer
+    setDraft('');
+  }, [questionIndex]);
+
+  const myStanding = session.standings.find(entry => entry.key === session.playerKey);
+
+  const renderHeader = () => (
+    <div className="mb-8">
+      <button
+        onClick={() => navigate('/player/tournaments')}
+        className="inline-flex items-center text-gray-600 hover:text-gray-900 mb-4"
+      >
+        <ArrowLeft size={20} className="mr-2" />
+        Leave Session
+      </button>
+
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <div className="bg-red-100 p-3 rounded-full">
+            <Radio className="text-red-600" size={24} />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Live Session</h1>
+            {session.question && (
+              <p className="text-gray-600 mt-1">
+                Question {session.question.index + 1} of {session.question.total}
+              </p>
+            )}
+          </div>
+        </div>
+        {myStanding && (
+          <div className="text-right">
+            <p className="text-sm text-gray-500">Your rank</p>
+            <p className="text-xl font-bold text-gray-900">
+              #{myStanding.rank} • {formatPoints(myStanding.score)} pts
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
+  if (session.connection === TRANSPORT_STATUS.CLOSED) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8">
+          {renderHeader()}
+          <div className="card text-center">
+            <XCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+            <p className="text-gray-600 mb-6">Lost connection to the live session.</p>
+            <button onClick={() => window.location.reload()} className="btn-primary">
+              Reconnect
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (session.connection !== TRANSPORT_STATUS.OPEN || session.status === null || session.status === LIVE_STATUS.LOBBY) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8">
+          {renderHeader()}
+          <div className="card text-center">
+            <LoadingSpinner
+              size="lg"
+              text={session.status === LIVE_STATUS.LOBBY
+                ? 'You are in! Waiting for the host to start...'
+                : 'Waiting for the host...'}
+            />
+            {session.players.length > 0 && (
+              <p className="mt-6 text-sm text-gray-500 inline-flex items-center">
+                <Users size={16} className="mr-1" />
+                {session.players.filter(player => player.connected).length} players in the lobby
+              </p>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const { question } = session;
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8">
+        {renderHeader()}
+
+        {session.status === LIVE_STATUS.QUESTION && question && (
+          <div className="card">
+            <div className="flex items-center justify-end mb-4">
+              <span className={`inline-flex items-center font-mono font-bold text-lg ${
+                session.timeRemaining <= 5 ? 'text-red-600' : 'text-gray-900'
+              }`}>
+                <Clock size={18} className="mr-1" />
+                {session.timeRemaining ?? '--'}s
+              </span>
+            </div>
+
+            <h2 className="text-xl font-semibold text-gray-900 mb-6">{question.question.question}</h2>
+
+            <AnswerInput
+              question={question.question}
+              value={draft}
+              onChange={setDraft}
+              disabled={session.isLocked}
+            />
+
+            <div className="mt-6 flex items-center justify-between">
+              <p className="text-sm text-gray-500">
+                {session.isLocked
+                  ? 'Time is up'
+                  : hasAnswer(session.submittedAnswer)
+                    ? 'Answer sent. You can change it until time runs out.'
+                    : 'Answer before the timer runs out'}
+              </p>
+              <button
+                onClick={() => session.submitAnswer(draft)}
+                disabled={session.isLocked || !hasAnswer(draft)}
+                className="btn-primary inline-flex items-center disabled:opacity-50"
+              >
+                <Send size={16} className="mr-2" />
+                {hasAnswer(session.submittedAnswer) ? 'Update Answer' : 'Submit Answer'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {session.status === LIVE_STATUS.STANDINGS && session.reveal && (
+          <div className="card mb-6 text-center">
+            {!session.reveal.result?.answered ? (
+              <MinusCircle className="w-12 h-12 text-gray-400 mx-auto mb-2" />
+            ) : session.reveal.result.isCorrect ? (
+              <CheckCircle className="w-12 h-12 text-green-600 mx-auto mb-2" />
+            ) : (
+              <XCircle className="w-12 h-12 text-red-600 mx-auto mb-2" />
+            )}
+            <h2 className="text-xl font-semibold text-gray-900 mb-1">
+              {!session.reveal.result?.answered ? 'No answer' : session.reveal.result.isCorrect ? 'Correct!' : 'Not quite'}
+              {session.reveal.result && session.reveal.result.points !== 0 && (
+                <span className={session.reveal.result.points > 0 ? 'text-green-600' : 'text-red-600'}>
+                  {' '}({session.reveal.result.points > 0 ? '+' : ''}{formatPoints(session.reveal.result.points)})
+                </span>
+              )}
+            </h2>
+            {hasAnswer(session.submittedAnswer) && (
+              <p className="text-sm text-gray-600">You answered: {formatAnswer(session.submittedAnswer)}</p>
+            )}
+            <p className="text-sm text-gray-600">
+              Correct answer: <span className="font-medium text-gray-900">{session.reveal.correctAnswer}</span>
+            </p>
+            <p className="text-sm text-gray-500 mt-4">Waiting for the next question...</p>
+          </div>
+        )}
+
+        {(session.status === LIVE_STATUS.STANDINGS || session.status === LIVE_STATUS.FINISHED) && (
+          <div className="card p-0">
+            <h2 className="text-lg font-semibold text-gray-900 p-4 border-b border-gray-200 flex items-center space-x-2">
+              <Trophy className="text-yellow-500" size={20} />
+              <span>{session.status === LIVE_STATUS.FINISHED ? 'Final Standings' : 'Standings'}</span>
+            </h2>
+            <LiveStandings standings={session.standings} highlightKey={session.playerKey} limit={10} />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LivePlay;
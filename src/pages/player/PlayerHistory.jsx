@@ -1,10 +1,28 @@
 // src/pages/player/PlayerHistory.jsx - Fixed version with better error handling
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import { tournamentAPI } from '../../config/api';
 import { useAuth } from '../../contexts/AuthContext';
-import { Trophy, Calendar, Award, TrendingUp, BarChart3, Target, Clock, CheckCircle, XCircle, RefreshCw } from 'lucide-react';
+import { Trophy, Calendar, Award, TrendingUp, BarChart3, Target, Clock, CheckCircle, XCircle, RefreshCw, CloudUpload } from 'lucide-react';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import CertificateActions from '../../components/CertificateActions';
+import { isReviewAvailable } from '../../utils/answerReview';
+import { getAttemptSummary, getScoreColorClass } from '../../utils/tournamentScoring';
+import { OFFLINE_EVENTS, subscribeOffline, getQueuedParticipations } from '../../utils/offlineData';
+
+const HIGH_SCORE_PERCENTAGE = 80;
+
+// Scores are points out of each tournament's own maximum, which depends on its questions and scoring rules
+const getHistorySummary = (tournament) => getAttemptSummary(
+  { score: tournament.userScore, maxScore: tournament.userMaxScore ?? tournament.maxScore, passed: tournament.passed },
+  tournament
+);
+
+// Sort key that keeps tournaments with different maximums comparable
+const getComparableScore = (tournament) => {
+  const summary = getHistorySummary(tournament);
+  return summary.percentage ?? summary.score;
+};
 
 const PlayerHistory = () => {
   const { user } = useAuth();
@@ -14,11 +32,29 @@ const PlayerHistory = () => {
   const [filter, setFilter] = useState('all');
   const [sortBy, setSortBy] = useState('recent');
   const [retryCount, setRetryCount] = useState(0);
+  const [queued, setQueued] = useState(() => getQueuedParticipations(user?.id));
+  const fetchHistoryRef = useRef(null);
+  const queuedCountRef = useRef(queued.length);
 
   useEffect(() => {
     fetchPlayerHistory();
   }, []);
 
+  useEffect(() => {
+    fetchHistoryRef.current = fetchPlayerHistory;
+  });
+
+  // Answers submitted offline show up here until they are sent, then the history reloads with their scores
+  useEffect(() => subscribeOffline((event, detail) => {
+    if (event !== OFFLINE_EVENTS.QUEUE_CHANGED) return;
+    setQueued(detail.queue.filter(entry => String(entry.userId) === String(user?.id)));
+  }), [user?.id]);
+
+  useEffect(() => {
+    if (queued.length < queuedCountRef.current) fetchHistoryRef.current?.();
+    queuedCountRef.current = queued.length;
+  }, [queued.length]);
+
   const fetchPlayerHistory = async () => {
     try {
       setIsLoading(true);
@@ -65,8 +101,9 @@ const PlayerHistory = () => {
                   ...tournament,
                   userScore: userScore.playerScore || userScore.score,
                   userAttempts: userScore.attempts || 1,
+                  userMaxScore: userScore.maxScore,
                   participationDate: userScore.participationDate || userScore.completedDate || tournament.endDate,
-                  passed: userScore.passed || (userScore.playerScore || userScore.score || 0) >= Math.round((tournament.minimumPassingScore || 70) * 10 / 100)
+                  passed: typeof userScore.passed === 'boolean' ? userScore.passed : undefined
                 };
               }
               return null;
@@ -127,9 +164,9 @@ const PlayerHistory = () => {
       case 'oldest':
         return sorted.sort((a, b) => new Date(a.participationDate || a.endDate || a.createdAt) - new Date(b.participationDate || b.endDate || b.createdAt));
       case 'score-high':
-        return sorted.sort((a, b) => (b.userScore || 0) - (a.userScore || 0));
+        return sorted.sort((a, b) => getComparableScore(b) - getComparableScore(a));
       case 'score-low':
-        return sorted.sort((a, b) => (a.userScore || 0) - (b.userScore || 0));
+        return sorted.sort((a, b) => getComparableScore(a) - getComparableScore(b));
       case 'name':
         return sorted.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
       default:
@@ -140,11 +177,11 @@ const PlayerHistory = () => {
   const filterTournaments = (tournaments, filterType) => {
     switch (filterType) {
       case 'passed':
-        return tournaments.filter(t => t.passed === true || (t.userScore || 0) >= Math.round((t.minimumPassingScore || 70) * 10 / 100));
+        return tournaments.filter(t => getHistorySummary(t).passed);
       case 'failed':
-        return tournaments.filter(t => t.passed === false || (t.userScore || 0) < Math.round((t.minimumPassingScore || 70) * 10 / 100));
+        return tournaments.filter(t => !getHistorySummary(t).passed);
       case 'high-score':
-        return tournaments.filter(t => (t.userScore || 0) >= 8);
+        return tournaments.filter(t => (getHistorySummary(t).percentage || 0) >= HIGH_SCORE_PERCENTAGE);
       default:
         return tournaments;
     }
@@ -165,19 +202,15 @@ const PlayerHistory = () => {
     fetchPlayerHistory();
   };
 
-  const getScoreColor = (score, passingScore = 5) => {
-    if (score >= 9) return 'text-green-600 bg-green-50';
-    if (score >= 7) return 'text-blue-600 bg-blue-50';
-    if (score >= passingScore) return 'text-yellow-600 bg-yellow-50';
-    return 'text-red-600 bg-red-50';
+  const getScoreColor = (summary) => {
+    if (summary.maxScore) {
+      return getScoreColorClass(summary.score, summary.maxScore, summary.passingPercentage);
+    }
+    return summary.passed ? 'text-green-600 bg-green-50' : 'text-red-600 bg-red-50';
   };
 
   const getStatusBadge = (tournament) => {
-    const score = tournament.userScore || 0;
-    const passingScoreAbsolute = Math.round((tournament.minimumPassingScore || 70) * 10 / 100);
-    const passed = tournament.passed !== undefined ? tournament.passed : score >= passingScoreAbsolute;
-    
-    if (passed) {
+    if (getHistorySummary(tournament).passed) {
       return (
         <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
           <CheckCircle className="w-3 h-3 mr-1" />
@@ -200,15 +233,15 @@ const PlayerHistory = () => {
     }
 
     const totalParticipated = participatedTournaments.length;
-    const totalScore = participatedTournaments.reduce((sum, t) => sum + (t.userScore || 0), 0);
-    const averageScore = totalScore / totalParticipated;
-    const passedCount = participatedTournaments.filter(t => {
-      const score = t.userScore || 0;
-      const passingScoreAbsolute = Math.round((t.minimumPassingScore || 70) * 10 / 100);
-      return t.passed !== undefined ? t.passed : score >= passingScoreAbsolute;
-    }).length;
+    const summaries = participatedTournaments.map(getHistorySummary);
+    // Averages are over percentages; a raw point total means nothing across tournaments of different sizes
+    const percentages = summaries.map(s => s.percentage).filter(p => p !== null);
+    const averageScore = percentages.length
+      ? percentages.reduce((sum, p) => sum + p, 0) / percentages.length
+      : 0;
+    const passedCount = summaries.filter(s => s.passed).length;
     const passRate = (passedCount / totalParticipated) * 100;
-    const bestScore = Math.max(...participatedTournaments.map(t => t.userScore || 0));
+    const bestScore = percentages.length ? Math.max(...percentages) : 0;
 
     return { totalParticipated, averageScore, passedCount, passRate, bestScore };
   };
@@ -248,6 +281,37 @@ const PlayerHistory = () => {
           </div>
         </div>
 
+        {/* Offline submissions */}
+        {queued.length > 0 && (
+          <div className="bg-white rounded-lg shadow-sm mb-8 p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-3 flex items-center">
+              <CloudUpload className="w-5 h-5 mr-2 text-blue-500" />
+              Waiting to Be Sent
+            </h2>
+            <div className="divide-y divide-gray-100">
+              {queued.map(entry => (
+                <div key={entry.id} className="py-3 flex items-center justify-between text-sm">
+                  <div>
+                    <p className="font-medium text-gray-900">{entry.tournamentName || 'Tournament'}</p>
+                    <p className="text-gray-500">Answered {new Date(entry.queuedAt).toLocaleString()}</p>
+                  </div>
+                  {entry.error ? (
+                    <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800" title={entry.error}>
+                      <XCircle className="w-3 h-3 mr-1" />
+                      Not accepted
+                    </span>
+                  ) : (
+                    <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                      <Clock className="w-3 h-3 mr-1" />
+                      Pending sync
+                    </span>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Error State */}
         {error && (
           <div className="bg-white rounded-lg shadow-sm mb-8 p-6">
@@ -287,7 +351,7 @@ const PlayerHistory = () => {
                 <Target className="w-8 h-8 text-green-500" />
                 <div className="ml-4">
                   <p className="text-sm text-gray-600">Average Score</p>
-                  <p className="text-2xl font-bold text-gray-900">{stats.averageScore.toFixed(1)}/10</p>
+                  <p className="text-2xl font-bold text-gray-900">{stats.averageScore.toFixed(1)}%</p>
                 </div>
               </div>
             </div>
@@ -297,7 +361,7 @@ const PlayerHistory = () => {
                 <Award className="w-8 h-8 text-yellow-500" />
                 <div className="ml-4">
                   <p className="text-sm text-gray-600">Best Score</p>
-                  <p className="text-2xl font-bold text-gray-900">{stats.bestScore}/10</p>
+                  <p className="text-2xl font-bold text-gray-900">{stats.bestScore.toFixed(1)}%</p>
                 </div>
               </div>
             </div>
@@ -334,7 +398,7 @@ const PlayerHistory = () => {
                   { key: 'all', label: 'All Tournaments' },
                   { key: 'passed', label: 'Passed' },
                   { key: 'failed', label: 'Failed' },
-                  { key: 'high-score', label: 'High Score (8+)' }
+                  { key: 'high-score', label: `High Score (${HIGH_SCORE_PERCENTAGE}%+)` }
                 ].map(filterOption => (
                   <button
                     key={filterOption.key}
@@ -412,8 +476,8 @@ const PlayerHistory = () => {
                     </div>
 
                     <div className="text-right ml-6">
-                      <div className={`inline-flex items-center px-3 py-2 rounded-lg font-bold text-lg ${getScoreColor(tournament.userScore || 0, Math.round((tournament.minimumPassingScore || 70) * 10 / 100))}`}>
-                        {tournament.userScore || 0}/10
+                      <div className={`inline-flex items-center px-3 py-2 rounded-lg font-bold text-lg ${getScoreColor(getHistorySummary(tournament))}`}>
+                        {getHistorySummary(tournament).scoreText}
                       </div>
                       <p className="text-xs text-gray-500 mt-1">
                         {tournament.userAttempts && tournament.userAttempts > 1 
@@ -431,7 +495,21 @@ const PlayerHistory = () => {
                       )}
                     </div>
                     
-                    <div className="flex space-x-2">
+                    <div className="flex flex-wrap items-start gap-2">
+                      {getHistorySummary(tournament).passed && (
+                        <CertificateActions
+                          tournamentId={tournament.id}
+                          compact
+                          fallback={{
+                            playerName: [user?.firstName, user?.lastName].filter(Boolean).join(' ') || user?.username,
+                            tournamentName: tournament.name,
+                            score: tournament.userScore,
+                            maxScore: getHistorySummary(tournament).maxScore,
+                            issuedAt: tournament.participationDate
+                          }}
+                        />
+                      )}
+
                       <Link
                         to={`/player/tournaments/${tournament.id}/scores`}
                         className="btn-secondary text-xs py-1 px-3"
@@ -439,6 +517,15 @@ const PlayerHistory = () => {
                         View Scores
                       </Link>
                       
+                      {isReviewAvailable(tournament) && (
+                        <Link
+                          to={`/player/tournaments/${tournament.id}/review`}
+                          className="btn-secondary text-xs py-1 px-3"
+                        >
+                          Review Answers
+                        </Link>
+                      )}
+                      
                       {/* Show retake button if tournament is still ongoing */}
                       {tournament.status === 'ongoing' && (
                         <Link
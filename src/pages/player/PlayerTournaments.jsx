@@ -1,93 +1,29 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { tournamentAPI } from '../../config/api';
+import { tournamentAPI, clearTournamentCache } from '../../config/api';
 import { useParticipationStatus } from '../../hooks/useParticipationStatus';
 import { Calendar, Users, Heart, Trophy, Clock, Play, RefreshCw, Filter, Eye, Award, CheckCircle } from 'lucide-react';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import Pagination from '../../components/common/Pagination';
+import TournamentFilters from '../../components/TournamentFilters';
+import { useTournamentQuery } from '../../hooks/useTournamentQuery';
+import { getTournamentStatus, TOURNAMENT_STATUS_OPTIONS, hasActiveFilters } from '../../utils/tournamentQuery';
 
 const PlayerTournaments = () => {
-  const [tournaments, setTournaments] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState('');
-  const [filter, setFilter] = useState('all');
-  const [refreshTrigger, setRefreshTrigger] = useState(0);
-
-  useEffect(() => {
-    fetchTournaments();
-  }, []);
-
-  useEffect(() => {
-    fetchTournaments();
-  }, [refreshTrigger]);
-
-  const fetchTournaments = async () => {
-    try {
-      setIsLoading(true);
-      setError('');
-      
-      const response = await tournamentAPI.getAll();
-      
-      // Check if there's an error in the response
-      if (response.error) {
-        setError(`Failed to load tournaments: ${response.error}`);
-        setTournaments([]);
-        return;
-      }
-      
-      // Handle different possible response structures
-      let tournamentsData = [];
-      
-      if (Array.isArray(response.data)) {
-        // Direct array response
-        tournamentsData = response.data;
-      } else if (Array.isArray(response.data?.tournaments)) {
-        // Nested array in tournaments property
-        tournamentsData = response.data.tournaments;
-      } else if (response.data && typeof response.data === 'object') {
-        // Try to find arrays in the response object
-        const keys = Object.keys(response.data);
-        for (const key of keys) {
-          if (Array.isArray(response.data[key])) {
-            tournamentsData = response.data[key];
-            break;
-          }
-        }
-      }
-      
-      setTournaments(tournamentsData);
-    } catch (error) {
-      console.error('Player: Error fetching tournaments:', error);
-      const errorMessage = error.response?.data?.message || error.message || 'Failed to fetch tournaments';
-      setError(errorMessage);
-      
-      // Set empty array as fallback
-      setTournaments([]);
-      
-      // If it's a network error, show a more helpful message
-      if (!navigator.onLine) {
-        setError('You appear to be offline. Please check your internet connection.');
-      } else if (error.code === 'ECONNABORTED') {
-        setError('Request timed out. The server might be busy or unavailable.');
-      }
-    } finally {
-      setIsLoading(false);
-    }
-  };
-
-  const getTournamentStatus = (tournament) => {
-    const now = new Date();
-    const startDate = new Date(tournament.startDate);
-    const endDate = new Date(tournament.endDate);
-    
-    if (now < startDate) return 'upcoming';
-    if (now > endDate) return 'completed';
-    return 'ongoing';
-  };
-
-  const filteredTournaments = tournaments.filter(tournament => {
-    if (filter === 'all') return true;
-    return getTournamentStatus(tournament) === filter;
-  });
+  const {
+    filters,
+    search,
+    setSearch,
+    setFilters,
+    setPage,
+    tournaments,
+    page,
+    totalPages,
+    totalItems,
+    isLoading,
+    error,
+    refresh
+  } = useTournamentQuery();
 
   const TournamentCard = ({ tournament }) => {
     const status = getTournamentStatus(tournament);
@@ -248,19 +184,20 @@ const PlayerTournaments = () => {
   // Function to manually refresh tournaments
   const refreshTournaments = () => {
     clearTournamentCache(); // Clear cache before fetching
-    setRefreshTrigger(prev => prev + 1);
+    refresh();
   };
 
-  // Refresh when component becomes visible (e.g., when navigating back)
+  // Refresh when component becomes visible (e.g., when navigating back). This goes through the
+  // query cache, so a list fetched moments ago is reused and an older one is revalidated
   useEffect(() => {
     const handleVisibilityChange = () => {
       if (!document.hidden) {
-        refreshTournaments();
+        refresh();
       }
     };
 
     const handleFocus = () => {
-      refreshTournaments();
+      refresh();
     };
 
     document.addEventListener('visibilitychange', handleVisibilityChange);
@@ -270,15 +207,9 @@ const PlayerTournaments = () => {
       document.removeEventListener('visibilitychange', handleVisibilityChange);
       window.removeEventListener('focus', handleFocus);
     };
-  }, []);
+  }, [refresh]);
 
-  if (isLoading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center">
-        <LoadingSpinner size="lg" text="Loading tournaments..." />
-      </div>
-    );
-  }
+  const isFiltered = hasActiveFilters(filters);
 
   return (
     <div className="min-h-screen bg-gray-50 py-8">
@@ -312,43 +243,54 @@ const PlayerTournaments = () => {
         )}
 
         {/* Filter Tabs */}
-        <div className="flex flex-wrap gap-2 mb-8">
-          {[
-            { key: 'all', label: 'All Tournaments', count: tournaments.length },
-            { key: 'ongoing', label: 'Live Now', count: tournaments.filter(t => getTournamentStatus(t) === 'ongoing').length },
-            { key: 'upcoming', label: 'Upcoming', count: tournaments.filter(t => getTournamentStatus(t) === 'upcoming').length },
-            { key: 'completed', label: 'Completed', count: tournaments.filter(t => getTournamentStatus(t) === 'completed').length },
-          ].map(tab => (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {TOURNAMENT_STATUS_OPTIONS.map(option => (
             <button
-              key={tab.key}
-              onClick={() => setFilter(tab.key)}
+              key={option.value || 'all'}
+              onClick={() => setFilters({ status: option.value })}
               className={`px-4 py-2 rounded-lg font-medium text-sm transition-colors ${
-                filter === tab.key
+                filters.status === option.value
                   ? 'bg-primary-600 text-white'
                   : 'bg-white text-gray-700 hover:bg-gray-100 border border-gray-200'
               }`}
             >
-              {tab.label} ({tab.count})
+              {option.value ? option.label : 'All Tournaments'}
+              {filters.status === option.value && !isLoading && ` (${totalItems})`}
             </button>
           ))}
         </div>
 
+        <TournamentFilters
+          search={search}
+          onSearchChange={setSearch}
+          filters={filters}
+          onChange={setFilters}
+          showStatus={false}
+        />
+
         {/* Tournaments Grid */}
-        {filteredTournaments.length === 0 ? (
+        {isLoading && tournaments.length === 0 ? (
+          <div className="py-12">
+            <LoadingSpinner size="lg" text="Loading tournaments..." />
+          </div>
+        ) : tournaments.length === 0 ? (
           <div className="text-center py-12">
             <Trophy className="mx-auto h-12 w-12 text-gray-400 mb-4" />
             <h3 className="text-lg font-medium text-gray-900 mb-2">
-              {filter === 'all' ? 'No tournaments available' : `No ${filter} tournaments`}
+              {isFiltered ? 'No matching tournaments' : 'No tournaments available'}
             </h3>
             <p className="text-gray-600 mb-6">
-              {filter === 'all' 
-                ? 'Check back later for new quiz tournaments'
-                : `There are no ${filter} tournaments at the moment`
+              {isFiltered
+                ? 'Try a different search or fewer filters'
+                : 'Check back later for new quiz tournaments'
               }
             </p>
-            {filter !== 'all' && (
+            {isFiltered && (
               <button
-                onClick={() => setFilter('all')}
+                onClick={() => {
+                  setSearch('');
+                  setFilters({ q: '', status: '', category: '', difficulty: '', from: '', to: '' });
+                }}
                 className="btn-primary"
               >
                 View All Tournaments
@@ -356,11 +298,20 @@ const PlayerTournaments = () => {
             )}
           </div>
         ) : (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {filteredTournaments.map(tournament => (
-              <TournamentCard key={tournament.id} tournament={tournament} />
-            ))}
-          </div>
+          <>
+            <div className={`grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 ${isLoading ? 'opacity-60' : ''}`}>
+              {tournaments.map(tournament => (
+                <TournamentCard key={tournament.id} tournament={tournament} />
+              ))}
+            </div>
+            <Pagination
+              currentPage={page}
+              totalPages={totalPages}
+              totalItems={totalItems}
+              onPageChange={setPage}
+              disabled={isLoading}
+            />
+          </>
         )}
       </div>
     </div>
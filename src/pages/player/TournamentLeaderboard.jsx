@@ -0,0 +1,308 @@
+// src/pages/player/TournamentLeaderboard.jsx - Ranked scores that keep updating while a tournament runs
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { tournamentAPI } from '../../config/api';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  ArrowLeft,
+  Trophy,
+  Medal,
+  ArrowUp,
+  ArrowDown,
+  Minus,
+  RefreshCw,
+  Radio,
+  ChevronLeft,
+  ChevronRight,
+  User
+} from 'lucide-react';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import { useLiveScores, LIVE_POLL_INTERVAL } from '../../hooks/useLiveScores';
+import { usePagination } from '../../hooks/useOptimizations';
+import { LEADERBOARD_PAGE_SIZE, isCurrentUserEntry } from '../../utils/leaderboard';
+import { getAttemptSummary } from '../../utils/tournamentScoring';
+
+const getTournamentStatus = (tournament) => {
+  if (!tournament) return 'unknown';
+
+  const now = new Date();
+  if (now < new Date(tournament.startDate)) return 'upcoming';
+  if (now > new Date(tournament.endDate)) return 'past';
+  return 'ongoing';
+};
+
+const TournamentLeaderboard = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  const [tournament, setTournament] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchTournament = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const response = await tournamentAPI.getById(id);
+      setTournament(response.data);
+    } catch (error) {
+      console.error('Error fetching tournament:', error);
+      setError(error.response?.data?.message || 'Failed to load tournament');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchTournament();
+  }, [fetchTournament]);
+
+  const isLive = getTournamentStatus(tournament) === 'ongoing';
+  const { entries, loading: scoresLoading, error: scoresError, lastUpdated, mode, refresh } =
+    useLiveScores(tournament ? id : null, { live: isLive });
+  const { currentPage, totalPages, currentItems, goToPage, nextPage, prevPage, pageSize } =
+    usePagination(entries, LEADERBOARD_PAGE_SIZE);
+
+  const myIndex = entries.findIndex(entry => isCurrentUserEntry(entry, user));
+  const myEntry = myIndex >= 0 ? entries[myIndex] : null;
+  const myPage = myIndex >= 0 ? Math.floor(myIndex / pageSize) + 1 : null;
+
+  const getRankDisplay = (entry) => {
+    if (entry.rank <= 3) {
+      const colors = ['text-yellow-500', 'text-gray-400', 'text-amber-600'];
+      return <Medal className={colors[entry.rank - 1]} size={24} />;
+    }
+    return (
+      <div className="w-8 h-8 bg-gray-100 rounded-full flex items-center justify-center text-sm font-medium text-gray-700">
+        {entry.rank}
+      </div>
+    );
+  };
+
+  const getMovementDisplay = (movement) => {
+    if (movement === null) {
+      return (
+        <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+          New
+        </span>
+      );
+    }
+    if (movement > 0) {
+      return (
+        <span className="inline-flex items-center text-xs font-medium text-green-600" title={`Up ${movement}`}>
+          <ArrowUp size={14} />
+          {movement}
+        </span>
+      );
+    }
+    if (movement < 0) {
+      return (
+        <span className="inline-flex items-center text-xs font-medium text-red-600" title={`Down ${-movement}`}>
+          <ArrowDown size={14} />
+          {-movement}
+        </span>
+      );
+    }
+    return <Minus size={14} className="text-gray-300" />;
+  };
+
+  const getLiveStatusText = () => {
+    if (mode === 'stream') return 'Live updates';
+    if (mode === 'polling') return `Refreshing every ${LIVE_POLL_INTERVAL / 1000}s`;
+    return null;
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" text="Loading leaderboard..." />
+      </div>
+    );
+  }
+
+  if (!tournament) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8 text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">Tournament Not Found</h1>
+          <p className="text-gray-600 mb-6">{error || 'The tournament could not be loaded.'}</p>
+          <button onClick={() => navigate('/player/tournaments')} className="btn-primary">
+            Back to Tournaments
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8">
+          <button
+            onClick={() => navigate('/player/tournaments')}
+            className="inline-flex items-center text-gray-600 hover:text-gray-900 mb-4"
+          >
+            <ArrowLeft size={20} className="mr-2" />
+            Back to Tournaments
+          </button>
+
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-3">
+              <div className="bg-yellow-100 p-3 rounded-full">
+                <Trophy className="text-yellow-600" size={24} />
+              </div>
+              <div>
+                <h1 className="text-3xl font-bold text-gray-900">{tournament.name}</h1>
+                <p className="text-gray-600 mt-1">
+                  Leaderboard • {entries.length} {entries.length === 1 ? 'player' : 'players'}
+                </p>
+              </div>
+            </div>
+
+            <div className="text-right">
+              {isLive && (
+                <span className="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium bg-green-100 text-green-800 mb-2">
+                  <Radio size={14} className="mr-1 animate-pulse" />
+                  {getLiveStatusText() || 'Live'}
+                </span>
+              )}
+              <div className="flex items-center justify-end space-x-2 text-sm text-gray-500">
+                {lastUpdated && <span>Updated {lastUpdated.toLocaleTimeString()}</span>}
+                <button
+                  onClick={() => refresh(true)}
+                  disabled={scoresLoading}
+                  className="p-1 rounded hover:bg-gray-100 disabled:opacity-50"
+                  title="Refresh now"
+                >
+                  <RefreshCw size={16} className={scoresLoading ? 'animate-spin' : ''} />
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {scoresError && (
+          <div className="mb-6 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md">
+            {scoresError}
+          </div>
+        )}
+
+        {/* Current user's standing */}
+        {myEntry && (
+          <div className="mb-6 bg-blue-50 border border-blue-200 rounded-lg p-4 flex items-center justify-between">
+            <div className="flex items-center space-x-3">
+              <User className="text-blue-600" size={20} />
+              <p className="text-blue-900">
+                You are ranked <span className="font-bold">#{myEntry.rank}</span>
+                {myEntry.tied && ' (tied)'} of {entries.length} with{' '}
+                <span className="font-bold">{getAttemptSummary(myEntry, tournament).scoreText}</span>
+              </p>
+            </div>
+            {myPage !== currentPage && (
+              <button onClick={() => goToPage(myPage)} className="text-sm font-medium text-blue-700 hover:text-blue-900">
+                Show me
+              </button>
+            )}
+          </div>
+        )}
+
+        <div className="bg-white rounded-lg shadow">
+          {scoresLoading && entries.length === 0 ? (
+            <div className="p-8">
+              <LoadingSpinner text="Loading scores..." />
+            </div>
+          ) : entries.length === 0 ? (
+            <div className="p-8 text-center">
+              <Trophy className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+              <p className="text-gray-600">No scores yet. Be the first to finish!</p>
+            </div>
+          ) : (
+            <>
+              <div className="divide-y divide-gray-100">
+                {currentItems.map(entry => {
+                  const isMe = isCurrentUserEntry(entry, user);
+                  const summary = getAttemptSummary(entry, tournament);
+
+                  return (
+                    <div
+                      key={entry.key}
+                      className={`p-4 flex items-center space-x-4 ${
+                        isMe ? 'bg-blue-50 border-l-4 border-blue-500' : entry.rank <= 3 ? 'bg-yellow-50' : ''
+                      }`}
+                    >
+                      <div className="flex-shrink-0 w-8 flex justify-center">
+                        {getRankDisplay(entry)}
+                      </div>
+
+                      <div className="flex-shrink-0 w-10 flex justify-center">
+                        {getMovementDisplay(entry.movement)}
+                      </div>
+
+                      <div className="flex-1 min-w-0">
+                        <div className="flex items-center space-x-2">
+                          <p className="text-sm font-medium text-gray-900 truncate">
+                            {entry.name}
+                          </p>
+                          {isMe && (
+                            <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                              You
+                            </span>
+                          )}
+                          {entry.tied && (
+                            <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                              Tied
+                            </span>
+                          )}
+                        </div>
+                        {entry.completedAt && (
+                          <p className="text-xs text-gray-500">
+                            Finished {new Date(entry.completedAt).toLocaleString()}
+                          </p>
+                        )}
+                      </div>
+
+                      <div className="flex-shrink-0 text-right">
+                        <div className="text-lg font-bold text-gray-900">{summary.scoreText}</div>
+                        {summary.percentage !== null && (
+                          <div className="text-sm text-gray-500">{Math.round(summary.percentage)}%</div>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+
+              {totalPages > 1 && (
+                <div className="px-4 py-3 border-t border-gray-200 flex items-center justify-between">
+                  <button
+                    onClick={prevPage}
+                    disabled={currentPage === 1}
+                    className="btn-secondary inline-flex items-center disabled:opacity-50"
+                  >
+                    <ChevronLeft size={16} className="mr-1" />
+                    Previous
+                  </button>
+                  <span className="text-sm text-gray-600">
+                    Page {currentPage} of {totalPages}
+                  </span>
+                  <button
+                    onClick={nextPage}
+                    disabled={currentPage === totalPages}
+                    className="btn-secondary inline-flex items-center disabled:opacity-50"
+                  >
+                    Next
+                    <ChevronRight size={16} className="ml-1" />
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TournamentLeaderboard;
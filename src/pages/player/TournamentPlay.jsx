@@ -1,5 +1,5 @@
 // src/pages/player/TournamentPlay.jsx - Fixed quiz participation
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { tournamentAPI } from '../../config/api';
 import { useAuth } from '../../contexts/AuthContext';
@@ -8,29 +8,61 @@ import {
   ChevronRight, 
   Clock, 
   Trophy, 
-  CheckCircle, 
   XCircle, 
   RotateCcw,
   Heart,
   Award,
   Target,
-  AlertTriangle
+  AlertTriangle,
+  History,
+  CloudUpload
 } from 'lucide-react';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import LikeButton from '../../components/common/LikeButton';
+import CertificateActions from '../../components/CertificateActions';
 import { useParticipationStatus } from '../../hooks/useParticipationStatus';
+import AnswerInput from '../../components/AnswerInput';
+import { normalizeQuestion, withoutAnswers, hasAnswer } from '../../utils/questionUtils';
+import {
+  scoreAnswer,
+  getScoringRules,
+  calculateMaxScore,
+  getAttemptSummary,
+  formatPoints
+} from '../../utils/tournamentScoring';
+import { saveAttempt, loadAttempt, clearAttempt } from '../../utils/attemptStorage';
+import { isNetworkError, isTimeoutError, queueParticipation, hasQueuedParticipation } from '../../utils/offlineData';
+import {
+  toTimestamp,
+  getClockOffset,
+  getServerNow,
+  getSecondsRemaining,
+  computeAttemptDeadline,
+  getQuestionTimeLimit,
+  formatDuration
+} from '../../utils/quizTimer';
+import {
+  FEEDBACK_MODES,
+  getFeedbackMode,
+  getFeedbackModeLabel,
+  getSubmittedCorrectness
+} from '../../utils/feedbackMode';
 
 const TournamentPlay = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const { user } = useAuth();
+  // The account this attempt belongs to. Signing in as someone else in another tab must not
+  // save, submit or time out these answers under the new account
+  const [attemptOwnerId] = useState(user?.id);
+  const sessionChanged = user?.id !== attemptOwnerId;
 
   // State management
   const [tournament, setTournament] = useState(null);
   const [questions, setQuestions] = useState([]);
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
   const [answers, setAnswers] = useState({});
-  const [answerCorrectness, setAnswerCorrectness] = useState({}); // Track correct/incorrect answers
+  const [answerCorrectness, setAnswerCorrectness] = useState({}); // Correct/incorrect per answer, instant feedback only
   const [selectedAnswer, setSelectedAnswer] = useState('');
   const [isLoading, setIsLoading] = useState(true);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -38,30 +70,113 @@ const TournamentPlay = () => {
   const [result, setResult] = useState(null);
   const [timeRemaining, setTimeRemaining] = useState(null);
   const [isLiked, setIsLiked] = useState(false);
+  const [startedAt, setStartedAt] = useState(null);
+  const [deadline, setDeadline] = useState(null); // Server-clock deadline in ms, null when untimed
+  const [clockOffset, setClockOffset] = useState(0); // Server clock minus local clock in ms
+  const [questionDeadlines, setQuestionDeadlines] = useState({}); // Per-question deadlines keyed by index
+  const [questionTimeRemaining, setQuestionTimeRemaining] = useState(null);
+  const [savedAttempt, setSavedAttempt] = useState(null); // Attempt waiting for a resume decision
+  const [answerTimes, setAnswerTimes] = useState({}); // Seconds spent on each question, for speed bonuses
+  const submitQuizRef = useRef(null);
+  const nextQuestionRef = useRef(null);
+  const questionShownAtRef = useRef(Date.now());
 
   // Check participation status
-  const { hasParticipated, loading: participationLoading } = useParticipationStatus(id);
+  const { hasParticipated, loading: participationLoading, checkAgain } = useParticipationStatus(id);
+  
+  const feedbackMode = getFeedbackMode(tournament);
 
   useEffect(() => {
     fetchTournamentData();
   }, [id]);
 
   useEffect(() => {
-    // Set up timer if tournament has time limit
-    if (tournament?.timeLimit && !result) {
-      const timer = setInterval(() => {
-        setTimeRemaining(prev => {
-          if (prev <= 1) {
-            handleSubmitQuiz();
-            return 0;
-          }
-          return prev - 1;
-        });
-      }, 1000);
+    // Keep the timers pointed at the latest handlers (and their latest answers)
+    submitQuizRef.current = handleSubmitQuiz;
+    nextQuestionRef.current = handleNextQuestion;
+  });
+
+  useEffect(() => {
+    // Timer counts down against the deadline rather than decrementing, so reloads,
+    // throttled background tabs and sleeping laptops cannot stretch the time limit
+    // A finished player never gets a running clock, so it can never auto-submit a second time
+    if (!deadline || result || savedAttempt || sessionChanged || hasParticipated) return;
+
+    const tick = () => {
+      const remaining = getSecondsRemaining(deadline, clockOffset);
+      setTimeRemaining(remaining);
+      if (remaining <= 0) {
+        clearInterval(timer);
+        submitQuizRef.current?.();
+      }
+    };
+
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [deadline, clockOffset, result, savedAttempt, sessionChanged, hasParticipated]);
+
+  useEffect(() => {
+    // Time spent on a question is measured from when it is shown (or the attempt is resumed)
+    questionShownAtRef.current = Date.now();
+  }, [currentQuestionIndex, savedAttempt]);
+
+  useEffect(() => {
+    // Start the clock for a timed question the first time it is shown
+    if (!startedAt || result || savedAttempt) return;
+
+    const limit = getQuestionTimeLimit(questions[currentQuestionIndex]);
+    if (!limit || questionDeadlines[currentQuestionIndex]) return;
 
-      return () => clearInterval(timer);
+    setQuestionDeadlines(prev => ({
+      ...prev,
+      [currentQuestionIndex]: getServerNow(clockOffset) + limit * 1000
+    }));
+  }, [currentQuestionIndex, questions, questionDeadlines, startedAt, clockOffset, result, savedAttempt]);
+
+  useEffect(() => {
+    const questionDeadline = questionDeadlines[currentQuestionIndex];
+    if (!questionDeadline || result || savedAttempt || sessionChanged || hasParticipated) {
+      setQuestionTimeRemaining(null);
+      return;
     }
-  }, [tournament, result]);
+
+    // A question that ran out earlier stays locked; only a live expiry moves the player on
+    const initial = getSecondsRemaining(questionDeadline, clockOffset);
+    setQuestionTimeRemaining(initial);
+    if (initial <= 0) return;
+
+    const timer = setInterval(() => {
+      const remaining = getSecondsRemaining(questionDeadline, clockOffset);
+      setQuestionTimeRemaining(remaining);
+      if (remaining <= 0) {
+        clearInterval(timer);
+        nextQuestionRef.current?.();
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [currentQuestionIndex, questionDeadlines, clockOffset, result, savedAttempt, sessionChanged, hasParticipated]);
+
+  useEffect(() => {
+    // Persist progress after every change so a reload or crash can resume the attempt
+    if (!startedAt || result || savedAttempt || hasParticipated || sessionChanged || questions.length === 0) return;
+
+    saveAttempt(attemptOwnerId, id, {
+      answers,
+      selectedAnswer,
+      currentQuestionIndex,
+      questionIds: questions.map(q => q.id),
+      questionDeadlines,
+      answerTimes,
+      startedAt
+    });
+  }, [answers, selectedAnswer, currentQuestionIndex, questionDeadlines, answerTimes, startedAt, result, savedAttempt, hasParticipated, questions, attemptOwnerId, sessionChanged, id]);
+
+  useEffect(() => {
+    // Participation status follows the signed-in user, so it says nothing about another account's attempt
+    if (hasParticipated && !sessionChanged) {
+      clearAttempt(attemptOwnerId, id);
+    }
+  }, [hasParticipated, sessionChanged, attemptOwnerId, id]);
 
   const fetchTournamentData = async () => {
     try {
@@ -78,6 +193,13 @@ const TournamentPlay = () => {
       
       setTournament(tournamentData);
       
+      // Answers sent while offline have not reached the server yet, so participation status cannot know
+      // about them; the player sees they are waiting rather than getting a second attempt
+      if (hasQueuedParticipation(attemptOwnerId, id)) {
+        setResult({ queued: true });
+        return;
+      }
+      
       // Check tournament status
       const status = getTournamentStatus(tournamentData);
       if (status !== 'ongoing') {
@@ -85,28 +207,57 @@ const TournamentPlay = () => {
       }
       
       // Fetch questions
-      const questionsResponse = await tournamentAPI.getQuestions(id);
+      const questionsResponse = await tournamentAPI.getPlayQuestions(id);
       const questionsData = questionsResponse.data;
       
       if (!questionsData || !Array.isArray(questionsData) || questionsData.length === 0) {
         throw new Error('No questions available for this tournament');
       }
       
-      // Process questions to ensure consistent format
-      const processedQuestions = questionsData.map((q, index) => ({
-        id: q.id || index,
-        question: q.question || q.text || '',
-        options: q.options || q.answers || [q.correct_answer, ...(q.incorrect_answers || [])].filter(Boolean),
-        correctAnswer: q.correctAnswer || q.correct_answer || '',
-        difficulty: q.difficulty || tournamentData?.difficulty || 'medium',
-        category: q.category || tournamentData?.category || 'General Knowledge'
-      }));
+      // Process questions to ensure consistent format. Outside instant feedback the answers are
+      // dropped even if an older server still sends them, so they never reach state or saved attempts
+      const keepAnswers = getFeedbackMode(tournamentData) === FEEDBACK_MODES.INSTANT;
+      const processedQuestions = questionsData.map((q, index) => {
+        const normalized = normalizeQuestion(q, index, tournamentData);
+        return keepAnswers ? normalized : withoutAnswers(normalized);
+      });
       
       setQuestions(processedQuestions);
       
-      // Initialize timer if tournament has time limit
-      if (tournamentData.timeLimit) {
-        setTimeRemaining(tournamentData.timeLimit * 60); // Convert minutes to seconds
+      // A player who already finished sees the notice instead, without starting a new attempt on the server.
+      // Asked here rather than read from useParticipationStatus, which may not have answered yet; the
+      // lookup is cached, so both share one request
+      const participation = await tournamentAPI.checkParticipationStatus(id).catch(() => null);
+      if (participation?.data?.hasParticipated) return;
+      
+      // Register the start with the server so the deadline is measured on its clock
+      let serverAttempt = null;
+      try {
+        const startResponse = await tournamentAPI.startAttempt(id);
+        serverAttempt = startResponse.data || null;
+      } catch {
+        // Backends without the start endpoint fall back to a locally recorded start time
+      }
+      
+      const offset = getClockOffset(serverAttempt?.serverTime);
+      const existingAttempt = loadAttempt(attemptOwnerId, id, processedQuestions.map(q => q.id));
+      
+      // The server's start time wins; a saved attempt keeps its original start so a reload never resets the clock
+      const attemptStartedAt = toTimestamp(serverAttempt?.startedAt) ?? existingAttempt?.startedAt ?? getServerNow(offset);
+      const attemptDeadline = toTimestamp(serverAttempt?.deadline) ?? computeAttemptDeadline({
+        startedAt: attemptStartedAt,
+        timeLimitMinutes: tournamentData.timeLimit,
+        endDate: tournamentData.endDate
+      });
+      
+      setClockOffset(offset);
+      setStartedAt(attemptStartedAt);
+      setDeadline(attemptDeadline);
+      setTimeRemaining(getSecondsRemaining(attemptDeadline, offset));
+      
+      // Offer to resume an attempt saved before a reload or crash
+      if (existingAttempt) {
+        setSavedAttempt(existingAttempt);
       }
       
     } catch (error) {
@@ -130,27 +281,111 @@ const TournamentPlay = () => {
     return 'ongoing';
   };
 
+  const handleResumeAttempt = () => {
+    const restoredAnswers = savedAttempt.answers || {};
+    const restoredIndex = Math.min(savedAttempt.currentQuestionIndex || 0, questions.length - 1);
+
+    // Rebuild progress feedback for the restored answers
+    const restoredCorrectness = {};
+    Object.entries(restoredAnswers).forEach(([index, answer]) => {
+      const isCorrect = checkAnswer(questions[index], answer);
+      if (isCorrect !== undefined) {
+        restoredCorrectness[index] = isCorrect;
+      }
+    });
+
+    setAnswers(restoredAnswers);
+    setAnswerCorrectness(restoredCorrectness);
+    setCurrentQuestionIndex(restoredIndex);
+    setSelectedAnswer(savedAttempt.selectedAnswer || restoredAnswers[restoredIndex] || '');
+    setQuestionDeadlines(savedAttempt.questionDeadlines || {});
+    setAnswerTimes(savedAttempt.answerTimes || {});
+    setSavedAttempt(null);
+  };
+
+  const handleStartOver = () => {
+    // Answers are cleared but the original deadlines stand, so starting over never buys extra time
+    setAnswers({});
+    setAnswerCorrectness({});
+    setCurrentQuestionIndex(0);
+    setSelectedAnswer('');
+    setQuestionDeadlines(savedAttempt.questionDeadlines || {});
+    setAnswerTimes({});
+    setSavedAttempt(null);
+  };
+
+  const handleTryAgain = () => {
+    clearAttempt(attemptOwnerId, id);
+    setResult(null);
+    setAnswers({});
+    setAnswerCorrectness({});
+    setCurrentQuestionIndex(0);
+    setSelectedAnswer('');
+    setStartedAt(null);
+    setDeadline(null);
+    setQuestionDeadlines({});
+    setAnswerTimes({});
+    checkAgain();
+    fetchTournamentData();
+  };
+
+  const isQuestionLocked = (index) => {
+    const questionDeadline = questionDeadlines[index];
+    return Boolean(questionDeadline) && getSecondsRemaining(questionDeadline, clockOffset) === 0;
+  };
+
   const handleAnswerSelect = (answer) => {
+    if (isQuestionLocked(currentQuestionIndex)) return;
     setSelectedAnswer(answer);
   };
 
-  const handleNextQuestion = () => {
-    // Save current answer and check correctness
-    if (selectedAnswer) {
-      const currentQuestion = questions[currentQuestionIndex];
-      const isCorrect = selectedAnswer.toLowerCase().trim() === currentQuestion.correctAnswer.toLowerCase().trim();
-      
-      setAnswers(prev => ({
-        ...prev,
-        [currentQuestionIndex]: selectedAnswer
-      }));
-      
-      // Track answer correctness for visual feedback
+  const checkAnswer = (question, answer) => {
+    // Correctness is only known up front in instant feedback mode; otherwise the server decides on submit
+    if (feedbackMode !== FEEDBACK_MODES.INSTANT || !question || !hasAnswer(answer)) return undefined;
+    return scoreAnswer(question, answer);
+  };
+
+  // Seconds spent on the current question, including earlier visits
+  const getCurrentAnswerTime = () => {
+    const elapsed = (Date.now() - questionShownAtRef.current) / 1000;
+    return Math.round(((answerTimes[currentQuestionIndex] || 0) + elapsed) * 10) / 10;
+  };
+
+  const saveCurrentAnswer = () => {
+    setAnswerTimes(prev => ({ ...prev, [currentQuestionIndex]: getCurrentAnswerTime() }));
+
+    if (!hasAnswer(selectedAnswer)) {
+      // Clearing a multi-select or text answer leaves the question unanswered again
+      setAnswers(prev => {
+        const next = { ...prev };
+        delete next[currentQuestionIndex];
+        return next;
+      });
+      setAnswerCorrectness(prev => {
+        const next = { ...prev };
+        delete next[currentQuestionIndex];
+        return next;
+      });
+      return;
+    }
+
+    setAnswers(prev => ({
+      ...prev,
+      [currentQuestionIndex]: selectedAnswer
+    }));
+
+    // Track answer correctness for visual feedback
+    const isCorrect = checkAnswer(questions[currentQuestionIndex], selectedAnswer);
+    if (isCorrect !== undefined) {
       setAnswerCorrectness(prev => ({
         ...prev,
         [currentQuestionIndex]: isCorrect
       }));
     }
+  };
+
+  const handleNextQuestion = () => {
+    saveCurrentAnswer();
     
     // Move to next question or finish
     if (currentQuestionIndex < questions.length - 1) {
@@ -164,22 +399,7 @@ const TournamentPlay = () => {
 
   const handlePreviousQuestion = () => {
     if (currentQuestionIndex > 0) {
-      // Save current answer and check correctness
-      if (selectedAnswer) {
-        const currentQuestion = questions[currentQuestionIndex];
-        const isCorrect = selectedAnswer.toLowerCase().trim() === currentQuestion.correctAnswer.toLowerCase().trim();
-        
-        setAnswers(prev => ({
-          ...prev,
-          [currentQuestionIndex]: selectedAnswer
-        }));
-        
-        // Track answer correctness for visual feedback
-        setAnswerCorrectness(prev => ({
-          ...prev,
-          [currentQuestionIndex]: isCorrect
-        }));
-      }
+      saveCurrentAnswer();
       
       setCurrentQuestionIndex(prev => prev - 1);
       // Load saved answer for previous question
@@ -188,21 +408,26 @@ const TournamentPlay = () => {
   };
 
   const handleSubmitQuiz = async () => {
-    if (isSubmitting) return;
+    if (isSubmitting || sessionChanged) return;
     
+    let submission = null;
     try {
       setIsSubmitting(true);
       setError('');
       
       // Include current answer in final answers
-      const finalAnswers = selectedAnswer 
+      const finalAnswers = hasAnswer(selectedAnswer) 
         ? { ...answers, [currentQuestionIndex]: selectedAnswer } 
         : answers;
 
+      const finalTimes = { ...answerTimes, [currentQuestionIndex]: getCurrentAnswerTime() };
+
       // Convert answers object to array in the correct order
       const answersArray = [];
+      const answerTimesArray = [];
       for (let i = 0; i < questions.length; i++) {
-        answersArray.push(finalAnswers[i] || ''); // Use empty string for unanswered questions
+        answersArray.push(hasAnswer(finalAnswers[i]) ? finalAnswers[i] : ''); // Use empty string for unanswered questions
+        answerTimesArray.push(finalTimes[i] ?? null);
       }
       
       // Debug logging
@@ -211,8 +436,15 @@ const TournamentPlay = () => {
       // Debug tournament scoring
       
       
-      const response = await tournamentAPI.participate(id, { answers: answersArray });
+      // The server checks startedAt against its own record and rejects late submissions
+      submission = {
+        answers: answersArray,
+        answerTimes: answerTimesArray,
+        startedAt: startedAt ? new Date(startedAt).toISOString() : null
+      };
+      const response = await tournamentAPI.participate(id, submission);
       
+      clearAttempt(attemptOwnerId, id);
       setResult(response.data);
       
       // Like the tournament automatically after successful completion
@@ -224,6 +456,39 @@ const TournamentPlay = () => {
       }
       
     } catch (error) {
+      // No connection: keep the answers and send them once it comes back. They go out exactly as they
+      // would have now; the server judges the time limit by its own record of the attempt, so a replay
+      // that arrives after the deadline is refused rather than trusted to a device clock
+      if (submission && isNetworkError(error)) {
+        const queued = queueParticipation({
+          userId: attemptOwnerId,
+          tournamentId: id,
+          tournamentName: tournament?.name,
+          payload: submission
+        });
+        if (!queued) {
+          setError('Answers for this tournament are already waiting to be sent, so these were not kept.');
+          return;
+        }
+        clearAttempt(attemptOwnerId, id);
+        setResult({ queued: true });
+        return;
+      }
+
+      // Timed out: the server may have recorded the answers anyway, so ask it before offering a resubmit
+      if (submission && isTimeoutError(error)) {
+        const participation = await tournamentAPI.checkParticipationStatus(id, true).catch(() => null);
+        if (participation?.data?.hasParticipated) {
+          // They arrived: the Already Completed notice takes over and the saved attempt is cleared
+          checkAgain();
+        } else if (participation) {
+          setError('The server took too long to answer and your answers were not recorded. Please submit again.');
+        } else {
+          setError('The server took too long to answer. Check your history before submitting again.');
+        }
+        return;
+      }
+
       console.error('❌ Error submitting quiz:', error);
       const errorMessage = error.response?.data?.message || error.message || 'Failed to submit quiz';
       setError(errorMessage);
@@ -232,20 +497,14 @@ const TournamentPlay = () => {
     }
   };
 
-  const formatTime = (seconds) => {
-    if (!seconds) return '';
-    const minutes = Math.floor(seconds / 60);
-    const remainingSeconds = seconds % 60;
-    return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
-  };
-
   const getProgressPercentage = () => {
     if (questions.length === 0) return 0;
     return ((currentQuestionIndex + 1) / questions.length) * 100;
   };
 
   const getTotalAnswered = () => {
-    return Object.keys(answers).length + (selectedAnswer ? 1 : 0);
+    const withCurrent = { ...answers, [currentQuestionIndex]: selectedAnswer };
+    return Object.values(withCurrent).filter(hasAnswer).length;
   };
 
   const getCorrectAnswersCount = () => {
@@ -265,6 +524,30 @@ const TournamentPlay = () => {
     );
   }
 
+  // The session changed in another tab; the attempt stays saved for the account that started it
+  if (sessionChanged && !result) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="bg-white rounded-lg shadow-sm p-8 text-center">
+            <AlertTriangle className="w-16 h-16 text-yellow-500 mx-auto mb-4" />
+            <h1 className="text-2xl font-bold text-gray-900 mb-4">You Switched Accounts</h1>
+            <p className="text-gray-600 mb-6">
+              Another tab signed in as a different user. This attempt belongs to the previous account, so it has
+              been paused and its answers saved. Sign back in as that account to pick up where you left off.
+            </p>
+            <button
+              onClick={() => navigate('/player/tournaments')}
+              className="btn-primary"
+            >
+              Back to Tournaments
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   // Error state
   if (error && !tournament) {
     return (
@@ -294,17 +577,102 @@ const TournamentPlay = () => {
     );
   }
 
+  // Resume prompt
+  if (savedAttempt && !result) {
+    const answeredCount = Object.values(savedAttempt.answers || {}).filter(hasAnswer).length;
+    const secondsLeft = getSecondsRemaining(deadline, clockOffset);
+
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="bg-white rounded-lg shadow-sm p-8 text-center">
+            <History className="w-16 h-16 text-blue-500 mx-auto mb-4" />
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Resume Your Attempt?</h1>
+            <p className="text-gray-600 mb-2">
+              You have an unfinished attempt at <span className="font-medium">{tournament?.name}</span> with{' '}
+              {answeredCount} of {questions.length} questions answered.
+            </p>
+            {secondsLeft !== null && (
+              <p className={`text-sm mb-6 ${secondsLeft > 0 ? 'text-orange-600' : 'text-red-600'}`}>
+                {secondsLeft > 0
+                  ? `Time remaining: ${formatDuration(secondsLeft)} (the timer kept running while you were away)`
+                  : 'Your time is up. Your saved answers will be submitted.'}
+              </p>
+            )}
+            <div className="flex items-center justify-center space-x-4 mt-6">
+              <button onClick={handleResumeAttempt} className="btn-primary">
+                {secondsLeft === 0 ? 'Submit Saved Answers' : 'Resume'}
+              </button>
+              {secondsLeft !== 0 && (
+                <button onClick={handleStartOver} className="btn-secondary">
+                  Start Over
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Submitted while offline - there is no score until the queued answers reach the server
+  if (result?.queued) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="bg-white rounded-lg shadow-sm p-8 text-center">
+            <div className="mx-auto w-20 h-20 rounded-full flex items-center justify-center mb-4 bg-blue-100">
+              <CloudUpload className="w-10 h-10 text-blue-600" />
+            </div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Answers Saved</h1>
+            <p className="text-gray-600 text-lg mb-6">
+              Your answers for {tournament?.name || 'this tournament'} are saved on this device, waiting for a connection.
+              They will be submitted automatically when your connection returns, and your score will appear in your history.
+            </p>
+            <div className="flex items-center justify-center space-x-4">
+              <button
+                onClick={() => navigate('/player/history')}
+                className="btn-secondary"
+              >
+                View History
+              </button>
+              <button
+                onClick={() => navigate('/player/tournaments')}
+                className="btn-primary"
+              >
+                Back to Tournaments
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   // Result screen
   if (result) {
+    const scoringRules = getScoringRules(tournament);
+    const summary = getAttemptSummary(
+      { totalQuestions: questions.length, ...result },
+      tournament,
+      calculateMaxScore(questions, scoringRules)
+    );
+    const submittedCorrectness = getSubmittedCorrectness(result);
+    // Under weighted scoring the score is points, not a count of correct answers
+    const correctCount = result.correct
+      ?? result.correctAnswers
+      ?? submittedCorrectness?.filter(Boolean).length
+      ?? (summary.maxScore === questions.length ? summary.score : null);
+
     return (
       <div className="min-h-screen bg-gray-50 py-8">
         <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8">
           <div className="bg-white rounded-lg shadow-sm p-8 text-center">
             <div className="mb-6">
               <div className={`mx-auto w-20 h-20 rounded-full flex items-center justify-center mb-4 ${
-                result.passed ? 'bg-green-100' : 'bg-red-100'
+                summary.passed ? 'bg-green-100' : 'bg-red-100'
               }`}>
-                {result.passed ? (
+                {summary.passed ? (
                   <Trophy className="w-10 h-10 text-green-600" />
                 ) : (
                   <XCircle className="w-10 h-10 text-red-600" />
@@ -312,33 +680,70 @@ const TournamentPlay = () => {
               </div>
               
               <h1 className={`text-3xl font-bold mb-2 ${
-                result.passed ? 'text-green-600' : 'text-red-600'
+                summary.passed ? 'text-green-600' : 'text-red-600'
               }`}>
-                {result.passed ? 'Congratulations!' : 'Better Luck Next Time!'}
+                {summary.passed ? 'Congratulations!' : 'Better Luck Next Time!'}
               </h1>
               
               <p className="text-gray-600 text-lg">
-                You scored <span className="font-bold text-gray-900">{result.score}</span> out of <span className="font-bold text-gray-900">{questions.length}</span>
+                You scored <span className="font-bold text-gray-900">{formatPoints(summary.score)}</span> out of <span className="font-bold text-gray-900">{formatPoints(summary.maxScore)}</span>{summary.maxScore !== questions.length && ' points'}
               </p>
               
-              <div className="text-sm text-gray-500 mt-2">
-                <span className="text-green-600 font-medium">{result.score} correct</span> • 
-                <span className="text-red-600 font-medium"> {questions.length - result.score} incorrect</span>
-              </div>
+              {typeof correctCount === 'number' && (
+                <div className="text-sm text-gray-500 mt-2">
+                  <span className="text-green-600 font-medium">{correctCount} correct</span> • 
+                  <span className="text-red-600 font-medium"> {questions.length - correctCount} incorrect</span>
+                </div>
+              )}
               
-              {result.passed && tournament && (
+              {summary.passed && tournament && (
                 <p className="text-green-600 font-medium mt-2">
-                  🎉 You passed the tournament! (Required: {tournament.minimumPassingScore}%)
+                  🎉 You passed the tournament! (Required: {summary.passingPercentage}%)
                 </p>
               )}
             </div>
 
+            {summary.passed && (
+              <div className="mb-6">
+                <CertificateActions
+                  tournamentId={id}
+                  fallback={{
+                    playerName: [user?.firstName, user?.lastName].filter(Boolean).join(' ') || user?.username,
+                    tournamentName: tournament?.name,
+                    score: summary.score,
+                    maxScore: summary.maxScore,
+                    percentage: summary.percentage
+                  }}
+                />
+              </div>
+            )}
+
+            {/* Per-question results, revealed after submission in end-of-quiz feedback mode */}
+            {feedbackMode === FEEDBACK_MODES.END && submittedCorrectness && (
+              <div className="mb-6">
+                <p className="text-sm font-medium text-gray-700 mb-2">Question by question</p>
+                <div className="grid grid-cols-5 sm:grid-cols-10 gap-2">
+                  {submittedCorrectness.map((isCorrect, index) => (
+                    <div
+                      key={index}
+                      className={`aspect-square rounded flex items-center justify-center text-xs font-medium text-white ${
+                        isCorrect ? 'bg-green-500' : 'bg-red-500'
+                      }`}
+                      title={`Question ${index + 1} (${isCorrect ? 'Correct' : 'Incorrect'})`}
+                    >
+                      {index + 1}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             <div className="grid grid-cols-2 gap-4 mb-6">
               <div className="bg-gray-50 rounded-lg p-4">
                 <Target className="w-6 h-6 text-blue-500 mx-auto mb-2" />
-                <p className="text-sm text-gray-600">Accuracy</p>
+                <p className="text-sm text-gray-600">Score</p>
                 <p className="text-xl font-bold text-gray-900">
-                  {((result.score / questions.length) * 100).toFixed(1)}%
+                  {summary.percentage !== null ? `${summary.percentage.toFixed(1)}%` : 'N/A'}
                 </p>
               </div>
               
@@ -368,6 +773,16 @@ const TournamentPlay = () => {
                 </button>
               </div>
               
+              <p className="text-sm text-gray-500">
+                You can review each question and the correct answers once the tournament ends.{' '}
+                <button
+                  onClick={() => navigate(`/player/tournaments/${id}/review`)}
+                  className="text-blue-600 hover:text-blue-800 font-medium"
+                >
+                  Answer review
+                </button>
+              </p>
+              
               {/* Like Button */}
               <div className="flex justify-center">
                 <LikeButton
@@ -378,7 +793,7 @@ const TournamentPlay = () => {
               
               {tournament?.status === 'ongoing' && (
                 <button
-                  onClick={() => window.location.reload()}
+                  onClick={handleTryAgain}
                   className="btn-secondary flex items-center mx-auto"
                 >
                   <RotateCcw className="w-4 h-4 mr-2" />
@@ -395,6 +810,7 @@ const TournamentPlay = () => {
   // Quiz interface
   const currentQuestion = questions[currentQuestionIndex];
   const progress = getProgressPercentage();
+  const currentQuestionLocked = isQuestionLocked(currentQuestionIndex);
 
   return (
     <div className="min-h-screen bg-gray-50 py-8">
@@ -443,11 +859,11 @@ const TournamentPlay = () => {
                 </div>
                 
                 <div className="text-right">
-                  {timeRemaining && (
-                    <div className="flex items-center text-orange-600 mb-2">
+                  {timeRemaining !== null && (
+                    <div className="flex items-center text-orange-600 mb-2" title="Time left for the whole quiz">
                       <Clock className="w-4 h-4 mr-1" />
                       <span className="font-mono font-bold">
-                        {formatTime(timeRemaining)}
+                        {formatDuration(timeRemaining)}
                       </span>
                     </div>
                   )}
@@ -487,41 +903,26 @@ const TournamentPlay = () => {
               <h2 className="text-xl font-semibold text-gray-900 mb-6">
                 {currentQuestion.question}
               </h2>
-            </div>
-
-            {/* Answer options */}
-            <div className="space-y-3">
-              {currentQuestion.options && currentQuestion.options.length > 0 ? (
-                currentQuestion.options.map((option, index) => (
-                  <button
-                    key={index}
-                    onClick={() => handleAnswerSelect(option)}
-                    className={`w-full text-left p-4 rounded-lg border-2 transition-all duration-200 ${
-                      selectedAnswer === option
-                        ? 'border-blue-500 bg-blue-50 text-blue-900'
-                        : 'border-gray-200 bg-white hover:border-gray-300 hover:bg-gray-50'
-                    }`}
-                  >
-                    <div className="flex items-center">
-                      <div className={`w-6 h-6 rounded-full border-2 mr-3 flex items-center justify-center ${
-                        selectedAnswer === option
-                          ? 'border-blue-500 bg-blue-500'
-                          : 'border-gray-300'
-                      }`}>
-                        {selectedAnswer === option && (
-                          <CheckCircle className="w-4 h-4 text-white" />
-                        )}
-                      </div>
-                      <span className="font-medium">{option}</span>
-                    </div>
-                  </button>
-                ))
-              ) : (
-                <div className="text-center py-8">
-                  <p className="text-gray-500">No answer options available for this question.</p>
+              
+              {questionTimeRemaining !== null && (
+                <div className={`flex items-center text-sm font-medium mb-4 ${
+                  questionTimeRemaining > 5 ? 'text-orange-600' : 'text-red-600'
+                }`}>
+                  <Clock className="w-4 h-4 mr-1" />
+                  {currentQuestionLocked
+                    ? 'Time is up for this question'
+                    : `${formatDuration(questionTimeRemaining)} left for this question`}
                 </div>
               )}
             </div>
+
+            {/* Answer input for the question's type */}
+            <AnswerInput
+              question={currentQuestion}
+              value={selectedAnswer}
+              onChange={handleAnswerSelect}
+              disabled={currentQuestionLocked}
+            />
           </div>
         )}
 
@@ -545,7 +946,7 @@ const TournamentPlay = () => {
               )}
               
               <span className="text-sm text-gray-500">
-                {selectedAnswer ? 'Answer selected' : 'Select an answer'}
+                {hasAnswer(selectedAnswer) ? 'Answer selected' : 'Select an answer'}
               </span>
             </div>
 
@@ -585,7 +986,7 @@ const TournamentPlay = () => {
           
           <div className="grid grid-cols-5 sm:grid-cols-10 gap-2">
             {questions.map((_, index) => {
-              const isAnswered = answers[index];
+              const isAnswered = hasAnswer(answers[index]);
               const isCorrect = answerCorrectness[index];
               const isCurrent = index === currentQuestionIndex;
               
@@ -599,8 +1000,8 @@ const TournamentPlay = () => {
                   ? 'bg-green-500 text-white hover:bg-green-600' 
                   : 'bg-red-500 text-white hover:bg-red-600';
               } else if (isAnswered) {
-                // Answered but not yet processed (shouldn't happen with current flow)
-                styling = 'bg-yellow-100 text-yellow-800 hover:bg-yellow-200';
+                // Answered; correctness stays hidden unless the tournament uses instant feedback
+                styling = 'bg-blue-100 text-blue-800 hover:bg-blue-200';
               } else {
                 // Not answered
                 styling = 'bg-gray-100 text-gray-600 hover:bg-gray-200';
@@ -611,27 +1012,12 @@ const TournamentPlay = () => {
                   key={index}
                   className={`aspect-square rounded flex items-center justify-center text-xs font-medium cursor-pointer transition-all duration-200 ${styling}`}
                   onClick={() => {
-                    // Save current answer and check correctness before switching
-                    if (selectedAnswer) {
-                      const currentQuestion = questions[currentQuestionIndex];
-                      const isCorrect = selectedAnswer.toLowerCase().trim() === currentQuestion.correctAnswer.toLowerCase().trim();
-                      
-                      setAnswers(prev => ({
-                        ...prev,
-                        [currentQuestionIndex]: selectedAnswer
-                      }));
-                      
-                      // Track answer correctness for visual feedback
-                      setAnswerCorrectness(prev => ({
-                        ...prev,
-                        [currentQuestionIndex]: isCorrect
-                      }));
-                    }
+                    saveCurrentAnswer();
                     setCurrentQuestionIndex(index);
                     setSelectedAnswer(answers[index] || '');
                   }}
                   title={`Question ${index + 1}${
-                    answers[index] 
+                    isAnswered 
                       ? isCorrect !== undefined 
                         ? ` (${isCorrect ? 'Correct' : 'Incorrect'})` 
                         : ' (Answered)'
@@ -668,7 +1054,7 @@ const TournamentPlay = () => {
         <div className="mt-6 bg-white rounded-lg shadow-sm p-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Tournament Information</h3>
           
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 text-sm">
             <div>
               <p className="text-gray-600">Passing Score</p>
               <p className="font-semibold text-gray-900">{tournament?.minimumPassingScore || 70}%</p>
@@ -683,6 +1069,11 @@ const TournamentPlay = () => {
               <p className="text-gray-600">Category</p>
               <p className="font-semibold text-gray-900">{tournament?.category || 'General Knowledge'}</p>
             </div>
+            
+            <div>
+              <p className="text-gray-600">Feedback</p>
+              <p className="font-semibold text-gray-900">{getFeedbackModeLabel(feedbackMode)}</p>
+            </div>
           </div>
         </div>
           </>
@@ -3,14 +3,25 @@ import { useParams, useNavigate, Link } from 'react-router-dom';
 import { tournamentAPI } from '../../config/api';
 import { Trophy, ArrowLeft, Medal, Users, Calendar, Award, Star, TrendingUp } from 'lucide-react';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import ResultsExport from '../../components/admin/ResultsExport';
+import { useAuth } from '../../contexts/AuthContext';
+import { can, ACTIONS, RESOURCES } from '../../utils/permissions';
+import { isReviewAvailable } from '../../utils/answerReview';
+import { normalizeQuestion } from '../../utils/questionUtils';
+import { getScoringRules, isStandardScoring, calculateMaxScore, getAttemptSummary } from '../../utils/tournamentScoring';
 
 const TournamentResults = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { user } = useAuth();
+  const canExport = can(user, ACTIONS.EXPORT, RESOURCES.RESULT);
+  // Staff reach this page from the admin list and may not be allowed to browse the player one
+  const backPath = can(user, ACTIONS.PLAY, RESOURCES.TOURNAMENT) ? '/player/tournaments' : '/admin/tournaments';
   
   const [tournament, setTournament] = useState(null);
   const [scores, setScores] = useState([]);
   const [userScore, setUserScore] = useState(null);
+  const [fallbackMaxScore, setFallbackMaxScore] = useState(null); // From the question list, for attempts without maxScore
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
 
@@ -23,12 +34,21 @@ const TournamentResults = () => {
       setIsLoading(true);
       setError('');
 
-      const [tournamentResponse, scoresResponse] = await Promise.all([
+      const [tournamentResponse, scoresResponse, questionsResponse] = await Promise.all([
         tournamentAPI.getById(id),
-        tournamentAPI.getScores(id).catch(() => ({ data: [] }))
+        tournamentAPI.getScores(id).catch(() => ({ data: [] })),
+        tournamentAPI.getPlayQuestions(id).catch(() => ({ data: [] }))
       ]);
 
       setTournament(tournamentResponse.data);
+
+      const questions = Array.isArray(questionsResponse.data)
+        ? questionsResponse.data.map((q, index) => normalizeQuestion(q, index, tournamentResponse.data))
+        : [];
+      const maxScore = questions.length
+        ? calculateMaxScore(questions, getScoringRules(tournamentResponse.data))
+        : null;
+      setFallbackMaxScore(maxScore);
       
       const scoresData = Array.isArray(scoresResponse.data) ? scoresResponse.data : [];
       setScores(scoresData);
@@ -40,11 +60,8 @@ const TournamentResults = () => {
       
       if (userAttempt) {
         setUserScore({
-          score: userAttempt.score,
-          totalQuestions: userAttempt.totalQuestions || 10,
-          percentage: Math.round((userAttempt.score / (userAttempt.totalQuestions || 10)) * 100),
-          completedAt: userAttempt.completedAt,
-          passed: userAttempt.score >= Math.round((tournamentResponse.data.minimumPassingScore || 70) * 10 / 100)
+          ...getAttemptSummary(userAttempt, tournamentResponse.data, maxScore),
+          completedAt: userAttempt.completedAt
         });
       }
 
@@ -95,7 +112,7 @@ const TournamentResults = () => {
             <h1 className="text-2xl font-bold text-gray-900 mb-4">Tournament Not Found</h1>
             <p className="text-gray-600 mb-6">{error || 'The tournament results could not be loaded.'}</p>
             <button
-              onClick={() => navigate('/player/tournaments')}
+              onClick={() => navigate(backPath)}
               className="btn-primary"
             >
               Back to Tournaments
@@ -111,8 +128,9 @@ const TournamentResults = () => {
     ? Math.round(tournament.attempts.reduce((sum, attempt) => sum + attempt.score, 0) / totalParticipants)
     : 0;
   const passedCount = tournament.attempts?.filter(attempt => 
-    attempt.score >= Math.round(tournament.minimumPassingScore * 10 / 100)
+    getAttemptSummary(attempt, tournament, fallbackMaxScore).passed
   ).length || 0;
+  const scoreUnit = isStandardScoring(getScoringRules(tournament)) ? 'correct' : 'points';
 
   return (
     <div className="min-h-screen bg-gray-50 py-8">
@@ -120,7 +138,7 @@ const TournamentResults = () => {
         {/* Header */}
         <div className="mb-8">
           <button
-            onClick={() => navigate('/player/tournaments')}
+            onClick={() => navigate(backPath)}
             className="inline-flex items-center text-gray-600 hover:text-gray-900 mb-4"
           >
             <ArrowLeft size={20} className="mr-2" />
@@ -137,6 +155,12 @@ const TournamentResults = () => {
             </div>
           </div>
 
+          {canExport && (
+            <div className="mb-6">
+              <ResultsExport tournamentId={id} />
+            </div>
+          )}
+
           {/* Tournament Info */}
           <div className="bg-white rounded-lg shadow p-6 mb-8">
             <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
@@ -182,10 +206,10 @@ const TournamentResults = () => {
                   <div className={`text-4xl font-bold mb-2 ${
                     userScore.passed ? 'text-green-600' : 'text-red-600'
                   }`}>
-                    {userScore.percentage}%
+                    {userScore.percentage !== null ? `${userScore.percentage}%` : '—'}
                   </div>
                   <div className="text-sm text-gray-600 mb-2">
-                    {userScore.score}/{userScore.totalQuestions} correct
+                    {userScore.scoreText} {scoreUnit}
                   </div>
                   <div className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${
                     userScore.passed 
@@ -206,6 +230,16 @@ const TournamentResults = () => {
                     <span className="font-medium">{tournament.minimumPassingScore}%</span>
                   </div>
                 </div>
+
+                {isReviewAvailable(tournament) ? (
+                  <Link to={`/player/tournaments/${id}/review`} className="btn-secondary w-full mt-4 inline-block text-center">
+                    Review My Answers
+                  </Link>
+                ) : (
+                  <p className="mt-4 text-xs text-gray-500 text-center">
+                    Answer review opens when the tournament ends
+                  </p>
+                )}
               </div>
             </div>
           )}
@@ -233,8 +267,7 @@ const TournamentResults = () => {
                       ?.sort((a, b) => b.score - a.score)
                       .map((attempt, index) => {
                         const rank = index + 1;
-                        const percentage = Math.round((attempt.score / (attempt.totalQuestions || 10)) * 100);
-                        const passed = attempt.score >= Math.round(tournament.minimumPassingScore * 10 / 100);
+                        const summary = getAttemptSummary(attempt, tournament, fallbackMaxScore);
                         
                         return (
                           <div key={attempt.id || index} className={`p-4 border-b border-gray-100 flex items-center space-x-4 ${
@@ -249,7 +282,7 @@ const TournamentResults = () => {
                                 <p className="text-sm font-medium text-gray-900 truncate">
                                   {attempt.user?.firstName} {attempt.user?.lastName}
                                 </p>
-                                {passed && (
+                                {summary.passed && (
                                   <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
                                     Passed
                                   </span>
@@ -261,9 +294,11 @@ const TournamentResults = () => {
                             </div>
                             
                             <div className="flex-shrink-0 text-right">
-                              <div className="text-lg font-bold text-gray-900">{percentage}%</div>
+                              <div className="text-lg font-bold text-gray-900">
+                                {summary.percentage !== null ? `${Math.round(summary.percentage)}%` : '—'}
+                              </div>
                               <div className="text-sm text-gray-500">
-                                {attempt.score}/{attempt.totalQuestions || 10}
+                                {summary.scoreText}
                               </div>
                             </div>
                           </div>
@@ -0,0 +1,265 @@
+// src/pages/player/TournamentReview.jsx - Question-by-question review of a player's submitted answers
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { tournamentAPI } from '../../config/api';
+import { ArrowLeft, CheckCircle, XCircle, MinusCircle, Lock, Lightbulb, ListChecks } from 'lucide-react';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import { isReviewAvailable, parseReview, summarizeReview } from '../../utils/answerReview';
+import { normalizeTextAnswer } from '../../utils/tournamentScoring';
+
+const TournamentReview = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+
+  const [tournament, setTournament] = useState(null);
+  const [items, setItems] = useState([]);
+  const [filter, setFilter] = useState('all');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchReview = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+
+      const tournamentResponse = await tournamentAPI.getById(id);
+      const tournamentData = tournamentResponse.data;
+      setTournament(tournamentData);
+
+      // Don't even ask for answers while the tournament is running
+      if (!isReviewAvailable(tournamentData)) return;
+
+      const reviewResponse = await tournamentAPI.getReview(id);
+      setItems(parseReview(reviewResponse.data));
+    } catch (error) {
+      console.error('Error fetching answer review:', error);
+      if (error.response?.status === 404) {
+        setError('No submitted answers were found for this tournament');
+      } else {
+        setError(error.response?.data?.message || 'Failed to load answer review');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchReview();
+  }, [fetchReview]);
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const getOptionStyling = (item, option) => {
+    const isCorrect = item.correctOptions.includes(normalizeTextAnswer(option));
+    const isChosen = item.chosenOptions.includes(normalizeTextAnswer(option));
+
+    if (isCorrect) return 'border-green-300 bg-green-50 text-green-900';
+    if (isChosen) return 'border-red-300 bg-red-50 text-red-900';
+    return 'border-gray-200 text-gray-600';
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" text="Loading your answers..." />
+      </div>
+    );
+  }
+
+  if (!tournament) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8 text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">Tournament Not Found</h1>
+          <p className="text-gray-600 mb-6">{error || 'The tournament could not be loaded.'}</p>
+          <button onClick={() => navigate('/player/history')} className="btn-primary">
+            Back to History
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const reviewOpen = isReviewAvailable(tournament);
+  const summary = summarizeReview(items);
+  const visibleItems = items.filter(item => {
+    if (filter === 'incorrect') return !item.isCorrect;
+    if (filter === 'correct') return item.isCorrect;
+    return true;
+  });
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8">
+          <button
+            onClick={() => navigate(`/player/tournaments/${id}/results`)}
+            className="inline-flex items-center text-gray-600 hover:text-gray-900 mb-4"
+          >
+            <ArrowLeft size={20} className="mr-2" />
+            Back to Results
+          </button>
+
+          <div className="flex items-center space-x-3">
+            <div className="bg-blue-100 p-3 rounded-full">
+              <ListChecks className="text-blue-600" size={24} />
+            </div>
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">{tournament.name}</h1>
+              <p className="text-gray-600 mt-1">Answer Review</p>
+            </div>
+          </div>
+        </div>
+
+        {!reviewOpen ? (
+          <div className="bg-white rounded-lg shadow-sm p-8 text-center">
+            <Lock className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            <h2 className="text-xl font-semibold text-gray-900 mb-2">Review Not Available Yet</h2>
+            <p className="text-gray-600 mb-6">
+              Correct answers are revealed once the tournament ends on{' '}
+              <span className="font-medium">{formatDate(tournament.endDate)}</span>, so nobody still playing can see them.
+            </p>
+            <Link to="/player/history" className="btn-primary">
+              Back to History
+            </Link>
+          </div>
+        ) : error ? (
+          <div className="bg-white rounded-lg shadow-sm p-8 text-center">
+            <XCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+            <p className="text-gray-600 mb-6">{error}</p>
+            <button onClick={fetchReview} className="btn-primary">
+              Try Again
+            </button>
+          </div>
+        ) : (
+          <>
+            {/* Summary */}
+            <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+              <div className="grid grid-cols-3 gap-6 text-center">
+                <div>
+                  <div className="text-2xl font-bold text-green-600">{summary.correct}</div>
+                  <div className="text-sm text-gray-600">Correct</div>
+                </div>
+                <div>
+                  <div className="text-2xl font-bold text-red-600">{summary.incorrect}</div>
+                  <div className="text-sm text-gray-600">Incorrect</div>
+                </div>
+                <div>
+                  <div className="text-2xl font-bold text-gray-500">{summary.unanswered}</div>
+                  <div className="text-sm text-gray-600">Unanswered</div>
+                </div>
+              </div>
+
+              <div className="flex flex-wrap gap-2 mt-6">
+                {[
+                  { key: 'all', label: `All (${summary.total})` },
+                  { key: 'incorrect', label: `Missed (${summary.total - summary.correct})` },
+                  { key: 'correct', label: `Correct (${summary.correct})` }
+                ].map(option => (
+                  <button
+                    key={option.key}
+                    onClick={() => setFilter(option.key)}
+                    className={`px-3 py-1 rounded-full text-sm font-medium transition-colors ${
+                      filter === option.key
+                        ? 'bg-blue-100 text-blue-800'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Questions */}
+            {visibleItems.length === 0 ? (
+              <div className="bg-white rounded-lg shadow-sm p-8 text-center text-gray-600">
+                No questions match this filter.
+              </div>
+            ) : (
+              <div className="space-y-4">
+                {visibleItems.map(item => (
+                  <div key={item.id} className="bg-white rounded-lg shadow-sm p-6">
+                    <div className="flex items-start justify-between mb-4">
+                      <h3 className="text-lg font-semibold text-gray-900 pr-4">
+                        {item.number}. {item.question}
+                      </h3>
+                      {item.isCorrect ? (
+                        <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800 flex-shrink-0">
+                          <CheckCircle className="w-3 h-3 mr-1" />
+                          Correct
+                        </span>
+                      ) : item.answered ? (
+                        <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800 flex-shrink-0">
+                          <XCircle className="w-3 h-3 mr-1" />
+                          Incorrect
+                        </span>
+                      ) : (
+                        <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700 flex-shrink-0">
+                          <MinusCircle className="w-3 h-3 mr-1" />
+                          Unanswered
+                        </span>
+                      )}
+                    </div>
+
+                    {item.options.length > 0 ? (
+                      <div className="space-y-2">
+                        {item.options.map((option, index) => (
+                          <div
+                            key={index}
+                            className={`p-3 rounded-lg border text-sm ${getOptionStyling(item, option)}`}
+                          >
+                            {option}
+                          </div>
+                        ))}
+                      </div>
+                    ) : (
+                      <div className="space-y-1 text-sm">
+                        <p>
+                          <span className="text-gray-500">Your answer:</span>{' '}
+                          <span className={item.isCorrect ? 'text-green-700' : 'text-red-700'}>
+                            {item.playerAnswer || 'No answer'}
+                          </span>
+                        </p>
+                        <p>
+                          <span className="text-gray-500">Correct answer:</span>{' '}
+                          <span className="text-green-700">{item.correctAnswer}</span>
+                        </p>
+                      </div>
+                    )}
+
+                    {item.options.length > 0 && !item.isCorrect && (
+                      <p className="mt-3 text-sm text-gray-600">
+                        Your answer: <span className="font-medium">{item.playerAnswer || 'No answer'}</span>
+                        {' • '}
+                        Correct answer: <span className="font-medium text-green-700">{item.correctAnswer}</span>
+                      </p>
+                    )}
+
+                    {item.explanation && (
+                      <div className="mt-4 bg-blue-50 border border-blue-100 rounded-lg p-3 flex items-start space-x-2 text-sm text-blue-900">
+                        <Lightbulb className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                        <p>{item.explanation}</p>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TournamentReview;
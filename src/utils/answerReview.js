@@ -0,0 +1,95 @@
+// Answer review utility functions
+// Shapes a player's submitted answers for the post-tournament review screen
+import { normalizeQuestion, hasAnswer, formatAnswer, QUESTION_TYPES } from './questionUtils';
+import { scoreAnswer, normalizeTextAnswer } from './tournamentScoring';
+
+/**
+ * Whether answers for a tournament may be reviewed yet
+ * Reviews open only after the tournament ends so correct answers cannot leak to players still taking it
+ * @param {object} tournament - Tournament with an endDate
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {boolean} Whether the review is available
+ */
+export const isReviewAvailable = (tournament, now = Date.now()) => {
+  if (!tournament?.endDate) return false;
+  const end = new Date(tournament.endDate).getTime();
+  return !isNaN(end) && now > end;
+};
+
+/**
+ * Describe the correct answer of a question in one line
+ * @param {object} question - Normalized question
+ * @returns {string} Display text
+ */
+export const describeCorrectAnswer = (question) => {
+  switch (question.type) {
+    case QUESTION_TYPES.MULTI:
+      return formatAnswer(question.correctAnswers);
+    case QUESTION_TYPES.TEXT:
+      return (question.acceptedAnswers.length ? question.acceptedAnswers : [question.correctAnswer]).join(' / ');
+    case QUESTION_TYPES.NUMERIC:
+      return Number(question.tolerance) > 0
+        ? `${question.correctAnswer} (± ${question.tolerance})`
+        : question.correctAnswer;
+    default:
+      return question.correctAnswer;
+  }
+};
+
+/**
+ * Normalize one review entry from the API into a single shape
+ * @param {object} item - Raw review entry
+ * @param {number} index - Position of the question in the tournament
+ * @returns {object} Normalized review item
+ */
+export const normalizeReviewItem = (item, index = 0) => {
+  const rawAnswer = item.playerAnswer ?? item.userAnswer ?? item.answer ?? '';
+  const question = normalizeQuestion({ ...item, id: item.questionId ?? item.id }, index);
+  const chosen = Array.isArray(rawAnswer) ? rawAnswer : hasAnswer(rawAnswer) ? [rawAnswer] : [];
+  const correctOptions = question.type === QUESTION_TYPES.MULTI ? question.correctAnswers : [question.correctAnswer];
+
+  return {
+    id: question.id,
+    number: index + 1,
+    type: question.type,
+    question: question.question,
+    options: question.options,
+    playerAnswer: formatAnswer(rawAnswer),
+    correctAnswer: describeCorrectAnswer(question),
+    chosenOptions: chosen.map(normalizeTextAnswer),
+    correctOptions: correctOptions.map(normalizeTextAnswer),
+    explanation: question.explanation,
+    answered: hasAnswer(rawAnswer),
+    isCorrect: typeof item.isCorrect === 'boolean' ? item.isCorrect : scoreAnswer(question, rawAnswer)
+  };
+};
+
+/**
+ * Normalize a review response, which may be a bare list or wrapped in { questions }
+ * @param {object|Array} data - Response body from tournamentAPI.getReview
+ * @returns {object[]} Normalized review items
+ */
+export const parseReview = (data) => {
+  const items = Array.isArray(data) ? data : data?.questions || data?.answers || [];
+  return items.map(normalizeReviewItem);
+};
+
+/**
+ * Count correct, incorrect and unanswered questions
+ * @param {object[]} items - Normalized review items
+ * @returns {object} { total, correct, incorrect, unanswered }
+ */
+export const summarizeReview = (items) => ({
+  total: items.length,
+  correct: items.filter(item => item.isCorrect).length,
+  incorrect: items.filter(item => item.answered && !item.isCorrect).length,
+  unanswered: items.filter(item => !item.answered).length
+});
+
+export default {
+  isReviewAvailable,
+  describeCorrectAnswer,
+  normalizeReviewItem,
+  parseReview,
+  summarizeReview
+};
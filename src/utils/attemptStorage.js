@@ -0,0 +1,89 @@
+// Quiz attempt persistence
+// Keeps an in-progress attempt in localStorage so a reload or crash can resume it
+
+const ATTEMPT_KEY_PREFIX = 'quiz_attempt';
+const ATTEMPT_VERSION = 1;
+
+// Attempts older than this are treated as abandoned
+const MAX_ATTEMPT_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Build the storage key for a user's attempt at a tournament
+ * @param {string|number} userId - Current user ID
+ * @param {string|number} tournamentId - Tournament ID
+ * @returns {string} localStorage key
+ */
+export const getAttemptKey = (userId, tournamentId) =>
+  `${ATTEMPT_KEY_PREFIX}_${userId}_${tournamentId}`;
+
+/**
+ * Save an in-progress attempt
+ * @param {string|number} userId - Current user ID
+ * @param {string|number} tournamentId - Tournament ID
+ * @param {object} attempt - { answers, currentQuestionIndex, questionIds, questionDeadlines, startedAt }
+ */
+export const saveAttempt = (userId, tournamentId, attempt) => {
+  if (!userId || !tournamentId) return;
+  try {
+    localStorage.setItem(getAttemptKey(userId, tournamentId), JSON.stringify({
+      ...attempt,
+      version: ATTEMPT_VERSION,
+      userId,
+      tournamentId: String(tournamentId),
+      savedAt: Date.now()
+    }));
+  } catch (error) {
+    // Storage can be full or disabled (private mode) - the quiz still works without it
+    console.warn('Unable to save quiz progress:', error);
+  }
+};
+
+/**
+ * Load a saved attempt, discarding it when it is stale or for a different question set
+ * @param {string|number} userId - Current user ID
+ * @param {string|number} tournamentId - Tournament ID
+ * @param {Array} questionIds - IDs of the questions currently being served
+ * @returns {object|null} Saved attempt or null
+ */
+export const loadAttempt = (userId, tournamentId, questionIds = null) => {
+  if (!userId || !tournamentId) return null;
+
+  const key = getAttemptKey(userId, tournamentId);
+  try {
+    const attempt = JSON.parse(localStorage.getItem(key) || 'null');
+    if (!attempt || attempt.version !== ATTEMPT_VERSION) return null;
+
+    if (Date.now() - (attempt.savedAt || 0) > MAX_ATTEMPT_AGE_MS) {
+      localStorage.removeItem(key);
+      return null;
+    }
+
+    if (questionIds && JSON.stringify(attempt.questionIds) !== JSON.stringify(questionIds)) {
+      // Questions changed since the attempt started; the saved answers no longer line up
+      localStorage.removeItem(key);
+      return null;
+    }
+
+    return attempt;
+  } catch {
+    localStorage.removeItem(key);
+    return null;
+  }
+};
+
+/**
+ * Remove a saved attempt (after submission or when starting over)
+ * @param {string|number} userId - Current user ID
+ * @param {string|number} tournamentId - Tournament ID
+ */
+export const clearAttempt = (userId, tournamentId) => {
+  if (!userId || !tournamentId) return;
+  localStorage.removeItem(getAttemptKey(userId, tournamentId));
+};
+
+export default {
+  getAttemptKey,
+  saveAttempt,
+  loadAttempt,
+  clearAttempt
+};
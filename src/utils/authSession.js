@@ -0,0 +1,173 @@
+// Auth session utility functions
+// Token storage, JWT expiry and the hand-off between the API layer and the re-auth prompt
+
+export const TOKEN_KEY = 'token';
+export const REFRESH_TOKEN_KEY = 'refreshToken';
+export const USER_KEY = 'user';
+
+// Refresh this long before the access token expires so requests never go out with a stale one
+export const REFRESH_MARGIN_MS = 60 * 1000;
+
+export const SESSION_EVENTS = {
+  REFRESHED: 'refreshed',           // { token }
+  EXPIRED: 'expired',               // refresh failed; the user must sign in again
+  REAUTHENTICATED: 'reauthenticated' // { token }
+};
+
+/**
+ * Current access token
+ * @returns {string|null} Token
+ */
+export const getAccessToken = () => localStorage.getItem(TOKEN_KEY);
+
+/**
+ * Current refresh token
+ * @returns {string|null} Token
+ */
+export const getRefreshToken = () => localStorage.getItem(REFRESH_TOKEN_KEY);
+
+/**
+ * Store the tokens from a sign-in or refresh response
+ * A refresh response without a new refresh token keeps the existing one
+ * @param {object} tokens - { accessToken, refreshToken }
+ */
+export const storeTokens = ({ accessToken, refreshToken }) => {
+  if (accessToken) localStorage.setItem(TOKEN_KEY, accessToken);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+};
+
+/**
+ * Remove every trace of the session from storage
+ */
+export const clearStoredSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+};
+
+/**
+ * Read the stored session, as written by whichever tab signed in last
+ * @returns {object|null} { token, user }, or null when signed out or the data is unreadable
+ */
+export const readStoredSession = () => {
+  const token = getAccessToken();
+  const user = localStorage.getItem(USER_KEY);
+  if (!token || !user) return null;
+
+  try {
+    return { token, user: JSON.parse(user) };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Read the payload of a JWT without verifying it
+ * @param {string} token - JWT
+ * @returns {object|null} Payload, or null when the token is not a JWT
+ */
+export const decodeJwt = (token) => {
+  try {
+    const payload = token.split('.')[1];
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=')));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * When a JWT expires
+ * @param {string} token - JWT
+ * @returns {number|null} Expiry timestamp in milliseconds, or null when unknown
+ */
+export const getTokenExpiry = (token) => {
+  const exp = decodeJwt(token)?.exp;
+  return typeof exp === 'number' ? exp * 1000 : null;
+};
+
+/**
+ * How long to wait before refreshing a token proactively
+ * @param {string} token - Access token
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {number|null} Delay in milliseconds (0 = refresh now), or null when the expiry is unknown
+ */
+export const getRefreshDelay = (token, now = Date.now()) => {
+  const expiry = getTokenExpiry(token);
+  if (expiry == null) return null;
+  return Math.max(0, expiry - REFRESH_MARGIN_MS - now);
+};
+
+// Session event listeners
+const listeners = new Set();
+
+/**
+ * Listen for session events
+ * @param {Function} listener - Called with (event, detail)
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeSession = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Notify session listeners
+ * @param {string} event - One of SESSION_EVENTS
+ * @param {object} detail - Event data
+ */
+export const emitSession = (event, detail = {}) => {
+  listeners.forEach(listener => listener(event, detail));
+};
+
+// Requests parked while the user signs in again
+let reauthWaiters = [];
+
+/**
+ * Wait for the user to sign in again through the re-auth prompt
+ * The first waiter raises the prompt; later ones just join the queue
+ * @returns {Promise<string>} Resolves with the new access token, rejects if the user signs out
+ */
+export const waitForReauth = () => new Promise((resolve, reject) => {
+  reauthWaiters.push({ resolve, reject });
+  if (reauthWaiters.length === 1) {
+    emitSession(SESSION_EVENTS.EXPIRED);
+  }
+});
+
+/**
+ * Release parked requests after a successful re-auth
+ * @param {string} token - New access token
+ */
+export const completeReauth = (token) => {
+  const waiters = reauthWaiters;
+  reauthWaiters = [];
+  waiters.forEach(waiter => waiter.resolve(token));
+  emitSession(SESSION_EVENTS.REAUTHENTICATED, { token });
+};
+
+/**
+ * Fail parked requests when the user gives up and signs out
+ * @param {Error} error - Error to reject them with
+ */
+export const cancelReauth = (error) => {
+  const waiters = reauthWaiters;
+  reauthWaiters = [];
+  waiters.forEach(waiter => waiter.reject(error));
+};
+
+export default {
+  getAccessToken,
+  getRefreshToken,
+  storeTokens,
+  clearStoredSession,
+  readStoredSession,
+  decodeJwt,
+  getTokenExpiry,
+  getRefreshDelay,
+  subscribeSession,
+  emitSession,
+  waitForReauth,
+  completeReauth,
+  cancelReauth
+};
@@ -0,0 +1,213 @@
+// Backend registry utility functions
+// Named API environments, their health and which one is pinned, persisted in localStorage
+
+export const BACKENDS_KEY = 'backend_environments';
+export const PINNED_BACKEND_KEY = 'backend_pinned';
+
+export const HEALTH_TIMEOUT_MS = 5000;
+
+export const LOCAL_BACKEND_URL = 'http://localhost:8080/api';
+export const PRODUCTION_BACKEND_URL = 'https://quiz-tournament-api.onrender.com/api';
+
+export const BACKEND_EVENTS = {
+  SWITCHED: 'switched',       // { from, to } - someone chose another backend; its session and data start over
+  FAILED_OVER: 'failed-over', // { from, to } - server errors moved requests to a healthy backend
+  CHANGED: 'changed'          // the list of environments or the pinned one changed
+};
+
+// Backend event listeners
+const listeners = new Set();
+
+/**
+ * Listen for backend events
+ * @param {Function} listener - Called with (event, detail)
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeBackend = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Notify backend listeners
+ * @param {string} event - One of BACKEND_EVENTS
+ * @param {object} detail - Event payload
+ */
+export const emitBackend = (event, detail = {}) => {
+  listeners.forEach(listener => listener(event, detail));
+};
+
+/**
+ * Normalize a backend URL so the same environment always compares equal
+ * @param {string} url - Base URL, e.g. https://example.com/api/
+ * @returns {string} URL without trailing slashes
+ */
+export const normalizeBackendUrl = (url) => String(url || '').trim().replace(/\/+$/, '');
+
+// The build's own URL comes first so detection prefers it
+const getBuiltInBackends = () => {
+  const backends = [
+    { id: 'local', name: 'Local', url: LOCAL_BACKEND_URL, builtIn: true },
+    { id: 'production', name: 'Production', url: PRODUCTION_BACKEND_URL, builtIn: true }
+  ];
+
+  const envUrl = normalizeBackendUrl(import.meta.env.VITE_API_BASE_URL);
+  if (envUrl && !backends.some(backend => backend.url === envUrl)) {
+    backends.unshift({ id: 'env', name: 'Configured', url: envUrl, builtIn: true });
+  }
+  return backends;
+};
+
+const readCustomBackends = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(BACKENDS_KEY));
+    return Array.isArray(stored) ? stored.filter(backend => backend?.id && backend?.url) : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeCustomBackends = (backends) => {
+  localStorage.setItem(BACKENDS_KEY, JSON.stringify(backends));
+};
+
+/**
+ * Every known backend: the built-in ones followed by those added by hand
+ * @returns {object[]} [{ id, name, url, builtIn }]
+ */
+export const getBackends = () => [
+  ...getBuiltInBackends(),
+  ...readCustomBackends().map(backend => ({ ...backend, builtIn: false }))
+];
+
+/**
+ * Find a backend by ID
+ * @param {string} id - Backend ID
+ * @returns {object|null} Backend
+ */
+export const getBackend = (id) => getBackends().find(backend => backend.id === id) || null;
+
+/**
+ * Register a named backend
+ * @param {object} backend - { name, url }
+ * @returns {object} The added backend
+ * @throws {Error} When the name is missing, the URL isn't http(s) or the URL is already registered
+ */
+export const addBackend = ({ name, url }) => {
+  const trimmedName = String(name || '').trim();
+  const normalizedUrl = normalizeBackendUrl(url);
+
+  if (!trimmedName) {
+    throw new Error('Name is required');
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(normalizedUrl);
+  } catch {
+    throw new Error('URL is not valid');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error('URL must start with http:// or https://');
+  }
+
+  const existing = getBackends().find(backend => backend.url === normalizedUrl);
+  if (existing) {
+    throw new Error(`Already registered as "${existing.name}"`);
+  }
+
+  const backend = { id: `custom-${Date.now().toString(36)}`, name: trimmedName, url: normalizedUrl };
+  writeCustomBackends([...readCustomBackends(), backend]);
+  emitBackend(BACKEND_EVENTS.CHANGED);
+  return { ...backend, builtIn: false };
+};
+
+/**
+ * Remove a backend that was added by hand, unpinning it if it was pinned
+ * @param {string} id - Backend ID
+ */
+export const removeBackend = (id) => {
+  writeCustomBackends(readCustomBackends().filter(backend => backend.id !== id));
+  if (localStorage.getItem(PINNED_BACKEND_KEY) === id) {
+    localStorage.removeItem(PINNED_BACKEND_KEY);
+  }
+  emitBackend(BACKEND_EVENTS.CHANGED);
+};
+
+/**
+ * The pinned backend, if any
+ * @returns {object|null} Backend, or null when the app picks one itself
+ */
+export const getPinnedBackend = () => {
+  const id = localStorage.getItem(PINNED_BACKEND_KEY);
+  return id ? getBackend(id) : null;
+};
+
+/**
+ * Pin a backend so detection and failover leave it alone
+ * @param {string|null} id - Backend ID, or null to go back to automatic detection
+ */
+export const setPinnedBackend = (id) => {
+  if (id) {
+    localStorage.setItem(PINNED_BACKEND_KEY, id);
+  } else {
+    localStorage.removeItem(PINNED_BACKEND_KEY);
+  }
+  emitBackend(BACKEND_EVENTS.CHANGED);
+};
+
+/**
+ * Call a backend's health endpoint
+ * @param {string} url - Backend base URL
+ * @param {object} options - { timeout } in milliseconds
+ * @returns {Promise<object>} { ok, status, latency, checkedAt, error }
+ */
+export const checkBackendHealth = async (url, { timeout = HEALTH_TIMEOUT_MS } = {}) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const startedAt = performance.now();
+
+  try {
+    const response = await fetch(`${normalizeBackendUrl(url)}/test/health`, {
+      method: 'GET',
+      signal: controller.signal,
+      headers: { 'Content-Type': 'application/json' }
+    });
+    return {
+      ok: response.ok,
+      status: response.status,
+      latency: Math.round(performance.now() - startedAt),
+      checkedAt: Date.now(),
+      error: response.ok ? null : `HTTP ${response.status}`
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      status: null,
+      latency: null,
+      checkedAt: Date.now(),
+      error: error.name === 'AbortError' ? 'Timed out' : 'Unreachable'
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+export default {
+  BACKENDS_KEY,
+  PINNED_BACKEND_KEY,
+  HEALTH_TIMEOUT_MS,
+  LOCAL_BACKEND_URL,
+  PRODUCTION_BACKEND_URL,
+  BACKEND_EVENTS,
+  subscribeBackend,
+  emitBackend,
+  normalizeBackendUrl,
+  getBackends,
+  getBackend,
+  addBackend,
+  removeBackend,
+  getPinnedBackend,
+  setPinnedBackend,
+  checkBackendHealth
+};
@@ -0,0 +1,63 @@
+// Batch loader utility functions
+// Collects per-ID lookups made in the same tick and hands them to one bulk call, in the style of DataLoader
+
+/**
+ * Create a loader that coalesces load(key) calls into batches
+ * @param {Function} batchFn - Called with an array of unique keys; resolves to an array of results in the
+ *   same order, where an Error in place of a result rejects just that key
+ * @param {object} options - { maxBatchSize } keys per call; bigger batches are split
+ * @returns {object} { load(key) => Promise }
+ */
+export const createBatchLoader = (batchFn, { maxBatchSize = 50 } = {}) => {
+  // key -> { promise, resolve, reject } for the batch being collected
+  let queue = new Map();
+
+  const dispatch = (batch) => {
+    const keys = [...batch.keys()];
+    Promise.resolve()
+      .then(() => batchFn(keys))
+      .then(results => {
+        keys.forEach((key, index) => {
+          const result = results?.[index];
+          if (result instanceof Error) {
+            batch.get(key).reject(result);
+          } else {
+            batch.get(key).resolve(result);
+          }
+        });
+      })
+      .catch(error => batch.forEach(pending => pending.reject(error)));
+  };
+
+  const flush = () => {
+    const keys = [...queue.keys()];
+    const pending = queue;
+    queue = new Map();
+
+    for (let start = 0; start < keys.length; start += maxBatchSize) {
+      dispatch(new Map(keys.slice(start, start + maxBatchSize).map(key => [key, pending.get(key)])));
+    }
+  };
+
+  const load = (key) => {
+    const queued = queue.get(key);
+    if (queued) return queued.promise;
+
+    // The first key of a batch schedules it; everything asked for before the timer fires joins in
+    if (queue.size === 0) setTimeout(flush, 0);
+
+    const pending = {};
+    pending.promise = new Promise((resolve, reject) => {
+      pending.resolve = resolve;
+      pending.reject = reject;
+    });
+    queue.set(key, pending);
+    return pending.promise;
+  };
+
+  return { load };
+};
+
+export default {
+  createBatchLoader
+};
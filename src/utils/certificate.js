@@ -0,0 +1,186 @@
+// Certificate utility functions
+// Shapes issued completion certificates and renders them as a PNG image or a printable page
+import { formatPoints } from './tournamentScoring';
+
+// Landscape A4 proportions, large enough to print sharply
+export const CERTIFICATE_WIDTH = 1754;
+export const CERTIFICATE_HEIGHT = 1240;
+
+/**
+ * Tidy a verification code typed or pasted by a person
+ * @param {string} code - Raw code
+ * @returns {string} Code without surrounding or inner whitespace, upper-cased
+ */
+export const normalizeCertificateCode = (code) => String(code || '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Normalize a certificate from the API into a single shape
+ * @param {object} data - Certificate as issued or verified by the server
+ * @param {object} fallback - Values already known on the page, used where the response leaves them out
+ * @returns {object} { code, playerName, tournamentName, score, maxScore, percentage, issuedAt, revoked }
+ */
+export const normalizeCertificate = (data = {}, fallback = {}) => {
+  const user = data.user || {};
+  const fullName = [user.firstName, user.lastName].filter(Boolean).join(' ');
+  const score = Number(data.score ?? fallback.score) || 0;
+  const maxScore = Number(data.maxScore ?? fallback.maxScore) || null;
+
+  return {
+    code: normalizeCertificateCode(data.code ?? data.verificationCode ?? fallback.code),
+    playerName: data.playerName || fullName || user.username || fallback.playerName || '',
+    tournamentName: data.tournamentName || data.tournament?.name || fallback.tournamentName || '',
+    score,
+    maxScore,
+    percentage: data.percentage ?? fallback.percentage ?? (maxScore ? Math.round((score / maxScore) * 1000) / 10 : null),
+    issuedAt: data.issuedAt ?? data.completedAt ?? fallback.issuedAt ?? null,
+    revoked: data.revoked === true || data.valid === false
+  };
+};
+
+/**
+ * Public page where anyone can check a certificate
+ * @param {string} code - Verification code
+ * @param {string} origin - Site origin, the current one by default
+ * @returns {string} Absolute URL
+ */
+export const getVerificationUrl = (code, origin = window.location.origin) =>
+  `${origin}/verify/${encodeURIComponent(code)}`;
+
+/**
+ * Build a file name for a downloaded certificate
+ * @param {object} certificate - Normalized certificate
+ * @param {string} extension - File extension
+ * @returns {string} File name
+ */
+export const getCertificateFilename = (certificate, extension) => {
+  const slug = (certificate.tournamentName || 'tournament').toLowerCase().replace(/\s+/g, '-');
+  return `${slug}-certificate.${extension}`;
+};
+
+const formatIssuedDate = (value) =>
+  new Date(value || Date.now()).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+
+const formatScore = (certificate) => {
+  const percentage = certificate.percentage !== null ? `${Math.round(certificate.percentage * 10) / 10}%` : null;
+  const points = certificate.maxScore ? `${formatPoints(certificate.score)} / ${formatPoints(certificate.maxScore)}` : null;
+  return [percentage, points && `(${points})`].filter(Boolean).join(' ') || formatPoints(certificate.score);
+};
+
+/**
+ * Draw a line of text, shrinking the font until it fits the width
+ * @param {CanvasRenderingContext2D} context - Canvas context
+ * @param {string} text - Text to draw
+ * @param {number} y - Baseline
+ * @param {object} options - { size, weight, family, color, maxWidth }
+ */
+const drawFittedText = (context, text, y, { size, weight = 'normal', family = 'Georgia, serif', color, maxWidth }) => {
+  let fontSize = size;
+  do {
+    context.font = `${weight} ${fontSize}px ${family}`;
+    fontSize -= 2;
+  } while (context.measureText(text).width > maxWidth && fontSize > 12);
+  context.fillStyle = color;
+  context.fillText(text, CERTIFICATE_WIDTH / 2, y);
+};
+
+/**
+ * Render a certificate onto a new canvas
+ * @param {object} certificate - Normalized certificate
+ * @returns {HTMLCanvasElement} Canvas to turn into a PNG
+ */
+export const drawCertificate = (certificate) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = CERTIFICATE_WIDTH;
+  canvas.height = CERTIFICATE_HEIGHT;
+  const context = canvas.getContext('2d');
+  const maxWidth = CERTIFICATE_WIDTH - 360;
+
+  context.fillStyle = '#fffdf7';
+  context.fillRect(0, 0, CERTIFICATE_WIDTH, CERTIFICATE_HEIGHT);
+  context.strokeStyle = '#4b5563';
+  context.lineWidth = 12;
+  context.strokeRect(60, 60, CERTIFICATE_WIDTH - 120, CERTIFICATE_HEIGHT - 120);
+  context.lineWidth = 3;
+  context.strokeRect(90, 90, CERTIFICATE_WIDTH - 180, CERTIFICATE_HEIGHT - 180);
+
+  context.textAlign = 'center';
+  context.textBaseline = 'alphabetic';
+  drawFittedText(context, 'CERTIFICATE OF COMPLETION', 270, { size: 40, color: '#6b7280', maxWidth });
+  drawFittedText(context, 'This certifies that', 400, { size: 36, color: '#374151', maxWidth });
+  drawFittedText(context, certificate.playerName || 'Participant', 520, { size: 96, weight: 'bold', color: '#111827', maxWidth });
+  drawFittedText(context, 'has successfully passed', 620, { size: 36, color: '#374151', maxWidth });
+  drawFittedText(context, certificate.tournamentName || 'Tournament', 730, { size: 64, weight: 'bold', color: '#1e3a8a', maxWidth });
+  drawFittedText(context, `Score ${formatScore(certificate)}`, 830, { size: 40, color: '#047857', maxWidth });
+  drawFittedText(context, formatIssuedDate(certificate.issuedAt), 900, { size: 32, color: '#374151', maxWidth });
+
+  context.fillStyle = '#d1d5db';
+  context.fillRect(180, 980, CERTIFICATE_WIDTH - 360, 2);
+  drawFittedText(context, `Verification code ${certificate.code}`, 1040, {
+    size: 30, family: '"Courier New", monospace', color: '#111827', maxWidth
+  });
+  drawFittedText(context, getVerificationUrl(certificate.code), 1090, {
+    size: 24, family: 'Arial, sans-serif', color: '#6b7280', maxWidth
+  });
+
+  return canvas;
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * A certificate as a standalone HTML document, laid out for one landscape page
+ * @param {object} certificate - Normalized certificate
+ * @returns {string} HTML document
+ */
+export const buildCertificateHtml = (certificate) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Certificate - ${escapeHtml(certificate.tournamentName)}</title>
+  <style>
+    @page { size: A4 landscape; margin: 10mm; }
+    html, body { height: 100%; margin: 0; }
+    body { font-family: Georgia, 'Times New Roman', serif; color: #111827; background: #fffdf7; }
+    .frame { box-sizing: border-box; height: 100%; border: 8px double #4b5563; padding: 48px; text-align: center;
+      display: flex; flex-direction: column; justify-content: center; }
+    .eyebrow { letter-spacing: 0.25em; font-size: 14pt; color: #6b7280; }
+    .lead { font-size: 14pt; color: #374151; margin: 24px 0 8px; }
+    .name { font-size: 36pt; font-weight: bold; }
+    .tournament { font-size: 24pt; font-weight: bold; color: #1e3a8a; }
+    .score { font-size: 16pt; color: #047857; margin-top: 16px; }
+    .date { font-size: 13pt; color: #374151; margin-top: 4px; }
+    .verify { border-top: 1px solid #d1d5db; margin-top: 40px; padding-top: 16px; font-size: 11pt; color: #6b7280; }
+    .code { font-family: 'Courier New', monospace; font-size: 14pt; color: #111827; }
+  </style>
+</head>
+<body>
+  <div class="frame">
+    <div class="eyebrow">CERTIFICATE OF COMPLETION</div>
+    <div class="lead">This certifies that</div>
+    <div class="name">${escapeHtml(certificate.playerName || 'Participant')}</div>
+    <div class="lead">has successfully passed</div>
+    <div class="tournament">${escapeHtml(certificate.tournamentName || 'Tournament')}</div>
+    <div class="score">Score ${escapeHtml(formatScore(certificate))}</div>
+    <div class="date">${escapeHtml(formatIssuedDate(certificate.issuedAt))}</div>
+    <div class="verify">
+      Verification code <span class="code">${escapeHtml(certificate.code)}</span><br>
+      ${escapeHtml(getVerificationUrl(certificate.code))}
+    </div>
+  </div>
+</body>
+</html>`;
+
+export default {
+  CERTIFICATE_WIDTH,
+  CERTIFICATE_HEIGHT,
+  normalizeCertificateCode,
+  normalizeCertificate,
+  getVerificationUrl,
+  getCertificateFilename,
+  drawCertificate,
+  buildCertificateHtml
+};
@@ -0,0 +1,62 @@
+// File download helpers
+// Triggers browser downloads for content generated client-side
+import { sanitizers } from './validation';
+
+/**
+ * Download text or binary content as a file
+ * @param {string|Blob|ArrayBuffer} content - File content
+ * @param {string} filename - Suggested file name (sanitized before use)
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (content, filename, type = 'text/plain') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = sanitizers.filename(filename);
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Download a value as a pretty-printed JSON file
+ * @param {object} data - Data to serialize
+ * @param {string} filename - Suggested file name
+ */
+export const downloadJson = (data, filename) => {
+  downloadFile(JSON.stringify(data, null, 2), filename, 'application/json');
+};
+
+/**
+ * Print a standalone HTML document from a hidden frame, so the browser's dialog can print it or save it as PDF
+ * @param {string} html - Complete HTML document
+ */
+export const printHtml = (html) => {
+  const frame = document.createElement('iframe');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  document.body.appendChild(frame);
+
+  const printWindow = frame.contentWindow;
+  printWindow.document.open();
+  printWindow.document.write(html);
+  printWindow.document.close();
+
+  const removeFrame = () => frame.remove();
+  printWindow.addEventListener('afterprint', removeFrame);
+  printWindow.focus();
+  printWindow.print();
+  // Some browsers never fire afterprint for a frame
+  setTimeout(removeFrame, 60000);
+};
+
+export default {
+  downloadFile,
+  downloadJson,
+  printHtml
+};
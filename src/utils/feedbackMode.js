@@ -0,0 +1,74 @@
+// Feedback mode utility functions
+// Controls when players find out whether their answers were correct
+
+export const FEEDBACK_MODES = {
+  INSTANT: 'instant',
+  END: 'end',
+  NONE: 'none'
+};
+
+export const FEEDBACK_MODE_OPTIONS = [
+  {
+    value: FEEDBACK_MODES.INSTANT,
+    label: 'Instant feedback',
+    description: 'Players see whether each answer is right as they go. Correct answers are sent to the browser.'
+  },
+  {
+    value: FEEDBACK_MODES.END,
+    label: 'Feedback at end',
+    description: 'Players see which questions they got right after submitting. Correct answers stay on the server.'
+  },
+  {
+    value: FEEDBACK_MODES.NONE,
+    label: 'No feedback',
+    description: 'Players only see their score. Correct answers stay on the server.'
+  }
+];
+
+// Tournaments created before the setting existed get the mode that never ships answers
+export const DEFAULT_FEEDBACK_MODE = FEEDBACK_MODES.END;
+
+/**
+ * Resolve the feedback mode of a tournament
+ * @param {object} tournament - Tournament object
+ * @returns {string} One of FEEDBACK_MODES
+ */
+export const getFeedbackMode = (tournament) => {
+  const mode = tournament?.feedbackMode;
+  return Object.values(FEEDBACK_MODES).includes(mode) ? mode : DEFAULT_FEEDBACK_MODE;
+};
+
+/**
+ * Whether the play page may receive and use correct answers for a tournament
+ * @param {object} tournament - Tournament object
+ * @returns {boolean} True only for instant feedback
+ */
+export const allowsInstantFeedback = (tournament) =>
+  getFeedbackMode(tournament) === FEEDBACK_MODES.INSTANT;
+
+/**
+ * Human readable label for a feedback mode
+ * @param {string} mode - Feedback mode
+ * @returns {string} Label
+ */
+export const getFeedbackModeLabel = (mode) =>
+  FEEDBACK_MODE_OPTIONS.find(option => option.value === mode)?.label
+    || FEEDBACK_MODE_OPTIONS.find(option => option.value === DEFAULT_FEEDBACK_MODE).label;
+
+/**
+ * Per-question results from a participate response, if the server included them
+ * @param {object} result - Response body from tournamentAPI.participate
+ * @returns {boolean[]|null} Correctness by question index, or null when not provided
+ */
+export const getSubmittedCorrectness = (result) => {
+  const items = result?.results || result?.answers;
+  if (!Array.isArray(items)) return null;
+  return items.map(item => (typeof item === 'boolean' ? item : Boolean(item?.isCorrect ?? item?.correct)));
+};
+
+export default {
+  getFeedbackMode,
+  allowsInstantFeedback,
+  getFeedbackModeLabel,
+  getSubmittedCorrectness
+};
@@ -0,0 +1,128 @@
+// Leaderboard utility functions
+// Ranks score entries, detects ties and tracks rank movement between refreshes
+
+export const LEADERBOARD_PAGE_SIZE = 25;
+
+/**
+ * Extract the list of score entries from a getScores response
+ * @param {object|Array} data - Response body, a bare list or wrapped in { scores }
+ * @returns {object[]} Raw score entries
+ */
+export const extractScores = (data) => {
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.scores)) return data.scores;
+  if (Array.isArray(data?.content)) return data.content;
+  return [];
+};
+
+/**
+ * Stable key identifying the player behind a score entry
+ * @param {object} entry - Score entry (raw or normalized)
+ * @returns {string} Player key
+ */
+export const getEntryKey = (entry) =>
+  String(entry.userId ?? entry.user?.id ?? entry.username ?? entry.userName ?? entry.playerName ?? entry.id ?? '');
+
+/**
+ * Normalize a score entry from the API into a single shape
+ * @param {object} entry - Raw score entry
+ * @returns {object} { key, userId, name, username, score, maxScore, completedAt }
+ */
+export const normalizeScoreEntry = (entry) => {
+  const user = entry.user || {};
+  const fullName = [user.firstName ?? entry.firstName, user.lastName ?? entry.lastName].filter(Boolean).join(' ');
+  const username = entry.username ?? entry.userName ?? user.username ?? entry.playerName ?? '';
+
+  return {
+    key: getEntryKey(entry),
+    userId: entry.userId ?? user.id ?? null,
+    name: fullName || entry.playerName || username || 'Anonymous',
+    username,
+    score: Number(entry.playerScore ?? entry.score ?? 0) || 0,
+    maxScore: Number(entry.maxScore) || null,
+    completedAt: entry.completedAt ?? entry.completedDate ?? entry.participationDate ?? null
+  };
+};
+
+/**
+ * Sort entries and assign competition ranks: equal scores share a rank and the next rank skips ("1, 2, 2, 4")
+ * Within a tie, earlier finishers are listed first but keep the same rank
+ * @param {object[]} entries - Normalized score entries
+ * @returns {object[]} Entries with rank and tied flags, best first
+ */
+export const rankEntries = (entries) => {
+  const sorted = [...entries].sort((a, b) => {
+    if (b.score !== a.score) return b.score - a.score;
+    const aTime = a.completedAt ? new Date(a.completedAt).getTime() : Infinity;
+    const bTime = b.completedAt ? new Date(b.completedAt).getTime() : Infinity;
+    if (aTime !== bTime) return aTime - bTime;
+    return a.name.localeCompare(b.name);
+  });
+
+  const counts = sorted.reduce((map, entry) => map.set(entry.score, (map.get(entry.score) || 0) + 1), new Map());
+
+  let rank = 0;
+  return sorted.map((entry, index) => {
+    if (index === 0 || entry.score !== sorted[index - 1].score) {
+      rank = index + 1;
+    }
+    return { ...entry, rank, tied: counts.get(entry.score) > 1 };
+  });
+};
+
+/**
+ * Attach rank movement since the previous snapshot
+ * The first load has nothing to compare against, so every entry counts as unchanged
+ * @param {object[]} ranked - Entries from rankEntries
+ * @param {object} previousRanks - Map of entry key to rank from the last refresh
+ * @returns {object[]} Entries with movement (positive = moved up, 0 = unchanged, null = new entry)
+ */
+export const applyMovement = (ranked, previousRanks = {}) => {
+  const isFirstLoad = Object.keys(previousRanks).length === 0;
+  return ranked.map(entry => ({
+    ...entry,
+    movement: isFirstLoad ? 0
+      : previousRanks[entry.key] === undefined ? null
+        : previousRanks[entry.key] - entry.rank
+  }));
+};
+
+/**
+ * Snapshot the ranks of a leaderboard for comparison on the next refresh
+ * @param {object[]} ranked - Entries from rankEntries
+ * @returns {object} Map of entry key to rank
+ */
+export const getRankSnapshot = (ranked) =>
+  ranked.reduce((snapshot, entry) => ({ ...snapshot, [entry.key]: entry.rank }), {});
+
+/**
+ * Whether a score entry belongs to the given user
+ * @param {object} entry - Normalized score entry
+ * @param {object} user - Current user
+ * @returns {boolean} True for the user's own entry
+ */
+export const isCurrentUserEntry = (entry, user) => {
+  if (!user) return false;
+  if (entry.userId != null && user.id != null) return String(entry.userId) === String(user.id);
+  return Boolean(entry.username) && entry.username === user.username;
+};
+
+/**
+ * Build a ranked leaderboard from a getScores response
+ * @param {object|Array} data - Response body from tournamentAPI.getScores
+ * @param {object} previousRanks - Snapshot from the previous refresh
+ * @returns {object[]} Ranked entries with movement
+ */
+export const buildLeaderboard = (data, previousRanks = {}) =>
+  applyMovement(rankEntries(extractScores(data).map(normalizeScoreEntry)), previousRanks);
+
+export default {
+  extractScores,
+  getEntryKey,
+  normalizeScoreEntry,
+  rankEntries,
+  applyMovement,
+  getRankSnapshot,
+  isCurrentUserEntry,
+  buildLeaderboard
+};
@@ -0,0 +1,78 @@
+// Live host session persistence
+// Keeps the host console's session in localStorage so a reload or a closed tab can pick it up again
+
+const LIVE_HOST_KEY_PREFIX = 'live_host';
+const LIVE_HOST_VERSION = 1;
+
+// A session left this long is treated as abandoned
+const MAX_SESSION_AGE_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Build the storage key for a tournament's live session
+ * @param {string|number} tournamentId - Tournament ID
+ * @returns {string} localStorage key
+ */
+export const getLiveHostKey = (tournamentId) => `${LIVE_HOST_KEY_PREFIX}_${tournamentId}`;
+
+/**
+ * Save the host's session state
+ * @param {string|number} tournamentId - Tournament ID
+ * @param {object} session - { status, players, currentIndex, deadline, questionSentAt, standings, lastResults,
+ *   ranks, questionIds }
+ */
+export const saveLiveHostState = (tournamentId, session) => {
+  if (!tournamentId) return;
+  try {
+    localStorage.setItem(getLiveHostKey(tournamentId), JSON.stringify({
+      ...session,
+      version: LIVE_HOST_VERSION,
+      savedAt: Date.now()
+    }));
+  } catch (error) {
+    // Storage can be full or disabled (private mode) - the session still runs, it just can't be resumed
+    console.warn('Unable to save live session:', error);
+  }
+};
+
+/**
+ * Load a saved session, discarding it when it is stale or for a different question set
+ * @param {string|number} tournamentId - Tournament ID
+ * @param {Array} questionIds - IDs of the questions being hosted
+ * @returns {object|null} Saved session or null
+ */
+export const loadLiveHostState = (tournamentId, questionIds) => {
+  if (!tournamentId) return null;
+
+  const key = getLiveHostKey(tournamentId);
+  try {
+    const session = JSON.parse(localStorage.getItem(key) || 'null');
+    if (!session || session.version !== LIVE_HOST_VERSION) return null;
+
+    if (Date.now() - (session.savedAt || 0) > MAX_SESSION_AGE_MS
+      || JSON.stringify(session.questionIds) !== JSON.stringify(questionIds)) {
+      localStorage.removeItem(key);
+      return null;
+    }
+
+    return session;
+  } catch {
+    localStorage.removeItem(key);
+    return null;
+  }
+};
+
+/**
+ * Remove a saved session once its results are stored
+ * @param {string|number} tournamentId - Tournament ID
+ */
+export const clearLiveHostState = (tournamentId) => {
+  if (!tournamentId) return;
+  localStorage.removeItem(getLiveHostKey(tournamentId));
+};
+
+export default {
+  getLiveHostKey,
+  saveLiveHostState,
+  loadLiveHostState,
+  clearLiveHostState
+};
@@ -0,0 +1,147 @@
+// Live session utility functions
+// Player bookkeeping and scoring for host-driven live sessions
+import { getQuestionTimeLimit } from './quizTimer';
+import { scoreAttempt } from './tournamentScoring';
+import { rankEntries, applyMovement } from './leaderboard';
+
+export const LIVE_STATUS = {
+  LOBBY: 'lobby',
+  QUESTION: 'question',
+  STANDINGS: 'standings',
+  FINISHED: 'finished'
+};
+
+// Questions without their own time limit still need one when the host drives the pace
+export const DEFAULT_LIVE_QUESTION_TIME = 20;
+
+// Answers in flight when the timer hits zero are still accepted for this long
+export const ANSWER_GRACE_MS = 1000;
+
+// Joins arriving together (everyone re-joining after a host reload) get one snapshot between them
+export const JOIN_ANNOUNCE_DELAY_MS = 250;
+
+// A player missing from a snapshot asks to join again at most this often
+export const JOIN_RETRY_MS = 5000;
+
+/**
+ * Seconds a question stays open in a live session
+ * @param {object} question - Normalized question
+ * @returns {number} Seconds
+ */
+export const getLiveQuestionTime = (question) =>
+  getQuestionTimeLimit(question) || DEFAULT_LIVE_QUESTION_TIME;
+
+/**
+ * Create the host's record of a connected player
+ * @param {object} player - { key, name }, keyed by the user ID the relay stamped on JOIN
+ * @returns {object} Player record
+ */
+export const createLivePlayer = (player) => ({
+  key: String(player.key),
+  name: player.name || 'Player',
+  connected: true,
+  answers: {},
+  answerTimes: {}
+});
+
+/**
+ * Record (or replace) a player's answer to a question
+ * @param {object} player - Player record
+ * @param {number} index - Question index
+ * @param {*} answer - Submitted answer
+ * @param {number} seconds - Seconds since the question was pushed
+ * @returns {object} Updated player record
+ */
+export const recordLiveAnswer = (player, index, answer, seconds) => ({
+  ...player,
+  answers: { ...player.answers, [index]: answer },
+  answerTimes: { ...player.answerTimes, [index]: Math.round(seconds * 10) / 10 }
+});
+
+/**
+ * Score every player over the questions played so far
+ * @param {object} players - Player records keyed by player key
+ * @param {object[]} questions - Normalized questions played so far (with answers)
+ * @param {object} rules - Scoring rules from getScoringRules
+ * @returns {object} scoreAttempt results keyed by player key
+ */
+export const scoreLivePlayers = (players, questions, rules) =>
+  Object.values(players).reduce((scores, player) => ({
+    ...scores,
+    [player.key]: scoreAttempt(questions, player.answers, rules, player.answerTimes)
+  }), {});
+
+/**
+ * Rank players over the questions played so far
+ * @param {object} players - Player records keyed by player key
+ * @param {object[]} questions - Normalized questions played so far (with answers)
+ * @param {object} rules - Scoring rules from getScoringRules
+ * @param {object} previousRanks - Rank snapshot from the previous question
+ * @returns {object[]} Ranked standings with movement
+ */
+export const buildLiveStandings = (players, questions, rules, previousRanks = {}) => {
+  const scores = scoreLivePlayers(players, questions, rules);
+  const entries = Object.values(players).map(player => ({
+    key: player.key,
+    name: player.name,
+    score: scores[player.key].score,
+    correct: scores[player.key].correct,
+    completedAt: null
+  }));
+  return applyMovement(rankEntries(entries), previousRanks);
+};
+
+/**
+ * Each player's result on one question, as sent to players between questions
+ * @param {object} players - Player records keyed by player key
+ * @param {object} question - Normalized question (with answers)
+ * @param {number} index - Question index
+ * @param {object} rules - Scoring rules from getScoringRules
+ * @returns {object} { answered, isCorrect, points } keyed by player key
+ */
+export const getLiveQuestionResults = (players, question, index, rules) =>
+  Object.values(players).reduce((results, player) => {
+    const { breakdown } = scoreAttempt(
+      [question],
+      [player.answers[index]],
+      rules,
+      [player.answerTimes[index]]
+    );
+    const { answered, isCorrect, points } = breakdown[0];
+    return { ...results, [player.key]: { answered, isCorrect, points } };
+  }, {});
+
+/**
+ * Players visible to everyone in the room
+ * @param {object} players - Player records keyed by player key
+ * @returns {object[]} { key, name, connected } per player
+ */
+export const getPublicPlayers = (players) =>
+  Object.values(players).map(({ key, name, connected }) => ({ key, name, connected }));
+
+/**
+ * Results of a finished session, as saved through tournamentAPI.saveLiveResults
+ * @param {object} players - Player records keyed by player key (user ID)
+ * @param {object[]} standings - Final standings from buildLiveStandings
+ * @param {object[]} questions - Normalized questions hosted
+ * @returns {object} { questionIds, standings, answers }
+ */
+export const toLiveResults = (players, standings, questions) => ({
+  questionIds: questions.map(question => question.id),
+  standings: standings.map(({ key, rank, score, correct }) => ({ userId: key, rank, score, correct })),
+  answers: Object.values(players).reduce((all, player) => ({
+    ...all,
+    [player.key]: { answers: player.answers, answerTimes: player.answerTimes }
+  }), {})
+});
+
+export default {
+  getLiveQuestionTime,
+  createLivePlayer,
+  recordLiveAnswer,
+  scoreLivePlayers,
+  buildLiveStandings,
+  getLiveQuestionResults,
+  getPublicPlayers,
+  toLiveResults
+};
@@ -0,0 +1,205 @@
+// Live session transport
+// Carries live host mode messages over a WebSocket, or over an in-browser channel for local testing
+import { getCurrentApiUrl, getStreamTicket } from '../config/api';
+
+// The backend only relays messages within a tournament's room; the host console runs the session.
+// The relay authenticates each socket and stamps every message it relays with
+// from: { userId, role } taken from that authentication, never from the payload, so nobody can speak for
+// another player. Player messages (JOIN, LEAVE, ANSWER) go to the host alone, so players never see each
+// other's answers; host messages (STATE, PLAYERS, QUESTION, STANDINGS, END) go to everyone and are only
+// accepted from admins.
+export const LIVE_MESSAGES = {
+  JOIN: 'join',           // player -> host: { name }
+  LEAVE: 'leave',         // player -> host: {}
+  STATE: 'state',         // host -> players: full snapshot for late joiners
+  PLAYERS: 'players',     // host -> players: { players }
+  QUESTION: 'question',   // host -> players: { index, total, question, deadline, sentAt }
+  ANSWER: 'answer',       // player -> host: { index, answer }
+  STANDINGS: 'standings', // host -> players: { index, correctAnswer, standings, results }
+  END: 'end'              // host -> players: { standings }
+};
+
+const PLAYER_MESSAGES = new Set([LIVE_MESSAGES.JOIN, LIVE_MESSAGES.LEAVE, LIVE_MESSAGES.ANSWER]);
+
+/**
+ * Whether a message type goes from a player to the host
+ * @param {string} type - One of LIVE_MESSAGES
+ * @returns {boolean} True for JOIN, LEAVE and ANSWER
+ */
+export const isPlayerMessage = (type) => PLAYER_MESSAGES.has(type);
+
+export const TRANSPORT_STATUS = {
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  CLOSED: 'closed'
+};
+
+/**
+ * Whether live sessions should use the in-browser mock instead of a WebSocket
+ * @returns {boolean} True when VITE_LIVE_TRANSPORT is "mock"
+ */
+export const isMockTransport = () => import.meta.env.VITE_LIVE_TRANSPORT === 'mock';
+
+/**
+ * WebSocket URL of a tournament's live room, derived from the current API URL
+ * The socket authenticates with a single-use stream ticket rather than the access token
+ * @param {string|number} tournamentId - Tournament ID
+ * @param {string} role - "host" or "player"
+ * @returns {Promise<string>} WebSocket URL
+ */
+export const getLiveSocketUrl = async (tournamentId, role) => {
+  const path = `/live/tournaments/${tournamentId}`;
+  const ticket = await getStreamTicket(path);
+  const params = new URLSearchParams({ role, ticket });
+  return `${getCurrentApiUrl().replace(/^http/, 'ws')}${path}?${params}`;
+};
+
+// Shared listener registry used by the mock when BroadcastChannel is unavailable
+const localRooms = new Map();
+
+/**
+ * Build a transport object around send/close functions
+ * All transports expose { send, subscribe, onStatus, close } and deliver { type, payload, from } messages
+ * @param {Function} setup - Receives { emit, setStatus } and returns { send, close }
+ * @returns {object} Transport
+ */
+const createTransport = (setup) => {
+  const listeners = new Set();
+  const statusListeners = new Set();
+  let status = TRANSPORT_STATUS.CONNECTING;
+
+  const emit = (message) => listeners.forEach(listener => listener(message));
+  const setStatus = (next) => {
+    status = next;
+    statusListeners.forEach(listener => listener(next));
+  };
+
+  const { send, close } = setup({ emit, setStatus });
+
+  return {
+    send: (type, payload = {}) => send({ type, payload }),
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    onStatus: (listener) => {
+      statusListeners.add(listener);
+      listener(status);
+      return () => statusListeners.delete(listener);
+    },
+    close
+  };
+};
+
+/**
+ * Transport over the backend's WebSocket relay
+ * Messages sent before the socket opens are queued and flushed on open
+ * @param {string|Promise<string>} url - WebSocket URL, or a promise of one
+ * @returns {object} Transport
+ */
+export const createWebSocketTransport = (url) => createTransport(({ emit, setStatus }) => {
+  let socket = null;
+  let closed = false;
+  const queue = [];
+
+  Promise.resolve(url)
+    .then(socketUrl => {
+      if (closed) return;
+      socket = new WebSocket(socketUrl);
+      socket.onopen = () => {
+        setStatus(TRANSPORT_STATUS.OPEN);
+        queue.splice(0).forEach(data => socket.send(data));
+      };
+      socket.onmessage = (event) => {
+        try {
+          emit(JSON.parse(event.data));
+        } catch {
+          // Ignore anything that is not a protocol message
+        }
+      };
+      socket.onclose = () => setStatus(TRANSPORT_STATUS.CLOSED);
+    })
+    .catch(() => !closed && setStatus(TRANSPORT_STATUS.CLOSED));
+
+  return {
+    send: (message) => {
+      const data = JSON.stringify(message);
+      if (socket?.readyState === WebSocket.OPEN) {
+        socket.send(data);
+      } else if (!socket || socket.readyState === WebSocket.CONNECTING) {
+        queue.push(data);
+      }
+    },
+    close: () => {
+      closed = true;
+      socket?.close();
+    }
+  };
+});
+
+/**
+ * In-browser transport for local testing without a WebSocket backend
+ * Uses BroadcastChannel so a host tab and player tabs on the same machine share a room,
+ * falling back to an in-memory room inside a single page. It plays the relay's part: messages are stamped
+ * with the sender and player messages only reach the host, though here every tab trusts the others
+ * @param {string} room - Room name
+ * @param {object} identity - { userId, role } of this end
+ * @returns {object} Transport
+ */
+export const createMockTransport = (room, identity) => createTransport(({ emit, setStatus }) => {
+  const stamp = (message) => ({ ...message, from: identity });
+  const receive = (message) => {
+    if (!isPlayerMessage(message?.type) || identity.role === 'host') emit(message);
+  };
+
+  if (typeof BroadcastChannel === 'function') {
+    const channel = new BroadcastChannel(`quiz-live-${room}`);
+    let closed = false;
+    channel.onmessage = (event) => receive(event.data);
+    setTimeout(() => !closed && setStatus(TRANSPORT_STATUS.OPEN), 0);
+
+    return {
+      send: (message) => !closed && channel.postMessage(stamp(message)),
+      close: () => {
+        closed = true;
+        channel.close();
+        setStatus(TRANSPORT_STATUS.CLOSED);
+      }
+    };
+  }
+
+  if (!localRooms.has(room)) localRooms.set(room, new Set());
+  const members = localRooms.get(room);
+  members.add(receive);
+  setTimeout(() => members.has(receive) && setStatus(TRANSPORT_STATUS.OPEN), 0);
+
+  return {
+    // Like a relay, deliver to everyone in the room except the sender
+    send: (message) => members.forEach(member => member !== receive && setTimeout(() => member(stamp(message)), 0)),
+    close: () => {
+      members.delete(receive);
+      setStatus(TRANSPORT_STATUS.CLOSED);
+    }
+  };
+});
+
+/**
+ * Open the transport for a tournament's live room
+ * @param {string|number} tournamentId - Tournament ID
+ * @param {string} role - "host" or "player"
+ * @param {string|number|null} userId - Signed-in user's ID, which the mock stamps in place of the relay
+ * @returns {object} Transport
+ */
+export const createLiveTransport = (tournamentId, role, userId = null) =>
+  isMockTransport()
+    ? createMockTransport(String(tournamentId), { userId, role })
+    : createWebSocketTransport(getLiveSocketUrl(tournamentId, role));
+
+export default {
+  isPlayerMessage,
+  isMockTransport,
+  getLiveSocketUrl,
+  createWebSocketTransport,
+  createMockTransport,
+  createLiveTransport
+};
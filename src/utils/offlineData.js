@@ -0,0 +1,286 @@
+// Offline data utility functions
+// Saved copies of player-facing API responses, and quiz submissions waiting for the network to come back
+
+const CACHE_KEY_PREFIX = 'offline_cache';
+const CACHE_INDEX_KEY = 'offline_cache_index';
+export const OFFLINE_QUEUE_KEY = 'offline_participation_queue';
+
+export const MAX_CACHE_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+
+// Player-facing reads worth keeping, in groups that each drop their oldest snapshots past their own budget.
+// A list page's worth of per-card lookups can then never push out the lists and history offline mode is for
+export const OFFLINE_CACHE_GROUPS = [
+  { name: 'history', maxEntries: 5, paths: [/^\/tournaments\/player\/participated$/, /^\/users\/me$/] },
+  { name: 'lists', maxEntries: 10, paths: [/^\/tournaments$/, /^\/tournaments\/player\/(ongoing|upcoming|past)$/] },
+  { name: 'tournaments', maxEntries: 30, paths: [/^\/tournaments\/[^/]+$/, /^\/tournaments\/[^/]+\/(questions|scores)$/] },
+  { name: 'lookups', maxEntries: 60, paths: [/^\/tournaments\/[^/]+\/(likes|participation-status)$/] }
+];
+
+export const OFFLINE_CACHEABLE_PATHS = OFFLINE_CACHE_GROUPS.flatMap(group => group.paths);
+
+export const OFFLINE_EVENTS = {
+  DATA_STATUS: 'data-status',     // { staleSince } - null once fresh data arrives again
+  QUEUE_CHANGED: 'queue-changed'  // { queue }
+};
+
+// Offline event listeners
+const listeners = new Set();
+
+/**
+ * Listen for offline events
+ * @param {Function} listener - Called with (event, detail)
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeOffline = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const emitOffline = (event, detail = {}) => {
+  listeners.forEach(listener => listener(event, detail));
+};
+
+/**
+ * Whether a request failed for lack of a network rather than being answered by the server
+ * Only these requests surely never reached the server, so only these writes are safe to queue and replay
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for network failures, false for timeouts, cancellations and HTTP errors
+ */
+export const isNetworkError = (error) => {
+  if (!error || error.response || error.code === 'ERR_CANCELED') return false;
+  return error.code === 'ERR_NETWORK' || (typeof navigator !== 'undefined' && navigator.onLine === false);
+};
+
+/**
+ * Whether a request gave up waiting for the server's answer
+ * The server may still have acted on it, so a timed-out write is checked rather than sent again
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for timeouts
+ */
+export const isTimeoutError = (error) =>
+  Boolean(error) && !error.response && (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT');
+
+const getPath = (url = '') => url.replace(/^https?:\/\/[^/]+/, '').replace(/^\/api(?=\/)/, '').split('?')[0];
+
+/**
+ * Whether a request's response is kept for offline use
+ * @param {object} config - Axios request config
+ * @returns {boolean} True for GETs to one of OFFLINE_CACHEABLE_PATHS
+ */
+export const isOfflineCacheable = (config) =>
+  (config?.method || 'get').toLowerCase() === 'get'
+  && OFFLINE_CACHEABLE_PATHS.some(pattern => pattern.test(getPath(config.url)));
+
+/**
+ * Storage key for a request's snapshot; snapshots belong to the user who fetched them
+ * @param {object} config - Axios request config
+ * @param {string|number} userId - Current user ID
+ * @returns {string} localStorage key
+ */
+export const getCacheKey = (config, userId) =>
+  `${CACHE_KEY_PREFIX}_${userId ?? 'anonymous'}_${getPath(config.url)}?${JSON.stringify(config.params || {})}`;
+
+const getCacheGroup = (config) => {
+  const path = getPath(config.url);
+  return OFFLINE_CACHE_GROUPS.find(group => group.paths.some(pattern => pattern.test(path)));
+};
+
+const getIndexKey = (group) => `${CACHE_INDEX_KEY}_${group.name}`;
+
+const readIndex = (indexKey) => {
+  try {
+    const index = JSON.parse(localStorage.getItem(indexKey) || '[]');
+    return Array.isArray(index) ? index : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Keep a response for when the network is gone
+ * @param {object} config - Axios request config
+ * @param {*} data - Response body
+ * @param {string|number} userId - Current user ID
+ */
+export const saveOfflineResponse = (config, data, userId) => {
+  const group = getCacheGroup(config);
+  if (!group) return;
+
+  const key = getCacheKey(config, userId);
+  const indexKey = getIndexKey(group);
+  const index = [key, ...readIndex(indexKey).filter(existing => existing !== key)];
+  const evicted = index.splice(group.maxEntries);
+
+  try {
+    evicted.forEach(old => localStorage.removeItem(old));
+    localStorage.setItem(key, JSON.stringify({ data, savedAt: Date.now() }));
+    localStorage.setItem(indexKey, JSON.stringify(index));
+  } catch {
+    // Storage is full or disabled - the oldest half makes room for next time. This runs inside the response
+    // interceptor, so a second failure is swallowed rather than failing a request that succeeded
+    try {
+      index.splice(Math.floor(index.length / 2)).forEach(old => localStorage.removeItem(old));
+      localStorage.setItem(indexKey, JSON.stringify(index.filter(existing => existing !== key)));
+    } catch {
+      // Still no room, or no storage at all; the response itself is unaffected
+    }
+  }
+};
+
+/**
+ * The saved response for a request
+ * @param {object} config - Axios request config
+ * @param {string|number} userId - Current user ID
+ * @returns {object|null} { data, savedAt }, or null when nothing usable is saved
+ */
+export const readOfflineResponse = (config, userId) => {
+  const key = getCacheKey(config, userId);
+  try {
+    const entry = JSON.parse(localStorage.getItem(key) || 'null');
+    if (!entry || Date.now() - entry.savedAt > MAX_CACHE_AGE_MS) return null;
+    return entry;
+  } catch {
+    localStorage.removeItem(key);
+    return null;
+  }
+};
+
+/**
+ * Remove every saved response, for example when the user signs out
+ */
+export const clearOfflineCache = () => {
+  // The single shared index came before the per-group ones
+  [CACHE_INDEX_KEY, ...OFFLINE_CACHE_GROUPS.map(getIndexKey)].forEach(indexKey => {
+    readIndex(indexKey).forEach(key => localStorage.removeItem(key));
+    localStorage.removeItem(indexKey);
+  });
+};
+
+// When the oldest saved response now on screen was fetched; null while everything is live
+let staleSince = null;
+
+/**
+ * When the saved data currently shown was fetched
+ * @returns {number|null} Timestamp of the oldest saved response served, or null when all data is live
+ */
+export const getStaleSince = () => staleSince;
+
+/**
+ * Record that a saved response was served in place of a live one
+ * @param {number} savedAt - When the saved response was fetched
+ */
+export const markStale = (savedAt) => {
+  if (staleSince !== null && staleSince <= savedAt) return;
+  staleSince = savedAt;
+  emitOffline(OFFLINE_EVENTS.DATA_STATUS, { staleSince });
+};
+
+/**
+ * Record that live data is arriving again
+ */
+export const markFresh = () => {
+  if (staleSince === null) return;
+  staleSince = null;
+  emitOffline(OFFLINE_EVENTS.DATA_STATUS, { staleSince });
+};
+
+const readQueue = () => {
+  try {
+    const queue = JSON.parse(localStorage.getItem(OFFLINE_QUEUE_KEY) || '[]');
+    return Array.isArray(queue) ? queue : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeQueue = (queue) => {
+  localStorage.setItem(OFFLINE_QUEUE_KEY, JSON.stringify(queue));
+  emitOffline(OFFLINE_EVENTS.QUEUE_CHANGED, { queue });
+};
+
+/**
+ * Quiz submissions waiting to be sent
+ * @param {string|number} userId - Only this user's submissions; all of them when omitted
+ * @returns {object[]} [{ id, userId, tournamentId, tournamentName, payload, queuedAt, error }] oldest first
+ */
+export const getQueuedParticipations = (userId) => {
+  const queue = readQueue();
+  return userId === undefined ? queue : queue.filter(entry => String(entry.userId) === String(userId));
+};
+
+/**
+ * Hold on to a quiz submission until it can be sent
+ * Only one submission per tournament may wait: a second one is refused rather than replacing the first,
+ * so going offline never buys a retake. One the server refused is only kept to be read, so it is replaced
+ * @param {object} submission - { userId, tournamentId, tournamentName, payload } where payload is what participate takes
+ * @returns {object|null} Queued entry, or null when answers for this tournament are already waiting
+ */
+export const queueParticipation = ({ userId, tournamentId, tournamentName = '', payload }) => {
+  if (hasQueuedParticipation(userId, tournamentId)) {
+    return null;
+  }
+
+  const entry = {
+    id: `${userId}_${tournamentId}_${Date.now()}`,
+    userId,
+    tournamentId: String(tournamentId),
+    tournamentName,
+    payload,
+    queuedAt: Date.now(),
+    error: null
+  };
+  const others = readQueue().filter(queued =>
+    !(String(queued.userId) === String(userId) && queued.tournamentId === entry.tournamentId));
+  writeQueue([...others, entry]);
+  return entry;
+};
+
+/**
+ * Drop a queued submission, once sent or when the user gives up on it
+ * @param {string} id - Entry ID
+ */
+export const removeQueuedParticipation = (id) => {
+  writeQueue(readQueue().filter(entry => entry.id !== id));
+};
+
+/**
+ * Keep a submission the server refused, with the reason, so the player can see what happened
+ * @param {string} id - Entry ID
+ * @param {string} message - Why it was refused
+ */
+export const markQueuedParticipationFailed = (id, message) => {
+  writeQueue(readQueue().map(entry => (entry.id === id ? { ...entry, error: message } : entry)));
+};
+
+/**
+ * Whether a tournament has a submission waiting for the given user
+ * @param {string|number} userId - Current user ID
+ * @param {string|number} tournamentId - Tournament ID
+ * @returns {boolean} True while answers are queued and not refused
+ */
+export const hasQueuedParticipation = (userId, tournamentId) =>
+  getQueuedParticipations(userId).some(entry => entry.tournamentId === String(tournamentId) && !entry.error);
+
+export default {
+  OFFLINE_QUEUE_KEY,
+  MAX_CACHE_AGE_MS,
+  OFFLINE_CACHE_GROUPS,
+  OFFLINE_CACHEABLE_PATHS,
+  OFFLINE_EVENTS,
+  subscribeOffline,
+  isNetworkError,
+  isTimeoutError,
+  isOfflineCacheable,
+  getCacheKey,
+  saveOfflineResponse,
+  readOfflineResponse,
+  clearOfflineCache,
+  getStaleSince,
+  markStale,
+  markFresh,
+  getQueuedParticipations,
+  queueParticipation,
+  removeQueuedParticipation,
+  markQueuedParticipationFailed,
+  hasQueuedParticipation
+};
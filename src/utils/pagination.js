@@ -0,0 +1,57 @@
+// Pagination utility functions
+// Turns the different paged response shapes the API returns into one, and pages bare lists client-side
+
+export const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Query parameters for a paged request; the API counts pages from 0
+ * @param {object} options - { page (1-based), size }
+ * @returns {object} { page, size }
+ */
+export const toPageParams = ({ page = 1, size = DEFAULT_PAGE_SIZE } = {}) => ({
+  page: Math.max(0, page - 1),
+  size
+});
+
+/**
+ * Normalize a paged response
+ * Spring pages ({ content, totalElements, number }) and { items, total } bodies are used as-is;
+ * a bare list means the endpoint doesn't page, so the requested page is cut from it here
+ * @param {object|Array} data - Response body
+ * @param {object} options - { page (1-based), size } that were requested
+ * @returns {object} { items, page, size, totalItems, totalPages, serverPaged }
+ */
+export const normalizePage = (data, { page = 1, size = DEFAULT_PAGE_SIZE } = {}) => {
+  if (Array.isArray(data)) {
+    const totalPages = Math.max(1, Math.ceil(data.length / size));
+    const current = Math.min(Math.max(1, page), totalPages);
+    return {
+      items: data.slice((current - 1) * size, current * size),
+      page: current,
+      size,
+      totalItems: data.length,
+      totalPages,
+      serverPaged: false
+    };
+  }
+
+  const items = data?.content ?? data?.items ?? data?.results ?? [];
+  const pageSize = Number(data?.size ?? data?.pageSize) || size;
+  const totalItems = Number(data?.totalElements ?? data?.total ?? data?.totalItems ?? items.length) || 0;
+  const current = data?.number !== undefined ? Number(data.number) + 1 : Number(data?.page ?? page) || page;
+
+  return {
+    items: Array.isArray(items) ? items : [],
+    page: current,
+    size: pageSize,
+    totalItems,
+    totalPages: Math.max(1, Number(data?.totalPages) || Math.ceil(totalItems / pageSize)),
+    serverPaged: true
+  };
+};
+
+export default {
+  DEFAULT_PAGE_SIZE,
+  toPageParams,
+  normalizePage
+};
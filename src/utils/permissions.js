@@ -0,0 +1,145 @@
+// Permission utility functions
+// The single place that decides what each role may do; components ask can() instead of comparing role strings
+
+export const ROLES = {
+  OWNER: 'OWNER',
+  MODERATOR: 'MODERATOR',
+  QUESTION_AUTHOR: 'QUESTION_AUTHOR',
+  PLAYER: 'PLAYER'
+};
+
+// Older accounts carry ADMIN, which has always meant full control
+const ROLE_ALIASES = {
+  ADMIN: ROLES.OWNER
+};
+
+export const ROLE_LABELS = {
+  [ROLES.OWNER]: 'Owner',
+  [ROLES.MODERATOR]: 'Moderator',
+  [ROLES.QUESTION_AUTHOR]: 'Question Author',
+  [ROLES.PLAYER]: 'Player'
+};
+
+export const ACTIONS = {
+  VIEW: 'view',
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  IMPORT: 'import',
+  EXPORT: 'export',
+  HOST: 'host',
+  PLAY: 'play',
+  LIKE: 'like',
+  MODERATE: 'moderate',
+  ASSIGN: 'assign'
+};
+
+export const RESOURCES = {
+  ADMIN: 'admin',           // the admin area itself
+  TOURNAMENT: 'tournament',
+  QUESTION: 'question',
+  RESULT: 'result',
+  USER: 'user',
+  ANALYTICS: 'analytics',
+  BACKEND: 'backend'        // which API environment the app talks to
+};
+
+const QUESTION_WRITING = {
+  [RESOURCES.ADMIN]: [ACTIONS.VIEW],
+  [RESOURCES.TOURNAMENT]: [ACTIONS.VIEW],
+  [RESOURCES.QUESTION]: [ACTIONS.VIEW, ACTIONS.CREATE, ACTIONS.UPDATE, ACTIONS.DELETE, ACTIONS.IMPORT]
+};
+
+const MODERATION = {
+  ...QUESTION_WRITING,
+  [RESOURCES.TOURNAMENT]: [ACTIONS.VIEW, ACTIONS.CREATE, ACTIONS.UPDATE, ACTIONS.DELETE, ACTIONS.EXPORT, ACTIONS.HOST],
+  [RESOURCES.RESULT]: [ACTIONS.VIEW, ACTIONS.MODERATE, ACTIONS.EXPORT],
+  [RESOURCES.USER]: [ACTIONS.VIEW, ACTIONS.MODERATE],
+  [RESOURCES.ANALYTICS]: [ACTIONS.VIEW]
+};
+
+// Role -> resource -> allowed actions
+export const PERMISSIONS = {
+  [ROLES.OWNER]: {
+    ...MODERATION,
+    [RESOURCES.USER]: [ACTIONS.VIEW, ACTIONS.MODERATE, ACTIONS.UPDATE, ACTIONS.ASSIGN],
+    [RESOURCES.BACKEND]: [ACTIONS.VIEW, ACTIONS.UPDATE]
+  },
+  [ROLES.MODERATOR]: MODERATION,
+  [ROLES.QUESTION_AUTHOR]: QUESTION_WRITING,
+  [ROLES.PLAYER]: {
+    [RESOURCES.TOURNAMENT]: [ACTIONS.VIEW, ACTIONS.PLAY, ACTIONS.LIKE],
+    [RESOURCES.RESULT]: [ACTIONS.VIEW]
+  }
+};
+
+/**
+ * Normalize a role name from the server ("Question Author", "question-author", "ADMIN"...)
+ * @param {string} role - Role name
+ * @returns {string|null} One of ROLES, or the normalized name when unknown
+ */
+export const normalizeRole = (role) => {
+  if (typeof role !== 'string' || !role.trim()) return null;
+  const name = role.trim().toUpperCase().replace(/^ROLE_/, '').replace(/[\s-]+/g, '_');
+  return ROLE_ALIASES[name] || name;
+};
+
+/**
+ * Every role the user holds
+ * @param {object} user - User, with a role string or a roles array
+ * @returns {string[]} Normalized roles
+ */
+export const getUserRoles = (user) => {
+  if (!user) return [];
+  const roles = Array.isArray(user.roles) && user.roles.length > 0 ? user.roles : [user.role];
+  return [...new Set(roles.map(normalizeRole).filter(Boolean))];
+};
+
+/**
+ * Whether the user holds a role
+ * @param {object} user - User
+ * @param {string} role - Role name
+ * @returns {boolean} True when the user holds it
+ */
+export const hasRole = (user, role) => getUserRoles(user).includes(normalizeRole(role));
+
+/**
+ * Whether the user may perform an action on a kind of resource
+ * @param {object} user - User
+ * @param {string} action - One of ACTIONS
+ * @param {string} resource - One of RESOURCES
+ * @returns {boolean} True when any of the user's roles allows it
+ */
+export const can = (user, action, resource) =>
+  getUserRoles(user).some(role => PERMISSIONS[role]?.[resource]?.includes(action) ?? false);
+
+/**
+ * Display name of a role
+ * @param {string} role - Role name
+ * @returns {string} Label
+ */
+export const getRoleLabel = (role) => {
+  const normalized = normalizeRole(role);
+  return ROLE_LABELS[normalized] || role || 'Unknown';
+};
+
+/**
+ * Display names of every role the user holds
+ * @param {object} user - User
+ * @returns {string} Comma-separated labels
+ */
+export const getUserRoleLabel = (user) => getUserRoles(user).map(getRoleLabel).join(', ');
+
+export default {
+  ROLES,
+  ROLE_LABELS,
+  ACTIONS,
+  RESOURCES,
+  PERMISSIONS,
+  normalizeRole,
+  getUserRoles,
+  hasRole,
+  can,
+  getRoleLabel,
+  getUserRoleLabel
+};
@@ -0,0 +1,125 @@
+// Query cache utility functions
+// In-memory cache for GET requests: fresh for a TTL, then served stale while a background request revalidates it
+
+export const QUERY_EVENTS = {
+  UPDATED: 'updated',         // { key, path, response } - a background revalidation brought newer data
+  INVALIDATED: 'invalidated'  // { keys } - entries dropped after a write
+};
+
+// key -> { response, path, fetchedAt }
+const entries = new Map();
+// key -> { promise, path } for requests still on the wire
+const inflight = new Map();
+
+// Query event listeners
+const listeners = new Set();
+
+/**
+ * Listen for query cache events
+ * @param {Function} listener - Called with (event, detail)
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeQueries = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const emitQuery = (event, detail = {}) => {
+  listeners.forEach(listener => listener(event, detail));
+};
+
+/**
+ * Cache key for a request
+ * @param {string} path - Request path
+ * @param {object} params - Query parameters
+ * @param {string|number} scope - Whose data this is, usually the signed-in user's ID
+ * @returns {string} Cache key
+ */
+export const getQueryKey = (path, params = {}, scope = null) =>
+  `${scope ?? 'anonymous'}|${path}?${JSON.stringify(params)}`;
+
+// Concurrent callers of the same key share one request. A result only lands in the cache
+// if nothing invalidated the key while it was on the wire
+const fetchQuery = (key, path, fetcher) => {
+  const running = inflight.get(key);
+  if (running) return running.promise;
+
+  const request = { path };
+  request.promise = fetcher()
+    .then(response => {
+      // Saved offline copies are not live data, so they never count as fresh
+      if (inflight.get(key) === request && !response?.fromOfflineCache) {
+        entries.set(key, { response, path, fetchedAt: Date.now() });
+      }
+      return response;
+    })
+    .finally(() => {
+      if (inflight.get(key) === request) inflight.delete(key);
+    });
+
+  inflight.set(key, request);
+  return request.promise;
+};
+
+/**
+ * Run a GET through the cache
+ * @param {string} key - From getQueryKey
+ * @param {string} path - Request path, matched by invalidateQueries
+ * @param {Function} fetcher - Makes the request and resolves to the response
+ * @param {object} options - { ttl, staleTime, force } in milliseconds; staleTime is how long past the TTL
+ *   a cached response is still served while it revalidates, and force skips the cache
+ * @returns {Promise<object>} Response
+ */
+export const cachedQuery = (key, path, fetcher, { ttl = 0, staleTime = 0, force = false } = {}) => {
+  const entry = entries.get(key);
+  const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+  if (force || !entry || age > ttl + staleTime) {
+    if (force) inflight.delete(key);
+    return fetchQuery(key, path, fetcher);
+  }
+
+  if (age > ttl && !inflight.has(key)) {
+    fetchQuery(key, path, fetcher)
+      .then(response => emitQuery(QUERY_EVENTS.UPDATED, { key, path, response }))
+      .catch(() => {
+        // The stale copy stays in place; the next caller past the stale window retries
+      });
+  }
+
+  return Promise.resolve(entry.response);
+};
+
+/**
+ * Drop cached responses so the next request goes to the server
+ * @param {Function} match - Called with each entry's path; entries it returns true for are dropped
+ * @returns {string[]} Keys dropped
+ */
+export const invalidateQueries = (match) => {
+  const keys = [...new Set([...entries.keys(), ...inflight.keys()])].filter(key =>
+    match((entries.get(key) || inflight.get(key)).path));
+
+  keys.forEach(key => {
+    entries.delete(key);
+    inflight.delete(key);
+  });
+
+  if (keys.length > 0) emitQuery(QUERY_EVENTS.INVALIDATED, { keys });
+  return keys;
+};
+
+/**
+ * Drop every cached response, for example when the user signs out
+ */
+export const clearQueryCache = () => {
+  invalidateQueries(() => true);
+};
+
+export default {
+  QUERY_EVENTS,
+  subscribeQueries,
+  getQueryKey,
+  cachedQuery,
+  invalidateQueries,
+  clearQueryCache
+};
@@ -0,0 +1,273 @@
+// Question import utility functions
+// Parses CSV and Open Trivia DB JSON files into validated question rows client-side
+import { sanitizers } from './validation';
+import { MAX_OPTIONS, QUESTION_TYPES, TRUE_FALSE_OPTIONS } from './questionUtils';
+
+export const CSV_TEMPLATE_HEADERS = [
+  'question',
+  'correct_answer',
+  'incorrect_answer_1',
+  'incorrect_answer_2',
+  'incorrect_answer_3',
+  'category',
+  'difficulty'
+];
+
+const VALID_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * Decode HTML entities (Open Trivia DB encodes quotes as &quot; etc.)
+ * @param {string} value - Encoded text
+ * @returns {string} Decoded text
+ */
+export const decodeEntities = (value) => {
+  if (!value || !value.includes('&')) return value || '';
+  const textarea = document.createElement('textarea');
+  textarea.innerHTML = value;
+  return textarea.value;
+};
+
+/**
+ * Check whether text contains markup by comparing it with its sanitized form
+ * @param {string} value - Text to check
+ * @returns {boolean} True when sanitizing would change the text
+ */
+export const containsHtml = (value) => {
+  if (!value) return false;
+  return decodeEntities(sanitizers.text(value)) !== value;
+};
+
+/**
+ * Parse CSV text into an array of string arrays (handles quoted fields and escaped quotes)
+ * @param {string} text - Raw CSV content
+ * @returns {string[][]} Parsed records
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+};
+
+const isBlankRecord = (record) => record.every(value => value.trim() === '');
+
+/**
+ * Validate an imported row and attach its errors
+ * @param {object} row - Row with question, correctAnswer and incorrectAnswers
+ * @returns {object} Row with an errors array and isValid flag
+ */
+export const validateImportRow = (row) => {
+  const errors = [];
+  const incorrect = row.incorrectAnswers.filter(answer => answer !== '');
+  const allOptions = [row.correctAnswer, ...incorrect].filter(Boolean);
+
+  if (!row.question) {
+    errors.push('Missing question text');
+  }
+
+  if (!row.correctAnswer) {
+    errors.push('Missing correct answer');
+  }
+
+  if (incorrect.length === 0) {
+    errors.push('At least one incorrect answer is required');
+  }
+
+  if (allOptions.length > MAX_OPTIONS) {
+    errors.push(`No more than ${MAX_OPTIONS} options are allowed`);
+  }
+
+  const normalizedOptions = allOptions.map(option => option.toLowerCase());
+  if (new Set(normalizedOptions).size !== normalizedOptions.length) {
+    errors.push('Duplicate options');
+  }
+
+  if ([row.question, ...allOptions].some(containsHtml)) {
+    errors.push('HTML is not allowed in question or answer text');
+  }
+
+  if (row.difficulty && !VALID_DIFFICULTIES.includes(row.difficulty)) {
+    errors.push(`Unknown difficulty "${row.difficulty}"`);
+  }
+
+  return { ...row, errors, isValid: errors.length === 0 };
+};
+
+/**
+ * Parse questions from a CSV file using the template headers
+ * @param {string} text - Raw CSV content
+ * @returns {object[]} Validated rows
+ */
+export const parseCsvQuestions = (text) => {
+  const [header, ...records] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    throw new Error('The CSV file is empty');
+  }
+
+  const columns = header.map(column => column.trim().toLowerCase());
+  const questionIndex = columns.indexOf('question');
+  const correctIndex = columns.indexOf('correct_answer');
+  const categoryIndex = columns.indexOf('category');
+  const difficultyIndex = columns.indexOf('difficulty');
+  const incorrectIndexes = columns
+    .map((column, index) => (column.startsWith('incorrect_answer') ? index : -1))
+    .filter(index => index >= 0);
+
+  if (questionIndex < 0 || correctIndex < 0 || incorrectIndexes.length === 0) {
+    throw new Error('CSV header must include question, correct_answer and incorrect_answer_1 columns');
+  }
+
+  return records
+    .map((record, index) => ({ record, rowNumber: index + 2 })) // +1 for the header, +1 for 1-based rows
+    .filter(({ record }) => !isBlankRecord(record))
+    .map(({ record, rowNumber }) => validateImportRow({
+      rowNumber,
+      question: (record[questionIndex] || '').trim(),
+      correctAnswer: (record[correctIndex] || '').trim(),
+      incorrectAnswers: incorrectIndexes.map(i => (record[i] || '').trim()),
+      category: categoryIndex >= 0 ? (record[categoryIndex] || '').trim() : '',
+      difficulty: difficultyIndex >= 0 ? (record[difficultyIndex] || '').trim().toLowerCase() : ''
+    }));
+};
+
+/**
+ * Parse questions from an Open Trivia DB response (or a bare array of its results)
+ * @param {string} text - Raw JSON content
+ * @returns {object[]} Validated rows
+ */
+export const parseOpenTdbQuestions = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  const results = Array.isArray(data) ? data : data?.results;
+  if (!Array.isArray(results)) {
+    throw new Error('Expected an Open Trivia DB response with a "results" array');
+  }
+
+  return results.map((item, index) => validateImportRow({
+    rowNumber: index + 1,
+    question: decodeEntities(item?.question || '').trim(),
+    correctAnswer: decodeEntities(item?.correct_answer || '').trim(),
+    incorrectAnswers: (item?.incorrect_answers || []).map(answer => decodeEntities(String(answer)).trim()),
+    category: decodeEntities(item?.category || '').trim(),
+    difficulty: (item?.difficulty || '').trim().toLowerCase(),
+    type: item?.type === 'boolean' ? QUESTION_TYPES.TRUE_FALSE : QUESTION_TYPES.SINGLE
+  }));
+};
+
+/**
+ * Parse an uploaded question file based on its extension
+ * @param {File} file - File selected by the admin
+ * @returns {Promise<object[]>} Validated rows
+ */
+export const parseQuestionFile = async (file) => {
+  const text = await file.text();
+  const name = file.name.toLowerCase();
+
+  if (name.endsWith('.csv')) {
+    return parseCsvQuestions(text);
+  }
+  if (name.endsWith('.json')) {
+    return parseOpenTdbQuestions(text);
+  }
+  throw new Error('Unsupported file type. Upload a .csv or .json file');
+};
+
+/**
+ * Convert an accepted row into a question payload, shuffling the options
+ * @param {object} row - Validated row
+ * @param {number} position - Zero-based position in the tournament
+ * @returns {object} API payload
+ */
+export const importRowToPayload = (row, position) => {
+  if (row.type === QUESTION_TYPES.TRUE_FALSE) {
+    // True/False keeps its fixed order instead of being shuffled
+    const correctAnswer = TRUE_FALSE_OPTIONS.find(option => option.toLowerCase() === row.correctAnswer.toLowerCase());
+    return {
+      type: QUESTION_TYPES.TRUE_FALSE,
+      question: row.question,
+      options: [...TRUE_FALSE_OPTIONS],
+      correctAnswer: correctAnswer || row.correctAnswer,
+      position,
+      ...(row.category && { category: row.category }),
+      ...(row.difficulty && { difficulty: row.difficulty })
+    };
+  }
+
+  const options = [row.correctAnswer, ...row.incorrectAnswers.filter(answer => answer !== '')];
+  for (let i = options.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [options[i], options[j]] = [options[j], options[i]];
+  }
+
+  return {
+    type: QUESTION_TYPES.SINGLE,
+    question: row.question,
+    options,
+    correctAnswer: row.correctAnswer,
+    position,
+    ...(row.category && { category: row.category }),
+    ...(row.difficulty && { difficulty: row.difficulty })
+  };
+};
+
+/**
+ * Build a CSV template file the admin can fill in
+ * @returns {string} CSV content
+ */
+export const buildCsvTemplate = () => [
+  CSV_TEMPLATE_HEADERS.join(','),
+  '"What is the capital of France?",Paris,London,Berlin,Madrid,Geography,easy'
+].join('\n');
+
+export default {
+  parseCsv,
+  parseCsvQuestions,
+  parseOpenTdbQuestions,
+  parseQuestionFile,
+  validateImportRow,
+  importRowToPayload,
+  buildCsvTemplate
+};
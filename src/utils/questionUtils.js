@@ -0,0 +1,388 @@
+// Question utility functions
+// Shared helpers for normalizing, validating and diffing tournament questions
+import { isValidQuestionTimeLimit, MIN_QUESTION_TIME_LIMIT, MAX_QUESTION_TIME_LIMIT } from './quizTimer';
+
+export const MIN_OPTIONS = 2;
+export const MAX_OPTIONS = 6;
+export const MAX_EXPLANATION_LENGTH = 1000;
+export const MAX_ACCEPTED_ANSWERS = 10;
+
+export const QUESTION_TYPES = {
+  SINGLE: 'single',
+  TRUE_FALSE: 'true_false',
+  MULTI: 'multi',
+  TEXT: 'text',
+  NUMERIC: 'numeric'
+};
+
+export const QUESTION_TYPE_OPTIONS = [
+  { value: QUESTION_TYPES.SINGLE, label: 'Single choice' },
+  { value: QUESTION_TYPES.TRUE_FALSE, label: 'True / False' },
+  { value: QUESTION_TYPES.MULTI, label: 'Multi-select (all that apply)' },
+  { value: QUESTION_TYPES.TEXT, label: 'Free text' },
+  { value: QUESTION_TYPES.NUMERIC, label: 'Numeric' }
+];
+
+export const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+// Types that present a fixed list of options to pick from
+const CHOICE_TYPES = [QUESTION_TYPES.SINGLE, QUESTION_TYPES.TRUE_FALSE, QUESTION_TYPES.MULTI];
+
+/**
+ * Whether a question type is answered by picking from options
+ * @param {string} type - Question type
+ * @returns {boolean} True for single choice, true/false and multi-select
+ */
+export const isChoiceType = (type) => CHOICE_TYPES.includes(type);
+
+/**
+ * Resolve the type of a raw question, including Open Trivia DB's "boolean" and "multiple"
+ * @param {object} q - Raw question object
+ * @returns {string} One of QUESTION_TYPES
+ */
+const resolveQuestionType = (q) => {
+  if (Object.values(QUESTION_TYPES).includes(q.type)) return q.type;
+  if (q.type === 'boolean') return QUESTION_TYPES.TRUE_FALSE;
+  return QUESTION_TYPES.SINGLE;
+};
+
+/**
+ * Whether an answer value counts as answered (multi-select answers are arrays)
+ * @param {string|string[]} value - Answer value
+ * @returns {boolean} Whether something was answered
+ */
+export const hasAnswer = (value) => {
+  if (Array.isArray(value)) return value.length > 0;
+  return value != null && String(value).trim() !== '';
+};
+
+/**
+ * Format an answer value for display
+ * @param {string|string[]} value - Answer value
+ * @returns {string} Display text
+ */
+export const formatAnswer = (value) => (Array.isArray(value) ? value.join(', ') : String(value ?? ''));
+
+let draftCounter = 0;
+
+/**
+ * Generate a client-side key for a question draft that has not been saved yet
+ * @returns {string} Unique draft key
+ */
+const nextDraftKey = () => {
+  draftCounter += 1;
+  return `draft-${Date.now()}-${draftCounter}`;
+};
+
+/**
+ * Normalize a question coming from the backend (or Open Trivia DB) into one shape
+ * @param {object} q - Raw question object
+ * @param {number} index - Position of the question in the list
+ * @param {object} tournament - Optional tournament used for category/difficulty fallbacks
+ * @returns {object} Normalized question
+ */
+export const normalizeQuestion = (q, index = 0, tournament = null) => {
+  const type = resolveQuestionType(q);
+  const correctAnswer = q.correctAnswer ?? q.correct_answer ?? '';
+
+  return {
+    id: q.id ?? index,
+    type,
+    question: q.question || q.text || '',
+    options: isChoiceType(type)
+      ? q.options || q.answers || [q.correct_answer, ...(q.incorrect_answers || [])].filter(Boolean)
+      : [],
+    correctAnswer: String(correctAnswer),
+    correctAnswers: q.correctAnswers || (type === QUESTION_TYPES.MULTI && correctAnswer ? [String(correctAnswer)] : []),
+    acceptedAnswers: q.acceptedAnswers || (type === QUESTION_TYPES.TEXT && correctAnswer ? [String(correctAnswer)] : []),
+    tolerance: q.tolerance ?? null,
+    difficulty: q.difficulty || tournament?.difficulty || 'medium',
+    category: q.category || tournament?.category || 'General Knowledge',
+    timeLimit: q.timeLimit ?? null,
+    explanation: q.explanation || '',
+    voided: q.voided === true
+  };
+};
+
+/**
+ * Strip everything that reveals the answer from a normalized question
+ * @param {object} question - Normalized question
+ * @returns {object} Question safe to keep in the browser during play
+ */
+export const withoutAnswers = (question) => ({
+  ...question,
+  correctAnswer: '',
+  correctAnswers: [],
+  acceptedAnswers: [],
+  tolerance: null,
+  explanation: ''
+});
+
+/**
+ * Create an empty question draft for the editor
+ * @returns {object} Question draft
+ */
+export const createEmptyQuestion = (type = QUESTION_TYPES.SINGLE) => ({
+  key: nextDraftKey(),
+  id: null,
+  type,
+  question: '',
+  options: type === QUESTION_TYPES.TRUE_FALSE ? [...TRUE_FALSE_OPTIONS] : ['', '', '', ''],
+  correctIndex: 0,
+  correctIndexes: [],
+  acceptedAnswers: [''],
+  numericAnswer: '',
+  tolerance: '',
+  difficulty: '',
+  timeLimit: '',
+  explanation: ''
+});
+
+/**
+ * Switch a draft to another question type, keeping whatever still applies
+ * @param {object} draft - Question draft
+ * @param {string} type - New question type
+ * @returns {object} Updated draft
+ */
+export const changeDraftType = (draft, type) => {
+  if (type === QUESTION_TYPES.TRUE_FALSE) {
+    return { ...draft, type, options: [...TRUE_FALSE_OPTIONS], correctIndex: 0, correctIndexes: [] };
+  }
+
+  if (draft.type === QUESTION_TYPES.TRUE_FALSE && isChoiceType(type)) {
+    // The True/False labels are rarely what a choice question wants
+    return { ...draft, type, options: ['', '', '', ''], correctIndex: 0, correctIndexes: [] };
+  }
+
+  return { ...draft, type };
+};
+
+/**
+ * Convert a backend question into an editable draft
+ * @param {object} q - Raw question object from the API
+ * @param {number} index - Position of the question in the list
+ * @returns {object} Question draft
+ */
+export const questionToDraft = (q, index = 0) => {
+  const normalized = normalizeQuestion(q, index);
+  const findOption = (answer) => normalized.options.findIndex(
+    option => option.toLowerCase().trim() === String(answer).toLowerCase().trim()
+  );
+  const correctIndex = findOption(normalized.correctAnswer);
+  const isNumeric = normalized.type === QUESTION_TYPES.NUMERIC;
+
+  return {
+    key: q.id != null ? `question-${q.id}` : nextDraftKey(),
+    id: q.id ?? null,
+    type: normalized.type,
+    question: normalized.question,
+    options: normalized.options.length > 0 ? [...normalized.options] : ['', '', '', ''],
+    correctIndex: correctIndex >= 0 ? correctIndex : 0,
+    correctIndexes: normalized.correctAnswers.map(findOption).filter(i => i >= 0),
+    acceptedAnswers: normalized.acceptedAnswers.length > 0 ? [...normalized.acceptedAnswers] : [''],
+    numericAnswer: isNumeric ? normalized.correctAnswer : '',
+    tolerance: isNumeric ? normalized.tolerance ?? '' : '',
+    difficulty: q.difficulty || '', // Empty means the tournament's difficulty applies
+    timeLimit: normalized.timeLimit ?? '',
+    explanation: normalized.explanation,
+    voided: normalized.voided
+  };
+};
+
+/**
+ * Convert an editor draft into the payload the question endpoints expect
+ * @param {object} draft - Question draft
+ * @param {number} position - Zero-based position of the question in the tournament
+ * @returns {object} API payload
+ */
+export const draftToPayload = (draft, position) => {
+  const type = draft.type || QUESTION_TYPES.SINGLE;
+  const payload = {
+    type,
+    question: draft.question.trim(),
+    difficulty: draft.difficulty || null,
+    timeLimit: draft.timeLimit === '' || draft.timeLimit == null ? null : Number(draft.timeLimit),
+    explanation: (draft.explanation || '').trim() || null,
+    position,
+    // Saving an edit must not quietly bring a voided question back into scoring
+    ...(draft.voided && { voided: true })
+  };
+
+  if (type === QUESTION_TYPES.MULTI) {
+    const options = draft.options.map(option => option.trim());
+    const correctAnswers = options.filter((_, i) => (draft.correctIndexes || []).includes(i));
+    return { ...payload, options, correctAnswers, correctAnswer: correctAnswers.join(', ') };
+  }
+
+  if (type === QUESTION_TYPES.TEXT) {
+    const acceptedAnswers = (draft.acceptedAnswers || []).map(answer => answer.trim()).filter(Boolean);
+    return { ...payload, options: [], acceptedAnswers, correctAnswer: acceptedAnswers[0] || '' };
+  }
+
+  if (type === QUESTION_TYPES.NUMERIC) {
+    return {
+      ...payload,
+      options: [],
+      correctAnswer: String(draft.numericAnswer).trim(),
+      tolerance: draft.tolerance === '' || draft.tolerance == null ? 0 : Number(draft.tolerance)
+    };
+  }
+
+  const options = type === QUESTION_TYPES.TRUE_FALSE
+    ? [...TRUE_FALSE_OPTIONS]
+    : draft.options.map(option => option.trim());
+  return { ...payload, options, correctAnswer: options[draft.correctIndex] || '' };
+};
+
+/**
+ * Validate a single question draft
+ * @param {object} draft - Question draft
+ * @returns {string[]} List of validation errors (empty when valid)
+ */
+export const validateQuestion = (draft) => {
+  const errors = [];
+  const type = draft.type || QUESTION_TYPES.SINGLE;
+
+  if (!draft.question.trim()) {
+    errors.push('Question text is required');
+  } else if (/<[^>]*>/.test(draft.question)) {
+    errors.push('Question text cannot contain HTML tags');
+  }
+
+  if (type === QUESTION_TYPES.SINGLE || type === QUESTION_TYPES.MULTI) {
+    const options = draft.options.map(option => option.trim());
+
+    if (options.length < MIN_OPTIONS) {
+      errors.push(`At least ${MIN_OPTIONS} options are required`);
+    }
+
+    if (options.some(option => !option)) {
+      errors.push('Options cannot be empty');
+    }
+
+    const uniqueOptions = new Set(options.filter(Boolean).map(option => option.toLowerCase()));
+    if (uniqueOptions.size !== options.filter(Boolean).length) {
+      errors.push('Options must be unique');
+    }
+
+    if (type === QUESTION_TYPES.MULTI) {
+      if (!(draft.correctIndexes || []).some(i => options[i])) {
+        errors.push('Mark at least one correct answer');
+      }
+    } else if (draft.correctIndex == null || !options[draft.correctIndex]) {
+      errors.push('A correct answer must be marked');
+    }
+  }
+
+  if (type === QUESTION_TYPES.TRUE_FALSE && ![0, 1].includes(draft.correctIndex)) {
+    errors.push('Choose whether the statement is true or false');
+  }
+
+  if (type === QUESTION_TYPES.TEXT) {
+    const accepted = (draft.acceptedAnswers || []).map(answer => answer.trim()).filter(Boolean);
+    if (accepted.length === 0) {
+      errors.push('At least one accepted answer is required');
+    } else if (accepted.length > MAX_ACCEPTED_ANSWERS) {
+      errors.push(`No more than ${MAX_ACCEPTED_ANSWERS} accepted answers are allowed`);
+    }
+    if (accepted.some(answer => /<[^>]*>/.test(answer))) {
+      errors.push('Accepted answers cannot contain HTML tags');
+    }
+  }
+
+  if (type === QUESTION_TYPES.NUMERIC) {
+    const value = String(draft.numericAnswer ?? '').trim();
+    if (value === '' || isNaN(Number(value))) {
+      errors.push('The correct answer must be a number');
+    }
+    if (draft.tolerance !== '' && draft.tolerance != null && !(Number(draft.tolerance) >= 0)) {
+      errors.push('Tolerance must be zero or a positive number');
+    }
+  }
+
+  const explanation = draft.explanation || '';
+  if (/<[^>]*>/.test(explanation)) {
+    errors.push('Explanation cannot contain HTML tags');
+  } else if (explanation.length > MAX_EXPLANATION_LENGTH) {
+    errors.push(`Explanation cannot be longer than ${MAX_EXPLANATION_LENGTH} characters`);
+  }
+
+  if (!isValidQuestionTimeLimit(draft.timeLimit)) {
+    errors.push(`Time limit must be between ${MIN_QUESTION_TIME_LIMIT} and ${MAX_QUESTION_TIME_LIMIT} seconds`);
+  }
+
+  return errors;
+};
+
+/**
+ * Validate every question draft in a list
+ * @param {object[]} drafts - Question drafts
+ * @returns {string[]} Errors prefixed with the question number
+ */
+export const validateQuestions = (drafts) => {
+  return drafts.flatMap((draft, index) =>
+    validateQuestion(draft).map(error => `Question ${index + 1}: ${error}`)
+  );
+};
+
+/**
+ * Work out which API calls are needed to turn the saved questions into the edited list
+ * @param {object[]} originalDrafts - Drafts as they were loaded from the backend
+ * @param {object[]} currentDrafts - Drafts as they are in the editor now
+ * @returns {object} { created, updated, deleted, hasChanges }
+ */
+export const diffQuestions = (originalDrafts, currentDrafts) => {
+  const originalById = new Map(
+    originalDrafts
+      .map((d, index) => [d.id, { draft: d, index }])
+      .filter(([draftId]) => draftId != null)
+  );
+  const currentIds = new Set(currentDrafts.filter(d => d.id != null).map(d => d.id));
+
+  const created = [];
+  const updated = [];
+
+  currentDrafts.forEach((draft, index) => {
+    const payload = draftToPayload(draft, index);
+
+    if (draft.id == null) {
+      created.push({ draft, payload });
+      return;
+    }
+
+    const original = originalById.get(draft.id);
+    if (!original) {
+      created.push({ draft, payload });
+      return;
+    }
+
+    const originalPayload = draftToPayload(original.draft, original.index);
+    if (JSON.stringify(originalPayload) !== JSON.stringify(payload)) {
+      updated.push({ draft, payload });
+    }
+  });
+
+  const deleted = originalDrafts.filter(d => d.id != null && !currentIds.has(d.id));
+
+  return {
+    created,
+    updated,
+    deleted,
+    hasChanges: created.length > 0 || updated.length > 0 || deleted.length > 0
+  };
+};
+
+export default {
+  isChoiceType,
+  hasAnswer,
+  formatAnswer,
+  normalizeQuestion,
+  withoutAnswers,
+  createEmptyQuestion,
+  changeDraftType,
+  questionToDraft,
+  draftToPayload,
+  validateQuestion,
+  validateQuestions,
+  diffQuestions
+};
@@ -0,0 +1,124 @@
+// Quiz timer utility functions
+// Deadlines are computed on the server clock and always capped at the tournament end date
+
+export const MIN_QUESTION_TIME_LIMIT = 5;    // seconds
+export const MAX_QUESTION_TIME_LIMIT = 600;  // seconds
+export const MAX_TOURNAMENT_TIME_LIMIT = 180; // minutes
+
+/**
+ * Difference between the server clock and the local clock
+ * @param {string|number} serverTime - Server timestamp returned by the API
+ * @returns {number} Milliseconds to add to Date.now() to get server time
+ */
+export const getClockOffset = (serverTime) => {
+  if (!serverTime) return 0;
+  const server = toTimestamp(serverTime);
+  return server == null ? 0 : server - Date.now();
+};
+
+/**
+ * Convert an API timestamp (ISO string or epoch milliseconds) into milliseconds
+ * @param {string|number} value - Timestamp from the API
+ * @returns {number|null} Milliseconds, or null when missing or invalid
+ */
+export const toTimestamp = (value) => {
+  if (value == null || value === '') return null;
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+};
+
+/**
+ * Current time on the server clock
+ * @param {number} clockOffset - Offset from getClockOffset
+ * @returns {number} Timestamp in milliseconds
+ */
+export const getServerNow = (clockOffset = 0) => Date.now() + clockOffset;
+
+/**
+ * Seconds left before a deadline
+ * @param {number|null} deadline - Deadline timestamp in milliseconds (server clock)
+ * @param {number} clockOffset - Offset from getClockOffset
+ * @returns {number|null} Remaining seconds, or null when there is no deadline
+ */
+export const getSecondsRemaining = (deadline, clockOffset = 0) => {
+  if (!deadline) return null;
+  return Math.max(0, Math.ceil((deadline - getServerNow(clockOffset)) / 1000));
+};
+
+/**
+ * Work out when an attempt must be submitted: the earlier of the time limit and the tournament end
+ * @param {object} options - { startedAt, timeLimitMinutes, endDate }
+ * @returns {number|null} Deadline timestamp in milliseconds, or null when unbounded
+ */
+export const computeAttemptDeadline = ({ startedAt, timeLimitMinutes, endDate }) => {
+  const candidates = [];
+
+  if (startedAt && timeLimitMinutes > 0) {
+    candidates.push(startedAt + timeLimitMinutes * 60 * 1000);
+  }
+
+  const tournamentEnd = toTimestamp(endDate);
+  if (tournamentEnd != null) {
+    candidates.push(tournamentEnd);
+  }
+
+  return candidates.length > 0 ? Math.min(...candidates) : null;
+};
+
+/**
+ * Per-question time limit in seconds, if the question has one
+ * @param {object} question - Normalized question
+ * @returns {number|null} Seconds or null
+ */
+export const getQuestionTimeLimit = (question) => {
+  const limit = parseInt(question?.timeLimit, 10);
+  return !isNaN(limit) && limit > 0 ? limit : null;
+};
+
+/**
+ * Validate an optional per-question time limit
+ * @param {string|number} value - Seconds entered by the admin
+ * @returns {boolean} Whether the value is empty or within range
+ */
+export const isValidQuestionTimeLimit = (value) => {
+  if (value === '' || value == null) return true;
+  const seconds = Number(value);
+  return Number.isInteger(seconds) && seconds >= MIN_QUESTION_TIME_LIMIT && seconds <= MAX_QUESTION_TIME_LIMIT;
+};
+
+/**
+ * Validate an optional tournament time limit
+ * @param {string|number} value - Minutes entered by the admin
+ * @returns {boolean} Whether the value is empty or within range
+ */
+export const isValidTournamentTimeLimit = (value) => {
+  if (value === '' || value == null) return true;
+  const minutes = Number(value);
+  return Number.isInteger(minutes) && minutes >= 1 && minutes <= MAX_TOURNAMENT_TIME_LIMIT;
+};
+
+/**
+ * Format seconds as m:ss, or h:mm:ss for longer durations
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+export const formatDuration = (seconds) => {
+  if (seconds == null) return '';
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const remainingSeconds = seconds % 60;
+  const mmss = `${minutes.toString().padStart(hours > 0 ? 2 : 1, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+  return hours > 0 ? `${hours}:${mmss}` : mmss;
+};
+
+export default {
+  toTimestamp,
+  getClockOffset,
+  getServerNow,
+  getSecondsRemaining,
+  computeAttemptDeadline,
+  getQuestionTimeLimit,
+  isValidQuestionTimeLimit,
+  isValidTournamentTimeLimit,
+  formatDuration
+};
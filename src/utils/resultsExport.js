@@ -0,0 +1,258 @@
+// Results export utility functions
+// Turns a tournament's attempts into CSV, XLSX and a printable summary that can be handed on outside the app
+import { formatAnswer, hasAnswer } from './questionUtils';
+import { getScoringRules, calculateMaxScore } from './tournamentScoring';
+import { describeCorrectAnswer } from './answerReview';
+import { rankEntries } from './leaderboard';
+import { collectAttempts, getPassRate, getAveragePercentage, getAverageCompletionTime } from './tournamentAnalytics';
+import { formatDuration } from './quizTimer';
+import { createXlsx } from './xlsx';
+
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx',
+  PDF: 'pdf'
+};
+
+export const RESULT_STATUS = {
+  PASSED: 'Passed',
+  FAILED: 'Failed',
+  INCOMPLETE: 'Incomplete'
+};
+
+// Spreadsheet apps run cells starting with these as formulas, so exported text gets a leading quote
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toIsoString = (time) => (time ? new Date(time).toISOString() : '');
+
+/**
+ * Collect everything the exports need from getById, getScores and getQuestions data
+ * @param {object} data - { tournament, scores, questions (normalized, with answers) }
+ * @returns {object} { tournament, questions, rows, summary } with rows ranked best first
+ */
+export const buildResultsReport = ({ tournament, scores = [], questions = [] }) => {
+  const fallbackMaxScore = questions.length ? calculateMaxScore(questions, getScoringRules(tournament)) : null;
+  const attempts = collectAttempts(tournament, scores, { questions, fallbackMaxScore });
+  const passRate = getPassRate(attempts);
+
+  const rows = rankEntries(attempts).map(attempt => ({
+    rank: attempt.rank,
+    name: attempt.name,
+    username: attempt.username,
+    email: attempt.email,
+    score: attempt.score,
+    maxScore: attempt.maxScore,
+    percentage: attempt.percentage,
+    status: !attempt.completed ? RESULT_STATUS.INCOMPLETE : attempt.passed ? RESULT_STATUS.PASSED : RESULT_STATUS.FAILED,
+    startedAt: toIsoString(attempt.startedAt),
+    completedAt: toIsoString(attempt.completedAt),
+    durationSeconds: attempt.durationSeconds,
+    answers: questions.map((question, index) => ({
+      answer: hasAnswer(attempt.answers[index]) ? formatAnswer(attempt.answers[index]) : '',
+      correct: question.voided ? null : attempt.correct[index] ?? null
+    }))
+  }));
+
+  return {
+    tournament,
+    questions,
+    rows,
+    summary: {
+      participants: attempts.length,
+      completed: passRate.total,
+      passed: passRate.passed,
+      passRate: passRate.rate,
+      averagePercentage: getAveragePercentage(attempts),
+      averageTime: getAverageCompletionTime(attempts)
+    }
+  };
+};
+
+const formatCorrect = (correct) => (correct === null ? '' : correct ? 'Yes' : 'No');
+
+/**
+ * One row per participant with scores, result, timing and every answer
+ * @param {object} report - From buildResultsReport
+ * @returns {object} { headers, rows }
+ */
+export const getResultsTable = (report) => ({
+  headers: [
+    'Rank', 'Name', 'Username', 'Email', 'Score', 'Max Score', 'Percentage', 'Result',
+    'Started At', 'Completed At', 'Time Taken (s)',
+    ...report.questions.flatMap((_, index) => [`Q${index + 1} Answer`, `Q${index + 1} Correct`])
+  ],
+  rows: report.rows.map(row => [
+    row.rank, row.name, row.username, row.email, row.score, row.maxScore, row.percentage, row.status,
+    row.startedAt, row.completedAt, row.durationSeconds,
+    ...row.answers.flatMap(answer => [answer.answer, formatCorrect(answer.correct)])
+  ])
+});
+
+/**
+ * One row per question with its answer key and how many got it right
+ * @param {object} report - From buildResultsReport
+ * @returns {object} { headers, rows }
+ */
+export const getQuestionsTable = (report) => ({
+  headers: ['#', 'Question', 'Type', 'Correct Answer', 'Answered', 'Correct', 'Percent Correct', 'Void'],
+  rows: report.questions.map((question, index) => {
+    const marked = report.rows.map(row => row.answers[index]).filter(answer => answer.correct !== null);
+    const correct = marked.filter(answer => answer.correct).length;
+    return [
+      index + 1,
+      question.question,
+      question.type,
+      describeCorrectAnswer(question),
+      report.rows.filter(row => row.answers[index].answer !== '').length,
+      correct,
+      marked.length ? Math.round((correct / marked.length) * 1000) / 10 : null,
+      question.voided ? 'Yes' : ''
+    ];
+  })
+});
+
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize a table as CSV, with a byte order mark so Excel reads it as UTF-8
+ * @param {object} table - { headers, rows }
+ * @returns {string} CSV text
+ */
+export const toCsv = ({ headers, rows }) =>
+  '\uFEFF' + [headers, ...rows].map(cells => cells.map(toCsvField).join(',')).join('\r\n');
+
+/**
+ * Results and question sheets as an .xlsx workbook
+ * @param {object} report - From buildResultsReport
+ * @returns {Blob} Workbook file
+ */
+export const toXlsx = (report) => createXlsx([
+  { name: 'Results', ...getResultsTable(report) },
+  { name: 'Questions', ...getQuestionsTable(report) }
+]);
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' })
+  : '—');
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${value}%`);
+
+/**
+ * A printable, certificate-style summary of the results as a standalone HTML document
+ * @param {object} report - From buildResultsReport
+ * @param {Date} generatedAt - Time stamped on the document
+ * @returns {string} HTML document
+ */
+export const buildResultsSummaryHtml = (report, generatedAt = new Date()) => {
+  const { tournament, rows, summary } = report;
+  const stats = [
+    ['Participants', summary.participants],
+    ['Completed', summary.completed],
+    ['Passed', summary.passed],
+    ['Pass Rate', formatPercent(summary.passRate)],
+    ['Average Score', formatPercent(summary.averagePercentage)],
+    ['Average Time', summary.averageTime === null ? '—' : formatDuration(summary.averageTime)]
+  ];
+
+  const body = rows.map(row => `
+        <tr>
+          <td>${row.rank}</td>
+          <td>${escapeHtml(row.name)}${row.email ? `<div class="muted">${escapeHtml(row.email)}</div>` : ''}</td>
+          <td class="num">${escapeHtml(row.maxScore ? `${row.score} / ${row.maxScore}` : row.score)}</td>
+          <td class="num">${formatPercent(row.percentage)}</td>
+          <td class="${row.status.toLowerCase()}">${row.status}</td>
+          <td>${row.completedAt ? formatDate(row.completedAt) : '—'}</td>
+          <td class="num">${row.durationSeconds ? formatDuration(row.durationSeconds) : '—'}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(tournament.name)} - Results</title>
+  <style>
+    @page { size: A4; margin: 16mm; }
+    body { font-family: Georgia, 'Times New Roman', serif; color: #111827; margin: 0; }
+    .frame { border: 6px double #4b5563; padding: 28px 32px; }
+    header { text-align: center; margin-bottom: 24px; }
+    .eyebrow { letter-spacing: 0.2em; text-transform: uppercase; font-size: 12px; color: #6b7280; }
+    h1 { font-size: 28px; margin: 8px 0 4px; }
+    .muted { color: #6b7280; font-size: 12px; }
+    .stats { display: flex; flex-wrap: wrap; justify-content: center; gap: 12px; margin-bottom: 24px; }
+    .stat { border: 1px solid #d1d5db; border-radius: 6px; padding: 8px 14px; text-align: center; min-width: 90px; }
+    .stat strong { display: block; font-size: 18px; }
+    table { width: 100%; border-collapse: collapse; font-family: Arial, Helvetica, sans-serif; font-size: 12px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+    th { background: #f3f4f6; }
+    tr { page-break-inside: avoid; }
+    .num { text-align: right; }
+    .passed { color: #047857; font-weight: bold; }
+    .failed { color: #b91c1c; }
+    .incomplete { color: #6b7280; }
+    footer { display: flex; justify-content: space-between; align-items: flex-end; margin-top: 40px; }
+    .signature { border-top: 1px solid #111827; width: 220px; padding-top: 4px; text-align: center; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <div class="frame">
+    <header>
+      <div class="eyebrow">Results Summary</div>
+      <h1>${escapeHtml(tournament.name)}</h1>
+      <div class="muted">
+        ${escapeHtml([tournament.category, tournament.difficulty].filter(Boolean).join(' · '))}
+        ${tournament.startDate ? ` · ${formatDate(tournament.startDate)} – ${formatDate(tournament.endDate)}` : ''}
+        ${tournament.minimumPassingScore != null ? ` · Pass mark ${tournament.minimumPassingScore}%` : ''}
+      </div>
+    </header>
+    <section class="stats">
+      ${stats.map(([label, value]) => `<div class="stat"><strong>${escapeHtml(value)}</strong><span class="muted">${label}</span></div>`).join('')}
+    </section>
+    <table>
+      <thead>
+        <tr><th>Rank</th><th>Participant</th><th class="num">Score</th><th class="num">Percentage</th><th>Result</th><th>Completed</th><th class="num">Time</th></tr>
+      </thead>
+      <tbody>${body || '<tr><td colspan="7" class="muted">No participants yet</td></tr>'}
+      </tbody>
+    </table>
+    <footer>
+      <div class="muted">Generated ${escapeHtml(generatedAt.toLocaleString())}</div>
+      <div class="signature">Authorised by</div>
+    </footer>
+  </div>
+</body>
+</html>`;
+};
+
+/**
+ * Build a file name for exported results
+ * @param {object} tournament - Tournament being exported
+ * @param {string} extension - One of EXPORT_FORMATS
+ * @returns {string} File name
+ */
+export const getResultsFilename = (tournament, extension) => {
+  const slug = (tournament.name || 'tournament').toLowerCase().replace(/\s+/g, '-');
+  return `${slug}-results.${extension}`;
+};
+
+export default {
+  EXPORT_FORMATS,
+  RESULT_STATUS,
+  buildResultsReport,
+  getResultsTable,
+  getQuestionsTable,
+  toCsv,
+  toXlsx,
+  buildResultsSummaryHtml,
+  getResultsFilename
+};
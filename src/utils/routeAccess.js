@@ -0,0 +1,95 @@
+// Route access utility functions
+// Decide whether the signed-in user may open a protected page, and why not when they can't
+
+import { can, hasRole } from './permissions';
+
+export const ACCESS_DENIED_REASONS = {
+  ROLE: 'role',
+  PERMISSION: 'permission',
+  EMAIL_UNVERIFIED: 'email',
+  PROFILE_INCOMPLETE: 'profile'
+};
+
+// Profile fields a user must fill in before pages that require a completed profile
+export const REQUIRED_PROFILE_FIELDS = ['firstName', 'lastName', 'email'];
+
+/**
+ * Check the user's role against one role or a list of accepted roles
+ * @param {object} user - Signed-in user
+ * @param {string|string[]|null} requiredRole - Accepted role(s); empty means any role
+ * @returns {boolean} True when the user has one of the roles
+ */
+export const hasRequiredRole = (user, requiredRole) => {
+  const roles = Array.isArray(requiredRole) ? requiredRole : [requiredRole].filter(Boolean);
+  if (roles.length === 0) return true;
+  return roles.some(role => hasRole(user, role));
+};
+
+/**
+ * Whether the user's email address has been verified
+ * Only an explicit flag from the server counts; a user without one is treated as unverified
+ * @param {object} user - Signed-in user
+ * @returns {boolean} True when verified
+ */
+export const hasVerifiedEmail = (user) => user?.emailVerified === true || user?.isEmailVerified === true;
+
+/**
+ * Profile fields the user still has to fill in
+ * @param {object} user - Signed-in user
+ * @returns {string[]} Names of the missing fields
+ */
+export const getMissingProfileFields = (user) =>
+  REQUIRED_PROFILE_FIELDS.filter(field => !String(user?.[field] ?? '').trim());
+
+/**
+ * Whether the user has completed their profile
+ * @param {object} user - Signed-in user
+ * @returns {boolean} True when every required field is filled in
+ */
+export const hasCompletedProfile = (user) => getMissingProfileFields(user).length === 0;
+
+/**
+ * Check every requirement of a protected route, in the order the user should fix them
+ * @param {object} user - Signed-in user
+ * @param {object} requirements - { requiredRole, action, resource, permission, requireVerifiedEmail, requireCompleteProfile }
+ * @returns {string|null} One of ACCESS_DENIED_REASONS, or null when access is allowed
+ */
+export const getAccessDeniedReason = (user, requirements = {}) => {
+  const {
+    requiredRole = null,
+    action = null,
+    resource = null,
+    permission = null,
+    requireVerifiedEmail = false,
+    requireCompleteProfile = false
+  } = requirements;
+
+  if (!hasRequiredRole(user, requiredRole)) return ACCESS_DENIED_REASONS.ROLE;
+  if (action && resource && !can(user, action, resource)) return ACCESS_DENIED_REASONS.PERMISSION;
+  if (permission && !permission(user)) return ACCESS_DENIED_REASONS.PERMISSION;
+  if (requireVerifiedEmail && !hasVerifiedEmail(user)) return ACCESS_DENIED_REASONS.EMAIL_UNVERIFIED;
+  if (requireCompleteProfile && !hasCompletedProfile(user)) return ACCESS_DENIED_REASONS.PROFILE_INCOMPLETE;
+  return null;
+};
+
+/**
+ * Path, query and hash of a location, for redirecting back to it later
+ * @param {object} location - Router location
+ * @param {string} fallback - Path to use when there is no location
+ * @returns {string} Full path
+ */
+export const getLocationPath = (location, fallback = '/') => {
+  if (!location?.pathname) return fallback;
+  return `${location.pathname}${location.search || ''}${location.hash || ''}`;
+};
+
+export default {
+  ACCESS_DENIED_REASONS,
+  REQUIRED_PROFILE_FIELDS,
+  hasRequiredRole,
+  hasVerifiedEmail,
+  getMissingProfileFields,
+  hasCompletedProfile,
+  getAccessDeniedReason,
+  getLocationPath
+};
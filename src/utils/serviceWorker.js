@@ -0,0 +1,22 @@
+// Service worker utility functions
+// Registers public/sw.js so the app shell loads without a connection
+
+/**
+ * Register the offline service worker
+ * Only in production builds - in development it would serve stale modules over Vite's hot reload
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null when not registered
+ */
+export const registerServiceWorker = async () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return null;
+
+  try {
+    return await navigator.serviceWorker.register('/sw.js');
+  } catch (error) {
+    console.warn('Service worker registration failed:', error);
+    return null;
+  }
+};
+
+export default {
+  registerServiceWorker
+};
@@ -0,0 +1,460 @@
+// Tournament analytics utility functions
+// Participation, score distribution, pass rate, timing, drop-off and item statistics computed from attempts
+
+import { QUESTION_TYPES, hasAnswer, isChoiceType } from './questionUtils';
+import { scoreAnswer, getAttemptSummary, normalizeTextAnswer } from './tournamentScoring';
+import { normalizeScoreEntry, getEntryKey } from './leaderboard';
+
+export const SCORE_BIN_COUNT = 10;
+
+// Share of players in each of the top and bottom groups when measuring discrimination
+export const DISCRIMINATION_GROUP_SHARE = 0.27;
+
+// Fewer completed attempts than this and item statistics are too noisy to show
+export const MIN_ATTEMPTS_FOR_ITEM_STATS = 4;
+
+// Difficulty index (percentage correct) outside this range, or discrimination below the minimum, gets flagged
+export const ITEM_THRESHOLDS = {
+  tooHard: 20,
+  tooEasy: 95,
+  minDiscrimination: 0.2
+};
+
+export const ITEM_FLAGS = {
+  TOO_HARD: 'too-hard',
+  TOO_EASY: 'too-easy',
+  LOW_DISCRIMINATION: 'low-discrimination',
+  NEGATIVE_DISCRIMINATION: 'negative-discrimination',
+  POPULAR_DISTRACTOR: 'popular-distractor'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Turn answers keyed by position (array or object) into an array
+ * @param {object|Array} value - Answers or times
+ * @param {number} count - Number of questions
+ * @returns {Array} One entry per question, undefined where missing
+ */
+const toList = (value, count) => {
+  if (Array.isArray(value)) return Array.from({ length: Math.max(count, value.length) }, (_, i) => value[i]);
+  if (value && typeof value === 'object') return Array.from({ length: count }, (_, i) => value[i]);
+  return [];
+};
+
+const toTime = (value) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+};
+
+/**
+ * Per-question correctness recorded by the server, when the attempt carries it
+ * @param {object} attempt - Raw attempt
+ * @returns {Array|null} Booleans by question position, or null
+ */
+const getRecordedCorrectness = (attempt) => {
+  const results = attempt?.questionResults ?? attempt?.results ?? attempt?.breakdown;
+  if (!Array.isArray(results)) return null;
+  return results.map(result => {
+    const value = result?.isCorrect ?? result?.correct;
+    return typeof value === 'boolean' ? value : null;
+  });
+};
+
+/**
+ * Normalize an attempt into everything the analytics need
+ * @param {object} attempt - Raw attempt from tournament.attempts, or a getScores entry
+ * @param {object} context - { tournament, questions (normalized, with answers), fallbackMaxScore }
+ * @returns {object} { key, name, username, email, score, maxScore, percentage, passed, completed, startedAt, completedAt,
+ *   durationSeconds, answers, answered, correct, reached }
+ */
+export const normalizeAttempt = (attempt, { tournament = null, questions = [], fallbackMaxScore = null } = {}) => {
+  const entry = normalizeScoreEntry(attempt);
+  const summary = getAttemptSummary({ ...attempt, score: entry.score }, tournament, fallbackMaxScore);
+  const questionCount = questions.length;
+
+  const answers = toList(attempt.answers, questionCount);
+  const times = toList(attempt.answerTimes, questionCount);
+  const answered = answers.map(hasAnswer);
+
+  // Correctness from the server wins; otherwise re-mark the stored answers against the answer key
+  const recorded = getRecordedCorrectness(attempt);
+  const canMark = answers.length > 0 && questions.some(question => question.correctAnswer || question.correctAnswers?.length);
+  const correct = recorded
+    ?? (canMark ? questions.map((question, index) => scoreAnswer(question, answers[index])) : []);
+
+  const startedAt = toTime(attempt.startedAt);
+  const completedAt = toTime(entry.completedAt ?? attempt.submittedAt);
+  const completed = typeof attempt.completed === 'boolean'
+    ? attempt.completed
+    : attempt.status
+      ? String(attempt.status).toUpperCase() === 'COMPLETED'
+      // A bare score entry with no timestamps only exists for a finished attempt
+      : completedAt !== null || startedAt === null;
+
+  const recordedDuration = Number(attempt.timeTaken ?? attempt.durationSeconds ?? attempt.duration);
+  const timedAnswers = times.filter(time => typeof time === 'number');
+  const durationSeconds = recordedDuration > 0
+    ? recordedDuration
+    : startedAt && completedAt && completedAt > startedAt
+      ? Math.round((completedAt - startedAt) / 1000)
+      : timedAnswers.length > 0 ? timedAnswers.reduce((sum, time) => sum + time, 0) : null;
+
+  // How far into the quiz the player got: completed attempts saw everything
+  const lastAnswered = answered.lastIndexOf(true);
+  const reached = completed ? questionCount : lastAnswered + 1;
+
+  return {
+    key: entry.key || getEntryKey(attempt),
+    name: entry.name,
+    username: entry.username,
+    email: attempt.user?.email ?? attempt.email ?? '',
+    score: summary.score,
+    maxScore: summary.maxScore,
+    percentage: summary.percentage,
+    passed: completed && summary.passed,
+    completed,
+    startedAt,
+    completedAt,
+    durationSeconds: completed ? durationSeconds : null,
+    answers,
+    answered,
+    correct,
+    reached
+  };
+};
+
+/**
+ * All attempts for a tournament, from tournament.attempts or, failing that, the score list
+ * @param {object} tournament - Tournament, possibly with attempts
+ * @param {object[]} scores - Entries from getScores
+ * @param {object} context - { questions, fallbackMaxScore }
+ * @returns {object[]} Normalized attempts
+ */
+export const collectAttempts = (tournament, scores = [], context = {}) => {
+  const raw = Array.isArray(tournament?.attempts) && tournament.attempts.length > 0 ? tournament.attempts : scores;
+  return raw.map(attempt => normalizeAttempt(attempt, { ...context, tournament }));
+};
+
+const dayKey = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Attempts per day, or per week over long periods, with empty periods filled in
+ * @param {object[]} attempts - Normalized attempts
+ * @returns {object[]} [{ key, label, count }] in date order
+ */
+export const getParticipationOverTime = (attempts) => {
+  const times = attempts.map(attempt => attempt.completedAt ?? attempt.startedAt).filter(Boolean);
+  if (times.length === 0) return [];
+
+  const first = new Date(dayKey(Math.min(...times))).getTime();
+  const last = new Date(dayKey(Math.max(...times))).getTime();
+  const step = (last - first) / DAY_MS > 60 ? 7 * DAY_MS : DAY_MS;
+
+  const buckets = [];
+  for (let start = first; start <= last; start += step) {
+    buckets.push({
+      key: dayKey(start),
+      label: new Date(start).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' }),
+      count: 0
+    });
+  }
+  times.forEach(time => {
+    const index = Math.min(buckets.length - 1, Math.floor((new Date(dayKey(time)).getTime() - first) / step));
+    buckets[index].count += 1;
+  });
+  return buckets;
+};
+
+/**
+ * Histogram of score percentages for completed attempts
+ * @param {object[]} attempts - Normalized attempts
+ * @param {number} binCount - Number of equal-width bins from 0% to 100%
+ * @returns {object[]} [{ label, from, to, count }]
+ */
+export const getScoreDistribution = (attempts, binCount = SCORE_BIN_COUNT) => {
+  const width = 100 / binCount;
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    label: `${Math.round(i * width)}–${Math.round((i + 1) * width)}%`,
+    from: i * width,
+    to: (i + 1) * width,
+    count: 0
+  }));
+
+  attempts
+    .filter(attempt => attempt.completed && attempt.percentage !== null)
+    .forEach(attempt => {
+      const index = Math.min(binCount - 1, Math.max(0, Math.floor(attempt.percentage / width)));
+      bins[index].count += 1;
+    });
+  return bins;
+};
+
+/**
+ * Pass rate over completed attempts
+ * @param {object[]} attempts - Normalized attempts
+ * @returns {object} { passed, total, rate } with rate as a percentage, null when nobody finished
+ */
+export const getPassRate = (attempts) => {
+  const completed = attempts.filter(attempt => attempt.completed);
+  const passed = completed.filter(attempt => attempt.passed).length;
+  return {
+    passed,
+    total: completed.length,
+    rate: completed.length ? Math.round((passed / completed.length) * 1000) / 10 : null
+  };
+};
+
+const average = (values) =>
+  values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+/**
+ * Mean score percentage over completed attempts
+ * @param {object[]} attempts - Normalized attempts
+ * @returns {number|null} Percentage with one decimal, or null
+ */
+export const getAveragePercentage = (attempts) => {
+  const value = average(attempts.filter(a => a.completed && a.percentage !== null).map(a => a.percentage));
+  return value === null ? null : Math.round(value * 10) / 10;
+};
+
+/**
+ * Mean time to complete an attempt
+ * @param {object[]} attempts - Normalized attempts
+ * @returns {number|null} Seconds, or null when no completed attempt has timing data
+ */
+export const getAverageCompletionTime = (attempts) => {
+  const value = average(attempts.map(attempt => attempt.durationSeconds).filter(seconds => seconds > 0));
+  return value === null ? null : Math.round(value);
+};
+
+/**
+ * How many players reached each question, and how many left before the next one
+ * @param {object[]} attempts - Normalized attempts
+ * @param {number} questionCount - Number of questions
+ * @returns {object} { started, completed, steps: [{ index, reached, dropped }] }
+ */
+export const getDropOff = (attempts, questionCount) => {
+  const steps = Array.from({ length: questionCount }, (_, index) => {
+    const reached = attempts.filter(attempt => attempt.reached > index).length;
+    const next = index + 1 < questionCount
+      ? attempts.filter(attempt => attempt.reached > index + 1).length
+      : attempts.filter(attempt => attempt.completed).length;
+    return { index, reached, dropped: Math.max(0, reached - next) };
+  });
+
+  return {
+    started: attempts.length,
+    completed: attempts.filter(attempt => attempt.completed).length,
+    steps
+  };
+};
+
+/**
+ * How often each option of a choice question was picked
+ * Multi-select answers count once for every option chosen, so shares can add up to more than 100%
+ * @param {object[]} attempts - Normalized attempts that saw the question
+ * @param {object} question - Normalized question
+ * @param {number} index - Question position
+ * @returns {object|null} { options: [{ option, count, share, isCorrect }], other, unanswered }, null for other types
+ */
+export const getOptionCounts = (attempts, question, index) => {
+  if (!isChoiceType(question.type) || !question.options?.length) return null;
+
+  const correctOptions = question.type === QUESTION_TYPES.MULTI ? question.correctAnswers || [] : [question.correctAnswer];
+  const correctSet = new Set(correctOptions.map(normalizeTextAnswer));
+  const counts = new Map(question.options.map(option => [normalizeTextAnswer(option), 0]));
+  let other = 0;
+  let unanswered = 0;
+
+  attempts.forEach(attempt => {
+    const answer = attempt.answers[index];
+    if (!hasAnswer(answer)) {
+      unanswered += 1;
+      return;
+    }
+    (Array.isArray(answer) ? answer : [answer]).forEach(choice => {
+      const key = normalizeTextAnswer(choice);
+      if (counts.has(key)) counts.set(key, counts.get(key) + 1);
+      else other += 1;
+    });
+  });
+
+  const total = attempts.length;
+  return {
+    options: question.options.map(option => {
+      const count = counts.get(normalizeTextAnswer(option));
+      return {
+        option,
+        count,
+        share: total ? Math.round((count / total) * 1000) / 10 : 0,
+        isCorrect: correctSet.has(normalizeTextAnswer(option))
+      };
+    }),
+    other,
+    unanswered
+  };
+};
+
+/**
+ * Item-rest correlation: the point-biserial correlation between getting this question right and the number of
+ * other questions answered correctly. Leaving the item out of the total keeps it from correlating with itself
+ * @param {object[]} attempts - Normalized, marked attempts
+ * @param {number} index - Question position
+ * @param {object[]} questions - Normalized questions; voided ones are left out of the rest score
+ * @returns {number|null} From -1 to 1 with two decimals, or null when either side doesn't vary
+ */
+export const getItemRestCorrelation = (attempts, index, questions = []) => {
+  if (attempts.length < 2) return null;
+
+  const pairs = attempts.map(attempt => ({
+    item: attempt.correct[index] === true ? 1 : 0,
+    rest: attempt.correct.filter((value, i) => i !== index && value === true && !questions[i]?.voided).length
+  }));
+  const meanItem = average(pairs.map(pair => pair.item));
+  const meanRest = average(pairs.map(pair => pair.rest));
+
+  let covariance = 0;
+  let itemVariance = 0;
+  let restVariance = 0;
+  pairs.forEach(({ item, rest }) => {
+    covariance += (item - meanItem) * (rest - meanRest);
+    itemVariance += (item - meanItem) ** 2;
+    restVariance += (rest - meanRest) ** 2;
+  });
+  if (itemVariance === 0 || restVariance === 0) return null;
+  return Math.round((covariance / Math.sqrt(itemVariance * restVariance)) * 100) / 100;
+};
+
+/**
+ * Difficulty index, discrimination, item-rest correlation and option counts for each question
+ * Difficulty is the percentage of players who answered correctly; discrimination is the difference in
+ * that share between the top and bottom scorers (from -1 to 1), so good questions separate strong players from weak.
+ * A question that high scorers miss more often than low scorers, or whose most popular wrong option beats the
+ * answer key, usually has a wrong key or an ambiguous wording. Voided questions are reported but never flagged
+ * @param {object[]} attempts - Normalized attempts
+ * @param {object[]} questions - Normalized questions
+ * @returns {object[]} [{ index, question, voided, attempts, correct, difficulty, discrimination, correlation,
+ *   optionCounts, flags }]
+ */
+export const getQuestionStats = (attempts, questions) => {
+  const marked = attempts.filter(attempt => attempt.completed && attempt.correct.length > 0);
+  const enough = marked.length >= MIN_ATTEMPTS_FOR_ITEM_STATS;
+
+  const ranked = [...marked].sort((a, b) => (b.percentage ?? b.score) - (a.percentage ?? a.score));
+  const groupSize = Math.max(1, Math.round(ranked.length * DISCRIMINATION_GROUP_SHARE));
+  const upper = ranked.slice(0, groupSize);
+  const lower = ranked.slice(-groupSize);
+  const shareCorrect = (group, index) => group.filter(attempt => attempt.correct[index] === true).length / group.length;
+
+  return questions.map((question, index) => {
+    const correct = marked.filter(attempt => attempt.correct[index] === true).length;
+    const difficulty = enough ? Math.round((correct / marked.length) * 1000) / 10 : null;
+    const discrimination = enough
+      ? Math.round((shareCorrect(upper, index) - shareCorrect(lower, index)) * 100) / 100
+      : null;
+    const correlation = enough ? getItemRestCorrelation(marked, index, questions) : null;
+    const optionCounts = enough ? getOptionCounts(marked, question, index) : null;
+
+    const flags = [];
+    if (!question.voided) {
+      if (difficulty !== null && difficulty < ITEM_THRESHOLDS.tooHard) flags.push(ITEM_FLAGS.TOO_HARD);
+      if (difficulty !== null && difficulty > ITEM_THRESHOLDS.tooEasy) flags.push(ITEM_FLAGS.TOO_EASY);
+      if ((discrimination !== null && discrimination < 0) || (correlation !== null && correlation < 0)) {
+        flags.push(ITEM_FLAGS.NEGATIVE_DISCRIMINATION);
+      } else if (discrimination !== null && discrimination < ITEM_THRESHOLDS.minDiscrimination) {
+        flags.push(ITEM_FLAGS.LOW_DISCRIMINATION);
+      }
+      // Multi-select shares overlap, so only single answers compare cleanly against the key
+      const keyed = optionCounts && question.type !== QUESTION_TYPES.MULTI ? optionCounts.options.find(o => o.isCorrect) : null;
+      if (keyed && optionCounts.options.some(o => !o.isCorrect && o.count > keyed.count)) {
+        flags.push(ITEM_FLAGS.POPULAR_DISTRACTOR);
+      }
+    }
+
+    return {
+      index,
+      question,
+      voided: question.voided === true,
+      attempts: marked.length,
+      correct,
+      difficulty,
+      discrimination,
+      correlation,
+      optionCounts,
+      flags
+    };
+  });
+};
+
+/**
+ * Every statistic for one tournament
+ * @param {object} data - { tournament, scores, questions (normalized), fallbackMaxScore }
+ * @returns {object} { attempts, participation, distribution, passRate, averagePercentage, averageTime, dropOff, questionStats }
+ */
+export const buildTournamentAnalytics = ({ tournament, scores = [], questions = [], fallbackMaxScore = null }) => {
+  const attempts = collectAttempts(tournament, scores, { questions, fallbackMaxScore });
+  return {
+    attempts,
+    participation: getParticipationOverTime(attempts),
+    distribution: getScoreDistribution(attempts),
+    passRate: getPassRate(attempts),
+    averagePercentage: getAveragePercentage(attempts),
+    averageTime: getAverageCompletionTime(attempts),
+    dropOff: getDropOff(attempts, questions.length),
+    questionStats: getQuestionStats(attempts, questions)
+  };
+};
+
+/**
+ * Statistics across tournaments, from the attempts each tournament carries
+ * @param {object[]} tournaments - Tournaments from getAll
+ * @returns {object} { attempts, participation, distribution, passRate, averagePercentage, averageTime, rows }
+ */
+export const buildOverviewAnalytics = (tournaments) => {
+  const rows = tournaments.map(tournament => {
+    const attempts = collectAttempts(tournament);
+    return {
+      id: tournament.id,
+      name: tournament.name || 'Unnamed Tournament',
+      attempts,
+      participants: attempts.length,
+      passRate: getPassRate(attempts).rate,
+      averagePercentage: getAveragePercentage(attempts),
+      averageTime: getAverageCompletionTime(attempts)
+    };
+  });
+  const attempts = rows.flatMap(row => row.attempts);
+
+  return {
+    attempts,
+    participation: getParticipationOverTime(attempts),
+    distribution: getScoreDistribution(attempts),
+    passRate: getPassRate(attempts),
+    averagePercentage: getAveragePercentage(attempts),
+    averageTime: getAverageCompletionTime(attempts),
+    rows: rows.sort((a, b) => b.participants - a.participants)
+  };
+};
+
+export default {
+  SCORE_BIN_COUNT,
+  DISCRIMINATION_GROUP_SHARE,
+  MIN_ATTEMPTS_FOR_ITEM_STATS,
+  ITEM_THRESHOLDS,
+  ITEM_FLAGS,
+  normalizeAttempt,
+  collectAttempts,
+  getParticipationOverTime,
+  getScoreDistribution,
+  getPassRate,
+  getAveragePercentage,
+  getAverageCompletionTime,
+  getDropOff,
+  getOptionCounts,
+  getItemRestCorrelation,
+  getQuestionStats,
+  buildTournamentAnalytics,
+  buildOverviewAnalytics
+};
@@ -0,0 +1,125 @@
+// Tournament package utility functions
+// Serializes a tournament and its questions into a portable, versioned JSON file
+import { normalizeQuestion } from './questionUtils';
+
+export const PACKAGE_FORMAT = 'quiz-tournament-package';
+export const PACKAGE_VERSION = 1;
+
+// Minimum lead time when an imported schedule has to be moved into the future
+const RESCHEDULE_LEAD_MINUTES = 5;
+
+/**
+ * Build an export package from tournament metadata and its questions
+ * @param {object} tournament - Tournament from tournamentAPI.getById
+ * @param {object[]} questions - Questions from tournamentAPI.getQuestions
+ * @param {string} sourceUrl - API base URL the tournament was exported from
+ * @returns {object} Versioned package
+ */
+export const buildTournamentPackage = (tournament, questions = [], sourceUrl = '') => ({
+  format: PACKAGE_FORMAT,
+  version: PACKAGE_VERSION,
+  exportedAt: new Date().toISOString(),
+  source: sourceUrl,
+  tournament: {
+    name: tournament.name,
+    category: tournament.category,
+    difficulty: tournament.difficulty,
+    minimumPassingScore: tournament.minimumPassingScore,
+    timeLimit: tournament.timeLimit ?? null,
+    feedbackMode: tournament.feedbackMode ?? null,
+    scoringRules: tournament.scoringRules ?? null,
+    startDate: tournament.startDate,
+    endDate: tournament.endDate
+  },
+  questions: questions.map((q, index) => {
+    const normalized = normalizeQuestion(q, index, tournament);
+    return {
+      type: normalized.type,
+      question: normalized.question,
+      options: normalized.options,
+      correctAnswer: normalized.correctAnswer,
+      correctAnswers: normalized.correctAnswers,
+      acceptedAnswers: normalized.acceptedAnswers,
+      tolerance: normalized.tolerance,
+      category: normalized.category,
+      difficulty: normalized.difficulty,
+      timeLimit: normalized.timeLimit,
+      explanation: normalized.explanation || null
+    };
+  })
+});
+
+/**
+ * Build a file name for an exported package
+ * @param {object} tournament - Tournament being exported
+ * @returns {string} File name
+ */
+export const getPackageFilename = (tournament) => {
+  const slug = (tournament.name || 'tournament').toLowerCase().replace(/\s+/g, '-');
+  return `${slug}.tournament.json`;
+};
+
+/**
+ * Move a schedule into the future while keeping its duration
+ * @param {string} startDate - Original start date
+ * @param {string} endDate - Original end date
+ * @returns {object} { startDate, endDate, rescheduled }
+ */
+export const rescheduleIfPast = (startDate, endDate) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  const earliestStart = new Date(Date.now() + RESCHEDULE_LEAD_MINUTES * 60 * 1000);
+
+  if (isNaN(start) || isNaN(end) || start >= earliestStart) {
+    return { startDate, endDate, rescheduled: false };
+  }
+
+  const duration = Math.max(end - start, 30 * 60 * 1000);
+  return {
+    startDate: earliestStart.toISOString(),
+    endDate: new Date(earliestStart.getTime() + duration).toISOString(),
+    rescheduled: true
+  };
+};
+
+/**
+ * Parse and validate an exported package
+ * @param {string} text - Raw JSON content
+ * @returns {object} { tournament, questions, version, source }
+ */
+export const parseTournamentPackage = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (data?.format !== PACKAGE_FORMAT) {
+    throw new Error('This file is not a tournament package');
+  }
+
+  if (typeof data.version !== 'number' || data.version > PACKAGE_VERSION) {
+    throw new Error(`Unsupported package version ${data.version}. This app supports up to version ${PACKAGE_VERSION}`);
+  }
+
+  if (!data.tournament?.name) {
+    throw new Error('The package is missing tournament details');
+  }
+
+  const questions = Array.isArray(data.questions) ? data.questions : [];
+
+  return {
+    version: data.version,
+    source: data.source || '',
+    tournament: data.tournament,
+    questions
+  };
+};
+
+export default {
+  buildTournamentPackage,
+  getPackageFilename,
+  rescheduleIfPast,
+  parseTournamentPackage
+};
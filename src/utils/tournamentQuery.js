@@ -0,0 +1,197 @@
+// Tournament query utility functions
+// Search, filter, sort and page state for tournament lists, kept in the URL and sent to the API as query parameters
+import { toPageParams, normalizePage } from './pagination';
+
+export const TOURNAMENT_STATUS = {
+  ONGOING: 'ongoing',
+  UPCOMING: 'upcoming',
+  COMPLETED: 'completed'
+};
+
+export const TOURNAMENT_STATUS_OPTIONS = [
+  { value: '', label: 'All Statuses' },
+  { value: TOURNAMENT_STATUS.ONGOING, label: 'Live Now' },
+  { value: TOURNAMENT_STATUS.UPCOMING, label: 'Upcoming' },
+  { value: TOURNAMENT_STATUS.COMPLETED, label: 'Completed' }
+];
+
+export const DIFFICULTY_OPTIONS = [
+  { value: '', label: 'All Difficulties' },
+  { value: 'easy', label: 'Easy' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'hard', label: 'Hard' }
+];
+
+// Spring-style "field,direction" values, passed to the API unchanged
+export const TOURNAMENT_SORT_OPTIONS = [
+  { value: 'startDate,desc', label: 'Newest First' },
+  { value: 'startDate,asc', label: 'Oldest First' },
+  { value: 'endDate,asc', label: 'Ending Soonest' },
+  { value: 'name,asc', label: 'Name (A-Z)' },
+  { value: 'participantCount,desc', label: 'Most Participants' }
+];
+
+export const TOURNAMENT_PAGE_SIZE = 12;
+
+export const DEFAULT_TOURNAMENT_FILTERS = {
+  q: '',
+  status: '',
+  category: '',
+  difficulty: '',
+  from: '',
+  to: '',
+  sort: TOURNAMENT_SORT_OPTIONS[0].value,
+  page: 1
+};
+
+const FILTER_KEYS = Object.keys(DEFAULT_TOURNAMENT_FILTERS);
+
+/**
+ * Status of a tournament from its dates
+ * @param {object} tournament - Tournament with startDate and endDate
+ * @param {Date} now - Current time
+ * @returns {string} One of TOURNAMENT_STATUS
+ */
+export const getTournamentStatus = (tournament, now = new Date()) => {
+  if (now < new Date(tournament.startDate)) return TOURNAMENT_STATUS.UPCOMING;
+  if (now > new Date(tournament.endDate)) return TOURNAMENT_STATUS.COMPLETED;
+  return TOURNAMENT_STATUS.ONGOING;
+};
+
+/**
+ * Read list filters from the URL, ignoring values the list doesn't offer
+ * @param {URLSearchParams} searchParams - Current location's query
+ * @returns {object} Filters shaped like DEFAULT_TOURNAMENT_FILTERS
+ */
+export const parseTournamentFilters = (searchParams) => {
+  const read = (key) => searchParams.get(key) ?? DEFAULT_TOURNAMENT_FILTERS[key];
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const pick = (options, value, fallback) => (options.some(option => option.value === value) ? value : fallback);
+
+  return {
+    q: read('q').trim(),
+    status: pick(TOURNAMENT_STATUS_OPTIONS, read('status'), ''),
+    category: read('category'),
+    difficulty: pick(DIFFICULTY_OPTIONS, read('difficulty'), ''),
+    from: isDate(read('from')) ? read('from') : '',
+    to: isDate(read('to')) ? read('to') : '',
+    sort: pick(TOURNAMENT_SORT_OPTIONS, read('sort'), DEFAULT_TOURNAMENT_FILTERS.sort),
+    page: Math.max(1, parseInt(read('page'), 10) || 1)
+  };
+};
+
+/**
+ * Write list filters to a URL query, leaving defaults out so plain list URLs stay plain
+ * @param {object} filters - Filters shaped like DEFAULT_TOURNAMENT_FILTERS
+ * @returns {URLSearchParams} Query for the list page
+ */
+export const toTournamentSearchParams = (filters) => {
+  const params = new URLSearchParams();
+  FILTER_KEYS.forEach(key => {
+    const value = filters[key];
+    if (value !== undefined && value !== '' && value !== DEFAULT_TOURNAMENT_FILTERS[key]) {
+      params.set(key, String(value));
+    }
+  });
+  return params;
+};
+
+/**
+ * Whether any filter narrows the list
+ * @param {object} filters - Filters shaped like DEFAULT_TOURNAMENT_FILTERS
+ * @returns {boolean} True when the list is searched or filtered
+ */
+export const hasActiveFilters = (filters) =>
+  ['q', 'status', 'category', 'difficulty', 'from', 'to'].some(key => filters[key]);
+
+/**
+ * Query parameters for tournamentAPI.query
+ * @param {object} filters - Filters shaped like DEFAULT_TOURNAMENT_FILTERS
+ * @param {number} size - Page size
+ * @returns {object} { page, size, sort, q, category, difficulty, status, from, to } without empty values
+ */
+export const toTournamentQueryParams = (filters, size = TOURNAMENT_PAGE_SIZE) => {
+  const params = { ...toPageParams({ page: filters.page, size }), sort: filters.sort };
+  ['q', 'category', 'difficulty', 'status', 'from', 'to'].forEach(key => {
+    if (filters[key]) params[key] = filters[key];
+  });
+  return params;
+};
+
+/**
+ * Search and filter a full tournament list, for backends that ignore the query parameters
+ * The date range keeps tournaments starting on or between from and to
+ * @param {object[]} tournaments - Every tournament
+ * @param {object} filters - Filters shaped like DEFAULT_TOURNAMENT_FILTERS
+ * @returns {object[]} Matching tournaments
+ */
+export const filterTournaments = (tournaments, filters) => {
+  const query = filters.q.toLowerCase();
+  const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+  const to = filters.to ? new Date(`${filters.to}T23:59:59.999`) : null;
+  const now = new Date();
+
+  return tournaments.filter(tournament => {
+    const startDate = new Date(tournament.startDate);
+    return (!query || [tournament.name, tournament.description, tournament.category]
+      .some(value => String(value || '').toLowerCase().includes(query)))
+      && (!filters.status || getTournamentStatus(tournament, now) === filters.status)
+      && (!filters.category || tournament.category === filters.category)
+      && (!filters.difficulty || String(tournament.difficulty || '').toLowerCase() === filters.difficulty)
+      && (!from || startDate >= from)
+      && (!to || startDate <= to);
+  });
+};
+
+/**
+ * Sort a tournament list the way the API would for a sort option
+ * @param {object[]} tournaments - Tournaments to sort
+ * @param {string} sort - One of TOURNAMENT_SORT_OPTIONS values
+ * @returns {object[]} New sorted array
+ */
+export const sortTournaments = (tournaments, sort) => {
+  const [field, direction] = sort.split(',');
+  const factor = direction === 'desc' ? -1 : 1;
+  const valueOf = (tournament) => {
+    if (field === 'name') return String(tournament.name || '').toLowerCase();
+    if (field === 'participantCount') return Number(tournament.participantCount) || 0;
+    return new Date(tournament[field]).getTime() || 0;
+  };
+
+  return [...tournaments].sort((a, b) => {
+    const left = valueOf(a);
+    const right = valueOf(b);
+    return left < right ? -factor : left > right ? factor : 0;
+  });
+};
+
+/**
+ * Normalize a tournamentAPI.query response into one page
+ * A bare list means the endpoint ignored the query, so it is searched, sorted and paged here instead
+ * @param {object|Array} data - Response body
+ * @param {object} filters - Filters the request was made with
+ * @param {number} size - Page size
+ * @returns {object} { items, page, size, totalItems, totalPages, serverPaged } as from normalizePage
+ */
+export const toTournamentPage = (data, filters, size = TOURNAMENT_PAGE_SIZE) => {
+  const list = Array.isArray(data) ? data : Array.isArray(data?.tournaments) ? data.tournaments : null;
+  const body = list ? sortTournaments(filterTournaments(list, filters), filters.sort) : data;
+  return normalizePage(body, { page: filters.page, size });
+};
+
+export default {
+  TOURNAMENT_STATUS,
+  TOURNAMENT_STATUS_OPTIONS,
+  DIFFICULTY_OPTIONS,
+  TOURNAMENT_SORT_OPTIONS,
+  TOURNAMENT_PAGE_SIZE,
+  DEFAULT_TOURNAMENT_FILTERS,
+  getTournamentStatus,
+  parseTournamentFilters,
+  toTournamentSearchParams,
+  hasActiveFilters,
+  toTournamentQueryParams,
+  filterTournaments,
+  sortTournaments,
+  toTournamentPage
+};
@@ -1,63 +1,202 @@
 // Tournament scoring utility functions
 // Provides consistent scoring calculations across the frontend
+// Scores are in points: one per question by default, or weighted by the tournament's scoring rules
+import { QUESTION_TYPES, hasAnswer } from './questionUtils';
+
+export const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+export const DEFAULT_SCORING_RULES = {
+  difficultyPoints: { easy: 1, medium: 1, hard: 1 },
+  wrongAnswerPenalty: 0, // Points taken off for each wrong (not unanswered) answer
+  speedBonus: {
+    maxPoints: 0,       // Extra points for an instant correct answer, shrinking to 0 at withinSeconds
+    withinSeconds: 10
+  }
+};
+
+/**
+ * Format a point value, dropping decimals for whole numbers
+ * @param {number} points - Point value
+ * @returns {string} Formatted points
+ */
+export const formatPoints = (points) => {
+  const value = Number(points) || 0;
+  return Number.isInteger(value) ? String(value) : value.toFixed(1);
+};
+
+/**
+ * Resolve a tournament's scoring rules, filling anything missing with the defaults
+ * @param {object} tournament - Tournament (or an object with scoringRules)
+ * @returns {object} Complete scoring rules
+ */
+export const getScoringRules = (tournament) => {
+  const rules = tournament?.scoringRules || {};
+  const toNumber = (value, fallback) => (value === '' || value == null || isNaN(Number(value)) ? fallback : Number(value));
+
+  return {
+    difficultyPoints: DIFFICULTY_LEVELS.reduce((points, level) => ({
+      ...points,
+      [level]: toNumber(rules.difficultyPoints?.[level], DEFAULT_SCORING_RULES.difficultyPoints[level])
+    }), {}),
+    wrongAnswerPenalty: toNumber(rules.wrongAnswerPenalty, DEFAULT_SCORING_RULES.wrongAnswerPenalty),
+    speedBonus: {
+      maxPoints: toNumber(rules.speedBonus?.maxPoints, DEFAULT_SCORING_RULES.speedBonus.maxPoints),
+      withinSeconds: toNumber(rules.speedBonus?.withinSeconds, DEFAULT_SCORING_RULES.speedBonus.withinSeconds)
+    }
+  };
+};
+
+/**
+ * Whether scoring rules are the plain one-point-per-correct-answer rules
+ * @param {object} rules - Scoring rules from getScoringRules
+ * @returns {boolean} True when no weighting, penalty or bonus applies
+ */
+export const isStandardScoring = (rules) =>
+  DIFFICULTY_LEVELS.every(level => rules.difficultyPoints[level] === 1)
+  && rules.wrongAnswerPenalty === 0
+  && rules.speedBonus.maxPoints === 0;
+
+/**
+ * Validate scoring rules entered by an admin
+ * @param {object} rules - Scoring rules (values may be strings from inputs)
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export const validateScoringRules = (rules) => {
+  const errors = [];
+  const isNonNegative = (value) => value === '' || value == null || Number(value) >= 0;
+
+  if (DIFFICULTY_LEVELS.some(level => !(Number(rules?.difficultyPoints?.[level]) > 0))) {
+    errors.push('Points per difficulty must be greater than 0');
+  }
+  if (!isNonNegative(rules?.wrongAnswerPenalty)) {
+    errors.push('Wrong answer penalty cannot be negative');
+  }
+  if (!isNonNegative(rules?.speedBonus?.maxPoints)) {
+    errors.push('Speed bonus cannot be negative');
+  }
+  if (Number(rules?.speedBonus?.maxPoints) > 0 && !(Number(rules?.speedBonus?.withinSeconds) > 0)) {
+    errors.push('Speed bonus window must be at least 1 second');
+  }
+
+  return errors;
+};
+
+/**
+ * Describe scoring rules in one line for previews and info panels
+ * @param {object} rules - Scoring rules from getScoringRules
+ * @returns {string} Description
+ */
+export const describeScoringRules = (rules) => {
+  if (isStandardScoring(rules)) return '1 point per correct answer';
+
+  const { easy, medium, hard } = rules.difficultyPoints;
+  const parts = [`${formatPoints(easy)}/${formatPoints(medium)}/${formatPoints(hard)} points (easy/medium/hard)`];
+  if (rules.wrongAnswerPenalty > 0) {
+    parts.push(`-${formatPoints(rules.wrongAnswerPenalty)} per wrong answer`);
+  }
+  if (rules.speedBonus.maxPoints > 0) {
+    parts.push(`up to +${formatPoints(rules.speedBonus.maxPoints)} for answering within ${rules.speedBonus.withinSeconds}s`);
+  }
+  return parts.join(', ');
+};
 
 /**
- * Calculate the absolute score required to pass based on percentage and total questions
+ * Difficulty as the scoring rules key it, whatever case the server stored it in
+ * @param {string} difficulty - e.g. "Hard"
+ * @returns {string} One of DIFFICULTY_LEVELS when recognised, e.g. "hard"
+ */
+export const normalizeDifficulty = (difficulty) => String(difficulty ?? '').trim().toLowerCase();
+
+/**
+ * Points a question is worth under the given rules
+ * @param {object} question - Normalized question
+ * @param {object} rules - Scoring rules from getScoringRules
+ * @returns {number} Points for a correct answer (before any speed bonus)
+ */
+export const getQuestionPoints = (question, rules = DEFAULT_SCORING_RULES) =>
+  rules.difficultyPoints[normalizeDifficulty(question?.difficulty)] ?? 1;
+
+/**
+ * Speed bonus for a correct answer, falling linearly from maxPoints to 0 over the bonus window
+ * @param {number|null} seconds - Time taken to answer
+ * @param {object} rules - Scoring rules from getScoringRules
+ * @returns {number} Bonus points
+ */
+export const getSpeedBonus = (seconds, rules = DEFAULT_SCORING_RULES) => {
+  const { maxPoints, withinSeconds } = rules.speedBonus;
+  if (!maxPoints || seconds == null || !(withinSeconds > 0)) return 0;
+  const share = Math.max(0, 1 - seconds / withinSeconds);
+  return Math.round(maxPoints * share * 100) / 100;
+};
+
+/**
+ * Highest score possible for a set of questions
+ * Voided questions don't count towards it
+ * @param {object[]} questions - Normalized questions
+ * @param {object} rules - Scoring rules from getScoringRules
+ * @returns {number} Maximum points
+ */
+export const calculateMaxScore = (questions, rules = DEFAULT_SCORING_RULES) =>
+  questions.reduce((total, question) =>
+    question.voided ? total : total + getQuestionPoints(question, rules) + rules.speedBonus.maxPoints, 0);
+
+/**
+ * Calculate the minimum score required to pass
  * @param {number} passingPercentage - The passing percentage (e.g., 70 for 70%)
- * @param {number} totalQuestions - Total number of questions in the tournament
- * @returns {number} The minimum number of correct answers required to pass
+ * @param {number} maxScore - Maximum possible score (the question count under standard scoring)
+ * @returns {number} The minimum score required to pass, rounded up to 2 decimals
  */
-export const calculatePassingScore = (passingPercentage, totalQuestions) => {
-  if (!passingPercentage || !totalQuestions) return 0;
-  return Math.ceil((passingPercentage * totalQuestions) / 100);
+export const calculatePassingScore = (passingPercentage, maxScore) => {
+  if (!passingPercentage || !maxScore) return 0;
+  return Math.ceil(passingPercentage * maxScore) / 100;
 };
 
 /**
  * Check if a score passes the minimum requirement
  * @param {number} userScore - User's actual score
  * @param {number} passingPercentage - The passing percentage (e.g., 70 for 70%)
- * @param {number} totalQuestions - Total number of questions
+ * @param {number} maxScore - Maximum possible score
  * @returns {boolean} Whether the user passed
  */
-export const checkIfPassed = (userScore, passingPercentage = 70, totalQuestions = 10) => {
-  const requiredScore = calculatePassingScore(passingPercentage, totalQuestions);
-  return userScore >= requiredScore;
+export const checkIfPassed = (userScore, passingPercentage = 70, maxScore) => {
+  if (!maxScore) return false;
+  return userScore >= calculatePassingScore(passingPercentage, maxScore);
 };
 
 /**
  * Get a detailed scoring summary
  * @param {number} userScore - User's actual score
- * @param {number} totalQuestions - Total number of questions
+ * @param {number} maxScore - Maximum possible score
  * @param {number} passingPercentage - The passing percentage
  * @returns {object} Detailed scoring information
  */
-export const getScoringDetails = (userScore, totalQuestions, passingPercentage = 70) => {
-  const userPercentage = (userScore / totalQuestions) * 100;
-  const requiredScore = calculatePassingScore(passingPercentage, totalQuestions);
-  const passed = userScore >= requiredScore;
+export const getScoringDetails = (userScore, maxScore, passingPercentage = 70) => {
+  const userPercentage = maxScore ? (userScore / maxScore) * 100 : 0;
+  const requiredScore = calculatePassingScore(passingPercentage, maxScore);
+  const passed = checkIfPassed(userScore, passingPercentage, maxScore);
   
   return {
     userScore,
-    totalQuestions,
+    maxScore,
     userPercentage: Math.round(userPercentage * 10) / 10, // Round to 1 decimal
     passingPercentage,
     requiredScore,
     passed,
-    scoreText: `${userScore}/${totalQuestions}`,
+    scoreText: `${formatPoints(userScore)}/${formatPoints(maxScore)}`,
     percentageText: `${userPercentage.toFixed(1)}%`,
-    passRequirementText: `${requiredScore}/${totalQuestions} (${passingPercentage}%)`
+    passRequirementText: `${formatPoints(requiredScore)}/${formatPoints(maxScore)} (${passingPercentage}%)`
   };
 };
 
 /**
  * Get score color class based on performance
  * @param {number} userScore - User's actual score
- * @param {number} totalQuestions - Total number of questions
+ * @param {number} maxScore - Maximum possible score
  * @param {number} passingPercentage - The passing percentage
  * @returns {string} CSS class string for score display
  */
-export const getScoreColorClass = (userScore, totalQuestions, passingPercentage = 70) => {
-  const details = getScoringDetails(userScore, totalQuestions, passingPercentage);
+export const getScoreColorClass = (userScore, maxScore, passingPercentage = 70) => {
+  const details = getScoringDetails(userScore, maxScore, passingPercentage);
   
   if (details.passed) {
     if (details.userPercentage >= 90) return 'text-green-600 bg-green-50'; // Excellent
@@ -71,16 +210,16 @@ export const getScoreColorClass = (userScore, totalQuestions, passingPercentage
 /**
  * Format score for display with pass/fail indication
  * @param {number} userScore - User's actual score
- * @param {number} totalQuestions - Total number of questions
+ * @param {number} maxScore - Maximum possible score
  * @param {number} passingPercentage - The passing percentage
  * @returns {object} Formatted display information
  */
-export const formatScoreDisplay = (userScore, totalQuestions, passingPercentage = 70) => {
-  const details = getScoringDetails(userScore, totalQuestions, passingPercentage);
+export const formatScoreDisplay = (userScore, maxScore, passingPercentage = 70) => {
+  const details = getScoringDetails(userScore, maxScore, passingPercentage);
   
   return {
     ...details,
-    colorClass: getScoreColorClass(userScore, totalQuestions, passingPercentage),
+    colorClass: getScoreColorClass(userScore, maxScore, passingPercentage),
     statusText: details.passed ? 'PASSED' : 'FAILED',
     statusIcon: details.passed ? '✅' : '❌',
     fullDisplayText: `${details.scoreText} (${details.percentageText}) - ${details.statusText}`
@@ -108,12 +247,184 @@ export const validateTournamentScoring = (tournament) => {
   };
 };
 
+/**
+ * Normalize free text for comparison: case, surrounding and repeated whitespace are ignored
+ * @param {string} value - Text answer
+ * @returns {string} Normalized text
+ */
+export const normalizeTextAnswer = (value) =>
+  String(value ?? '').toLowerCase().trim().replace(/\s+/g, ' ');
+
+/**
+ * Check a single answer against a question using the rule for its type
+ * - single choice / true-false: the chosen option matches the correct answer
+ * - multi-select: exactly the correct options are chosen, in any order
+ * - free text: the answer matches one of the accepted answers
+ * - numeric: the answer is within the tolerance of the correct value
+ * @param {object} question - Normalized question (see questionUtils.normalizeQuestion)
+ * @param {string|string[]} answer - Player's answer
+ * @returns {boolean} Whether the answer is correct
+ */
+export const scoreAnswer = (question, answer) => {
+  if (!question || !hasAnswer(answer)) return false;
+
+  switch (question.type) {
+    case QUESTION_TYPES.MULTI: {
+      const chosen = new Set((Array.isArray(answer) ? answer : [answer]).map(normalizeTextAnswer));
+      const correct = new Set((question.correctAnswers || []).map(normalizeTextAnswer));
+      return correct.size > 0 && chosen.size === correct.size && [...correct].every(option => chosen.has(option));
+    }
+
+    case QUESTION_TYPES.TEXT: {
+      const accepted = question.acceptedAnswers?.length ? question.acceptedAnswers : [question.correctAnswer];
+      return accepted.some(option => hasAnswer(option) && normalizeTextAnswer(option) === normalizeTextAnswer(answer));
+    }
+
+    case QUESTION_TYPES.NUMERIC: {
+      const value = Number(String(answer).trim());
+      const expected = Number(question.correctAnswer);
+      if (String(answer).trim() === '' || isNaN(value) || isNaN(expected)) return false;
+      // Small epsilon so a tolerance of 0.1 accepts 0.1 despite floating point error
+      return Math.abs(value - expected) <= (Number(question.tolerance) || 0) + 1e-9;
+    }
+
+    default:
+      return normalizeTextAnswer(answer) === normalizeTextAnswer(question.correctAnswer);
+  }
+};
+
+/**
+ * Score a full attempt under a tournament's rules
+ * @param {object[]} questions - Normalized questions (with answers)
+ * @param {object|Array} answers - Answers keyed (or indexed) by question position
+ * @param {object} rules - Scoring rules from getScoringRules
+ * @param {object|Array} answerTimes - Seconds taken per question, used for the speed bonus
+ * @returns {object} { score, maxScore, correct, incorrect, unanswered, breakdown }
+ */
+export const scoreAttempt = (questions, answers, rules = DEFAULT_SCORING_RULES, answerTimes = {}) => {
+  const breakdown = questions.map((question, index) => {
+    const answer = answers[index];
+    // A voided question is left out of the attempt entirely, whatever was answered
+    if (question.voided) {
+      return { index, answered: hasAnswer(answer), isCorrect: false, voided: true, points: 0 };
+    }
+    if (!hasAnswer(answer)) {
+      return { index, answered: false, isCorrect: false, points: 0 };
+    }
+
+    const isCorrect = scoreAnswer(question, answer);
+    const points = isCorrect
+      ? getQuestionPoints(question, rules) + getSpeedBonus(answerTimes[index], rules)
+      : -rules.wrongAnswerPenalty;
+    return { index, answered: true, isCorrect, points };
+  });
+
+  const total = breakdown.reduce((sum, item) => sum + item.points, 0);
+
+  return {
+    // Negative marking can take individual questions below zero, but never the total
+    score: Math.max(0, Math.round(total * 100) / 100),
+    maxScore: calculateMaxScore(questions, rules),
+    correct: breakdown.filter(item => item.isCorrect).length,
+    incorrect: breakdown.filter(item => !item.voided && item.answered && !item.isCorrect).length,
+    unanswered: breakdown.filter(item => !item.voided && !item.answered).length,
+    breakdown
+  };
+};
+
+/**
+ * Number of questions behind an attempt, from whichever source knows it
+ * @param {object} attempt - Attempt, score entry or participate response
+ * @param {object} tournament - Tournament
+ * @returns {number|null} Question count, or null when unknown
+ */
+export const getQuestionCount = (attempt, tournament) => {
+  const count = attempt?.totalQuestions
+    ?? attempt?.questionCount
+    ?? tournament?.totalQuestions
+    ?? tournament?.questionCount
+    ?? tournament?.questions?.length;
+  return Number(count) > 0 ? Number(count) : null;
+};
+
+// Maximum score worked out from the scoring rules: exactly from the questions when the tournament carries
+// them, or from the question count when every difficulty is worth the same. Null when neither is known
+const getRulesMaxScore = (tournament, questionCount) => {
+  const rules = getScoringRules(tournament);
+  if (Array.isArray(tournament?.questions) && tournament.questions.length > 0) {
+    return calculateMaxScore(tournament.questions, rules) || null;
+  }
+
+  const points = DIFFICULTY_LEVELS.map(level => rules.difficultyPoints[level]);
+  if (!questionCount || points.some(value => value !== points[0])) return null;
+  return questionCount * (points[0] + rules.speedBonus.maxPoints);
+};
+
+/**
+ * Score, maximum, percentage and pass/fail for an attempt, using the real question count
+ * @param {object} attempt - Attempt, score entry or participate response
+ * @param {object} tournament - Tournament the attempt belongs to
+ * @param {number} fallbackMaxScore - Maximum score to use when the attempt doesn't carry one
+ * @returns {object} { score, maxScore, percentage, passed, passingPercentage, scoreText }; maxScore and
+ *   percentage are null when the maximum can't be worked out
+ */
+export const getAttemptSummary = (attempt, tournament, fallbackMaxScore = null) => {
+  const score = Number(attempt?.score ?? attempt?.playerScore ?? attempt?.userScore ?? 0) || 0;
+  const passingPercentage = tournament?.minimumPassingScore ?? 70;
+
+  // Weighted tournaments need the server's maxScore; the question count is only right under standard scoring.
+  // Without a maximum that follows the rules there is no percentage, rather than one that can pass 100%
+  const questionCount = getQuestionCount(attempt, tournament);
+  const maxScore = Number(attempt?.maxScore)
+    || (questionCount && isStandardScoring(getScoringRules(tournament)) ? questionCount : null)
+    || fallbackMaxScore
+    || getRulesMaxScore(tournament, questionCount);
+
+  const percentage = maxScore ? Math.round((score / maxScore) * 1000) / 10 : null;
+  const passed = typeof attempt?.passed === 'boolean'
+    ? attempt.passed
+    : maxScore ? checkIfPassed(score, passingPercentage, maxScore) : false;
+
+  return {
+    score,
+    maxScore,
+    percentage,
+    passed,
+    passingPercentage,
+    scoreText: maxScore ? `${formatPoints(score)}/${formatPoints(maxScore)}` : formatPoints(score)
+  };
+};
+
+/**
+ * Count correct answers for a set of questions
+ * @param {object[]} questions - Normalized questions
+ * @param {object|Array} answers - Answers keyed (or indexed) by question position
+ * @returns {number} Number of correct answers
+ */
+export const countCorrectAnswers = (questions, answers) =>
+  questions.filter((question, index) => scoreAnswer(question, answers[index])).length;
+
 // Export all utility functions
 export default {
+  formatPoints,
+  getScoringRules,
+  isStandardScoring,
+  validateScoringRules,
+  describeScoringRules,
+  normalizeDifficulty,
+  getQuestionPoints,
+  getSpeedBonus,
+  calculateMaxScore,
   calculatePassingScore,
   checkIfPassed,
   getScoringDetails,
   getScoreColorClass,
   formatScoreDisplay,
-  validateTournamentScoring
+  validateTournamentScoring,
+  normalizeTextAnswer,
+  scoreAnswer,
+  scoreAttempt,
+  getQuestionCount,
+  getAttemptSummary,
+  countCorrectAnswers
 };
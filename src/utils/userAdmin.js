@@ -0,0 +1,103 @@
+// User administration utility functions
+// Normalizes the user records and play history returned by the admin endpoints
+
+import { getUserRoles } from './permissions';
+import { getAttemptSummary } from './tournamentScoring';
+
+export const USER_STATUS = {
+  ACTIVE: 'active',
+  DISABLED: 'disabled'
+};
+
+export const USER_STATUS_OPTIONS = [
+  { value: '', label: 'All statuses' },
+  { value: USER_STATUS.ACTIVE, label: 'Active' },
+  { value: USER_STATUS.DISABLED, label: 'Disabled' }
+];
+
+/**
+ * Whether an account is enabled, whichever flag the server uses
+ * @param {object} user - Raw user
+ * @returns {boolean} True unless the account is marked disabled
+ */
+export const isUserEnabled = (user) => {
+  if (typeof user?.enabled === 'boolean') return user.enabled;
+  if (typeof user?.active === 'boolean') return user.active;
+  if (typeof user?.disabled === 'boolean') return !user.disabled;
+  if (typeof user?.status === 'string') return user.status.toLowerCase() !== USER_STATUS.DISABLED;
+  return true;
+};
+
+/**
+ * Normalize a user record from the admin endpoints
+ * @param {object} user - Raw user
+ * @returns {object} { id, username, email, name, roles, enabled, createdAt, lastLoginAt, raw }
+ */
+export const normalizeAdminUser = (user) => {
+  const name = [user?.firstName, user?.lastName].filter(Boolean).join(' ');
+  return {
+    id: user?.id,
+    username: user?.username || '',
+    email: user?.email || '',
+    name: name || user?.username || 'Unknown user',
+    roles: getUserRoles(user),
+    enabled: isUserEnabled(user),
+    createdAt: user?.createdAt || user?.registeredAt || null,
+    lastLoginAt: user?.lastLoginAt || user?.lastLogin || null,
+    raw: user
+  };
+};
+
+/**
+ * Filter a full user list by search text and status
+ * Only needed when the server returns every user instead of a filtered page
+ * @param {object[]} users - Raw users
+ * @param {object} filters - { search, status }
+ * @returns {object[]} Matching raw users
+ */
+export const filterUsers = (users, { search = '', status = '' } = {}) => {
+  const query = search.trim().toLowerCase();
+  return users.filter(user => {
+    if (status && (isUserEnabled(user) ? USER_STATUS.ACTIVE : USER_STATUS.DISABLED) !== status) return false;
+    if (!query) return true;
+    return [user.username, user.email, user.firstName, user.lastName]
+      .some(value => String(value ?? '').toLowerCase().includes(query));
+  });
+};
+
+/**
+ * Normalize one tournament from a user's play history
+ * @param {object} entry - Raw attempt, with the tournament nested or flattened
+ * @returns {object} { tournamentId, name, completedAt, summary }
+ */
+export const normalizeUserTournament = (entry) => {
+  const tournament = entry?.tournament || entry;
+  return {
+    tournamentId: entry?.tournamentId ?? tournament?.id,
+    name: tournament?.name || entry?.tournamentName || 'Unnamed Tournament',
+    completedAt: entry?.completedAt || entry?.submittedAt || entry?.createdAt || null,
+    summary: getAttemptSummary(entry, tournament)
+  };
+};
+
+/**
+ * Extract a user's play history from the response body
+ * @param {object|Array} data - Bare list, or wrapped in { tournaments } / { attempts } / { content }
+ * @returns {object[]} Normalized tournaments, most recent first
+ */
+export const extractUserTournaments = (data) => {
+  const list = Array.isArray(data) ? data : data?.tournaments ?? data?.attempts ?? data?.content ?? [];
+  return list
+    .map(normalizeUserTournament)
+    .sort((a, b) => new Date(b.completedAt || 0) - new Date(a.completedAt || 0));
+};
+
+export default {
+  USER_STATUS,
+  USER_STATUS_OPTIONS,
+  isUserEnabled,
+  normalizeAdminUser,
+  filterUsers,
+  normalizeUserTournament,
+  extractUserTournaments
+};